@@ -0,0 +1,87 @@
+/**
+ * @file hookedHandler.mjs
+ * @description Base class for the handlers that listen to Foundry hooks while active
+ * @path src/baseClasses/hookedHandler.mjs
+ */
+
+import Handler from "./handler.mjs";
+
+/**
+ * Base class for handlers that register Foundry hooks on activation and unregister them on deactivation.
+ *
+ * Subclasses register their hooks in `_registerHooks()` through `_registerHook()`, and extend
+ * `activate()` / `deactivate()` for any work done around the hooks (e.g., building or clearing a cache).
+ *
+ * @class HookedHandler
+ * @extends Handler
+ * @export
+ *
+ * **Public API:**
+ * - `activate()` - Registers the hooks of the handler
+ * - `deactivate()` - Unregisters every registered hook
+ * - `isActive` - Whether the handler is listening to hooks
+ */
+class HookedHandler extends Handler {
+    /**
+     * Registered hook ids, as [hookName, id] pairs.
+     * @type {Array<[string, number]>}
+     * @private
+     */
+    #hookIds = [];
+
+    /**
+     * Whether the handler is listening to hooks.
+     * @type {boolean}
+     * @private
+     */
+    #active = false;
+
+    /**
+     * Whether the handler is listening to hooks.
+     * @returns {boolean}
+     */
+    get isActive() {
+        return this.#active;
+    }
+
+    /**
+     * Registers the hooks of the handler (see `_registerHooks`).
+     * @returns {boolean} True if the handler was activated, false if it was already active.
+     */
+    activate() {
+        if (this.#active) return false;
+        this.#active = true;
+        this._registerHooks();
+        return true;
+    }
+
+    /**
+     * Unregisters every hook registered through `_registerHook`.
+     * @returns {boolean} True if the handler was deactivated, false if it was not active.
+     */
+    deactivate() {
+        if (!this.#active) return false;
+        for (const [hookName, id] of this.#hookIds) Hooks.off(hookName, id);
+        this.#hookIds = [];
+        this.#active = false;
+        return true;
+    }
+
+    /**
+     * @protected
+     * Registers the hooks of the handler on activation. Overridden by subclasses.
+     */
+    _registerHooks() {}
+
+    /**
+     * @protected
+     * Registers a Foundry hook and remembers its id for deactivation.
+     * @param {string} hookName - The Foundry hook name.
+     * @param {Function} callback - The hook callback.
+     */
+    _registerHook(hookName, callback) {
+        this.#hookIds.push([hookName, Hooks.on(hookName, callback)]);
+    }
+}
+
+export default HookedHandler;
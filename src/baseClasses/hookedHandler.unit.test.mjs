@@ -0,0 +1,72 @@
+/**
+ * @file hookedHandler.unit.test.mjs
+ * @description Unit tests for the HookedHandler base class
+ * @path src/baseClasses/hookedHandler.unit.test.mjs
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import HookedHandler from './hookedHandler.mjs';
+import Handler from './handler.mjs';
+
+class TestHandler extends HookedHandler {
+    _registerHooks() {
+        this._registerHook('canvasReady', () => this.ready());
+        this._registerHook('updateTile', () => this.update());
+    }
+
+    ready() {}
+}
+
+describe('HookedHandler', () => {
+    let handler;
+    let hookId;
+
+    beforeEach(() => {
+        hookId = 0;
+        global.Hooks = { on: vi.fn(() => ++hookId), off: vi.fn() };
+        handler = new TestHandler({}, {}, {});
+    });
+
+    afterEach(() => {
+        delete global.Hooks;
+    });
+
+    it('should extend Handler and start inactive', () => {
+        expect(handler).toBeInstanceOf(Handler);
+        expect(handler.isActive).toBe(false);
+        expect(global.Hooks.on).not.toHaveBeenCalled();
+    });
+
+    it('should register the hooks of the subclass once', () => {
+        expect(handler.activate()).toBe(true);
+        expect(handler.activate()).toBe(false);
+        expect(handler.isActive).toBe(true);
+        expect(global.Hooks.on).toHaveBeenCalledTimes(2);
+        expect(global.Hooks.on).toHaveBeenCalledWith('canvasReady', expect.any(Function));
+    });
+
+    it('should call the subclass from its hooks', () => {
+        const readySpy = vi.spyOn(handler, 'ready');
+        handler.activate();
+        global.Hooks.on.mock.calls[0][1]();
+        expect(readySpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should unregister every hook once', () => {
+        handler.activate();
+        expect(handler.deactivate()).toBe(true);
+        expect(handler.deactivate()).toBe(false);
+        expect(handler.isActive).toBe(false);
+        expect(global.Hooks.off).toHaveBeenCalledTimes(2);
+        expect(global.Hooks.off).toHaveBeenCalledWith('canvasReady', 1);
+        expect(global.Hooks.off).toHaveBeenCalledWith('updateTile', 2);
+    });
+
+    it('should be active without hooks to register', () => {
+        const bare = new HookedHandler({}, {}, {});
+        expect(bare.activate()).toBe(true);
+        expect(bare.isActive).toBe(true);
+        expect(bare.deactivate()).toBe(true);
+        expect(global.Hooks.off).not.toHaveBeenCalled();
+    });
+});
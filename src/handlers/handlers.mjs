@@ -6,6 +6,10 @@
 
 import Handler from "../baseClasses/handler.mjs";
 import SettingsHandler from "./settingsHandler.mjs";
+import PlaceableHandler from "./placeableHandler.mjs";
+import OcclusionHandler from "./occlusionHandler.mjs";
+import TileConfigHandler from "./tileConfigHandler.mjs";
+import TokenConfigHandler from "./tokenConfigHandler.mjs";
 
 /**
  * Handlers
@@ -19,7 +23,7 @@ import SettingsHandler from "./settingsHandler.mjs";
  * @export
  *
  * **Public API:**
- * - `constructor(config, utils, context)` - Creates handlers instance with settings handler
+ * - `constructor(config, utils, context)` - Creates handlers instance with settings, placeable, occlusion, tile config and token config handlers
  * - `registerDebugModeSetting()` - Register only the debugMode setting if present
  * - `hasDebugModeSettingConfig()` - Check if debugMode setting exists in parsed settings
  * - `getDebugModeSettingConfig()` - Get the debugMode setting configuration if available
@@ -27,6 +31,10 @@ import SettingsHandler from "./settingsHandler.mjs";
  * - `hasSettingConfigByKey(key)` - Check if a setting with the given key exists
  * - `getSettingConfigByKey(key)` - Get a setting configuration by its key
  * - `settings` - SettingsHandler instance for complete settings management
+ * - `placeables` - PlaceableHandler instance for reading and checking placeables
+ * - `occlusion` - OcclusionHandler instance driving the roof occlusion engine
+ * - `tileConfig` - TileConfigHandler instance adding the module fields to the tile configuration sheet
+ * - `tokenConfig` - TokenConfigHandler instance adding the module fields to the token configuration sheet and HUD
  */
 class Handlers extends Handler {
     /**
@@ -46,6 +54,30 @@ class Handlers extends Handler {
          * @public
          */
         this.settings = new SettingsHandler(this.config, this.utils, this.context);
+        /**
+         * The placeable handler instance.
+         * @type {PlaceableHandler}
+         * @public
+         */
+        this.placeables = new PlaceableHandler(this.config, this.context, this.utils);
+        /**
+         * The occlusion handler instance (the roof occlusion engine).
+         * @type {OcclusionHandler}
+         * @public
+         */
+        this.occlusion = new OcclusionHandler(this.config, this.utils, this.context, this.placeables, this.settings);
+        /**
+         * The tile config handler instance (module fields of the tile configuration sheet).
+         * @type {TileConfigHandler}
+         * @public
+         */
+        this.tileConfig = new TileConfigHandler(this.config, this.utils, this.context, this.placeables);
+        /**
+         * The token config handler instance (module fields of the token configuration sheet and HUD).
+         * @type {TokenConfigHandler}
+         * @public
+         */
+        this.tokenConfig = new TokenConfigHandler(this.config, this.utils, this.context, this.placeables);
     }
 
     /**
@@ -31,6 +31,10 @@ import Handlers from './handlers.mjs';
 
 import Handler from '../baseClasses/handler.mjs';
 import SettingsHandler from './settingsHandler.mjs';
+import PlaceableHandler from './placeableHandler.mjs';
+import OcclusionHandler from './occlusionHandler.mjs';
+import TileConfigHandler from './tileConfigHandler.mjs';
+import TokenConfigHandler from './tokenConfigHandler.mjs';
 
 describe('Handlers', () => {
   const fakeConfig = {
@@ -91,6 +95,34 @@ describe('Handlers', () => {
     expect(handlers.context).toBe(fakeContext);
   });
 
+  it('creates placeable and occlusion handler instances', () => {
+    const handlers = new Handlers(fakeConfig, fakeUtils, fakeContext);
+
+    expect(handlers.placeables).toBeInstanceOf(PlaceableHandler);
+    expect(handlers.occlusion).toBeInstanceOf(OcclusionHandler);
+    // The occlusion engine is wired to the placeable and settings handlers
+    expect(handlers.occlusion.placeables).toBe(handlers.placeables);
+    expect(handlers.occlusion.settings).toBe(handlers.settings);
+    // The engine is not listening to hooks until activated
+    expect(handlers.occlusion.isActive).toBe(false);
+  });
+
+  it('creates a tile config handler wired to the placeable handler', () => {
+    const handlers = new Handlers(fakeConfig, fakeUtils, fakeContext);
+
+    expect(handlers.tileConfig).toBeInstanceOf(TileConfigHandler);
+    expect(handlers.tileConfig.placeables).toBe(handlers.placeables);
+    expect(handlers.tileConfig.isActive).toBe(false);
+  });
+
+  it('creates a token config handler wired to the placeable handler', () => {
+    const handlers = new Handlers(fakeConfig, fakeUtils, fakeContext);
+
+    expect(handlers.tokenConfig).toBeInstanceOf(TokenConfigHandler);
+    expect(handlers.tokenConfig.placeables).toBe(handlers.placeables);
+    expect(handlers.tokenConfig.isActive).toBe(false);
+  });
+
   it('throws when missing parameters', () => {
     expect(() => new Handlers(null, fakeUtils, fakeContext)).toThrow();
     expect(() => new Handlers(fakeConfig, null, fakeContext)).toThrow();
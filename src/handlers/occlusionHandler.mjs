@@ -0,0 +1,434 @@
+/**
+ * @file occlusionHandler.mjs
+ * @description Roof occlusion engine - switches overhead tiles between occlusion modes based on the observer tokens under them.
+ * @path src/handlers/occlusionHandler.mjs
+ */
+
+import HookedHandler from "../baseClasses/hookedHandler.mjs";
+import OcclusionEvaluator from "./occlusionHelpers/occlusionEvaluator.mjs";
+import TileOcclusionSetter from "./occlusionHelpers/tileOcclusionSetter.mjs";
+import FadeAnimator from "./occlusionHelpers/fadeAnimator.mjs";
+import OcclusionStabilizer from "./occlusionHelpers/occlusionStabilizer.mjs";
+import MovementTracker from "./occlusionHelpers/movementTracker.mjs";
+import ObserverSelector from "./occlusionHelpers/observerSelector.mjs";
+import GMObserverPolicy from "./occlusionHelpers/gmObserverPolicy.mjs";
+import PartyResolver from "./occlusionHelpers/partyResolver.mjs";
+import {
+    OCCLUSION_LAYERS,
+    OCCLUSION_MODES,
+    OPT_IN_FLAGS,
+    REFRESH_HOOKS,
+    SETTING_KEYS,
+    BEHAVIOR_TOKENS,
+    BEHAVIOR_GM,
+    FADE,
+    MOVEMENT
+} from "./occlusionHelpers/config.mjs";
+
+/**
+ * OcclusionHandler is the module's roof occlusion engine.
+ *
+ * It listens to token and tile hooks, and to the token animation frames while tokens move
+ * (see `MovementTracker`; positions are then read along the movement path), and on every pass:
+ * 1. Collects the observer tokens (see `ObserverSelector`, `GMObserverPolicy`, `PartyResolver`,
+ *    the behaviorTokens / behaviorGM / behaviorParty settings and the `ignoreOcclusion` / `alwaysObserver` token flags)
+ * 2. Collects the scene regions driving tiles and the occluders: the overhead tiles of the current scene that opt
+ *    into the engine (an `occlusion.optInFlags` flag, or a linked region), or all of them with the manageAllTiles setting;
+ *    tiles whose `occlusionMode` flag is "NONE" are left alone
+ * 3. Uses `PlaceableChecker.isUnder` (through `OcclusionEvaluator`) to find the occluders covering an observer;
+ *    the floors of multi-floor buildings are revealed floor by floor (see `BuildingResolver`), and
+ *    the members of an occlusion group fade together (see `PlaceableGroups`), the tiles linked to a region
+ *    fade while an observer is inside it (see `RegionTriggers`); occluders already covering
+ *    are checked with their exit margin and the others with their entry margin (`positionChecker.hysteresis`)
+ * 4. Keeps each occluder's state until a change has lasted its dwell time (see `OcclusionStabilizer`),
+ *    scheduling a new pass for pending changes
+ * 5. Applies the mode of each occluder (its `occlusionMode` flag, otherwise "FADE") to the tile as a whole:
+ *    "VISION" occluders are kept in Foundry's vision occlusion whether covering or not, "FADE" occluders are
+ *    faded while covering and restored to their own mode otherwise; while fading is enabled, covering
+ *    "FADE" occluders are switched into "NONE" instead, so only the engine fades them
+ * 6. Fades the alpha of the occluders whose state changed (see `FadeAnimator` and `occlusion.fade`)
+ *
+ * Modes and alphas are applied to the tile meshes through `TileOcclusionSetter` and `FadeAnimator`,
+ * never to the tile documents, and restored once the tiles stop covering or being managed, on deactivation, or on
+ * GM clients while the behaviorGM setting is `inactive`.
+ *
+ * The engine keeps the placeable handler's spatial index active while it runs, so a pass
+ * only checks each observer against the tiles around it, its placeable registry, so the
+ * observers and occluders are read from the registry instead of the canvas, and its geometry
+ * cache, so the positions of unchanged placeables are not recomputed on every pass.
+ *
+ * @class OcclusionHandler
+ * @extends HookedHandler
+ * @export
+ *
+ * **Public API:**
+ * - `constructor(config, utils, context, placeableHandler, settingsHandler)` - Creates the engine (inactive)
+ * - `activate()` - Registers the refresh hooks and runs a first pass when the canvas is ready
+ * - `deactivate()` - Unregisters the hooks and restores the original tile modes
+ * - `refresh()` - Runs an occlusion pass
+ * - `getObservers()` - Tokens whose position drives the occlusion
+ * - `getOccluders(regions)` - Overhead tiles managed by the engine
+ * - `isManaged(tile, linkedIds)` - Whether an overhead tile opts into the engine
+ * - `getRegions()` - Scene regions driving the tiles listed in their `tiles` flag
+ * - `isActive` - Whether the engine is listening to hooks
+ * - `coveredOccluders` - Occluders covering an observer after the last pass
+ * - `behaviors` - Setting-driven behaviours, kept in sync through the `OMH.setting*` hooks
+ */
+class OcclusionHandler extends HookedHandler {
+    /**
+     * Whether the engine activated the spatial index (and deactivates it with itself).
+     * @type {boolean}
+     * @private
+     */
+    #ownsIndex = false;
+
+    /**
+     * Whether the engine activated the placeable registry (and deactivates it with itself).
+     * @type {boolean}
+     * @private
+     */
+    #ownsRegistry = false;
+
+    /**
+     * Whether the engine activated the geometry cache (and deactivates it with itself).
+     * @type {boolean}
+     * @private
+     */
+    #ownsCache = false;
+
+    /**
+     * Occluders managed on the last pass, restored once they leave the occluders.
+     * @type {Set<Object>}
+     * @private
+     */
+    #managed = new Set();
+
+    /**
+     * Timer of the pass scheduled for a pending state change.
+     * @type {number|null}
+     * @private
+     */
+    #dwellTimer = null;
+
+    /**
+     * @param {Object} config - Module configuration object.
+     * @param {Object} utils - Utilities facade providing logging and hook formatting.
+     * @param {Object} context - Execution context object.
+     * @param {PlaceableHandler} placeableHandler - Handler used to read and check placeables.
+     * @param {SettingsHandler} [settingsHandler] - Handler used to read module settings.
+     */
+    constructor(config, utils, context, placeableHandler, settingsHandler) {
+        super(config, utils, context);
+        this.logger = utils?.logger;
+        /**
+         * The placeable handler instance.
+         * @type {PlaceableHandler}
+         * @public
+         */
+        this.placeables = placeableHandler;
+        /**
+         * The settings handler instance.
+         * @type {SettingsHandler|undefined}
+         * @public
+         */
+        this.settings = settingsHandler;
+        this.evaluator = new OcclusionEvaluator(config, utils, context, placeableHandler);
+        this.tileSetter = new TileOcclusionSetter(config, utils, context);
+        this.fader = new FadeAnimator(config, utils, context, placeableHandler);
+        this.stabilizer = new OcclusionStabilizer(config, utils, context, placeableHandler);
+        this.movement = new MovementTracker(config, utils, context, placeableHandler);
+        this.observerSelector = new ObserverSelector(config, utils, context, placeableHandler);
+        this.gmPolicy = new GMObserverPolicy(config, utils, context);
+        this.partyResolver = new PartyResolver(config, utils, context);
+        /**
+         * Setting-driven behaviours.
+         * @type {{tokens: string, gm: string, party: boolean, partyGroup: string, allTiles: boolean}}
+         * @public
+         */
+        this.behaviors = { tokens: BEHAVIOR_TOKENS.DEFAULT, gm: BEHAVIOR_GM.DEFAULT, party: false, partyGroup: '', allTiles: false };
+        /**
+         * Occluders covering an observer after the last pass.
+         * @type {Set<Object>}
+         * @public
+         */
+        this.coveredOccluders = new Set();
+    }
+
+    /**
+     * Activates the spatial index, the placeable registry and the geometry cache, registers the refresh,
+     * movement and setting hooks, loads the behaviours from the settings and runs a first pass if the
+     * canvas is already ready. The index, the registry, the cache, the tile setter and the fade animator
+     * (when fading is enabled) are activated first so that their hooks update them before each pass.
+     * Does nothing when the module is disabled through the `useModule` setting.
+     *
+     * @returns {boolean} True if the engine was activated, false otherwise.
+     */
+    activate() {
+        if (this.isActive) return false;
+        if (this.#readSetting(SETTING_KEYS.USE_MODULE) === false) {
+            this.logger?.log('Occlusion engine not activated: module disabled by setting');
+            return false;
+        }
+        this.#ownsIndex = this.placeables.activateIndex?.() === true;
+        this.#ownsRegistry = this.placeables.activateRegistry?.() === true;
+        this.#ownsCache = this.placeables.activateCache?.() === true;
+        this.tileSetter.activate();
+        if (FADE.ENABLED) this.fader.activate();
+        super.activate();
+        if (globalThis.canvas?.ready) this.refresh();
+        return true;
+    }
+
+    /**
+     * Unregisters every hook, deactivates the spatial index, the registry and the geometry cache if the
+     * engine activated them, deactivates the tile setter and the fade animator, cancels any scheduled pass and restores the
+     * original modes and alphas of the touched tiles.
+     *
+     * @returns {boolean} True if the engine was deactivated, false if it was not active.
+     */
+    deactivate() {
+        if (!super.deactivate()) return false;
+        if (this.#ownsIndex) this.placeables.deactivateIndex?.();
+        this.#ownsIndex = false;
+        if (this.#ownsRegistry) this.placeables.deactivateRegistry?.();
+        this.#ownsRegistry = false;
+        if (this.#ownsCache) this.placeables.deactivateCache?.();
+        this.#ownsCache = false;
+        this.tileSetter.deactivate();
+        this.tileSetter.restoreAll();
+        this.fader.deactivate();
+        this.fader.restoreAll();
+        this.#clearDwellTimer();
+        this.stabilizer.clear();
+        this.movement.clear();
+        this.#managed = new Set();
+        this.coveredOccluders = new Set();
+        return true;
+    }
+
+    /**
+     * @protected
+     * Registers the refresh, movement and setting hooks, and loads the behaviours from the settings.
+     */
+    _registerHooks() {
+        for (const hookName of REFRESH_HOOKS) {
+            this._registerHook(hookName, () => this.refresh());
+        }
+        if (MOVEMENT.ENABLED) {
+            for (const hookName of MOVEMENT.HOOKS) {
+                this._registerHook(hookName, (token) => {
+                    if (this.movement.shouldRefresh(token)) this.refresh();
+                });
+            }
+        }
+        this.#bindBehavior('tokens', SETTING_KEYS.BEHAVIOR_TOKENS, BEHAVIOR_TOKENS.DEFAULT);
+        this.#bindBehavior('gm', SETTING_KEYS.BEHAVIOR_GM, BEHAVIOR_GM.DEFAULT);
+        this.#bindBehavior('party', SETTING_KEYS.BEHAVIOR_PARTY, false);
+        this.#bindBehavior('partyGroup', SETTING_KEYS.PARTY_GROUP, '');
+        this.#bindBehavior('allTiles', SETTING_KEYS.MANAGE_ALL_TILES, false);
+    }
+
+    /**
+     * Retrieves the tokens whose position drives the occlusion.
+     * On GM clients the candidates are first filtered by the behaviorGM setting.
+     * When the behaviorParty setting is enabled, the party member tokens are observers as well.
+     * Finally, the candidates flagged `alwaysObserver` are added and the tokens flagged `ignoreOcclusion`
+     * removed (see `ObserverSelector.applyTokenFlags`).
+     * @returns {Array} The observer tokens.
+     */
+    getObservers() {
+        const tokens = this.gmPolicy.filterCandidates(
+            this.placeables.getAll(OCCLUSION_LAYERS.OBSERVERS, false),
+            this.behaviors.gm
+        );
+        const observers = this.observerSelector.select(tokens, this.behaviors.tokens);
+        const party = this.behaviors.party === true ? this.partyResolver.resolve(tokens, this.behaviors.partyGroup) : [];
+        return this.observerSelector.applyTokenFlags([...observers, ...party], tokens);
+    }
+
+    /**
+     * Retrieves the overhead tiles managed by the engine (see `isManaged`).
+     * @param {Array} [regions] - The regions driving tiles. Defaults to `getRegions()`.
+     * @returns {Array} The occluders.
+     */
+    getOccluders(regions = this.getRegions()) {
+        const linkedIds = new Set(regions.flatMap((region) => this.evaluator.regions.getLinkedTileIds(region)));
+        const tiles = this.placeables.getAll(OCCLUSION_LAYERS.OCCLUDERS, false);
+        return tiles.filter((tile) => this.placeables.isOverhead(tile) && this.isManaged(tile, linkedIds));
+    }
+
+    /**
+     * Determines if an overhead tile opts into the engine: always with the manageAllTiles setting,
+     * otherwise when it carries one of the `occlusion.optInFlags` flags or a region links it.
+     * Tiles in the "NONE" mode (see `OcclusionEvaluator.getCoveredMode`) are never managed.
+     * Other tiles keep their own occlusion mode.
+     * @param {Object} tile - The overhead tile.
+     * @param {Set<string>} [linkedIds] - Ids of the tiles linked to a region.
+     * @returns {boolean}
+     */
+    isManaged(tile, linkedIds = new Set()) {
+        if (this.evaluator.getCoveredMode(tile) === OCCLUSION_MODES.NONE) return false;
+        if (this.behaviors.allTiles === true) return true;
+        if (linkedIds.has(tile?.document?.id ?? tile?.id)) return true;
+        return OPT_IN_FLAGS.some((flag) => {
+            const flagged = this.placeables.getFlag?.(tile, flag);
+            return flagged != null && flagged !== '';
+        });
+    }
+
+    /**
+     * Retrieves the scene regions that drive tiles (see `RegionTriggers`).
+     * @returns {Array} The regions listing at least one tile in their `tiles` flag.
+     */
+    getRegions() {
+        const regions = this.placeables.getAll(OCCLUSION_LAYERS.REGIONS, false) ?? [];
+        return regions.filter((region) => this.evaluator.regions.getLinkedTileIds(region).length > 0);
+    }
+
+    /**
+     * Runs an occlusion pass: finds the occluders covering an observer, fades the "FADE" ones
+     * and restores the others to their own mode, keeping the "VISION" ones in the VISION mode.
+     * Tiles managed on the previous pass but no longer managed are restored as well.
+     * State changes shorter than the occluder's dwell time are held back; a new pass is
+     * scheduled for when the earliest pending change matures.
+     * When occlusion is disabled for the current user (GM with behaviorGM `inactive`),
+     * the original tile modes and alphas are restored instead.
+     *
+     * @returns {Set<Object>|null} The covering occluders, or null when the engine is inactive.
+     * @fires occlusionUpdated
+     */
+    refresh() {
+        if (!this.isActive) return null;
+        if (!this.gmPolicy.isOcclusionEnabled(this.behaviors.gm)) {
+            this.tileSetter.restoreAll();
+            this.fader.restoreAll();
+            this.#clearDwellTimer();
+            this.stabilizer.clear();
+            this.#managed = new Set();
+            this.coveredOccluders = new Set();
+            return this.coveredOccluders;
+        }
+        const observers = this.getObservers();
+        const regions = this.getRegions();
+        const occluders = this.getOccluders(regions);
+        const candidates = this.evaluator.getCoveringOccluders(observers, occluders, {
+            previous: this.coveredOccluders,
+            regions
+        });
+        const { covered, nextCheck } = this.stabilizer.stabilize(occluders, candidates);
+        this.#scheduleDwellCheck(nextCheck);
+        for (const occluder of occluders) {
+            const mode = this.evaluator.getCoveredMode(occluder);
+            const fading = covered.has(occluder) && mode === OCCLUSION_MODES.FADE;
+            if (mode === OCCLUSION_MODES.VISION) this.tileSetter.setMode(occluder, mode);
+            // The animator owns the fade of covering tiles: Foundry's own FADE would stack on top of it
+            else if (fading) this.tileSetter.setMode(occluder, FADE.ENABLED ? OCCLUSION_MODES.NONE : mode);
+            else this.tileSetter.restore(occluder);
+            if (FADE.ENABLED) this.fader.setOccluded(occluder, fading);
+        }
+        this.#releaseDropped(occluders);
+        this.coveredOccluders = covered;
+        this.#callUpdatedHook({ observers, occluders, covered });
+        return covered;
+    }
+
+    /**
+     * Restores the tiles managed on the previous pass that left the occluders (deleted, no longer
+     * overhead or no longer managed), so they do not keep the mode and alpha the engine gave them.
+     *
+     * @private
+     * @param {Array} occluders - The occluders of the current pass.
+     */
+    #releaseDropped(occluders) {
+        const current = new Set(occluders);
+        for (const tile of this.#managed) {
+            if (current.has(tile)) continue;
+            this.tileSetter.restore(tile);
+            this.fader.restore(tile);
+        }
+        this.#managed = current;
+    }
+
+    /**
+     * Schedules a pass for when a pending state change matures, replacing any scheduled pass.
+     *
+     * @private
+     * @param {number|null} delay - Delay in milliseconds, or null when no change is pending.
+     */
+    #scheduleDwellCheck(delay) {
+        this.#clearDwellTimer();
+        if (delay == null) return;
+        this.#dwellTimer = setTimeout(() => {
+            this.#dwellTimer = null;
+            this.refresh();
+        }, delay);
+    }
+
+    /**
+     * Cancels the scheduled pass, if any.
+     *
+     * @private
+     */
+    #clearDwellTimer() {
+        if (this.#dwellTimer == null) return;
+        clearTimeout(this.#dwellTimer);
+        this.#dwellTimer = null;
+    }
+
+    /**
+     * Loads a behaviour from its setting and keeps it in sync with the setting hook,
+     * running a new pass on every change.
+     *
+     * @private
+     * @param {string} behavior - The key in `behaviors`.
+     * @param {string} settingKey - The setting key.
+     * @param {*} fallback - Value used when the setting is unavailable.
+     */
+    #bindBehavior(behavior, settingKey, fallback) {
+        this.behaviors[behavior] = this.#readSetting(settingKey, fallback);
+        this.#registerSettingHook(settingKey, (value) => {
+            this.behaviors[behavior] = value ?? fallback;
+            this.refresh();
+        });
+    }
+
+    /**
+     * Registers a callback on the module hook fired when a setting changes.
+     * The hook name is built like `SettingsParser` does: `{shortName}{hooks.setting}{key}`.
+     *
+     * @private
+     * @param {string} key - The setting key.
+     * @param {Function} callback - Receives the new setting value.
+     */
+    #registerSettingHook(key, callback) {
+        if (typeof this.utils?.formatHookName !== 'function') return;
+        const settingHook = this.config?.constants?.hooks?.setting || '.setting';
+        this._registerHook(this.utils.formatHookName(`${settingHook}${key}`), callback);
+    }
+
+    /**
+     * Reads a module setting through the settings handler.
+     *
+     * @private
+     * @param {string} key - The setting key.
+     * @param {*} [fallback] - Value returned when the setting is unavailable.
+     * @returns {*} The setting value or the fallback.
+     */
+    #readSetting(key, fallback = undefined) {
+        return this.settings?.getSettingValue?.(key) ?? fallback;
+    }
+
+    /**
+     * Fires the module's occlusionUpdated hook if it is defined in constants.
+     *
+     * @private
+     * @param {Object} payload - The pass result.
+     */
+    #callUpdatedHook(payload) {
+        const hookKey = this.config?.constants?.hooks?.occlusionUpdated;
+        if (!hookKey || typeof this.utils?.formatHookName !== 'function') return;
+        Hooks.callAll(this.utils.formatHookName(hookKey), payload);
+    }
+}
+
+export default OcclusionHandler;
@@ -0,0 +1,591 @@
+/**
+ * @file occlusionHandler.unit.test.mjs
+ * @description Unit tests for OcclusionHandler (the roof occlusion engine).
+ * @path src/handlers/occlusionHandler.unit.test.mjs
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import OcclusionHandler from './occlusionHandler.mjs';
+import Handler from '../baseClasses/handler.mjs';
+import { REFRESH_HOOKS, FADE, MOVEMENT } from './occlusionHelpers/config.mjs';
+import { HYSTERESIS } from './placeableHelpers/config.mjs';
+
+const createTile = (id, overhead = true) => {
+  const document = {
+    id,
+    overhead,
+    occlusion: { mode: 4, alpha: 0 }
+  };
+  // Opted into the engine through their occlusionMode flag
+  return { id, document, flags: { occlusionMode: 'FADE' }, renderFlags: { set: vi.fn() }, mesh: { alpha: 1, occlusionMode: 4 } };
+};
+
+describe('OcclusionHandler', () => {
+  let handler;
+  let placeables;
+  let settings;
+  let utils;
+  let tokens;
+  let tiles;
+  let regions;
+  let hookId;
+
+  beforeEach(() => {
+    hookId = 0;
+    globalThis.CONST = { OCCLUSION_MODES: { NONE: 0, FADE: 1, RADIAL: 3, VISION: 4 } };
+    global.Hooks = {
+      on: vi.fn(() => ++hookId),
+      off: vi.fn(),
+      callAll: vi.fn()
+    };
+    global.canvas = { ready: false };
+    global.game = { user: { isGM: false } };
+
+    tokens = [
+      { id: 'controlled', controlled: true },
+      { id: 'idle', controlled: false }
+    ];
+    tiles = [createTile('roof'), createTile('porch'), createTile('floor', false)];
+    regions = [];
+
+    placeables = {
+      getter: {},
+      getAll: vi.fn((layer) => ({ tokens, regions })[layer] ?? tiles),
+      getSelected: vi.fn((list) => list.filter((p) => p.controlled)),
+      getFlag: vi.fn((placeable, key) => placeable.flags?.[key]),
+      isOverhead: vi.fn((tile) => tile.document.overhead),
+      isUnder: vi.fn((target, reference) => target.id === 'controlled' && reference.id === 'roof'),
+      // Checks every pair through isUnder, like PlaceableChecker.evaluateAll
+      evaluateAll: vi.fn((targets, references, { targetUse, referenceUse, checkType, checkOptions }) =>
+        targets.map((target) => references.map((reference) => placeables.isUnder(
+          target, reference, placeables.getter, placeables.getter, targetUse, referenceUse(reference), checkType, checkOptions(target, reference)
+        )))
+      )
+    };
+    settings = { getSettingValue: vi.fn((key) => (key === 'useModule' ? true : undefined)) };
+    utils = {
+      logger: { log: vi.fn(), warn: vi.fn() },
+      formatHookName: vi.fn((name) => `OMH${name}`)
+    };
+    handler = new OcclusionHandler(
+      { constants: { hooks: { occlusionUpdated: 'OcclusionUpdated' } } },
+      utils,
+      {},
+      placeables,
+      settings
+    );
+  });
+
+  afterEach(() => {
+    // Cancels the pass scheduled for a pending state change
+    handler.deactivate();
+    delete globalThis.CONST;
+    delete global.Hooks;
+    delete global.canvas;
+    delete global.game;
+    vi.useRealTimers();
+  });
+
+  describe('constructor', () => {
+    it('should create an inactive engine with its helpers', () => {
+      expect(handler).toBeInstanceOf(Handler);
+      expect(handler.placeables).toBe(placeables);
+      expect(handler.settings).toBe(settings);
+      expect(handler.evaluator).toBeDefined();
+      expect(handler.tileSetter).toBeDefined();
+      expect(handler.fader).toBeDefined();
+      expect(handler.isActive).toBe(false);
+      expect(global.Hooks.on).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('activate', () => {
+    it('should register every refresh hook', () => {
+      expect(handler.activate()).toBe(true);
+      expect(handler.isActive).toBe(true);
+      for (const hookName of REFRESH_HOOKS) {
+        expect(global.Hooks.on).toHaveBeenCalledWith(hookName, expect.any(Function));
+      }
+    });
+
+    it('should not activate twice', () => {
+      handler.activate();
+      expect(handler.activate()).toBe(false);
+      // Refresh and movement hooks, the behaviorTokens, behaviorGM, behaviorParty, partyGroup and manageAllTiles setting hooks,
+      // the refreshTile hook of the tile setter and the refreshTile and updateTile hooks of the fade animator
+      expect(global.Hooks.on).toHaveBeenCalledTimes(REFRESH_HOOKS.length + MOVEMENT.HOOKS.length + 6 + (FADE.ENABLED ? 2 : 0));
+    });
+
+    it('should not activate when the module is disabled', () => {
+      settings.getSettingValue.mockReturnValue(false);
+      expect(handler.activate()).toBe(false);
+      expect(settings.getSettingValue).toHaveBeenCalledWith('useModule');
+      expect(global.Hooks.on).not.toHaveBeenCalled();
+    });
+
+    it('should run a first pass when the canvas is ready', () => {
+      global.canvas.ready = true;
+      handler.activate();
+      expect(handler.coveredOccluders.size).toBe(1);
+    });
+
+    it('should load the token behavior from the settings', () => {
+      settings.getSettingValue.mockImplementation((key) => (key === 'behaviorTokens' ? 'onlyActive' : true));
+      handler.activate();
+      expect(handler.behaviors.tokens).toBe('onlyActive');
+    });
+
+    it('should default the token behavior when the setting is unavailable', () => {
+      settings.getSettingValue.mockReturnValue(undefined);
+      handler.activate();
+      expect(handler.behaviors.tokens).toBe('default');
+      expect(handler.behaviors.gm).toBe('default');
+      expect(handler.behaviors.party).toBe(false);
+      expect(handler.behaviors.partyGroup).toBe('');
+      expect(handler.behaviors.allTiles).toBe(false);
+    });
+
+    it('should update the party behavior and refresh when the setting hooks fire', () => {
+      handler.activate();
+      const refreshSpy = vi.spyOn(handler, 'refresh');
+      const [, partyCallback] = global.Hooks.on.mock.calls.find(([name]) => name === 'OMH.settingbehaviorParty');
+      const [, groupCallback] = global.Hooks.on.mock.calls.find(([name]) => name === 'OMH.settingpartyGroup');
+      partyCallback(true);
+      groupCallback('The Party');
+      expect(handler.behaviors.party).toBe(true);
+      expect(handler.behaviors.partyGroup).toBe('The Party');
+      expect(refreshSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should load the GM behavior from the settings', () => {
+      settings.getSettingValue.mockImplementation((key) => (key === 'behaviorGM' ? 'onlyNPCs' : undefined));
+      handler.activate();
+      expect(handler.behaviors.gm).toBe('onlyNPCs');
+    });
+
+    it('should update the GM behavior and refresh when the setting hook fires', () => {
+      handler.activate();
+      const [, callback] = global.Hooks.on.mock.calls.find(([name]) => name === 'OMH.settingbehaviorGM');
+      const refreshSpy = vi.spyOn(handler, 'refresh');
+      callback('inactive');
+      expect(handler.behaviors.gm).toBe('inactive');
+      expect(refreshSpy).toHaveBeenCalled();
+    });
+
+    it('should update the token behavior and refresh when the setting hook fires', () => {
+      handler.activate();
+      expect(utils.formatHookName).toHaveBeenCalledWith('.settingbehaviorTokens');
+      const [, callback] = global.Hooks.on.mock.calls.find(([name]) => name === 'OMH.settingbehaviorTokens');
+      const refreshSpy = vi.spyOn(handler, 'refresh');
+      callback('onlyControlled');
+      expect(handler.behaviors.tokens).toBe('onlyControlled');
+      expect(refreshSpy).toHaveBeenCalled();
+    });
+
+    it('should refresh when a registered hook fires', () => {
+      handler.activate();
+      const [, callback] = global.Hooks.on.mock.calls.find(([name]) => name === 'updateToken');
+      callback();
+      expect(handler.tileSetter.getMode(tiles[0])).toBe(FADE.ENABLED ? 0 : 1);
+    });
+
+    it('should refresh on the animation frames of moving tokens', () => {
+      placeables.isMoving = vi.fn((token) => token.moving === true);
+      handler.activate();
+      const refresh = vi.spyOn(handler, 'refresh');
+      const [, callback] = global.Hooks.on.mock.calls.find(([name]) => name === MOVEMENT.HOOKS[0]);
+      const token = { id: 'controlled', moving: true };
+      callback({ id: 'idle' });
+      expect(refresh).not.toHaveBeenCalled();
+      callback(token);
+      expect(refresh).toHaveBeenCalledTimes(1);
+      token.moving = false;
+      callback(token);
+      expect(refresh).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('deactivate', () => {
+    it('should unregister hooks and restore tile modes', () => {
+      handler.activate();
+      handler.refresh();
+      expect(handler.deactivate()).toBe(true);
+      expect(global.Hooks.off).toHaveBeenCalledTimes(REFRESH_HOOKS.length + MOVEMENT.HOOKS.length + 6 + (FADE.ENABLED ? 2 : 0));
+      expect(global.Hooks.off).toHaveBeenCalledWith('canvasReady', expect.any(Number));
+      expect(handler.fader.isActive).toBe(false);
+      expect(handler.tileSetter.isActive).toBe(false);
+      expect(handler.tileSetter.getMode(tiles[0])).toBe(4);
+      expect(tiles[0].mesh.alpha).toBe(1);
+      expect(handler.coveredOccluders.size).toBe(0);
+      expect(handler.isActive).toBe(false);
+    });
+
+    it('should return false when not active', () => {
+      expect(handler.deactivate()).toBe(false);
+    });
+  });
+
+  describe('spatial index', () => {
+    beforeEach(() => {
+      placeables.activateIndex = vi.fn(() => true);
+      placeables.deactivateIndex = vi.fn(() => true);
+    });
+
+    it('should activate the index before registering the refresh hooks', () => {
+      handler.activate();
+      expect(placeables.activateIndex).toHaveBeenCalledTimes(1);
+      expect(placeables.activateIndex.mock.invocationCallOrder[0]).toBeLessThan(global.Hooks.on.mock.invocationCallOrder[0]);
+    });
+
+    it('should deactivate the index it activated', () => {
+      handler.activate();
+      handler.deactivate();
+      expect(placeables.deactivateIndex).toHaveBeenCalledTimes(1);
+    });
+
+    it('should leave an index activated by someone else running', () => {
+      placeables.activateIndex.mockReturnValue(false);
+      handler.activate();
+      handler.deactivate();
+      expect(placeables.deactivateIndex).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('placeable registry', () => {
+    beforeEach(() => {
+      placeables.activateRegistry = vi.fn(() => true);
+      placeables.deactivateRegistry = vi.fn(() => true);
+    });
+
+    it('should activate the registry before registering the refresh hooks', () => {
+      handler.activate();
+      expect(placeables.activateRegistry).toHaveBeenCalledTimes(1);
+      expect(placeables.activateRegistry.mock.invocationCallOrder[0]).toBeLessThan(global.Hooks.on.mock.invocationCallOrder[0]);
+    });
+
+    it('should only deactivate the registry it activated', () => {
+      handler.activate();
+      handler.deactivate();
+      expect(placeables.deactivateRegistry).toHaveBeenCalledTimes(1);
+
+      placeables.activateRegistry.mockReturnValue(false);
+      handler.activate();
+      handler.deactivate();
+      expect(placeables.deactivateRegistry).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('geometry cache', () => {
+    beforeEach(() => {
+      placeables.activateCache = vi.fn(() => true);
+      placeables.deactivateCache = vi.fn(() => true);
+    });
+
+    it('should activate the cache before registering the refresh hooks', () => {
+      handler.activate();
+      expect(placeables.activateCache).toHaveBeenCalledTimes(1);
+      expect(placeables.activateCache.mock.invocationCallOrder[0]).toBeLessThan(global.Hooks.on.mock.invocationCallOrder[0]);
+    });
+
+    it('should only deactivate the cache it activated', () => {
+      handler.activate();
+      handler.deactivate();
+      expect(placeables.deactivateCache).toHaveBeenCalledTimes(1);
+
+      placeables.activateCache.mockReturnValue(false);
+      handler.activate();
+      handler.deactivate();
+      expect(placeables.deactivateCache).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getObservers', () => {
+    it('should return the controlled tokens', () => {
+      expect(handler.getObservers()).toEqual([tokens[0]]);
+      expect(placeables.getAll).toHaveBeenCalledWith('tokens', false);
+    });
+
+    it('should select observers according to the token behavior', () => {
+      const selectSpy = vi.spyOn(handler.observerSelector, 'select');
+      handler.behaviors.tokens = 'onlyActive';
+      handler.getObservers();
+      expect(selectSpy).toHaveBeenCalledWith(tokens, 'onlyActive');
+    });
+
+    it('should only consider NPC tokens for a GM with onlyNPCs', () => {
+      global.game.user.isGM = true;
+      tokens[0].actor = { hasPlayerOwner: true };
+      tokens[1].actor = { hasPlayerOwner: false };
+      const selectSpy = vi.spyOn(handler.observerSelector, 'select');
+      handler.behaviors.gm = 'onlyNPCs';
+      handler.getObservers();
+      expect(selectSpy).toHaveBeenCalledWith([tokens[1]], 'default');
+    });
+
+    it('should add the party members when the party behavior is enabled', () => {
+      const resolveSpy = vi.spyOn(handler.partyResolver, 'resolve').mockReturnValue([tokens[0], tokens[1]]);
+      handler.behaviors.party = true;
+      handler.behaviors.partyGroup = 'The Party';
+      expect(handler.getObservers()).toEqual([tokens[0], tokens[1]]);
+      expect(resolveSpy).toHaveBeenCalledWith(tokens, 'The Party');
+    });
+
+    it('should not resolve the party when the party behavior is disabled', () => {
+      const resolveSpy = vi.spyOn(handler.partyResolver, 'resolve');
+      expect(handler.getObservers()).toEqual([tokens[0]]);
+      expect(resolveSpy).not.toHaveBeenCalled();
+    });
+
+    it('should apply the ignoreOcclusion and alwaysObserver token flags', () => {
+      tokens[0].flags = { ignoreOcclusion: true };
+      tokens[1].flags = { alwaysObserver: true };
+      expect(handler.getObservers()).toEqual([tokens[1]]);
+    });
+
+    it('should ignore the GM behavior for players', () => {
+      handler.behaviors.gm = 'inactive';
+      expect(handler.getObservers()).toEqual([tokens[0]]);
+    });
+  });
+
+  describe('getOccluders', () => {
+    it('should return the overhead tiles opted into the engine', () => {
+      expect(handler.getOccluders()).toEqual([tiles[0], tiles[1]]);
+      expect(placeables.getAll).toHaveBeenCalledWith('tiles', false);
+    });
+
+    it('should leave out the overhead tiles without an opt-in flag', () => {
+      tiles[1].flags = {};
+      expect(handler.getOccluders()).toEqual([tiles[0]]);
+      tiles[1].flags = { occlusionGroup: 'manor' };
+      expect(handler.getOccluders()).toEqual([tiles[0], tiles[1]]);
+    });
+
+    it('should include the tiles linked to a region', () => {
+      tiles[1].flags = {};
+      regions = [{ id: 'hall', flags: { tiles: ['porch'] } }];
+      expect(handler.getOccluders()).toEqual([tiles[0], tiles[1]]);
+    });
+
+    it('should include every overhead tile with the manageAllTiles setting', () => {
+      tiles.forEach((tile) => { tile.flags = {}; });
+      handler.behaviors.allTiles = true;
+      expect(handler.getOccluders()).toEqual([tiles[0], tiles[1]]);
+    });
+  });
+
+  describe('getRegions', () => {
+    it('should return the regions linked to tiles', () => {
+      const linked = { id: 'hall', flags: { tiles: ['porch'] } };
+      regions = [linked, { id: 'trap', flags: {} }];
+      expect(handler.getRegions()).toEqual([linked]);
+      expect(placeables.getAll).toHaveBeenCalledWith('regions', false);
+    });
+  });
+
+  describe('refresh', () => {
+    it('should return null when inactive', () => {
+      expect(handler.refresh()).toBeNull();
+      expect(placeables.isUnder).not.toHaveBeenCalled();
+    });
+
+    it('should fade covering occluders and leave the others in their own mode', () => {
+      handler.activate();
+      const covered = handler.refresh();
+      expect([...covered]).toEqual([tiles[0]]);
+      expect(handler.tileSetter.getMode(tiles[0])).toBe(FADE.ENABLED ? 0 : 1);
+      expect(handler.tileSetter.getMode(tiles[1])).toBe(4);
+      expect(tiles[2].mesh.occlusionMode).toBe(4);
+    });
+
+    it('should keep the NONE or RADIAL mode of uncovered occluders', () => {
+      tiles[1].document.occlusion.mode = 3;
+      tiles[1].mesh.occlusionMode = 3;
+      tiles[0].document.occlusion.mode = 0;
+      tiles[0].mesh.occlusionMode = 0;
+      handler.activate();
+      handler.refresh();
+      expect(handler.tileSetter.getMode(tiles[1])).toBe(3);
+      expect(tiles[1].mesh.occlusionMode).toBe(3);
+      // Once uncovered, the covering tile goes back to its own NONE mode
+      placeables.isUnder.mockReturnValue(false);
+      handler.refresh();
+      expect(handler.tileSetter.getMode(tiles[0])).toBe(0);
+      expect(tiles[0].mesh.occlusionMode).toBe(0);
+    });
+
+    it('should restore the covering occluders that are no longer managed', () => {
+      handler.activate();
+      handler.refresh();
+      tiles[0].flags = {};
+      handler.refresh();
+      expect(handler.coveredOccluders.size).toBe(0);
+      expect(handler.tileSetter.getMode(tiles[0])).toBe(4);
+      expect(tiles[0].mesh.occlusionMode).toBe(4);
+      expect(tiles[0].mesh.alpha).toBe(1);
+    });
+
+    it('should leave the fade of covering occluders in the FADE mode to the animator', () => {
+      handler.activate();
+      handler.refresh();
+      // Foundry's own fade is turned off, so the tile only shows the animator's alpha
+      expect(tiles[0].mesh.occlusionMode).toBe(FADE.ENABLED ? 0 : 1);
+      expect(tiles[0].mesh.alpha).toBe(FADE.ENABLED ? FADE.OCCLUDED_ALPHA : 1);
+      expect(handler.tileSetter.getMode(tiles[0])).toBe(FADE.ENABLED ? 0 : 1);
+    });
+
+    it('should fade covering occluders in the FADE mode to their faded alpha flag', () => {
+      tiles[0].flags = { occlusionMode: 'FADE', fadedAlpha: 0.5 };
+      handler.activate();
+      handler.refresh();
+      expect(handler.tileSetter.getMode(tiles[0])).toBe(FADE.ENABLED ? 0 : 1);
+      expect(tiles[0].mesh.alpha).toBe(FADE.ENABLED ? 0.5 : 1);
+    });
+
+    it('should keep occluders in the VISION mode as a whole, covered or not', () => {
+      tiles.forEach((tile) => {
+        tile.flags = { occlusionMode: 'VISION' };
+        tile.document.occlusion.mode = 1;
+        tile.mesh.occlusionMode = 1;
+      });
+      const fadeSpy = vi.spyOn(handler.fader, 'setOccluded');
+      handler.activate();
+      expect([...handler.refresh()]).toEqual([tiles[0]]);
+      expect(handler.tileSetter.getMode(tiles[0])).toBe(4);
+      expect(handler.tileSetter.getMode(tiles[1])).toBe(4);
+      expect(tiles[1].mesh.occlusionMode).toBe(4);
+      expect(tiles[0].mesh.alpha).toBe(1);
+      if (FADE.ENABLED) expect(fadeSpy).not.toHaveBeenCalledWith(expect.anything(), true);
+    });
+
+    it('should leave occluders in the NONE mode alone', () => {
+      tiles[0].flags = { occlusionMode: 'NONE' };
+      tiles[0].document.occlusion.mode = 3;
+      tiles[0].mesh.occlusionMode = 3;
+      handler.activate();
+      expect(handler.getOccluders()).toEqual([tiles[1]]);
+      expect(handler.refresh().size).toBe(0);
+      expect(handler.tileSetter.getMode(tiles[0])).toBe(3);
+      expect(tiles[0].mesh.occlusionMode).toBe(3);
+      expect(tiles[0].mesh.alpha).toBe(1);
+    });
+
+    it('should restore a covering occluder switched to the NONE mode', () => {
+      handler.activate();
+      handler.refresh();
+      tiles[0].flags = { occlusionMode: 'NONE' };
+      handler.refresh();
+      expect(handler.tileSetter.getMode(tiles[0])).toBe(4);
+      expect(tiles[0].mesh.occlusionMode).toBe(4);
+      expect(tiles[0].mesh.alpha).toBe(1);
+    });
+
+    it('should fade the tiles linked to a region an observer entered', () => {
+      const hall = { id: 'hall', flags: { tiles: ['porch'] } };
+      regions = [hall];
+      placeables.isUnder.mockImplementation((target, reference, targetManager, referenceManager, targetUse, referenceUse) =>
+        target.id === 'controlled' && reference === hall && referenceUse === 'region'
+      );
+      handler.activate();
+      expect([...handler.refresh()]).toEqual([tiles[1]]);
+      expect(handler.tileSetter.getMode(tiles[1])).toBe(FADE.ENABLED ? 0 : 1);
+    });
+
+    it('should fade the alpha of the covering occluders', () => {
+      handler.activate();
+      handler.refresh();
+      // Without a canvas ticker the alpha is applied at once
+      expect(tiles[0].mesh.alpha).toBe(FADE.OCCLUDED_ALPHA);
+      expect(tiles[1].mesh.alpha).toBe(1);
+      vi.useFakeTimers();
+      placeables.isUnder.mockReturnValue(false);
+      handler.refresh();
+      vi.advanceTimersByTime(HYSTERESIS.DWELL_TIME);
+      expect(tiles[0].mesh.alpha).toBe(1);
+    });
+
+    it('should animate the fades on the canvas ticker', () => {
+      const ticker = { deltaMS: 0, add: vi.fn(), remove: vi.fn() };
+      global.canvas.app = { ticker };
+      handler.activate();
+      handler.refresh();
+      expect(ticker.add).toHaveBeenCalledTimes(1);
+      expect(handler.fader.isFading(tiles[0])).toBe(true);
+      handler.fader.tick(FADE.DURATION);
+      expect(tiles[0].mesh.alpha).toBe(FADE.OCCLUDED_ALPHA);
+    });
+
+    it('should switch tiles back when the observer leaves', () => {
+      vi.useFakeTimers();
+      handler.activate();
+      handler.refresh();
+      placeables.isUnder.mockReturnValue(false);
+      handler.refresh();
+      vi.advanceTimersByTime(HYSTERESIS.DWELL_TIME);
+      expect(handler.tileSetter.getMode(tiles[0])).toBe(4);
+    });
+
+    it('should check the covering occluders with their exit margin', () => {
+      handler.activate();
+      handler.refresh();
+      handler.refresh();
+      expect(placeables.isUnder).toHaveBeenLastCalledWith(
+        tokens[0], tiles[1], placeables.getter, placeables.getter, 'center', 'rectangle', 'under', { margin: -HYSTERESIS.ENTER_MARGIN || 0 }
+      );
+      expect(placeables.isUnder).toHaveBeenCalledWith(
+        tokens[0], tiles[0], placeables.getter, placeables.getter, 'center', 'rectangle', 'under', { margin: HYSTERESIS.EXIT_MARGIN }
+      );
+    });
+
+    it('should hold back state changes shorter than the dwell time', () => {
+      vi.useFakeTimers();
+      handler.activate();
+      handler.refresh();
+      placeables.isUnder.mockReturnValue(false);
+      expect(handler.refresh().has(tiles[0])).toBe(HYSTERESIS.DWELL_TIME > 0);
+      placeables.isUnder.mockImplementation((target, reference) => target.id === 'controlled' && reference.id === 'roof');
+      handler.refresh();
+      vi.advanceTimersByTime(HYSTERESIS.DWELL_TIME);
+      expect(handler.coveredOccluders.has(tiles[0])).toBe(true);
+      expect(handler.tileSetter.getMode(tiles[0])).toBe(FADE.ENABLED ? 0 : 1);
+    });
+
+    it('should cancel the scheduled pass on deactivation', () => {
+      vi.useFakeTimers();
+      handler.activate();
+      handler.refresh();
+      placeables.isUnder.mockReturnValue(false);
+      handler.refresh();
+      handler.deactivate();
+      const refresh = vi.spyOn(handler, 'refresh');
+      vi.advanceTimersByTime(HYSTERESIS.DWELL_TIME);
+      expect(refresh).not.toHaveBeenCalled();
+    });
+
+    it('should restore the tile modes for a GM with inactive', () => {
+      handler.activate();
+      handler.refresh();
+      global.game.user.isGM = true;
+      handler.behaviors.gm = 'inactive';
+      const covered = handler.refresh();
+      expect(covered.size).toBe(0);
+      expect(handler.tileSetter.getMode(tiles[0])).toBe(4);
+      expect(tiles[0].mesh.alpha).toBe(1);
+      expect(placeables.isUnder).toHaveBeenCalledTimes(2);
+    });
+
+    it('should fire the occlusionUpdated hook', () => {
+      handler.activate();
+      const covered = handler.refresh();
+      expect(utils.formatHookName).toHaveBeenCalledWith('OcclusionUpdated');
+      expect(global.Hooks.callAll).toHaveBeenCalledWith('OMHOcclusionUpdated', expect.objectContaining({ covered }));
+    });
+
+    it('should not fire the hook when it is not defined in constants', () => {
+      handler.config = { constants: {} };
+      handler.activate();
+      handler.refresh();
+      expect(global.Hooks.callAll).not.toHaveBeenCalled();
+    });
+  });
+});
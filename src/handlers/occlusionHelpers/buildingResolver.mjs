@@ -0,0 +1,117 @@
+/**
+ * @file buildingResolver.mjs
+ * @description Groups stacked overhead tiles into buildings and finds the floors revealed to an observer.
+ * @path src/handlers/occlusionHelpers/buildingResolver.mjs
+ */
+
+import Handler from '../../baseClasses/handler.mjs';
+import { TILE_FLAGS } from '../placeableHelpers/config.mjs';
+
+/**
+ * @class BuildingResolver
+ * @description Resolves multi-floor buildings: overhead tiles sharing a `building` flag,
+ * ordered into a floor list by their `floor` flag (then by the top of their elevation range).
+ *
+ * Floors are revealed from the bottom up: for an observer inside the building, the first
+ * floor above its elevation and every floor after it in the list are revealed (faded),
+ * while the floors below it stay opaque.
+ * @extends Handler
+ */
+class BuildingResolver extends Handler {
+  /**
+   * @param {Object} config - Configuration settings.
+   * @param {Object} utils - Utility functions.
+   * @param {Object} context - Execution context.
+   * @param {PlaceableHandler} placeableHandler - Handler used to read tile flags and elevations.
+   */
+  constructor(config, utils, context, placeableHandler) {
+    super(config, utils, context);
+    this.placeables = placeableHandler;
+    this.logger = utils?.logger;
+  }
+
+  /**
+   * Retrieves the building a tile belongs to.
+   * @param {Object} tile
+   * @returns {string|null} The building id, or null for standalone tiles.
+   */
+  getBuildingId(tile) {
+    const building = this.placeables.getFlag?.(tile, TILE_FLAGS.BUILDING);
+    if (typeof building === 'number') return String(building);
+    return typeof building === 'string' && building ? building : null;
+  }
+
+  /**
+   * Retrieves the position of a tile in its building's floor list.
+   * @param {Object} tile
+   * @returns {number|null} The floor index, or null when the tile has no `floor` flag.
+   */
+  getFloorIndex(tile) {
+    const floor = this.placeables.getFlag?.(tile, TILE_FLAGS.FLOOR);
+    const index = typeof floor === 'string' && floor.trim() !== '' ? Number(floor) : floor;
+    return typeof index === 'number' && Number.isFinite(index) ? index : null;
+  }
+
+  /**
+   * Orders the floors of a building from the lowest to the highest.
+   * Tiles with a `floor` flag are ordered by it; the others, and ties, by the top of their elevation range.
+   * @param {Array} tiles - The tiles of a building.
+   * @returns {Array} The ordered floor list.
+   */
+  sortFloors(tiles) {
+    const keys = new Map(tiles.map((tile) => [tile, {
+      floor: this.getFloorIndex(tile) ?? Infinity,
+      top: this.#getRange(tile).top
+    }]));
+    return [...tiles].sort((a, b) => {
+      const keyA = keys.get(a);
+      const keyB = keys.get(b);
+      if (keyA.floor !== keyB.floor) return keyA.floor < keyB.floor ? -1 : 1;
+      return keyA.top - keyB.top;
+    });
+  }
+
+  /**
+   * Groups tiles by building.
+   * @param {Array} tiles - The occluders.
+   * @returns {Map<string, Array>} The ordered floor list of each building, by building id.
+   */
+  group(tiles) {
+    const buildings = new Map();
+    for (const tile of Array.isArray(tiles) ? tiles : []) {
+      const id = this.getBuildingId(tile);
+      if (id === null) continue;
+      if (!buildings.has(id)) buildings.set(id, []);
+      buildings.get(id).push(tile);
+    }
+    for (const [id, floors] of buildings) buildings.set(id, this.sortFloors(floors));
+    return buildings;
+  }
+
+  /**
+   * Retrieves the floors revealed to an observer inside a building: the first floor whose
+   * top is above the observer's elevation, and every floor after it in the list.
+   * @param {Array} floors - The ordered floor list.
+   * @param {Object} observer - The observer token.
+   * @returns {Array} The revealed floors.
+   */
+  getRevealedFloors(floors, observer) {
+    const { bottom } = this.#getRange(observer);
+    const index = floors.findIndex((floor) => this.#getRange(floor).top > bottom);
+    return index === -1 ? [] : floors.slice(index);
+  }
+
+  /**
+   * Reads the elevation range of a placeable, falling back to its plain elevation.
+   * @private
+   * @param {Object} placeable
+   * @returns {{bottom: number, top: number}}
+   */
+  #getRange(placeable) {
+    if (typeof this.placeables.getElevationRange === 'function') return this.placeables.getElevationRange(placeable);
+    const elevation = this.placeables.getElevation?.(placeable) ?? 0;
+    return { bottom: elevation, top: elevation };
+  }
+}
+
+export default BuildingResolver;
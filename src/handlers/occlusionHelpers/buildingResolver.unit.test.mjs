@@ -0,0 +1,119 @@
+/**
+ * @file buildingResolver.unit.test.mjs
+ * @description Unit tests for BuildingResolver.
+ * @path src/handlers/occlusionHelpers/buildingResolver.unit.test.mjs
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import BuildingResolver from './buildingResolver.mjs';
+import Handler from '../../baseClasses/handler.mjs';
+
+const createTile = (id, elevation, flags = {}) => ({ id, elevation, flags });
+
+describe('BuildingResolver', () => {
+  let resolver;
+  let placeables;
+  let ground;
+  let upper;
+  let roof;
+  let shed;
+
+  beforeEach(() => {
+    ground = createTile('ground', 10, { building: 'tower', floor: 0 });
+    upper = createTile('upper', 20, { building: 'tower', floor: 1 });
+    roof = createTile('roof', 30, { building: 'tower', floor: 2 });
+    shed = createTile('shed', 10);
+    placeables = {
+      getFlag: vi.fn((tile, key) => tile.flags?.[key]),
+      getElevationRange: vi.fn((placeable) => ({ bottom: placeable.elevation, top: placeable.elevation + (placeable.height ?? 0) }))
+    };
+    resolver = new BuildingResolver({ constants: {} }, { logger: { warn: vi.fn() } }, {}, placeables);
+  });
+
+  describe('constructor', () => {
+    it('should extend Handler and keep the placeable handler', () => {
+      expect(resolver).toBeInstanceOf(Handler);
+      expect(resolver.placeables).toBe(placeables);
+    });
+  });
+
+  describe('getBuildingId', () => {
+    it('should read the building flag', () => {
+      expect(resolver.getBuildingId(roof)).toBe('tower');
+      expect(resolver.getBuildingId(createTile('t', 0, { building: 7 }))).toBe('7');
+    });
+
+    it('should return null for standalone tiles', () => {
+      expect(resolver.getBuildingId(shed)).toBeNull();
+      expect(resolver.getBuildingId(createTile('t', 0, { building: '' }))).toBeNull();
+    });
+  });
+
+  describe('getFloorIndex', () => {
+    it('should read numeric floor flags', () => {
+      expect(resolver.getFloorIndex(upper)).toBe(1);
+      expect(resolver.getFloorIndex(createTile('t', 0, { floor: '3' }))).toBe(3);
+    });
+
+    it('should return null for missing or invalid floors', () => {
+      expect(resolver.getFloorIndex(shed)).toBeNull();
+      expect(resolver.getFloorIndex(createTile('t', 0, { floor: '' }))).toBeNull();
+      expect(resolver.getFloorIndex(createTile('t', 0, { floor: 'attic' }))).toBeNull();
+    });
+  });
+
+  describe('sortFloors', () => {
+    it('should order by floor index, then by elevation', () => {
+      const loft = createTile('loft', 25, { building: 'tower' });
+      const cellar = createTile('cellar', 5, { building: 'tower' });
+      expect(resolver.sortFloors([loft, roof, cellar, upper, ground]).map((tile) => tile.id))
+        .toEqual(['ground', 'upper', 'roof', 'cellar', 'loft']);
+    });
+
+    it('should order by elevation without floor flags', () => {
+      const a = createTile('a', 30);
+      const b = createTile('b', 10);
+      expect(resolver.sortFloors([a, b])).toEqual([b, a]);
+    });
+  });
+
+  describe('group', () => {
+    it('should group the floors of each building', () => {
+      const buildings = resolver.group([roof, shed, ground, upper]);
+      expect([...buildings.keys()]).toEqual(['tower']);
+      expect(buildings.get('tower')).toEqual([ground, upper, roof]);
+    });
+
+    it('should return an empty map for invalid input', () => {
+      expect(resolver.group(null).size).toBe(0);
+    });
+  });
+
+  describe('getRevealedFloors', () => {
+    const floors = () => [ground, upper, roof];
+
+    it('should reveal every floor to an observer on the ground', () => {
+      expect(resolver.getRevealedFloors(floors(), { elevation: 0 })).toEqual([ground, upper, roof]);
+    });
+
+    it('should keep the floors below the observer opaque', () => {
+      expect(resolver.getRevealedFloors(floors(), { elevation: 12 })).toEqual([upper, roof]);
+      expect(resolver.getRevealedFloors(floors(), { elevation: 20 })).toEqual([roof]);
+    });
+
+    it('should reveal nothing to an observer above the roof', () => {
+      expect(resolver.getRevealedFloors(floors(), { elevation: 30 })).toEqual([]);
+    });
+
+    it('should follow the floor list order', () => {
+      // The roof is listed first: revealing it reveals every floor after it
+      expect(resolver.getRevealedFloors([roof, ground], { elevation: 12 })).toEqual([roof, ground]);
+    });
+
+    it('should fall back to plain elevations', () => {
+      delete placeables.getElevationRange;
+      placeables.getElevation = vi.fn((placeable) => placeable.elevation);
+      expect(resolver.getRevealedFloors(floors(), { elevation: 12 })).toEqual([upper, roof]);
+    });
+  });
+});
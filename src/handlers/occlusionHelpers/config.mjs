@@ -0,0 +1,174 @@
+/**
+ * @file config.mjs
+ * @description Configuration access point for occlusion helpers that imports from the main config system.
+ * @path src/handlers/occlusionHelpers/config.mjs
+ */
+
+import config from '../../config/config.mjs';
+
+/**
+ * OcclusionHelpers configuration that provides access to constants through the main config system.
+ *
+ * Mirrors the placeable helpers bridge: constants are read through
+ * config.mjs → constants.mjs → constants.yaml, with inlined fallbacks so the helpers
+ * keep working when the `occlusion` section is absent (e.g., in unit tests).
+ *
+ * @example
+ * import { OCCLUSION_MODES, OCCLUSION_DEFAULTS } from './config.mjs';
+ *
+ * const mode = OCCLUSION_DEFAULTS.COVERED_MODE; // "FADE" from constants.yaml
+ *
+ * @export
+ */
+
+// Extract occlusion constants from the main config system
+const occlusionConfig = config.constants?.occlusion || {};
+
+/**
+ * Occlusion modes the engine can apply, as keys of Foundry's CONST.OCCLUSION_MODES
+ * @type {Object}
+ * @readonly
+ */
+export const OCCLUSION_MODES = Object.freeze({
+  FADE: occlusionConfig.modes?.FADE || 'FADE',
+  VISION: occlusionConfig.modes?.VISION || 'VISION',
+  NONE: occlusionConfig.modes?.NONE || 'NONE'
+});
+
+/**
+ * Default occlusion behaviour, sourced from constants.yaml
+ * @type {Object}
+ * @readonly
+ */
+export const OCCLUSION_DEFAULTS = Object.freeze({
+  COVERED_MODE: occlusionConfig.defaults?.coveredMode || OCCLUSION_MODES.FADE,
+  TARGET_USE: occlusionConfig.defaults?.targetUse || 'center',
+  REFERENCE_USE: occlusionConfig.defaults?.referenceUse || 'rectangle'
+});
+
+/**
+ * Canvas layers the occlusion engine reads placeables from
+ * @type {Object}
+ * @readonly
+ */
+export const OCCLUSION_LAYERS = Object.freeze({
+  OBSERVERS: occlusionConfig.layers?.observers || 'tokens',
+  OCCLUDERS: occlusionConfig.layers?.occluders || 'tiles',
+  REGIONS: occlusionConfig.layers?.regions || 'regions'
+});
+
+/**
+ * Module settings read by the occlusion engine
+ * @type {Object}
+ * @readonly
+ */
+export const SETTING_KEYS = Object.freeze({
+  USE_MODULE: occlusionConfig.settingKeys?.useModule || 'useModule',
+  BEHAVIOR_TOKENS: occlusionConfig.settingKeys?.behaviorTokens || 'behaviorTokens',
+  BEHAVIOR_GM: occlusionConfig.settingKeys?.behaviorGM || 'behaviorGM',
+  BEHAVIOR_PARTY: occlusionConfig.settingKeys?.behaviorParty || 'behaviorParty',
+  PARTY_GROUP: occlusionConfig.settingKeys?.partyGroup || 'partyGroup',
+  MANAGE_ALL_TILES: occlusionConfig.settingKeys?.manageAllTiles || 'manageAllTiles'
+});
+
+/**
+ * Choices of the behaviorTokens setting
+ * @type {Object}
+ * @readonly
+ */
+export const BEHAVIOR_TOKENS = Object.freeze({
+  DEFAULT: occlusionConfig.behaviorTokens?.DEFAULT || 'default',
+  ONLY_ACTIVE: occlusionConfig.behaviorTokens?.ONLY_ACTIVE || 'onlyActive',
+  ONLY_CONTROLLED: occlusionConfig.behaviorTokens?.ONLY_CONTROLLED || 'onlyControlled'
+});
+
+/**
+ * Choices of the behaviorGM setting
+ * @type {Object}
+ * @readonly
+ */
+export const BEHAVIOR_GM = Object.freeze({
+  DEFAULT: occlusionConfig.behaviorGM?.DEFAULT || 'default',
+  ONLY_NPCS: occlusionConfig.behaviorGM?.ONLY_NPCS || 'onlyNPCs',
+  INACTIVE: occlusionConfig.behaviorGM?.INACTIVE || 'inactive'
+});
+
+/**
+ * Party resolution settings, used when the behaviorParty setting is enabled
+ * @type {Object}
+ * @readonly
+ */
+export const PARTY = Object.freeze({
+  CHARACTER_TYPES: Object.freeze(
+    Array.isArray(occlusionConfig.party?.characterTypes) ? [...occlusionConfig.party.characterTypes] : ['character']
+  ),
+  MEMBERS_PATHS: Object.freeze(
+    Array.isArray(occlusionConfig.party?.membersPaths) ? [...occlusionConfig.party.membersPaths] : ['system.members', 'members']
+  )
+});
+
+/**
+ * Tile flags opting an overhead tile into the engine
+ * @type {string[]}
+ * @readonly
+ */
+export const OPT_IN_FLAGS = Object.freeze(
+  Array.isArray(occlusionConfig.optInFlags) ? [...occlusionConfig.optInFlags] : ['occlusionMode', 'occlusionGroup', 'building']
+);
+
+/**
+ * Foundry hooks that trigger a new occlusion pass
+ * @type {string[]}
+ * @readonly
+ */
+export const REFRESH_HOOKS = Object.freeze(
+  Array.isArray(occlusionConfig.refreshHooks)
+    ? [...occlusionConfig.refreshHooks]
+    : ['canvasReady', 'createToken', 'updateToken', 'deleteToken', 'controlToken', 'createTile', 'updateTile', 'deleteTile',
+      'createRegion', 'updateRegion', 'deleteRegion']
+);
+
+/**
+ * Easing curves of the fade transitions
+ * @type {Object}
+ * @readonly
+ */
+export const FADE_EASINGS = Object.freeze({
+  LINEAR: occlusionConfig.fade?.easings?.LINEAR || 'linear',
+  EASE_IN_OUT: occlusionConfig.fade?.easings?.EASE_IN_OUT || 'easeInOut',
+  CUBIC: occlusionConfig.fade?.easings?.CUBIC || 'cubic'
+});
+
+const fadeNumber = (value, fallback) => (typeof value === 'number' && Number.isFinite(value) ? value : fallback);
+
+/**
+ * Animated alpha transitions of the occluders, sourced from constants.yaml.
+ * `UNOCCLUDED_ALPHA` is null when the tiles keep their own alpha.
+ * @type {Object}
+ * @readonly
+ */
+export const FADE = Object.freeze({
+  ENABLED: occlusionConfig.fade?.enabled !== false,
+  DURATION: Math.max(0, fadeNumber(occlusionConfig.fade?.duration, 250)),
+  EASING: occlusionConfig.fade?.easing || FADE_EASINGS.EASE_IN_OUT,
+  OCCLUDED_ALPHA: fadeNumber(occlusionConfig.fade?.occludedAlpha, 0.25),
+  UNOCCLUDED_ALPHA: fadeNumber(occlusionConfig.fade?.unoccludedAlpha, null)
+});
+
+/**
+ * Occlusion passes during token animations, sourced from constants.yaml
+ * @type {Object}
+ * @readonly
+ */
+export const MOVEMENT = Object.freeze({
+  ENABLED: occlusionConfig.movement?.enabled !== false,
+  HOOKS: Object.freeze(Array.isArray(occlusionConfig.movement?.hooks) ? [...occlusionConfig.movement.hooks] : ['refreshToken']),
+  INTERVAL: Math.max(0, fadeNumber(occlusionConfig.movement?.interval, 50))
+});
+
+/**
+ * The main config object for access to the full configuration system
+ * @type {Object}
+ * @readonly
+ */
+export default config;
@@ -0,0 +1,125 @@
+/**
+ * @file config.unit.test.mjs
+ * @description Unit tests for the occlusionHelpers config integration
+ * @path src/handlers/occlusionHelpers/config.unit.test.mjs
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+// Mock the config file that the occlusionHelpers config.mjs imports
+vi.mock('../../config/config.mjs', () => ({
+  default: {
+    constants: {
+      occlusion: {
+        modes: { FADE: 'FADE', VISION: 'VISION', NONE: 'NONE' },
+        defaults: {
+          coveredMode: 'NONE',
+          targetUse: 'rectangle'
+        },
+        layers: { observers: 'tokens' },
+        settingKeys: { behaviorTokens: 'tokenBehavior' },
+        behaviorTokens: { ONLY_ACTIVE: 'activeOnly' },
+        behaviorGM: { ONLY_NPCS: 'npcsOnly' },
+        party: { characterTypes: ['pc'] },
+        optInFlags: ['occlusionGroup'],
+        refreshHooks: ['canvasReady', 'updateToken'],
+        fade: { duration: 400, unoccludedAlpha: 0.9, easings: { CUBIC: 'cubicInOut' } },
+        movement: { interval: 100 }
+      }
+    },
+    manifest: { id: 'test-module' }
+  }
+}));
+
+import config, {
+  OCCLUSION_MODES,
+  OCCLUSION_DEFAULTS,
+  OCCLUSION_LAYERS,
+  SETTING_KEYS,
+  BEHAVIOR_TOKENS,
+  BEHAVIOR_GM,
+  PARTY,
+  OPT_IN_FLAGS,
+  REFRESH_HOOKS,
+  FADE,
+  FADE_EASINGS,
+  MOVEMENT
+} from './config.mjs';
+
+describe('OcclusionHelpers Config Integration', () => {
+  it('should import OCCLUSION_MODES from the config system', () => {
+    expect(OCCLUSION_MODES).toEqual({ FADE: 'FADE', VISION: 'VISION', NONE: 'NONE' });
+  });
+
+  it('should apply constants overrides and fall back for missing defaults', () => {
+    expect(OCCLUSION_DEFAULTS.COVERED_MODE).toBe('NONE');
+    expect(OCCLUSION_DEFAULTS.TARGET_USE).toBe('rectangle');
+    expect(OCCLUSION_DEFAULTS.REFERENCE_USE).toBe('rectangle');
+  });
+
+  it('should fall back for missing layers', () => {
+    expect(OCCLUSION_LAYERS.OBSERVERS).toBe('tokens');
+    expect(OCCLUSION_LAYERS.OCCLUDERS).toBe('tiles');
+    expect(OCCLUSION_LAYERS.REGIONS).toBe('regions');
+  });
+
+  it('should import SETTING_KEYS with fallbacks', () => {
+    expect(SETTING_KEYS.USE_MODULE).toBe('useModule');
+    expect(SETTING_KEYS.BEHAVIOR_TOKENS).toBe('tokenBehavior');
+    expect(SETTING_KEYS.BEHAVIOR_GM).toBe('behaviorGM');
+    expect(SETTING_KEYS.BEHAVIOR_PARTY).toBe('behaviorParty');
+    expect(SETTING_KEYS.PARTY_GROUP).toBe('partyGroup');
+    expect(SETTING_KEYS.MANAGE_ALL_TILES).toBe('manageAllTiles');
+  });
+
+  it('should import BEHAVIOR_TOKENS with fallbacks', () => {
+    expect(BEHAVIOR_TOKENS).toEqual({ DEFAULT: 'default', ONLY_ACTIVE: 'activeOnly', ONLY_CONTROLLED: 'onlyControlled' });
+  });
+
+  it('should import BEHAVIOR_GM with fallbacks', () => {
+    expect(BEHAVIOR_GM).toEqual({ DEFAULT: 'default', ONLY_NPCS: 'npcsOnly', INACTIVE: 'inactive' });
+  });
+
+  it('should import PARTY with fallbacks', () => {
+    expect(PARTY.CHARACTER_TYPES).toEqual(['pc']);
+    expect(PARTY.MEMBERS_PATHS).toEqual(['system.members', 'members']);
+  });
+
+  it('should import OPT_IN_FLAGS from the config system', () => {
+    expect(OPT_IN_FLAGS).toEqual(['occlusionGroup']);
+    expect(Object.isFrozen(OPT_IN_FLAGS)).toBe(true);
+  });
+
+  it('should import REFRESH_HOOKS from the config system', () => {
+    expect(REFRESH_HOOKS).toEqual(['canvasReady', 'updateToken']);
+  });
+
+  it('should import FADE with fallbacks', () => {
+    expect(FADE).toEqual({ ENABLED: true, DURATION: 400, EASING: 'easeInOut', OCCLUDED_ALPHA: 0.25, UNOCCLUDED_ALPHA: 0.9 });
+    expect(FADE_EASINGS).toEqual({ LINEAR: 'linear', EASE_IN_OUT: 'easeInOut', CUBIC: 'cubicInOut' });
+  });
+
+  it('should import MOVEMENT with fallbacks', () => {
+    expect(MOVEMENT).toEqual({ ENABLED: true, HOOKS: ['refreshToken'], INTERVAL: 100 });
+  });
+
+  it('should expose frozen constants', () => {
+    expect(Object.isFrozen(OCCLUSION_MODES)).toBe(true);
+    expect(Object.isFrozen(OCCLUSION_DEFAULTS)).toBe(true);
+    expect(Object.isFrozen(OCCLUSION_LAYERS)).toBe(true);
+    expect(Object.isFrozen(SETTING_KEYS)).toBe(true);
+    expect(Object.isFrozen(BEHAVIOR_TOKENS)).toBe(true);
+    expect(Object.isFrozen(BEHAVIOR_GM)).toBe(true);
+    expect(Object.isFrozen(PARTY)).toBe(true);
+    expect(Object.isFrozen(PARTY.CHARACTER_TYPES)).toBe(true);
+    expect(Object.isFrozen(REFRESH_HOOKS)).toBe(true);
+    expect(Object.isFrozen(FADE)).toBe(true);
+    expect(Object.isFrozen(FADE_EASINGS)).toBe(true);
+    expect(Object.isFrozen(MOVEMENT)).toBe(true);
+    expect(Object.isFrozen(MOVEMENT.HOOKS)).toBe(true);
+  });
+
+  it('should export the main config object as default', () => {
+    expect(config.manifest.id).toBe('test-module');
+  });
+});
@@ -0,0 +1,341 @@
+/**
+ * @file fadeAnimator.mjs
+ * @description Animates the alpha of overhead tiles when their occlusion state changes.
+ * @path src/handlers/occlusionHelpers/fadeAnimator.mjs
+ */
+
+import HookedHandler from '../../baseClasses/hookedHandler.mjs';
+import { FADE, FADE_EASINGS } from './config.mjs';
+import { TILE_FLAGS } from '../placeableHelpers/config.mjs';
+
+/**
+ * Easing curves, mapping a progress in [0, 1] to an eased progress in [0, 1].
+ * @type {Object<string, function(number): number>}
+ */
+const EASING_FUNCTIONS = {
+  [FADE_EASINGS.LINEAR]: (t) => t,
+  [FADE_EASINGS.EASE_IN_OUT]: (t) => (1 - Math.cos(Math.PI * t)) / 2,
+  [FADE_EASINGS.CUBIC]: (t) => (t < 0.5 ? 4 * t ** 3 : 1 - ((-2 * t + 2) ** 3) / 2)
+};
+
+/**
+ * @class FadeAnimator
+ * @description Tweens the displayed alpha of tiles on the canvas ticker. The alpha is written to
+ * the tile's mesh only, so the document (and its source) keeps the tile's own alpha, and the
+ * original alpha of every touched tile is remembered for restoration.
+ *
+ * While active, the animator follows `refreshTile`, which applies the held alpha again after
+ * Foundry redraws a mesh, and `updateTile`, which refreshes the remembered original alpha when
+ * the document's alpha changes.
+ *
+ * A single ticker listener runs while at least one tile is fading. Changing the target of a
+ * running fade starts from the current alpha; reversing it (back to where it started) takes
+ * as long as the fade has already run, so a token stepping back out mid-fade retraces it.
+ * @extends HookedHandler
+ */
+class FadeAnimator extends HookedHandler {
+  /**
+   * Running fades, keyed by tile document id.
+   * @type {Map<string, {tile: Object, from: number, to: number, elapsed: number, duration: number, easing: string}>}
+   * @private
+   */
+  #fades = new Map();
+
+  /**
+   * Original and displayed alphas, keyed by tile document id.
+   * @type {Map<string, {tile: Object, alpha: number, displayed?: number}>}
+   * @private
+   */
+  #originalAlphas = new Map();
+
+  /**
+   * The ticker the animator listens to while fading.
+   * @type {Object|null}
+   * @private
+   */
+  #ticker = null;
+
+  /**
+   * @param {Object} config - Configuration settings.
+   * @param {Object} utils - Utility functions.
+   * @param {Object} context - Execution context.
+   * @param {PlaceableHandler} placeableHandler - Handler used to read the tile flags.
+   */
+  constructor(config, utils, context, placeableHandler) {
+    super(config, utils, context);
+    this.placeables = placeableHandler;
+    this.logger = utils?.logger;
+  }
+
+  /**
+   * Whether at least one tile is fading.
+   * @returns {boolean}
+   */
+  get isAnimating() {
+    return this.#fades.size > 0;
+  }
+
+  /**
+   * @protected
+   * Registers the hooks keeping the displayed and original alphas in sync with the canvas.
+   */
+  _registerHooks() {
+    this._registerHook('refreshTile', (tile) => this.reapply(tile));
+    this._registerHook('updateTile', (document, changes) => this.updateOriginal(document, changes));
+  }
+
+  /**
+   * Determines if a tile is fading.
+   * @param {Object} tile
+   * @returns {boolean}
+   */
+  isFading(tile) {
+    return this.#fades.has(tile?.document?.id);
+  }
+
+  /**
+   * Applies an easing curve to a progress.
+   * @param {string} easing - One of FADE_EASINGS. Unknown curves are linear.
+   * @param {number} progress - The progress, in [0, 1].
+   * @returns {number} The eased progress.
+   */
+  ease(easing, progress) {
+    const t = Math.min(1, Math.max(0, progress));
+    return (EASING_FUNCTIONS[easing] ?? EASING_FUNCTIONS[FADE_EASINGS.LINEAR])(t);
+  }
+
+  /**
+   * Retrieves the alpha a tile is displayed at: the alpha the animator applied, otherwise its own alpha.
+   * @param {Object} tile
+   * @returns {number}
+   */
+  getAlpha(tile) {
+    return this.#toAlpha(this.#originalAlphas.get(tile?.document?.id)?.displayed ?? tile?.document?.alpha);
+  }
+
+  /**
+   * Retrieves the duration of a full fade of a tile: its `fadeDuration` flag, otherwise the configured duration.
+   * @param {Object} tile
+   * @returns {number} The duration, in milliseconds.
+   */
+  getDuration(tile) {
+    const flagged = this.placeables?.getFlag?.(tile, TILE_FLAGS.FADE_DURATION);
+    const duration = typeof flagged === 'string' && flagged.trim() !== '' ? Number(flagged) : flagged;
+    return typeof duration === 'number' && Number.isFinite(duration) && duration >= 0 ? duration : FADE.DURATION;
+  }
+
+  /**
+   * Retrieves the alpha a tile fades to while it covers an observer: its `fadedAlpha` flag, otherwise the configured occluded alpha.
+   * @param {Object} tile
+   * @returns {number} The alpha, in [0, 1].
+   */
+  getOccludedAlpha(tile) {
+    const flagged = this.placeables?.getFlag?.(tile, TILE_FLAGS.FADED_ALPHA);
+    const alpha = typeof flagged === 'string' && flagged.trim() !== '' ? Number(flagged) : flagged;
+    return typeof alpha === 'number' && alpha >= 0 && alpha <= 1 ? alpha : FADE.OCCLUDED_ALPHA;
+  }
+
+  /**
+   * Retrieves the alpha a tile fades to.
+   * @param {Object} tile
+   * @param {boolean} occluded - Whether the tile covers an observer.
+   * @returns {number} The occluded alpha (see `getOccludedAlpha`), or the unoccluded alpha (by default the tile's own alpha).
+   */
+  getTargetAlpha(tile, occluded) {
+    if (occluded) return this.getOccludedAlpha(tile);
+    return FADE.UNOCCLUDED_ALPHA ?? this.#originalAlphas.get(tile?.document?.id)?.alpha ?? this.getAlpha(tile);
+  }
+
+  /**
+   * Fades a tile to its occluded or unoccluded alpha.
+   * @param {Object} tile
+   * @param {boolean} occluded - Whether the tile covers an observer.
+   * @returns {boolean} True if a fade started or the alpha changed.
+   */
+  setOccluded(tile, occluded) {
+    return this.fadeTo(tile, this.getTargetAlpha(tile, occluded), { duration: this.getDuration(tile) });
+  }
+
+  /**
+   * Fades a tile to an alpha. Applies it at once when the duration is 0 or no canvas ticker is available.
+   * @param {Object} tile
+   * @param {number} alpha - The target alpha.
+   * @param {Object} [options={}]
+   * @param {number} [options.duration] - Duration of a full fade, in milliseconds. Defaults to `FADE.DURATION`.
+   * @param {string} [options.easing] - One of FADE_EASINGS. Defaults to `FADE.EASING`.
+   * @returns {boolean} True if a fade started or the alpha changed, false if the tile is already there.
+   */
+  fadeTo(tile, alpha, { duration = FADE.DURATION, easing = FADE.EASING } = {}) {
+    const document = tile?.document;
+    if (!document || typeof alpha !== 'number' || !Number.isFinite(alpha)) return false;
+    const current = this.getAlpha(tile);
+    if (!this.#originalAlphas.has(document.id)) this.#originalAlphas.set(document.id, { tile, alpha: current });
+    const running = this.#fades.get(document.id);
+    if (running ? running.to === alpha : current === alpha) return false;
+    // Reversing retraces the fade in the time it already ran
+    const length = running && running.from === alpha ? Math.min(duration, running.elapsed) : duration;
+    const ticker = this.#getTicker();
+    if (length <= 0 || !ticker) {
+      this.#fades.delete(document.id);
+      this.#apply(tile, alpha);
+      this.#stopIfIdle();
+      return true;
+    }
+    this.#fades.set(document.id, { tile, from: current, to: alpha, elapsed: 0, duration: length, easing });
+    this.#start(ticker);
+    return true;
+  }
+
+  /**
+   * Advances every running fade.
+   * @param {number} deltaMS - Time elapsed since the last tick, in milliseconds.
+   * @returns {number} The number of fades still running.
+   */
+  tick(deltaMS) {
+    for (const [id, fade] of [...this.#fades]) {
+      if (fade.tile.destroyed) {
+        this.#fades.delete(id);
+        this.#originalAlphas.delete(id);
+        continue;
+      }
+      fade.elapsed += Math.max(0, deltaMS || 0);
+      const progress = fade.elapsed / fade.duration;
+      this.#apply(fade.tile, fade.from + (fade.to - fade.from) * this.ease(fade.easing, progress));
+      if (progress >= 1) this.#fades.delete(id);
+    }
+    this.#stopIfIdle();
+    return this.#fades.size;
+  }
+
+  /**
+   * Applies the held alpha of a tile to its mesh again, after Foundry redrew it (`refreshTile`).
+   * @param {Object} tile
+   * @returns {boolean} True if the mesh alpha was changed.
+   */
+  reapply(tile) {
+    const displayed = this.#originalAlphas.get(tile?.document?.id)?.displayed;
+    if (displayed === undefined || !tile.mesh || tile.mesh.alpha === displayed) return false;
+    tile.mesh.alpha = displayed;
+    return true;
+  }
+
+  /**
+   * Refreshes the remembered original alpha of a tile whose document alpha changed (`updateTile`),
+   * so restoring it and fading it back use the new alpha.
+   * @param {Object} document - The updated tile document.
+   * @param {Object} [changes] - The changed document data.
+   * @returns {boolean} True if a remembered alpha was refreshed.
+   */
+  updateOriginal(document, changes) {
+    const original = this.#originalAlphas.get(document?.id);
+    if (!original || !changes || !('alpha' in changes)) return false;
+    const previous = original.alpha;
+    original.alpha = this.#toAlpha(document.alpha ?? changes.alpha);
+    const running = this.#fades.get(document.id);
+    if (running?.to === previous) running.to = original.alpha;
+    // A tile resting at its own alpha shows the new one (Foundry redraws its mesh from the document)
+    else if (!running && original.displayed === previous) original.displayed = original.alpha;
+    return true;
+  }
+
+  /**
+   * Stops the fade of a tile at its current alpha.
+   * @param {Object} tile
+   * @returns {boolean} True if the tile was fading.
+   */
+  cancel(tile) {
+    const cancelled = this.#fades.delete(tile?.document?.id);
+    this.#stopIfIdle();
+    return cancelled;
+  }
+
+  /**
+   * Stops the fade of a tile and restores its original alpha.
+   * @param {Object} tile
+   * @returns {boolean} True if the tile had a remembered alpha.
+   */
+  restore(tile) {
+    const id = tile?.document?.id;
+    this.cancel(tile);
+    const original = this.#originalAlphas.get(id);
+    if (!original) return false;
+    this.#originalAlphas.delete(id);
+    if (!tile.destroyed && tile.mesh) tile.mesh.alpha = original.alpha;
+    return true;
+  }
+
+  /**
+   * Restores every tile touched since the last restore.
+   * @returns {number} Number of restored tiles.
+   */
+  restoreAll() {
+    let count = 0;
+    for (const { tile } of [...this.#originalAlphas.values()]) {
+      if (this.restore(tile)) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Ticker listener, reading the elapsed time from the ticker.
+   * @private
+   */
+  #onTick = () => {
+    this.tick(this.#ticker?.deltaMS ?? 0);
+  };
+
+  /**
+   * Retrieves the canvas ticker.
+   * @private
+   * @returns {Object|null}
+   */
+  #getTicker() {
+    const ticker = globalThis.canvas?.app?.ticker;
+    return typeof ticker?.add === 'function' ? ticker : null;
+  }
+
+  /**
+   * Starts listening to the ticker if not already listening.
+   * @private
+   * @param {Object} ticker
+   */
+  #start(ticker) {
+    if (this.#ticker) return;
+    ticker.add(this.#onTick);
+    this.#ticker = ticker;
+  }
+
+  /**
+   * Stops listening to the ticker when no fade is running.
+   * @private
+   */
+  #stopIfIdle() {
+    if (this.#fades.size > 0 || !this.#ticker) return;
+    this.#ticker.remove(this.#onTick);
+    this.#ticker = null;
+  }
+
+  /**
+   * Holds an alpha for a tile and writes it to the tile's mesh, when drawn.
+   * @private
+   * @param {Object} tile
+   * @param {number} alpha
+   */
+  #apply(tile, alpha) {
+    const original = this.#originalAlphas.get(tile.document.id);
+    if (original) original.displayed = alpha;
+    if (tile.mesh) tile.mesh.alpha = alpha;
+  }
+
+  /**
+   * Reads an alpha value, defaulting to opaque.
+   * @private
+   * @param {*} alpha
+   * @returns {number}
+   */
+  #toAlpha(alpha) {
+    return typeof alpha === 'number' && Number.isFinite(alpha) ? alpha : 1;
+  }
+}
+
+export default FadeAnimator;
@@ -0,0 +1,269 @@
+/**
+ * @file fadeAnimator.unit.test.mjs
+ * @description Unit tests for FadeAnimator.
+ * @path src/handlers/occlusionHelpers/fadeAnimator.unit.test.mjs
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import FadeAnimator from './fadeAnimator.mjs';
+import Handler from '../../baseClasses/handler.mjs';
+import { FADE } from './config.mjs';
+
+const createTile = (id, alpha = 1, flags = {}) => {
+  const document = {
+    id,
+    alpha,
+    updateSource: vi.fn((changes) => {
+      document.alpha = changes.alpha;
+    })
+  };
+  return { id, document, flags, mesh: { alpha } };
+};
+
+describe('FadeAnimator', () => {
+  let animator;
+  let placeables;
+  let ticker;
+  let roof;
+  let hooks;
+
+  beforeEach(() => {
+    ticker = { deltaMS: 0, add: vi.fn(), remove: vi.fn() };
+    hooks = new Map();
+    let nextId = 1;
+    global.Hooks = {
+      on: vi.fn((name, callback) => {
+        hooks.set(name, callback);
+        return nextId++;
+      }),
+      off: vi.fn()
+    };
+    global.canvas = { app: { ticker } };
+    placeables = { getFlag: vi.fn((tile, key) => tile.flags?.[key]) };
+    animator = new FadeAnimator({ constants: {} }, { logger: { warn: vi.fn() } }, {}, placeables);
+    roof = createTile('roof');
+  });
+
+  afterEach(() => {
+    delete global.canvas;
+    delete global.Hooks;
+  });
+
+  describe('constructor', () => {
+    it('should extend Handler and start idle', () => {
+      expect(animator).toBeInstanceOf(Handler);
+      expect(animator.placeables).toBe(placeables);
+      expect(animator.isAnimating).toBe(false);
+    });
+  });
+
+  describe('ease', () => {
+    it('should map the progress through the easing curves', () => {
+      expect(animator.ease('linear', 0.25)).toBe(0.25);
+      expect(animator.ease('easeInOut', 0.5)).toBeCloseTo(0.5);
+      expect(animator.ease('easeInOut', 0.25)).toBeLessThan(0.25);
+      expect(animator.ease('cubic', 0.25)).toBeCloseTo(0.0625);
+      expect(animator.ease('cubic', 0.75)).toBeCloseTo(0.9375);
+    });
+
+    it('should clamp the progress and fall back to linear', () => {
+      expect(animator.ease('cubic', 2)).toBe(1);
+      expect(animator.ease('bounce', 0.3)).toBe(0.3);
+    });
+  });
+
+  describe('getDuration', () => {
+    it('should read the fadeDuration flag', () => {
+      expect(animator.getDuration(createTile('t', 1, { fadeDuration: 600 }))).toBe(600);
+      expect(animator.getDuration(createTile('t', 1, { fadeDuration: '0' }))).toBe(0);
+    });
+
+    it('should fall back to the configured duration', () => {
+      expect(animator.getDuration(roof)).toBe(FADE.DURATION);
+      expect(animator.getDuration(createTile('t', 1, { fadeDuration: -5 }))).toBe(FADE.DURATION);
+      expect(animator.getDuration(createTile('t', 1, { fadeDuration: 'slow' }))).toBe(FADE.DURATION);
+    });
+  });
+
+  describe('getTargetAlpha', () => {
+    it('should use the occluded alpha and the tile\'s own alpha', () => {
+      const glass = createTile('glass', 0.8);
+      expect(animator.getTargetAlpha(glass, true)).toBe(FADE.OCCLUDED_ALPHA);
+      expect(animator.getTargetAlpha(glass, false)).toBe(0.8);
+      animator.setOccluded(glass, true);
+      animator.tick(FADE.DURATION);
+      expect(animator.getTargetAlpha(glass, false)).toBe(0.8);
+    });
+
+    it('should prefer the fadedAlpha flag of the tile', () => {
+      expect(animator.getTargetAlpha(createTile('t', 1, { fadedAlpha: 0.6 }), true)).toBe(0.6);
+      expect(animator.getTargetAlpha(createTile('t', 1, { fadedAlpha: '0' }), true)).toBe(0);
+      expect(animator.getOccludedAlpha(createTile('t', 1, { fadedAlpha: 1.5 }))).toBe(FADE.OCCLUDED_ALPHA);
+      expect(animator.getOccludedAlpha(createTile('t', 1, { fadedAlpha: '' }))).toBe(FADE.OCCLUDED_ALPHA);
+    });
+  });
+
+  describe('fadeTo and tick', () => {
+    it('should tween the alpha on the canvas ticker', () => {
+      expect(animator.fadeTo(roof, 0, { duration: 100, easing: 'linear' })).toBe(true);
+      expect(ticker.add).toHaveBeenCalledTimes(1);
+      expect(animator.isFading(roof)).toBe(true);
+
+      expect(animator.tick(25)).toBe(1);
+      expect(roof.mesh.alpha).toBeCloseTo(0.75);
+      expect(roof.document.alpha).toBe(1);
+      expect(roof.document.updateSource).not.toHaveBeenCalled();
+
+      expect(animator.tick(100)).toBe(0);
+      expect(roof.mesh.alpha).toBe(0);
+      expect(ticker.remove).toHaveBeenCalledTimes(1);
+      expect(animator.isAnimating).toBe(false);
+    });
+
+    it('should read the elapsed time from the ticker', () => {
+      animator.fadeTo(roof, 0, { duration: 100, easing: 'linear' });
+      const listener = ticker.add.mock.calls[0][0];
+      ticker.deltaMS = 50;
+      listener(3);
+      expect(roof.mesh.alpha).toBeCloseTo(0.5);
+    });
+
+    it('should share one ticker listener between tiles', () => {
+      animator.fadeTo(roof, 0);
+      animator.fadeTo(createTile('porch'), 0);
+      expect(ticker.add).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not restart a fade towards the same alpha', () => {
+      animator.fadeTo(roof, 0, { duration: 100 });
+      expect(animator.fadeTo(roof, 0, { duration: 100 })).toBe(false);
+      expect(animator.fadeTo(createTile('open', 0.5), 0.5)).toBe(false);
+    });
+
+    it('should apply the alpha at once without duration or ticker', () => {
+      expect(animator.fadeTo(roof, 0.25, { duration: 0 })).toBe(true);
+      expect(roof.mesh.alpha).toBe(0.25);
+      delete global.canvas;
+      expect(animator.fadeTo(roof, 0.5)).toBe(true);
+      expect(roof.mesh.alpha).toBe(0.5);
+      expect(ticker.add).not.toHaveBeenCalled();
+    });
+
+    it('should reverse mid-fade in the time already spent', () => {
+      animator.fadeTo(roof, 0, { duration: 200, easing: 'linear' });
+      animator.tick(50);
+      expect(roof.mesh.alpha).toBeCloseTo(0.75);
+
+      expect(animator.fadeTo(roof, 1, { duration: 200, easing: 'linear' })).toBe(true);
+      animator.tick(25);
+      expect(roof.mesh.alpha).toBeCloseTo(0.875);
+      animator.tick(25);
+      expect(roof.mesh.alpha).toBe(1);
+      expect(animator.isAnimating).toBe(false);
+    });
+
+    it('should drop the fades of destroyed tiles', () => {
+      animator.fadeTo(roof, 0);
+      roof.destroyed = true;
+      expect(animator.tick(10)).toBe(0);
+      expect(roof.mesh.alpha).toBe(1);
+      expect(animator.restoreAll()).toBe(0);
+    });
+
+    it('should ignore invalid tiles and alphas', () => {
+      expect(animator.fadeTo(null, 0)).toBe(false);
+      expect(animator.fadeTo(roof, NaN)).toBe(false);
+    });
+  });
+
+  describe('setOccluded', () => {
+    it('should fade with the tile\'s duration', () => {
+      const slow = createTile('slow', 1, { fadeDuration: 1000 });
+      animator.setOccluded(slow, true);
+      animator.tick(500);
+      expect(slow.mesh.alpha).toBeGreaterThan(FADE.OCCLUDED_ALPHA);
+      animator.tick(500);
+      expect(slow.mesh.alpha).toBe(FADE.OCCLUDED_ALPHA);
+
+      animator.setOccluded(slow, false);
+      animator.tick(1000);
+      expect(slow.mesh.alpha).toBe(1);
+    });
+  });
+
+  describe('activate and deactivate', () => {
+    it('should register the canvas hooks once and unregister them', () => {
+      expect(animator.activate()).toBe(true);
+      expect(animator.activate()).toBe(false);
+      expect([...hooks.keys()]).toEqual(['refreshTile', 'updateTile']);
+      expect(animator.isActive).toBe(true);
+      expect(animator.deactivate()).toBe(true);
+      expect(global.Hooks.off).toHaveBeenCalledTimes(2);
+      expect(animator.deactivate()).toBe(false);
+    });
+
+    it('should apply the held alpha again when Foundry redraws the mesh', () => {
+      animator.activate();
+      animator.fadeTo(roof, 0.25, { duration: 0 });
+      roof.mesh.alpha = roof.document.alpha;
+      hooks.get('refreshTile')(roof);
+      expect(roof.mesh.alpha).toBe(0.25);
+      expect(animator.reapply(createTile('porch'))).toBe(false);
+    });
+
+    it('should refresh the original alpha when the document alpha changes', () => {
+      animator.activate();
+      animator.fadeTo(roof, 0.25, { duration: 0 });
+      roof.document.alpha = 0.6;
+      hooks.get('updateTile')(roof.document, { alpha: 0.6 });
+      expect(animator.getTargetAlpha(roof, false)).toBe(0.6);
+      expect(animator.getAlpha(roof)).toBe(0.25);
+      animator.restore(roof);
+      expect(roof.mesh.alpha).toBe(0.6);
+      expect(animator.updateOriginal(roof.document, { alpha: 0.5 })).toBe(false);
+    });
+
+    it('should retarget a fade back to the changed original alpha', () => {
+      animator.fadeTo(roof, 0, { duration: 0 });
+      animator.fadeTo(roof, 1, { duration: 100, easing: 'linear' });
+      roof.document.alpha = 0.8;
+      expect(animator.updateOriginal(roof.document, { alpha: 0.8 })).toBe(true);
+      animator.tick(100);
+      expect(roof.mesh.alpha).toBe(0.8);
+    });
+
+    it('should follow the new alpha of a resting tile', () => {
+      animator.setOccluded(roof, true);
+      animator.tick(FADE.DURATION);
+      animator.setOccluded(roof, false);
+      animator.tick(FADE.DURATION);
+      roof.document.alpha = 0.7;
+      animator.updateOriginal(roof.document, { alpha: 0.7, x: 10 });
+      expect(animator.getAlpha(roof)).toBe(0.7);
+      expect(animator.updateOriginal(roof.document, { x: 20 })).toBe(false);
+    });
+  });
+
+  describe('cancel and restore', () => {
+    it('should stop a fade at the current alpha', () => {
+      animator.fadeTo(roof, 0, { duration: 100, easing: 'linear' });
+      animator.tick(50);
+      expect(animator.cancel(roof)).toBe(true);
+      expect(animator.cancel(roof)).toBe(false);
+      expect(ticker.remove).toHaveBeenCalled();
+      expect(roof.mesh.alpha).toBeCloseTo(0.5);
+    });
+
+    it('should restore the original alphas', () => {
+      const porch = createTile('porch', 0.9);
+      animator.fadeTo(roof, 0, { duration: 100 });
+      animator.fadeTo(porch, 0.2, { duration: 0 });
+      animator.tick(50);
+      expect(animator.restoreAll()).toBe(2);
+      expect(roof.mesh.alpha).toBe(1);
+      expect(porch.mesh.alpha).toBe(0.9);
+      expect(animator.isAnimating).toBe(false);
+      expect(animator.restore(roof)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * @file gmObserverPolicy.mjs
+ * @description Applies the behaviorGM setting to the observer selection of GM clients.
+ * @path src/handlers/occlusionHelpers/gmObserverPolicy.mjs
+ */
+
+import Handler from '../../baseClasses/handler.mjs';
+import { BEHAVIOR_GM } from './config.mjs';
+
+/**
+ * @class GMObserverPolicy
+ * @description Decides how the occlusion engine behaves on GM clients.
+ * Player clients are never affected by this policy.
+ *
+ * Behaviours (see `occlusion.behaviorGM` in constants.yaml):
+ * - `default`: GM observers are selected like the players' ones
+ * - `onlyNPCs`: only tokens without a player owner can be observers
+ * - `inactive`: occlusion is disabled for GM clients
+ * @extends Handler
+ */
+class GMObserverPolicy extends Handler {
+  /**
+   * @param {Object} config - Configuration settings.
+   * @param {Object} utils - Utility functions.
+   * @param {Object} context - Execution context.
+   */
+  constructor(config, utils, context) {
+    super(config, utils, context);
+    this.logger = utils?.logger;
+  }
+
+  /**
+   * Determines if the user is a GM.
+   * @param {Object} [user=game.user] - The user to check.
+   * @returns {boolean}
+   */
+  isGM(user = globalThis.game?.user) {
+    return !!user?.isGM;
+  }
+
+  /**
+   * Determines if a token represents an NPC, i.e. its actor has no player owner.
+   * @param {Object} token
+   * @returns {boolean}
+   */
+  isNPC(token) {
+    if (!token?.actor) return false;
+    return !(token.actor.hasPlayerOwner ?? token.document?.hasPlayerOwner ?? false);
+  }
+
+  /**
+   * Determines if occlusion is enabled for the user under the given behaviour.
+   * @param {string} behavior - A value of BEHAVIOR_GM.
+   * @param {Object} [user=game.user]
+   * @returns {boolean} False only for GM users when the behaviour is `inactive`.
+   */
+  isOcclusionEnabled(behavior, user = globalThis.game?.user) {
+    return !(this.isGM(user) && behavior === BEHAVIOR_GM.INACTIVE);
+  }
+
+  /**
+   * Filters the candidate observer tokens for the user under the given behaviour.
+   * @param {Array} tokens - Candidate tokens.
+   * @param {string} behavior - A value of BEHAVIOR_GM.
+   * @param {Object} [user=game.user]
+   * @returns {Array} The tokens allowed to be observers.
+   */
+  filterCandidates(tokens, behavior, user = globalThis.game?.user) {
+    if (!Array.isArray(tokens)) return [];
+    if (!this.isGM(user)) return tokens;
+    switch (behavior) {
+      case BEHAVIOR_GM.ONLY_NPCS:
+        return tokens.filter((token) => this.isNPC(token));
+      case BEHAVIOR_GM.INACTIVE:
+        return [];
+      case BEHAVIOR_GM.DEFAULT:
+        return tokens;
+      default:
+        this.logger?.warn(`Unknown GM behavior ${behavior}. Using ${BEHAVIOR_GM.DEFAULT}.`);
+        return tokens;
+    }
+  }
+}
+
+export default GMObserverPolicy;
@@ -0,0 +1,102 @@
+/**
+ * @file gmObserverPolicy.unit.test.mjs
+ * @description Unit tests for GMObserverPolicy.
+ * @path src/handlers/occlusionHelpers/gmObserverPolicy.unit.test.mjs
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import GMObserverPolicy from './gmObserverPolicy.mjs';
+
+describe('GMObserverPolicy', () => {
+  let policy;
+  let logger;
+  let gm;
+  let player;
+  let pc;
+  let npc;
+  let prop;
+
+  beforeEach(() => {
+    gm = { isGM: true };
+    player = { isGM: false };
+    pc = { id: 'hero', actor: { hasPlayerOwner: true } };
+    npc = { id: 'guard', actor: { hasPlayerOwner: false } };
+    prop = { id: 'barrel', actor: null };
+    logger = { warn: vi.fn() };
+    global.game = { user: gm };
+    policy = new GMObserverPolicy({ constants: {} }, { logger }, {});
+  });
+
+  afterEach(() => {
+    delete global.game;
+  });
+
+  describe('isGM', () => {
+    it('should read the current user by default', () => {
+      expect(policy.isGM()).toBe(true);
+      global.game.user = player;
+      expect(policy.isGM()).toBe(false);
+    });
+
+    it('should return false without a user', () => {
+      delete global.game;
+      expect(policy.isGM()).toBe(false);
+    });
+  });
+
+  describe('isNPC', () => {
+    it('should return true for tokens whose actor has no player owner', () => {
+      expect(policy.isNPC(npc)).toBe(true);
+      expect(policy.isNPC(pc)).toBe(false);
+    });
+
+    it('should return false for tokens without an actor', () => {
+      expect(policy.isNPC(prop)).toBe(false);
+      expect(policy.isNPC(null)).toBe(false);
+    });
+
+    it('should fall back to the document ownership', () => {
+      expect(policy.isNPC({ actor: {}, document: { hasPlayerOwner: true } })).toBe(false);
+      expect(policy.isNPC({ actor: {}, document: {} })).toBe(true);
+    });
+  });
+
+  describe('isOcclusionEnabled', () => {
+    it('should disable occlusion only for GMs with the inactive behavior', () => {
+      expect(policy.isOcclusionEnabled('inactive')).toBe(false);
+      expect(policy.isOcclusionEnabled('inactive', player)).toBe(true);
+      expect(policy.isOcclusionEnabled('default')).toBe(true);
+      expect(policy.isOcclusionEnabled('onlyNPCs')).toBe(true);
+    });
+  });
+
+  describe('filterCandidates', () => {
+    const all = () => [pc, npc, prop];
+
+    it('should keep every token for default', () => {
+      expect(policy.filterCandidates(all(), 'default')).toEqual([pc, npc, prop]);
+    });
+
+    it('should keep only NPC tokens for onlyNPCs', () => {
+      expect(policy.filterCandidates(all(), 'onlyNPCs')).toEqual([npc]);
+    });
+
+    it('should keep no token for inactive', () => {
+      expect(policy.filterCandidates(all(), 'inactive')).toEqual([]);
+    });
+
+    it('should not filter tokens for players', () => {
+      expect(policy.filterCandidates(all(), 'onlyNPCs', player)).toEqual([pc, npc, prop]);
+      expect(policy.filterCandidates(all(), 'inactive', player)).toEqual([pc, npc, prop]);
+    });
+
+    it('should warn and keep every token for unknown behaviors', () => {
+      expect(policy.filterCandidates(all(), 'everyone')).toEqual([pc, npc, prop]);
+      expect(logger.warn).toHaveBeenCalledWith('Unknown GM behavior everyone. Using default.');
+    });
+
+    it('should return an empty list for invalid tokens', () => {
+      expect(policy.filterCandidates(undefined, 'default')).toEqual([]);
+    });
+  });
+});
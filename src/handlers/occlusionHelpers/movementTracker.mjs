@@ -0,0 +1,86 @@
+/**
+ * @file movementTracker.mjs
+ * @description Decides when a token animation frame warrants a new occlusion pass.
+ * @path src/handlers/occlusionHelpers/movementTracker.mjs
+ */
+
+import Handler from '../../baseClasses/handler.mjs';
+import { MOVEMENT } from './config.mjs';
+
+/**
+ * @class MovementTracker
+ * @description Follows the tokens Foundry animates between two positions. The document update
+ * that starts a move already holds the destination, so the occlusion engine also runs passes on
+ * the animation frames (the `occlusion.movement.hooks`, `refreshToken` by default): at most one
+ * per `occlusion.movement.interval` while tokens move, and one as soon as a move ends.
+ *
+ * Positions are read at the animated canvas position by `PlaceableGetter.getPosition`, so
+ * those passes fade the roofs a token passes under and restore them once it has left.
+ * @extends Handler
+ */
+class MovementTracker extends Handler {
+  /**
+   * Ids of the tokens seen moving and not yet seen at rest.
+   * @type {Set<string>}
+   * @private
+   */
+  #moving = new Set();
+
+  /**
+   * Time of the last pass requested for a moving token, in milliseconds.
+   * @type {number}
+   * @private
+   */
+  #lastPass = -Infinity;
+
+  /**
+   * @param {Object} config - Configuration settings.
+   * @param {Object} utils - Utility functions.
+   * @param {Object} context - Execution context.
+   * @param {PlaceableHandler} placeableHandler - Handler used to detect moving tokens.
+   */
+  constructor(config, utils, context, placeableHandler) {
+    super(config, utils, context);
+    this.placeables = placeableHandler;
+    this.logger = utils?.logger;
+  }
+
+  /**
+   * Whether at least one token is moving.
+   * @returns {boolean}
+   */
+  get isTracking() {
+    return this.#moving.size > 0;
+  }
+
+  /**
+   * Records an animation frame of a token and determines if it calls for a new occlusion pass.
+   * Frames of resting tokens (e.g., hover or selection refreshes) never do.
+   * @param {Object} token - The refreshed token.
+   * @param {number} [now=Date.now()] - The current time, in milliseconds.
+   * @returns {boolean} True on the last frame of a move, or when the interval has elapsed since the last pass.
+   */
+  shouldRefresh(token, now = Date.now()) {
+    const id = token?.document?.id ?? token?.id;
+    if (id == null) return false;
+    if (this.placeables?.isMoving?.(token) !== true) {
+      if (!this.#moving.delete(id)) return false;
+      this.#lastPass = now;
+      return true;
+    }
+    this.#moving.add(id);
+    if (now - this.#lastPass < MOVEMENT.INTERVAL) return false;
+    this.#lastPass = now;
+    return true;
+  }
+
+  /**
+   * Forgets the moving tokens.
+   */
+  clear() {
+    this.#moving.clear();
+    this.#lastPass = -Infinity;
+  }
+}
+
+export default MovementTracker;
@@ -0,0 +1,70 @@
+/**
+ * @file movementTracker.unit.test.mjs
+ * @description Unit tests for MovementTracker.
+ * @path src/handlers/occlusionHelpers/movementTracker.unit.test.mjs
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import MovementTracker from './movementTracker.mjs';
+import Handler from '../../baseClasses/handler.mjs';
+import { MOVEMENT } from './config.mjs';
+
+describe('MovementTracker', () => {
+  let tracker;
+  let placeables;
+  let scout;
+  let guard;
+
+  beforeEach(() => {
+    placeables = { isMoving: vi.fn((token) => token.moving === true) };
+    tracker = new MovementTracker({ constants: {} }, { logger: { warn: vi.fn() } }, {}, placeables);
+    scout = { id: 'scout', document: { id: 'scout' }, moving: true };
+    guard = { id: 'guard', document: { id: 'guard' }, moving: false };
+  });
+
+  describe('constructor', () => {
+    it('should extend Handler and start idle', () => {
+      expect(tracker).toBeInstanceOf(Handler);
+      expect(tracker.placeables).toBe(placeables);
+      expect(tracker.isTracking).toBe(false);
+    });
+  });
+
+  describe('shouldRefresh', () => {
+    it('should ignore the frames of resting tokens', () => {
+      expect(tracker.shouldRefresh(guard, 0)).toBe(false);
+      expect(tracker.shouldRefresh(null, 0)).toBe(false);
+    });
+
+    it('should throttle the passes while a token moves', () => {
+      expect(tracker.shouldRefresh(scout, 1000)).toBe(true);
+      expect(tracker.isTracking).toBe(true);
+      expect(tracker.shouldRefresh(scout, 1000 + MOVEMENT.INTERVAL / 2)).toBe(false);
+      expect(tracker.shouldRefresh(scout, 1000 + MOVEMENT.INTERVAL)).toBe(true);
+    });
+
+    it('should share the interval between moving tokens', () => {
+      const runner = { id: 'runner', document: { id: 'runner' }, moving: true };
+      expect(tracker.shouldRefresh(scout, 1000)).toBe(true);
+      expect(tracker.shouldRefresh(runner, 1001)).toBe(MOVEMENT.INTERVAL <= 1);
+    });
+
+    it('should request a pass as soon as a move ends', () => {
+      tracker.shouldRefresh(scout, 1000);
+      scout.moving = false;
+      expect(tracker.shouldRefresh(scout, 1001)).toBe(true);
+      expect(tracker.isTracking).toBe(false);
+      expect(tracker.shouldRefresh(scout, 1002)).toBe(false);
+    });
+  });
+
+  describe('clear', () => {
+    it('should forget the moving tokens', () => {
+      tracker.shouldRefresh(scout, 1000);
+      tracker.clear();
+      scout.moving = false;
+      expect(tracker.isTracking).toBe(false);
+      expect(tracker.shouldRefresh(scout, 1001)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * @file observerSelector.mjs
+ * @description Builds the set of observer tokens according to the behaviorTokens setting.
+ * @path src/handlers/occlusionHelpers/observerSelector.mjs
+ */
+
+import Handler from '../../baseClasses/handler.mjs';
+import { BEHAVIOR_TOKENS } from './config.mjs';
+import { TOKEN_FLAGS } from '../placeableHelpers/config.mjs';
+
+/**
+ * @class ObserverSelector
+ * @description Selects the tokens whose position drives the occlusion.
+ *
+ * - "Controlled" tokens are the ones selected on the canvas (`PlaceableGetter.getSelectedPlaceables`)
+ * - "Active" tokens are the ones with an actor owned by the current user
+ *
+ * Behaviours (see `occlusion.behaviorTokens` in constants.yaml):
+ * - `default`: the controlled tokens, or the active tokens when none is controlled
+ * - `onlyActive`: every active token
+ * - `onlyControlled`: only the controlled tokens
+ *
+ * Token flags then override the behaviour (see `applyTokenFlags`): tokens flagged `ignoreOcclusion`
+ * are never observers, and tokens flagged `alwaysObserver` always are.
+ * @extends Handler
+ */
+class ObserverSelector extends Handler {
+  /**
+   * @param {Object} config - Configuration settings.
+   * @param {Object} utils - Utility functions.
+   * @param {Object} context - Execution context.
+   * @param {PlaceableHandler} placeableHandler - Handler used to read placeables.
+   */
+  constructor(config, utils, context, placeableHandler) {
+    super(config, utils, context);
+    this.placeables = placeableHandler;
+    this.logger = utils?.logger;
+  }
+
+  /**
+   * Determines if a token is active, i.e. has an actor owned by the current user.
+   * @param {Object} token
+   * @returns {boolean}
+   */
+  isActive(token) {
+    if (!token?.actor) return false;
+    return !!(token.document?.isOwner ?? token.isOwner ?? token.actor.isOwner);
+  }
+
+  /**
+   * Retrieves the active tokens among the given ones.
+   * @param {Array} tokens
+   * @returns {Array}
+   */
+  getActiveTokens(tokens) {
+    return tokens.filter((token) => this.isActive(token));
+  }
+
+  /**
+   * Retrieves the controlled tokens among the given ones.
+   * @param {Array} tokens
+   * @returns {Array}
+   */
+  getControlledTokens(tokens) {
+    return this.placeables.getSelected(tokens);
+  }
+
+  /**
+   * Selects the observer tokens for a behaviour.
+   * Unknown behaviours are treated as `default`.
+   * @param {Array} tokens - Candidate tokens.
+   * @param {string} [behavior='default'] - A value of BEHAVIOR_TOKENS.
+   * @returns {Array} The observer tokens.
+   */
+  select(tokens, behavior = BEHAVIOR_TOKENS.DEFAULT) {
+    if (!Array.isArray(tokens)) return [];
+    switch (behavior) {
+      case BEHAVIOR_TOKENS.ONLY_ACTIVE:
+        return this.getActiveTokens(tokens);
+      case BEHAVIOR_TOKENS.ONLY_CONTROLLED:
+        return this.getControlledTokens(tokens);
+      case BEHAVIOR_TOKENS.DEFAULT:
+        break;
+      default:
+        this.logger?.warn(`Unknown token behavior ${behavior}. Using ${BEHAVIOR_TOKENS.DEFAULT}.`);
+    }
+    const controlled = this.getControlledTokens(tokens);
+    return controlled.length > 0 ? controlled : this.getActiveTokens(tokens);
+  }
+
+  /**
+   * Determines if a token is flagged to never be an observer.
+   * @param {Object} token
+   * @returns {boolean}
+   */
+  isIgnored(token) {
+    return this.placeables.getFlag?.(token, TOKEN_FLAGS.IGNORE_OCCLUSION) === true;
+  }
+
+  /**
+   * Determines if a token is flagged to always be an observer.
+   * @param {Object} token
+   * @returns {boolean}
+   */
+  isAlwaysObserver(token) {
+    return this.placeables.getFlag?.(token, TOKEN_FLAGS.ALWAYS_OBSERVER) === true;
+  }
+
+  /**
+   * Applies the token flags to selected observers: adds the candidates flagged `alwaysObserver`
+   * and removes the tokens flagged `ignoreOcclusion` (which wins when both are set).
+   * @param {Array} observers - The selected observers.
+   * @param {Array} tokens - Candidate tokens.
+   * @returns {Array} The observers, without duplicates.
+   */
+  applyTokenFlags(observers, tokens) {
+    const always = Array.isArray(tokens) ? tokens.filter((token) => this.isAlwaysObserver(token)) : [];
+    return [...new Set([...observers, ...always])].filter((token) => !this.isIgnored(token));
+  }
+}
+
+export default ObserverSelector;
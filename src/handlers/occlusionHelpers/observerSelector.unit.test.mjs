@@ -0,0 +1,111 @@
+/**
+ * @file observerSelector.unit.test.mjs
+ * @description Unit tests for ObserverSelector.
+ * @path src/handlers/occlusionHelpers/observerSelector.unit.test.mjs
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import ObserverSelector from './observerSelector.mjs';
+
+describe('ObserverSelector', () => {
+  let selector;
+  let placeables;
+  let logger;
+  let controlledOwned;
+  let idleOwned;
+  let idleForeign;
+  let prop;
+
+  beforeEach(() => {
+    controlledOwned = { id: 'hero', controlled: true, actor: {}, document: { isOwner: true } };
+    idleOwned = { id: 'familiar', controlled: false, actor: {}, document: { isOwner: true } };
+    idleForeign = { id: 'ally', controlled: false, actor: {}, document: { isOwner: false } };
+    prop = { id: 'barrel', controlled: false, actor: null, document: { isOwner: true } };
+    placeables = {
+      getSelected: vi.fn((tokens) => tokens.filter((token) => token.controlled))
+    };
+    logger = { warn: vi.fn() };
+    selector = new ObserverSelector({ constants: {} }, { logger }, {}, placeables);
+  });
+
+  describe('isActive', () => {
+    it('should return true for owned tokens with an actor', () => {
+      expect(selector.isActive(controlledOwned)).toBe(true);
+    });
+
+    it('should return false for tokens owned by someone else', () => {
+      expect(selector.isActive(idleForeign)).toBe(false);
+    });
+
+    it('should return false for tokens without an actor', () => {
+      expect(selector.isActive(prop)).toBe(false);
+      expect(selector.isActive(null)).toBe(false);
+    });
+
+    it('should fall back to the actor ownership', () => {
+      expect(selector.isActive({ actor: { isOwner: true } })).toBe(true);
+    });
+  });
+
+  describe('select', () => {
+    const all = () => [controlledOwned, idleOwned, idleForeign, prop];
+
+    it('should return only the controlled tokens for onlyControlled', () => {
+      expect(selector.select(all(), 'onlyControlled')).toEqual([controlledOwned]);
+      expect(placeables.getSelected).toHaveBeenCalled();
+    });
+
+    it('should return every active token for onlyActive', () => {
+      expect(selector.select(all(), 'onlyActive')).toEqual([controlledOwned, idleOwned]);
+    });
+
+    it('should return the controlled tokens for default when some are controlled', () => {
+      expect(selector.select(all(), 'default')).toEqual([controlledOwned]);
+    });
+
+    it('should fall back to the active tokens for default when none is controlled', () => {
+      controlledOwned.controlled = false;
+      expect(selector.select(all())).toEqual([controlledOwned, idleOwned]);
+    });
+
+    it('should warn and use default for unknown behaviors', () => {
+      expect(selector.select(all(), 'everyone')).toEqual([controlledOwned]);
+      expect(logger.warn).toHaveBeenCalledWith('Unknown token behavior everyone. Using default.');
+    });
+
+    it('should return an empty list for invalid tokens', () => {
+      expect(selector.select(undefined, 'default')).toEqual([]);
+    });
+  });
+
+  describe('applyTokenFlags', () => {
+    beforeEach(() => {
+      placeables.getFlag = vi.fn((token, key) => token.flags?.[key]);
+    });
+
+    it('should read the token flags', () => {
+      idleOwned.flags = { ignoreOcclusion: true, alwaysObserver: 'yes' };
+      expect(selector.isIgnored(idleOwned)).toBe(true);
+      expect(selector.isAlwaysObserver(idleOwned)).toBe(false);
+      expect(selector.isIgnored(controlledOwned)).toBe(false);
+    });
+
+    it('should add the candidates that are always observers', () => {
+      idleForeign.flags = { alwaysObserver: true };
+      const tokens = [controlledOwned, idleOwned, idleForeign];
+      expect(selector.applyTokenFlags([controlledOwned], tokens)).toEqual([controlledOwned, idleForeign]);
+      expect(selector.applyTokenFlags([idleForeign], tokens)).toEqual([idleForeign]);
+    });
+
+    it('should remove the ignored tokens, even when they are always observers', () => {
+      controlledOwned.flags = { ignoreOcclusion: true };
+      idleOwned.flags = { ignoreOcclusion: true, alwaysObserver: true };
+      expect(selector.applyTokenFlags([controlledOwned, idleForeign], [controlledOwned, idleOwned, idleForeign])).toEqual([idleForeign]);
+    });
+
+    it('should keep the observers without flags or candidates', () => {
+      delete placeables.getFlag;
+      expect(selector.applyTokenFlags([controlledOwned], undefined)).toEqual([controlledOwned]);
+    });
+  });
+});
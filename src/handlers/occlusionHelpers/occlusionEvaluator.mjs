@@ -0,0 +1,404 @@
+/**
+ * @file occlusionEvaluator.mjs
+ * @description Decides which overhead tiles cover the observer tokens.
+ * @path src/handlers/occlusionHelpers/occlusionEvaluator.mjs
+ */
+
+import Handler from '../../baseClasses/handler.mjs';
+import BuildingResolver from './buildingResolver.mjs';
+import RegionTriggers from './regionTriggers.mjs';
+import Geometry from '../placeableHelpers/geometry.mjs';
+import GridDistance from '../placeableHelpers/gridDistance.mjs';
+import { OCCLUSION_DEFAULTS, OCCLUSION_MODES } from './config.mjs';
+import { CHECK_TYPES, COVERAGE, HYSTERESIS, POSITION_USES, PROXIMITY, TILE_FLAGS } from '../placeableHelpers/config.mjs';
+
+/**
+ * @class OcclusionEvaluator
+ * @description Evaluates observers against occluders using `PlaceableHandler.evaluateAll`.
+ * An occluder is considered "covering" when at least one observer is under it.
+ * When the placeable handler's spatial index is active, each occluder is only checked
+ * against the observers whose bounds overlap it.
+ *
+ * Occluders belonging to a building (see `BuildingResolver`) are evaluated together: an
+ * observer under any of its floors reveals the floors above its elevation, floor by floor.
+ *
+ * Occluders sharing an occlusion group (the `occlusionGroup` flag) fade together: when
+ * any member covers an observer, every member is considered covering.
+ *
+ * Given the previously covering occluders (`options.previous`), the check is hysteretic:
+ * an occluder that was covering keeps covering until the observer is past its exit margin,
+ * and one that was not only starts covering once the observer is inside its entry margin.
+ *
+ * Occluders with a coverage threshold (the `coverage` flag, or `positionChecker.coverage.threshold`)
+ * only cover observers whose footprint is covered for at least that fraction.
+ *
+ * Occluders with a `proximity` flag cover observers within that distance (`near` check), so a
+ * roof can start fading as a token approaches its door.
+ *
+ * Occluders linked to scene regions (`options.regions`, see `RegionTriggers`) ignore their own
+ * shape: they cover while an observer is inside one of their regions.
+ *
+ * Each occluder may override the observers' position use (the `targetUse` flag) and the mode
+ * it is managed with (the `occlusionMode` flag, see `getCoveredMode`).
+ * @extends Handler
+ */
+class OcclusionEvaluator extends Handler {
+  /**
+   * @param {Object} config - Configuration settings.
+   * @param {Object} utils - Utility functions.
+   * @param {Object} context - Execution context.
+   * @param {PlaceableHandler} placeableHandler - Handler used for positional checks.
+   */
+  constructor(config, utils, context, placeableHandler) {
+    super(config, utils, context);
+    this.placeables = placeableHandler;
+    this.logger = utils?.logger;
+    this.buildings = new BuildingResolver(config, utils, context, placeableHandler);
+    this.regions = new RegionTriggers(config, utils, context, placeableHandler);
+  }
+
+  /**
+   * Retrieves the position use of an occluder: its `referenceUse` flag, `polygon`
+   * when it carries a traced outline or an occlusion zone (`zone` flag), otherwise the configured default.
+   * @param {Object} occluder - The overhead tile.
+   * @returns {string} The position use.
+   */
+  getReferenceUse(occluder) {
+    const flagged = this.placeables.getFlag?.(occluder, TILE_FLAGS.REFERENCE_USE);
+    if (typeof flagged === 'string' && flagged) return flagged;
+    if (this.placeables.getFlag?.(occluder, TILE_FLAGS.POLYGON) || this.placeables.getFlag?.(occluder, TILE_FLAGS.ZONE)) {
+      return POSITION_USES.POLYGON;
+    }
+    return OCCLUSION_DEFAULTS.REFERENCE_USE;
+  }
+
+  /**
+   * Retrieves the position use of the observers checked against an occluder: its `targetUse` flag,
+   * otherwise the configured default.
+   * @param {Object} occluder - The overhead tile.
+   * @returns {string} The position use.
+   */
+  getTargetUse(occluder) {
+    const flagged = this.placeables.getFlag?.(occluder, TILE_FLAGS.TARGET_USE);
+    return typeof flagged === 'string' && flagged ? flagged : OCCLUSION_DEFAULTS.TARGET_USE;
+  }
+
+  /**
+   * Retrieves the mode an occluder is managed with: its `occlusionMode` flag when it is one of
+   * OCCLUSION_MODES, otherwise the configured covered mode. The mode applies to the tile as a whole:
+   * "NONE" tiles are left alone, "VISION" tiles always use Foundry's vision occlusion and "FADE"
+   * tiles fade while they cover an observer.
+   * @param {Object} occluder - The overhead tile.
+   * @returns {string} A key of CONST.OCCLUSION_MODES.
+   */
+  getCoveredMode(occluder) {
+    const flagged = this.placeables.getFlag?.(occluder, TILE_FLAGS.OCCLUSION_MODE);
+    return Object.values(OCCLUSION_MODES).includes(flagged) ? flagged : OCCLUSION_DEFAULTS.COVERED_MODE;
+  }
+
+  /**
+   * Retrieves the hysteresis margins of an occluder: its `enterMargin` and `exitMargin`
+   * flags, otherwise the configured margins.
+   * @param {Object} occluder - The overhead tile.
+   * @returns {{enterMargin: number, exitMargin: number}} The margins, in pixels.
+   */
+  getMargins(occluder) {
+    return {
+      enterMargin: this.#getNumberFlag(occluder, TILE_FLAGS.ENTER_MARGIN) ?? HYSTERESIS.ENTER_MARGIN,
+      exitMargin: this.#getNumberFlag(occluder, TILE_FLAGS.EXIT_MARGIN) ?? HYSTERESIS.EXIT_MARGIN
+    };
+  }
+
+  /**
+   * Retrieves the margin to check an occluder with, given whether it was covering.
+   * @param {Object} occluder - The overhead tile.
+   * @param {boolean} wasCovering - Whether the occluder covered an observer on the previous evaluation.
+   * @returns {number} The exit margin when it was covering, otherwise the negated entry margin.
+   */
+  getMargin(occluder, wasCovering) {
+    const { enterMargin, exitMargin } = this.getMargins(occluder);
+    return wasCovering ? exitMargin : -enterMargin || 0;
+  }
+
+  /**
+   * Retrieves the coverage threshold of an occluder: its `coverage` flag, otherwise the configured threshold.
+   * @param {Object} occluder - The overhead tile.
+   * @returns {number|null} The fraction of an observer's footprint to cover, in [0, 1], or null to match on any overlap.
+   */
+  getCoverageThreshold(occluder) {
+    const flagged = this.#getNumberFlag(occluder, TILE_FLAGS.COVERAGE);
+    const threshold = flagged ?? COVERAGE.THRESHOLD;
+    return threshold == null ? null : Math.min(1, Math.max(0, threshold));
+  }
+
+  /**
+   * Retrieves the proximity of an occluder: its `proximity` flag, in `positionChecker.proximity.units`.
+   * @param {Object} occluder - The overhead tile.
+   * @returns {number|null} The distance within which observers make it cover, or null to require them under it.
+   */
+  getProximity(occluder) {
+    const proximity = this.#getNumberFlag(occluder, TILE_FLAGS.PROXIMITY);
+    return proximity != null && proximity >= 0 ? proximity : null;
+  }
+
+  /**
+   * Determines if any observer is under the occluder.
+   * @param {Object} occluder - The overhead tile.
+   * @param {Array} observers - The observer tokens.
+   * @param {Object} [options={}] - Options forwarded to `getCoveredObservers`.
+   * @returns {boolean} True if at least one observer is under the occluder.
+   */
+  isCovering(occluder, observers, options = {}) {
+    return this.getCoveredObservers([occluder], observers, options).get(occluder).length > 0;
+  }
+
+  /**
+   * Collects the observers under each occluder, in one `PlaceableHandler.evaluateAll` call per
+   * observer position use and check type, so the geometry of each placeable is read once per pass.
+   * @param {Array} occluders - The overhead tiles.
+   * @param {Array} observers - The observer tokens.
+   * @param {Object} [options={}]
+   * @param {string} [options.targetUse] - Position use for the observers. Defaults to `getTargetUse(occluder)`.
+   * @param {string} [options.referenceUse] - Position use for the occluder. Defaults to `getReferenceUse(occluder)`.
+   * @param {number} [options.margin] - Margin applied to the check. Defaults to `getMargin(occluder, previous.has(occluder))`.
+   * @param {Set<Object>} [options.previous] - The occluders covering on the previous evaluation.
+   * @param {number|null} [options.coverage] - Coverage threshold. Defaults to `getCoverageThreshold(occluder)`.
+   * With a threshold, observers checked by their center are checked by their footprint (rectangle) instead.
+   * @param {number|null} [options.proximity] - Near distance. Defaults to `getProximity(occluder)`. With a distance,
+   * observers within it of the occluder count as under it (`near` check, the margin extends the distance) and
+   * the coverage threshold does not apply.
+   * @param {Map<Object, Array>|null} [candidates=null] - The observers near each occluder (see `getCandidates`);
+   * the other pairs are never covering.
+   * @returns {Map<Object, Array>} The observers under each occluder.
+   */
+  getCoveredObservers(occluders, observers, options = {}, candidates = null) {
+    const covered = new Map(occluders.map((occluder) => [occluder, []]));
+    const batches = new Map();
+    for (const occluder of occluders) {
+      const check = this.#getCheck(occluder, options);
+      const key = `${check.targetUse}:${check.checkType}`;
+      if (!batches.has(key)) batches.set(key, { targetUse: check.targetUse, checkType: check.checkType, checks: new Map() });
+      batches.get(key).checks.set(occluder, check);
+    }
+    for (const { targetUse, checkType, checks } of batches.values()) {
+      const references = [...checks.keys()];
+      const targets = candidates
+        ? [...new Set(references.flatMap((occluder) => candidates.get(occluder) ?? []))]
+        : observers;
+      if (targets.length === 0) continue;
+      const matrix = this.placeables.evaluateAll(targets, references, {
+        targetUse,
+        checkType,
+        referenceUse: (occluder) => checks.get(occluder).referenceUse,
+        checkOptions: (observer, occluder) => checks.get(occluder).checkOptions
+      });
+      targets.forEach((observer, i) => references.forEach((occluder, j) => {
+        if (!matrix[i]?.[j]) return;
+        if (candidates && !candidates.get(occluder)?.includes(observer)) return;
+        covered.get(occluder).push(observer);
+      }));
+    }
+    return covered;
+  }
+
+  /**
+   * Determines if any observer is inside one of the regions driving an occluder.
+   * The occluder's hysteresis margins apply to the region shapes.
+   * @param {Object} occluder - The region-driven tile.
+   * @param {Array} regions - The regions linked to it.
+   * @param {Array} observers - The observer tokens.
+   * @param {Object} [options={}]
+   * @param {string} [options.targetUse] - Position use for the observers. Defaults to `getTargetUse(occluder)`.
+   * @param {Set<Object>} [options.previous] - The occluders covering on the previous evaluation.
+   * @returns {boolean} True if an observer is inside a region.
+   */
+  isTriggered(occluder, regions, observers, { targetUse, previous } = {}) {
+    const margin = this.getMargin(occluder, previous?.has(occluder) === true);
+    return this.regions.isTriggered(regions, observers, { targetUse: targetUse ?? this.getTargetUse(occluder), margin });
+  }
+
+  /**
+   * Pairs each occluder with the observers near it, using the spatial index.
+   * Observers are queried at their current (possibly animated) rectangle.
+   * @param {Array} observers - The observer tokens.
+   * @param {Array} occluders - The overhead tiles.
+   * @param {number} [padding=0] - Distance the observer bounds are grown by before querying,
+   * so that observers within an exit margin are still paired.
+   * @returns {Map<Object, Array>|null} The observers whose bounds overlap each occluder,
+   * or null when the spatial index is not active.
+   */
+  getCandidates(observers, occluders, padding = 0) {
+    if (this.placeables.isIndexActive?.() !== true) return null;
+    const candidates = new Map(occluders.map((occluder) => [occluder, []]));
+    for (const observer of observers) {
+      const manager = this.placeables.getter;
+      const rect = this.placeables.getPosition?.(observer, manager, POSITION_USES.RECTANGLE) ?? this.placeables.getRectBounds(observer);
+      const bounds = this.#padBounds(rect, padding);
+      for (const occluder of this.placeables.getPlaceablesInRect(bounds)) {
+        candidates.get(occluder)?.push(observer);
+      }
+    }
+    return candidates;
+  }
+
+  /**
+   * Collects the floors of a building revealed to the observers inside it.
+   * An observer is inside when it is under at least one floor; it then reveals the
+   * floors above its elevation (`BuildingResolver.getRevealedFloors`).
+   * @param {Array} floors - The ordered floor list of the building.
+   * @param {Array} observers - The observer tokens.
+   * @param {Object} [options={}] - Options forwarded to `getCoveredObservers`.
+   * @returns {Set<Object>} The revealed floors.
+   */
+  getRevealedFloors(floors, observers, options = {}) {
+    return this.#revealFloors(floors, this.getCoveredObservers(floors, observers, options), new Set());
+  }
+
+  /**
+   * Extends the covering occluders to every member of their occlusion groups.
+   * @param {Set<Object>} covering - The covering occluders. Updated in place.
+   * @param {Array} occluders - The overhead tiles.
+   * @returns {Set<Object>} The covering occluders, group members included.
+   */
+  expandGroups(covering, occluders) {
+    if (covering.size === 0 || typeof this.placeables.getGroups !== 'function') return covering;
+    for (const members of this.placeables.getGroups(occluders).values()) {
+      if (members.some((member) => covering.has(member))) {
+        for (const member of members) covering.add(member);
+      }
+    }
+    return covering;
+  }
+
+  /**
+   * Collects the occluders covering at least one observer, group members included.
+   * @param {Array} observers - The observer tokens.
+   * @param {Array} occluders - The overhead tiles.
+   * @param {Object} [options={}] - Options forwarded to `getCoveredObservers`.
+   * @param {Set<Object>} [options.previous] - The occluders covering on the previous evaluation, for hysteresis.
+   * @param {Array} [options.regions] - The scene regions; the occluders they link are decided by them (see `isTriggered`).
+   * @returns {Set<Object>} The covering occluders.
+   */
+  getCoveringOccluders(observers, occluders, options = {}) {
+    const covering = new Set();
+    if (!Array.isArray(observers) || !Array.isArray(occluders) || observers.length === 0) return covering;
+    const triggers = this.regions.group(occluders, options.regions);
+    const shaped = triggers.size > 0 ? occluders.filter((occluder) => !triggers.has(occluder)) : occluders;
+    for (const [occluder, regions] of triggers) {
+      if (this.isTriggered(occluder, regions, observers, options)) covering.add(occluder);
+    }
+    const candidates = this.getCandidates(observers, shaped, this.#getPadding(shaped, options.previous));
+    const covered = this.getCoveredObservers(shaped, observers, options, candidates);
+    const buildings = this.buildings.group(shaped);
+    const floors = new Set([...buildings.values()].flat());
+    for (const occluder of shaped) {
+      if (!floors.has(occluder) && covered.get(occluder).length > 0) covering.add(occluder);
+    }
+    for (const building of buildings.values()) this.#revealFloors(building, covered, covering);
+    return this.expandGroups(covering, occluders);
+  }
+
+  /**
+   * Resolves how the observers are checked against an occluder.
+   * @private
+   * @param {Object} occluder - The overhead tile.
+   * @param {Object} options - See `getCoveredObservers`.
+   * @returns {{targetUse: string, referenceUse: string, checkType: string, checkOptions: Object}}
+   */
+  #getCheck(occluder, { targetUse, referenceUse, margin, previous, coverage, proximity }) {
+    const check = {
+      targetUse: targetUse ?? this.getTargetUse(occluder),
+      referenceUse: referenceUse ?? this.getReferenceUse(occluder),
+      checkType: CHECK_TYPES.UNDER,
+      checkOptions: { margin: margin ?? this.getMargin(occluder, previous?.has(occluder) === true) }
+    };
+    const distance = proximity === undefined ? this.getProximity(occluder) : proximity;
+    if (distance != null) {
+      check.checkType = CHECK_TYPES.NEAR;
+      check.checkOptions.distance = distance;
+      return check;
+    }
+    const threshold = coverage === undefined ? this.getCoverageThreshold(occluder) : coverage;
+    if (threshold != null) {
+      check.checkOptions.coverage = threshold;
+      if (check.targetUse === POSITION_USES.CENTER) check.targetUse = POSITION_USES.RECTANGLE;
+    }
+    return check;
+  }
+
+  /**
+   * Adds the floors of a building revealed to the observers under any of its floors.
+   * @private
+   * @param {Array} floors - The ordered floor list of the building.
+   * @param {Map<Object, Array>} covered - The observers under each floor (see `getCoveredObservers`).
+   * @param {Set<Object>} revealed - The revealed floors. Updated in place.
+   * @returns {Set<Object>} The revealed floors.
+   */
+  #revealFloors(floors, covered, revealed) {
+    const inside = new Set(floors.flatMap((floor) => covered.get(floor) ?? []));
+    for (const observer of inside) {
+      for (const floor of this.buildings.getRevealedFloors(floors, observer)) revealed.add(floor);
+    }
+    return revealed;
+  }
+
+  /**
+   * Computes the distance the observer bounds must reach to find every occluder that may cover them:
+   * the largest exit margin among the previously covering occluders plus proximity.
+   * @private
+   * @param {Array} occluders - The overhead tiles.
+   * @param {Set<Object>} [previous] - The occluders covering on the previous evaluation.
+   * @returns {number} The padding, in pixels (never negative).
+   */
+  #getPadding(occluders, previous) {
+    return occluders.reduce((padding, occluder) => {
+      const exitMargin = previous instanceof Set && previous.has(occluder) ? this.getMargins(occluder).exitMargin : 0;
+      return Math.max(padding, exitMargin + this.#getProximityPixels(occluder));
+    }, 0);
+  }
+
+  /**
+   * Converts the proximity of an occluder to pixels. An observer within the grid distance is at most
+   * that many grid units away along each axis, so the padded box holds every near observer.
+   * @private
+   * @param {Object} occluder
+   * @returns {number} The proximity, in pixels (0 without proximity or scene grid).
+   */
+  #getProximityPixels(occluder) {
+    const proximity = this.getProximity(occluder);
+    if (proximity == null) return 0;
+    return PROXIMITY.UNITS === 'pixels' ? proximity : proximity * GridDistance.getUnitSize(globalThis.canvas?.grid);
+  }
+
+  /**
+   * Grows rectangle bounds by a padding, as an axis-aligned `{x, y, width, height}` rectangle.
+   * @private
+   * @param {Object} bounds - The rectangle bounds.
+   * @param {number} padding - The padding, in pixels.
+   * @returns {Object} The padded rectangle, or the bounds unchanged without padding.
+   */
+  #padBounds(bounds, padding) {
+    const corners = padding > 0 ? Geometry.getRectCorners(bounds) : null;
+    if (!corners) return bounds;
+    const xs = corners.map((corner) => corner.x);
+    const ys = corners.map((corner) => corner.y);
+    const x = Math.min(...xs) - padding;
+    const y = Math.min(...ys) - padding;
+    return { x, y, width: Math.max(...xs) + padding - x, height: Math.max(...ys) + padding - y };
+  }
+
+  /**
+   * Reads a numeric module flag of an occluder.
+   * @private
+   * @param {Object} occluder
+   * @param {string} key - The flag key.
+   * @returns {number|null} The number, or null when unset or invalid.
+   */
+  #getNumberFlag(occluder, key) {
+    const flagged = this.placeables.getFlag?.(occluder, key);
+    const value = typeof flagged === 'string' && flagged.trim() !== '' ? Number(flagged) : flagged;
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+  }
+}
+
+export default OcclusionEvaluator;
@@ -0,0 +1,431 @@
+/**
+ * @file occlusionEvaluator.unit.test.mjs
+ * @description Unit tests for OcclusionEvaluator.
+ * @path src/handlers/occlusionHelpers/occlusionEvaluator.unit.test.mjs
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import OcclusionEvaluator from './occlusionEvaluator.mjs';
+import Handler from '../../baseClasses/handler.mjs';
+import { COVERAGE, HYSTERESIS } from '../placeableHelpers/config.mjs';
+
+describe('OcclusionEvaluator', () => {
+  let evaluator;
+  let placeables;
+  let tokenA;
+  let tokenB;
+  let roofA;
+  let roofB;
+
+  beforeEach(() => {
+    tokenA = { id: 'tokenA' };
+    tokenB = { id: 'tokenB' };
+    roofA = { id: 'roofA' };
+    roofB = { id: 'roofB' };
+    placeables = {
+      getter: { getCenter: vi.fn(), getRectBounds: vi.fn() },
+      // tokenB is under roofA only
+      isUnder: vi.fn((target, reference) => target === tokenB && reference === roofA),
+      // Checks every pair through isUnder, like PlaceableChecker.evaluateAll
+      evaluateAll: vi.fn((targets, references, { targetUse, referenceUse, checkType, checkOptions }) =>
+        targets.map((target) => references.map((reference) => placeables.isUnder(
+          target, reference, placeables.getter, placeables.getter, targetUse, referenceUse(reference), checkType, checkOptions(target, reference)
+        )))
+      )
+    };
+    evaluator = new OcclusionEvaluator({ constants: {} }, { logger: { warn: vi.fn() } }, {}, placeables);
+  });
+
+  describe('constructor', () => {
+    it('should extend Handler and keep the placeable handler', () => {
+      expect(evaluator).toBeInstanceOf(Handler);
+      expect(evaluator.placeables).toBe(placeables);
+    });
+  });
+
+  describe('isCovering', () => {
+    it('should return true when at least one observer is under the occluder', () => {
+      expect(evaluator.isCovering(roofA, [tokenA, tokenB])).toBe(true);
+    });
+
+    it('should return false when no observer is under the occluder', () => {
+      expect(evaluator.isCovering(roofB, [tokenA, tokenB])).toBe(false);
+    });
+
+    it('should use the getter as manager and the default position uses', () => {
+      evaluator.isCovering(roofA, [tokenB]);
+      expect(placeables.isUnder).toHaveBeenCalledWith(tokenB, roofA, placeables.getter, placeables.getter, 'center', 'rectangle', 'under', { margin: 0 });
+    });
+
+    it('should forward custom position uses', () => {
+      evaluator.isCovering(roofA, [tokenB], { targetUse: 'rectangle', referenceUse: 'rectangle' });
+      expect(placeables.isUnder).toHaveBeenCalledWith(tokenB, roofA, placeables.getter, placeables.getter, 'rectangle', 'rectangle', 'under', { margin: 0 });
+    });
+
+    it('should use the position use of the occluder when none is given', () => {
+      placeables.getFlag = vi.fn((tile, key) => (key === 'polygon' ? [0, 0, 10, 0, 0, 10] : undefined));
+      evaluator.isCovering(roofA, [tokenB]);
+      expect(placeables.isUnder).toHaveBeenCalledWith(tokenB, roofA, placeables.getter, placeables.getter, 'center', 'polygon', 'under', { margin: 0 });
+    });
+  });
+
+  describe('hysteresis', () => {
+    it('should read the margins from the tile flags', () => {
+      placeables.getFlag = vi.fn((tile, key) => ({ enterMargin: '4', exitMargin: 20 })[key]);
+      expect(evaluator.getMargins(roofA)).toEqual({ enterMargin: 4, exitMargin: 20 });
+      expect(evaluator.getMargin(roofA, true)).toBe(20);
+      expect(evaluator.getMargin(roofA, false)).toBe(-4);
+    });
+
+    it('should fall back to the configured margins', () => {
+      placeables.getFlag = vi.fn(() => 'wide');
+      expect(evaluator.getMargins(roofA)).toEqual({ enterMargin: HYSTERESIS.ENTER_MARGIN, exitMargin: HYSTERESIS.EXIT_MARGIN });
+    });
+
+    it('should check previously covering occluders with their exit margin', () => {
+      placeables.getFlag = vi.fn((tile, key) => ({ enterMargin: 4, exitMargin: 20 })[key]);
+      evaluator.getCoveringOccluders([tokenB], [roofA, roofB], { previous: new Set([roofA]) });
+      expect(placeables.isUnder).toHaveBeenCalledWith(tokenB, roofA, placeables.getter, placeables.getter, 'center', 'rectangle', 'under', { margin: 20 });
+      expect(placeables.isUnder).toHaveBeenCalledWith(tokenB, roofB, placeables.getter, placeables.getter, 'center', 'rectangle', 'under', { margin: -4 });
+    });
+
+    it('should prefer an explicit margin', () => {
+      evaluator.isCovering(roofA, [tokenB], { margin: 7, previous: new Set([roofA]) });
+      expect(placeables.isUnder).toHaveBeenCalledWith(tokenB, roofA, placeables.getter, placeables.getter, 'center', 'rectangle', 'under', { margin: 7 });
+    });
+
+    it('should pad the candidate query by the exit margin of the covering occluders', () => {
+      placeables.getFlag = vi.fn((tile, key) => (key === 'exitMargin' && tile === roofA ? 15 : undefined));
+      placeables.isIndexActive = vi.fn(() => true);
+      placeables.getRectBounds = vi.fn(() => ({ BottomLeft: { x: 0, y: 50 }, TopRight: { x: 50, y: 0 } }));
+      placeables.getPlaceablesInRect = vi.fn(() => [roofA]);
+      evaluator.getCoveringOccluders([tokenB], [roofA, roofB], { previous: new Set([roofA]) });
+      expect(placeables.getPlaceablesInRect).toHaveBeenCalledWith({ x: -15, y: -15, width: 80, height: 80 });
+    });
+  });
+
+  describe('proximity', () => {
+    afterEach(() => {
+      delete globalThis.canvas;
+    });
+
+    it('should read the proximity flag', () => {
+      placeables.getFlag = vi.fn((tile, key) => (key === 'proximity' ? '2' : undefined));
+      expect(evaluator.getProximity(roofA)).toBe(2);
+      placeables.getFlag = vi.fn((tile, key) => (key === 'proximity' ? -1 : undefined));
+      expect(evaluator.getProximity(roofA)).toBeNull();
+      placeables.getFlag = vi.fn();
+      expect(evaluator.getProximity(roofA)).toBeNull();
+    });
+
+    it('should cover observers near the occluder', () => {
+      placeables.getFlag = vi.fn((tile, key) => (key === 'proximity' ? 2 : undefined));
+      evaluator.isCovering(roofA, [tokenB], { coverage: 0.5 });
+      expect(placeables.isUnder).toHaveBeenCalledWith(
+        tokenB, roofA, placeables.getter, placeables.getter, 'center', 'rectangle', 'near', { margin: 0, distance: 2 }
+      );
+    });
+
+    it('should prefer an explicit proximity', () => {
+      evaluator.isCovering(roofA, [tokenB], { proximity: 1, margin: 12 });
+      expect(placeables.isUnder).toHaveBeenCalledWith(
+        tokenB, roofA, placeables.getter, placeables.getter, 'center', 'rectangle', 'near', { margin: 12, distance: 1 }
+      );
+    });
+
+    it('should pad the candidate query by the proximity', () => {
+      globalThis.canvas = { grid: { type: 1, size: 100 } };
+      placeables.getFlag = vi.fn((tile, key) => (key === 'proximity' && tile === roofB ? 1 : undefined));
+      placeables.isIndexActive = vi.fn(() => true);
+      placeables.getRectBounds = vi.fn(() => ({ BottomLeft: { x: 0, y: 50 }, TopRight: { x: 50, y: 0 } }));
+      placeables.getPlaceablesInRect = vi.fn(() => []);
+      evaluator.getCoveringOccluders([tokenB], [roofA, roofB]);
+      expect(placeables.getPlaceablesInRect).toHaveBeenCalledWith({ x: -100, y: -100, width: 250, height: 250 });
+    });
+  });
+
+  describe('coverage', () => {
+    it('should read the coverage threshold from the tile flag', () => {
+      placeables.getFlag = vi.fn((tile, key) => (key === 'coverage' ? '0.5' : undefined));
+      expect(evaluator.getCoverageThreshold(roofA)).toBe(0.5);
+      placeables.getFlag = vi.fn((tile, key) => (key === 'coverage' ? 4 : undefined));
+      expect(evaluator.getCoverageThreshold(roofA)).toBe(1);
+    });
+
+    it('should fall back to the configured threshold', () => {
+      expect(evaluator.getCoverageThreshold(roofA)).toBe(COVERAGE.THRESHOLD);
+    });
+
+    it('should check the observer footprints against the threshold', () => {
+      placeables.getFlag = vi.fn((tile, key) => (key === 'coverage' ? 0.5 : undefined));
+      evaluator.isCovering(roofA, [tokenB]);
+      expect(placeables.isUnder).toHaveBeenCalledWith(
+        tokenB, roofA, placeables.getter, placeables.getter, 'rectangle', 'rectangle', 'under', { margin: 0, coverage: 0.5 }
+      );
+    });
+
+    it('should prefer an explicit threshold and keep explicit footprint uses', () => {
+      evaluator.isCovering(roofA, [tokenB], { coverage: 0.25, targetUse: 'polygon' });
+      expect(placeables.isUnder).toHaveBeenCalledWith(
+        tokenB, roofA, placeables.getter, placeables.getter, 'polygon', 'rectangle', 'under', { margin: 0, coverage: 0.25 }
+      );
+    });
+  });
+
+  describe('getReferenceUse', () => {
+    it('should prefer the referenceUse flag', () => {
+      placeables.getFlag = vi.fn((tile, key) => (key === 'referenceUse' ? 'rectangle' : [0, 0, 10, 0, 0, 10]));
+      expect(evaluator.getReferenceUse(roofA)).toBe('rectangle');
+    });
+
+    it('should use polygon for occluders with a traced outline', () => {
+      placeables.getFlag = vi.fn((tile, key) => (key === 'polygon' ? [0, 0, 10, 0, 0, 10] : undefined));
+      expect(evaluator.getReferenceUse(roofA)).toBe('polygon');
+    });
+
+    it('should use polygon for occluders with an occlusion zone', () => {
+      placeables.getFlag = vi.fn((tile, key) => (key === 'zone' ? 'drawingId' : undefined));
+      expect(evaluator.getReferenceUse(roofA)).toBe('polygon');
+    });
+
+    it('should fall back to the default reference use', () => {
+      expect(evaluator.getReferenceUse(roofA)).toBe('rectangle');
+      placeables.getFlag = vi.fn();
+      expect(evaluator.getReferenceUse(roofA)).toBe('rectangle');
+    });
+  });
+
+  describe('getTargetUse', () => {
+    it('should read the targetUse flag and check the observers with it', () => {
+      placeables.getFlag = vi.fn((tile, key) => (key === 'targetUse' ? 'footprint' : undefined));
+      expect(evaluator.getTargetUse(roofA)).toBe('footprint');
+      evaluator.isCovering(roofA, [tokenB]);
+      expect(placeables.isUnder).toHaveBeenCalledWith(tokenB, roofA, placeables.getter, placeables.getter, 'footprint', 'rectangle', 'under', { margin: 0 });
+    });
+
+    it('should fall back to the default target use', () => {
+      expect(evaluator.getTargetUse(roofA)).toBe('center');
+      placeables.getFlag = vi.fn(() => '');
+      expect(evaluator.getTargetUse(roofA)).toBe('center');
+    });
+  });
+
+  describe('getCoveredMode', () => {
+    it('should read the occlusionMode flag', () => {
+      placeables.getFlag = vi.fn((tile, key) => (key === 'occlusionMode' ? 'NONE' : undefined));
+      expect(evaluator.getCoveredMode(roofA)).toBe('NONE');
+    });
+
+    it('should fall back to the covered mode for unset or unknown modes', () => {
+      expect(evaluator.getCoveredMode(roofA)).toBe('FADE');
+      placeables.getFlag = vi.fn(() => 'RADIAL');
+      expect(evaluator.getCoveredMode(roofA)).toBe('FADE');
+    });
+  });
+
+  describe('getCoveringOccluders', () => {
+    it('should collect the occluders covering an observer', () => {
+      const covering = evaluator.getCoveringOccluders([tokenA, tokenB], [roofA, roofB]);
+      expect([...covering]).toEqual([roofA]);
+    });
+
+    it('should return an empty set when there are no observers', () => {
+      const covering = evaluator.getCoveringOccluders([], [roofA, roofB]);
+      expect(covering.size).toBe(0);
+      expect(placeables.isUnder).not.toHaveBeenCalled();
+    });
+
+    it('should return an empty set for invalid inputs', () => {
+      expect(evaluator.getCoveringOccluders(null, [roofA]).size).toBe(0);
+      expect(evaluator.getCoveringOccluders([tokenA], undefined).size).toBe(0);
+    });
+
+    it('should check the occluders sharing a check in one batch', () => {
+      placeables.getFlag = vi.fn((tile, key) => (tile === roofB && key === 'referenceUse' ? 'polygon' : undefined));
+      const covering = evaluator.getCoveringOccluders([tokenA, tokenB], [roofA, roofB], { previous: new Set([roofA]) });
+      expect([...covering]).toEqual([roofA]);
+      expect(placeables.evaluateAll).toHaveBeenCalledTimes(1);
+      const [targets, references, options] = placeables.evaluateAll.mock.calls[0];
+      expect(targets).toEqual([tokenA, tokenB]);
+      expect(references).toEqual([roofA, roofB]);
+      expect(options).toMatchObject({ targetUse: 'center', checkType: 'under' });
+      expect(options.referenceUse(roofB)).toBe('polygon');
+      expect(options.checkOptions(tokenA, roofA)).toEqual({ margin: HYSTERESIS.EXIT_MARGIN });
+    });
+
+    it('should split the batch by observer position use and check type', () => {
+      placeables.getFlag = vi.fn((tile, key) => {
+        if (tile === roofB && key === 'proximity') return 2;
+        return tile === roofA && key === 'targetUse' ? 'footprint' : undefined;
+      });
+      evaluator.getCoveringOccluders([tokenA, tokenB], [roofA, roofB]);
+      expect(placeables.evaluateAll).toHaveBeenCalledTimes(2);
+      expect(placeables.evaluateAll.mock.calls.map(([, references, options]) => [references, options.targetUse, options.checkType]))
+        .toEqual([[[roofA], 'footprint', 'under'], [[roofB], 'center', 'near']]);
+    });
+
+    it('should only check the observers near each occluder when the index is active', () => {
+      placeables.isIndexActive = vi.fn(() => true);
+      placeables.getRectBounds = vi.fn((token) => token.id);
+      // tokenB is near both roofs, tokenA near none
+      placeables.getPlaceablesInRect = vi.fn((bounds) => (bounds === 'tokenB' ? [roofA, roofB] : []));
+      const covering = evaluator.getCoveringOccluders([tokenA, tokenB], [roofA, roofB]);
+      expect([...covering]).toEqual([roofA]);
+      expect(placeables.isUnder).toHaveBeenCalledTimes(2);
+      expect(placeables.isUnder).not.toHaveBeenCalledWith(tokenA, expect.anything(), expect.anything(), expect.anything(), expect.anything(), expect.anything(), expect.anything(), expect.anything());
+    });
+  });
+
+  describe('buildings', () => {
+    let ground;
+    let upper;
+    let roof;
+    let observer;
+
+    beforeEach(() => {
+      ground = { id: 'ground', elevation: 10, flags: { building: 'tower', floor: 0 } };
+      upper = { id: 'upper', elevation: 20, flags: { building: 'tower', floor: 1 } };
+      roof = { id: 'roof', elevation: 30, flags: { building: 'tower', floor: 2 } };
+      observer = { id: 'observer', elevation: 12 };
+      placeables.getFlag = vi.fn((tile, key) => tile.flags?.[key]);
+      placeables.getElevationRange = vi.fn((placeable) => ({ bottom: placeable.elevation, top: placeable.elevation }));
+      // The observer is only horizontally under the roof (the upper floor is smaller)
+      placeables.isUnder = vi.fn((target, reference) => target === observer && reference === roof);
+    });
+
+    it('should reveal the floors above an observer inside the building', () => {
+      const covering = evaluator.getCoveringOccluders([observer], [ground, upper, roof]);
+      expect([...covering]).toEqual([upper, roof]);
+    });
+
+    it('should keep the building opaque when no observer is inside', () => {
+      placeables.isUnder = vi.fn(() => false);
+      expect(evaluator.getCoveringOccluders([observer], [ground, upper, roof]).size).toBe(0);
+    });
+
+    it('should evaluate standalone occluders as before', () => {
+      placeables.isUnder = vi.fn((target, reference) => reference === roofA);
+      const covering = evaluator.getCoveringOccluders([observer], [roofA, ground, upper, roof]);
+      expect([...covering]).toEqual([roofA]);
+    });
+
+    it('should only check the observers near the building when the index is active', () => {
+      placeables.isIndexActive = vi.fn(() => true);
+      placeables.getRectBounds = vi.fn((token) => token.id);
+      placeables.getPlaceablesInRect = vi.fn((bounds) => (bounds === 'observer' ? [roof] : []));
+      const far = { id: 'far', elevation: 0 };
+      const covering = evaluator.getCoveringOccluders([far, observer], [ground, upper, roof]);
+      expect([...covering]).toEqual([upper, roof]);
+      expect(placeables.isUnder).not.toHaveBeenCalledWith(far, expect.anything(), expect.anything(), expect.anything(), expect.anything(), expect.anything(), expect.anything(), expect.anything());
+    });
+  });
+
+  describe('groups', () => {
+    let porch;
+
+    beforeEach(() => {
+      porch = { id: 'porch' };
+      roofA.group = 'manor';
+      porch.group = 'manor';
+      placeables.getGroups = vi.fn((tiles) => {
+        const groups = new Map();
+        for (const tile of tiles.filter((candidate) => candidate.group)) {
+          groups.set(tile.group, [...(groups.get(tile.group) ?? []), tile]);
+        }
+        return groups;
+      });
+    });
+
+    it('should fade every member of a covering occluder\'s group', () => {
+      const covering = evaluator.getCoveringOccluders([tokenB], [roofA, roofB, porch]);
+      expect([...covering]).toEqual([roofA, porch]);
+      expect(placeables.getGroups).toHaveBeenCalledWith([roofA, roofB, porch]);
+    });
+
+    it('should keep a group opaque when no member covers an observer', () => {
+      expect(evaluator.getCoveringOccluders([tokenA], [roofA, roofB, porch]).size).toBe(0);
+    });
+
+    it('should only expand the groups of the given occluders', () => {
+      const covering = evaluator.expandGroups(new Set([roofB]), [roofA, roofB, porch]);
+      expect([...covering]).toEqual([roofB]);
+    });
+
+    it('should leave the covering set unchanged without group support', () => {
+      delete placeables.getGroups;
+      expect([...evaluator.getCoveringOccluders([tokenB], [roofA, roofB, porch])]).toEqual([roofA]);
+    });
+  });
+
+  describe('regions', () => {
+    let interior;
+    let yard;
+
+    beforeEach(() => {
+      interior = { id: 'interior', flags: { tiles: ['roofB'] } };
+      yard = { id: 'yard', flags: { tiles: 'roofA' } };
+      placeables.getFlag = vi.fn((placeable, key) => placeable.flags?.[key]);
+      // tokenA is inside the interior region only; tokenB stays under roofA
+      placeables.isUnder = vi.fn((target, reference) =>
+        (target === tokenA && reference === interior) || (target === tokenB && reference === roofA)
+      );
+    });
+
+    it('should cover region-driven occluders while an observer is inside their region', () => {
+      const covering = evaluator.getCoveringOccluders([tokenA], [roofA, roofB], { regions: [interior] });
+      expect([...covering]).toEqual([roofB]);
+      expect(placeables.isUnder).toHaveBeenCalledWith(tokenA, interior, placeables.getter, placeables.getter, 'center', 'region', 'under', { margin: 0 });
+    });
+
+    it('should ignore the shape of region-driven occluders', () => {
+      const covering = evaluator.getCoveringOccluders([tokenB], [roofA, roofB], { regions: [yard] });
+      expect(covering.size).toBe(0);
+      expect(placeables.isUnder).not.toHaveBeenCalledWith(tokenB, roofA, expect.anything(), expect.anything(), expect.anything(), expect.anything(), expect.anything(), expect.anything());
+    });
+
+    it('should apply the hysteresis margins of the occluder to its regions', () => {
+      placeables.getFlag = vi.fn((placeable, key) => ({ ...placeable.flags, exitMargin: 25 })[key]);
+      evaluator.getCoveringOccluders([tokenA], [roofB], { regions: [interior], previous: new Set([roofB]) });
+      expect(placeables.isUnder).toHaveBeenCalledWith(tokenA, interior, placeables.getter, placeables.getter, 'center', 'region', 'under', { margin: 25 });
+    });
+
+    it('should keep the region-driven occluders out of the spatial index candidates', () => {
+      placeables.isIndexActive = vi.fn(() => true);
+      placeables.getRectBounds = vi.fn((token) => token.id);
+      placeables.getPlaceablesInRect = vi.fn(() => [roofA, roofB]);
+      const covering = evaluator.getCoveringOccluders([tokenA, tokenB], [roofA, roofB], { regions: [interior] });
+      expect([...covering]).toEqual([roofB, roofA]);
+    });
+  });
+
+  describe('getCandidates', () => {
+    it('should return null when the index is not active', () => {
+      expect(evaluator.getCandidates([tokenA], [roofA])).toBeNull();
+      placeables.isIndexActive = vi.fn(() => false);
+      expect(evaluator.getCandidates([tokenA], [roofA])).toBeNull();
+    });
+
+    it('should query the index at the current position of the observers', () => {
+      const animated = { BottomLeft: { x: 0, y: 10 }, TopRight: { x: 10, y: 0 } };
+      placeables.isIndexActive = vi.fn(() => true);
+      placeables.getPosition = vi.fn(() => animated);
+      placeables.getRectBounds = vi.fn();
+      placeables.getPlaceablesInRect = vi.fn(() => [roofA]);
+      evaluator.getCandidates([tokenA], [roofA]);
+      expect(placeables.getPosition).toHaveBeenCalledWith(tokenA, placeables.getter, 'rectangle');
+      expect(placeables.getPlaceablesInRect).toHaveBeenCalledWith(animated);
+      expect(placeables.getRectBounds).not.toHaveBeenCalled();
+    });
+
+    it('should ignore indexed placeables that are not occluders', () => {
+      const floor = { id: 'floor' };
+      placeables.isIndexActive = vi.fn(() => true);
+      placeables.getRectBounds = vi.fn(() => ({}));
+      placeables.getPlaceablesInRect = vi.fn(() => [floor, roofA]);
+      const candidates = evaluator.getCandidates([tokenA], [roofA, roofB]);
+      expect([...candidates.keys()]).toEqual([roofA, roofB]);
+      expect(candidates.get(roofA)).toEqual([tokenA]);
+      expect(candidates.get(roofB)).toEqual([]);
+    });
+  });
+});
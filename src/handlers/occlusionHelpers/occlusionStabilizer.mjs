@@ -0,0 +1,109 @@
+/**
+ * @file occlusionStabilizer.mjs
+ * @description Debounces the covered state of overhead tiles with a minimum dwell time.
+ * @path src/handlers/occlusionHelpers/occlusionStabilizer.mjs
+ */
+
+import Handler from '../../baseClasses/handler.mjs';
+import { HYSTERESIS, TILE_FLAGS } from '../placeableHelpers/config.mjs';
+
+/**
+ * @class OcclusionStabilizer
+ * @description Keeps the covered state of each occluder stable until a different state has
+ * been evaluated for at least its dwell time (the `dwellTime` tile flag, otherwise
+ * `positionChecker.hysteresis.dwellTime`). A state flipping back before then cancels the change,
+ * so a token jittering on a tile edge does not make the roof flicker.
+ *
+ * Occluders seen for the first time take their evaluated state at once.
+ * @extends Handler
+ */
+class OcclusionStabilizer extends Handler {
+  /**
+   * Stable states, keyed by tile document id.
+   * @type {Map<string, {covered: boolean, pendingSince: number|null}>}
+   * @private
+   */
+  #states = new Map();
+
+  /**
+   * @param {Object} config - Configuration settings.
+   * @param {Object} utils - Utility functions.
+   * @param {Object} context - Execution context.
+   * @param {PlaceableHandler} placeableHandler - Handler used to read the tile flags.
+   */
+  constructor(config, utils, context, placeableHandler) {
+    super(config, utils, context);
+    this.placeables = placeableHandler;
+    this.logger = utils?.logger;
+  }
+
+  /**
+   * Retrieves the dwell time of an occluder: its `dwellTime` flag, otherwise the configured dwell time.
+   * @param {Object} occluder - The overhead tile.
+   * @returns {number} The dwell time, in milliseconds.
+   */
+  getDwellTime(occluder) {
+    const flagged = this.placeables?.getFlag?.(occluder, TILE_FLAGS.DWELL_TIME);
+    const dwellTime = typeof flagged === 'string' && flagged.trim() !== '' ? Number(flagged) : flagged;
+    return typeof dwellTime === 'number' && Number.isFinite(dwellTime) && dwellTime >= 0 ? dwellTime : HYSTERESIS.DWELL_TIME;
+  }
+
+  /**
+   * Determines the stable covered occluders from the evaluated ones.
+   * @param {Array} occluders - The overhead tiles.
+   * @param {Set<Object>} candidates - The occluders evaluated as covering.
+   * @param {number} [now=Date.now()] - The current time, in milliseconds.
+   * @returns {{covered: Set<Object>, nextCheck: number|null}} The stable covered occluders, and the
+   * delay (in milliseconds) until the next pending change matures, or null when none is pending.
+   */
+  stabilize(occluders, candidates, now = Date.now()) {
+    const covered = new Set();
+    const seen = new Set();
+    let nextCheck = null;
+    for (const occluder of occluders) {
+      const id = this.#getId(occluder);
+      if (id == null) continue;
+      seen.add(id);
+      const evaluated = candidates.has(occluder);
+      const state = this.#states.get(id);
+      if (!state) {
+        this.#states.set(id, { covered: evaluated, pendingSince: null });
+      } else if (state.covered === evaluated) {
+        state.pendingSince = null;
+      } else {
+        state.pendingSince ??= now;
+        const remaining = state.pendingSince + this.getDwellTime(occluder) - now;
+        if (remaining <= 0) {
+          state.covered = evaluated;
+          state.pendingSince = null;
+        } else {
+          nextCheck = nextCheck == null ? remaining : Math.min(nextCheck, remaining);
+        }
+      }
+      if (this.#states.get(id).covered) covered.add(occluder);
+    }
+    for (const id of [...this.#states.keys()]) {
+      if (!seen.has(id)) this.#states.delete(id);
+    }
+    return { covered, nextCheck };
+  }
+
+  /**
+   * Forgets every stable state and pending change.
+   */
+  clear() {
+    this.#states.clear();
+  }
+
+  /**
+   * Retrieves the id an occluder's state is kept under.
+   * @private
+   * @param {Object} occluder
+   * @returns {string|undefined}
+   */
+  #getId(occluder) {
+    return occluder?.document?.id ?? occluder?.id;
+  }
+}
+
+export default OcclusionStabilizer;
@@ -0,0 +1,98 @@
+/**
+ * @file occlusionStabilizer.unit.test.mjs
+ * @description Unit tests for OcclusionStabilizer.
+ * @path src/handlers/occlusionHelpers/occlusionStabilizer.unit.test.mjs
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import OcclusionStabilizer from './occlusionStabilizer.mjs';
+import Handler from '../../baseClasses/handler.mjs';
+import { HYSTERESIS } from '../placeableHelpers/config.mjs';
+
+const createTile = (id, flags = {}) => ({ id, document: { id }, flags });
+
+describe('OcclusionStabilizer', () => {
+  let stabilizer;
+  let placeables;
+  let roof;
+  let porch;
+
+  beforeEach(() => {
+    placeables = { getFlag: vi.fn((tile, key) => tile.flags?.[key]) };
+    stabilizer = new OcclusionStabilizer({ constants: {} }, { logger: { warn: vi.fn() } }, {}, placeables);
+    roof = createTile('roof', { dwellTime: 100 });
+    porch = createTile('porch', { dwellTime: 300 });
+  });
+
+  describe('constructor', () => {
+    it('should extend Handler and keep the placeable handler', () => {
+      expect(stabilizer).toBeInstanceOf(Handler);
+      expect(stabilizer.placeables).toBe(placeables);
+    });
+  });
+
+  describe('getDwellTime', () => {
+    it('should read the dwellTime flag', () => {
+      expect(stabilizer.getDwellTime(roof)).toBe(100);
+      expect(stabilizer.getDwellTime(createTile('t', { dwellTime: '0' }))).toBe(0);
+    });
+
+    it('should fall back to the configured dwell time', () => {
+      expect(stabilizer.getDwellTime(createTile('t'))).toBe(HYSTERESIS.DWELL_TIME);
+      expect(stabilizer.getDwellTime(createTile('t', { dwellTime: -1 }))).toBe(HYSTERESIS.DWELL_TIME);
+      expect(stabilizer.getDwellTime(createTile('t', { dwellTime: 'long' }))).toBe(HYSTERESIS.DWELL_TIME);
+    });
+  });
+
+  describe('stabilize', () => {
+    it('should take the evaluated state of new occluders at once', () => {
+      const { covered, nextCheck } = stabilizer.stabilize([roof, porch], new Set([roof]), 0);
+      expect([...covered]).toEqual([roof]);
+      expect(nextCheck).toBeNull();
+    });
+
+    it('should keep the stable state until the dwell time has passed', () => {
+      stabilizer.stabilize([roof, porch], new Set([roof]), 0);
+
+      let result = stabilizer.stabilize([roof, porch], new Set([porch]), 1000);
+      expect([...result.covered]).toEqual([roof]);
+      expect(result.nextCheck).toBe(100);
+
+      result = stabilizer.stabilize([roof, porch], new Set([porch]), 1150);
+      expect([...result.covered]).toEqual([]);
+      expect(result.nextCheck).toBe(150);
+
+      result = stabilizer.stabilize([roof, porch], new Set([porch]), 1300);
+      expect([...result.covered]).toEqual([porch]);
+      expect(result.nextCheck).toBeNull();
+    });
+
+    it('should cancel a change that flips back within the dwell time', () => {
+      stabilizer.stabilize([roof], new Set([roof]), 0);
+      stabilizer.stabilize([roof], new Set(), 1000);
+      stabilizer.stabilize([roof], new Set([roof]), 1050);
+      const { covered } = stabilizer.stabilize([roof], new Set(), 1120);
+      expect([...covered]).toEqual([roof]);
+    });
+
+    it('should apply changes at once without dwell time', () => {
+      const instant = createTile('instant', { dwellTime: 0 });
+      stabilizer.stabilize([instant], new Set(), 0);
+      expect([...stabilizer.stabilize([instant], new Set([instant]), 1).covered]).toEqual([instant]);
+    });
+
+    it('should forget occluders that are gone', () => {
+      stabilizer.stabilize([roof], new Set([roof]), 0);
+      stabilizer.stabilize([], new Set(), 10);
+      expect([...stabilizer.stabilize([roof], new Set(), 20).covered]).toEqual([]);
+    });
+  });
+
+  describe('clear', () => {
+    it('should forget the stable states', () => {
+      stabilizer.stabilize([roof], new Set([roof]), 0);
+      stabilizer.clear();
+      expect([...stabilizer.stabilize([roof], new Set(), 10).covered]).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * @file partyResolver.mjs
+ * @description Resolves the party member tokens used as observers when the behaviorParty setting is enabled.
+ * @path src/handlers/occlusionHelpers/partyResolver.mjs
+ */
+
+import Handler from '../../baseClasses/handler.mjs';
+import PathUtils from '../../helpers/pathUtils.mjs';
+import { PARTY } from './config.mjs';
+
+/**
+ * @class PartyResolver
+ * @description Finds the tokens of the party members.
+ *
+ * The party is either:
+ * - a configured group (the `partyGroup` setting): the ID or name of a party actor,
+ *   whose members are read from `occlusion.party.membersPaths`, or of an actor folder
+ * - every player-owned actor whose type is listed in `occlusion.party.characterTypes`
+ * @extends Handler
+ */
+class PartyResolver extends Handler {
+  /**
+   * Last group reported as not found, so the warning is not repeated on every pass.
+   * @type {string|null}
+   * @private
+   */
+  #missingGroup = null;
+
+  /**
+   * @param {Object} config - Configuration settings.
+   * @param {Object} utils - Utility functions.
+   * @param {Object} context - Execution context.
+   */
+  constructor(config, utils, context) {
+    super(config, utils, context);
+    this.logger = utils?.logger;
+  }
+
+  /**
+   * Determines if a token belongs to a player character.
+   * @param {Object} token
+   * @returns {boolean}
+   */
+  isPlayerCharacter(token) {
+    const actor = token?.actor;
+    if (!actor?.hasPlayerOwner) return false;
+    return PARTY.CHARACTER_TYPES.includes(actor.type);
+  }
+
+  /**
+   * Finds the configured party group, as an actor or an actor folder.
+   * @param {string} group - ID or name of a party actor or actor folder.
+   * @returns {Object|null} The actor or folder, or null when not found.
+   */
+  findGroup(group) {
+    if (!group || typeof group !== 'string') return null;
+    const actors = globalThis.game?.actors;
+    const folders = globalThis.game?.folders;
+    const actor = actors?.get?.(group) ?? actors?.getName?.(group);
+    if (actor) return actor;
+    // Folders of other document types may share the name of the actor folder
+    return folders?.find?.((folder) => folder.type === 'Actor' && (folder.id === group || folder.name === group)) ?? null;
+  }
+
+  /**
+   * Retrieves the IDs of the actors in the configured party group.
+   * Members may be stored as actors, `{ actor }` entries, actor IDs or UUIDs.
+   * @param {string} group - ID or name of a party actor or actor folder.
+   * @returns {Set<string>|null} The member actor IDs, or null when the group is not found.
+   */
+  getMemberIds(group) {
+    const source = this.findGroup(group);
+    if (!source) {
+      if (group && group !== this.#missingGroup) {
+        this.logger?.warn(`Party group ${group} not found. Using player characters.`);
+      }
+      this.#missingGroup = group || null;
+      return null;
+    }
+    this.#missingGroup = null;
+    const members = source.contents ?? this.#readMembers(source);
+    const ids = new Set();
+    for (const member of members) {
+      const id = this.#getMemberId(member);
+      if (id) ids.add(id);
+    }
+    return ids;
+  }
+
+  /**
+   * Filters the party member tokens.
+   * @param {Array} tokens - Candidate tokens.
+   * @param {string} [group] - ID or name of a party actor or actor folder.
+   * @returns {Array} The party member tokens.
+   */
+  resolve(tokens, group) {
+    if (!Array.isArray(tokens)) return [];
+    const memberIds = this.getMemberIds(group);
+    if (!memberIds) return tokens.filter((token) => this.isPlayerCharacter(token));
+    return tokens.filter((token) => memberIds.has(token?.document?.actorId ?? token?.actor?.id));
+  }
+
+  /**
+   * Reads the members of a party actor from the configured paths.
+   * @private
+   * @param {Object} actor
+   * @returns {Array}
+   */
+  #readMembers(actor) {
+    for (const path of PARTY.MEMBERS_PATHS) {
+      const members = PathUtils.resolvePath(actor, path);
+      if (members && typeof members[Symbol.iterator] === 'function' && typeof members !== 'string') {
+        return [...members];
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Extracts the actor ID of a party member entry (actor, `{ actor }`, ID or UUID).
+   * @private
+   * @param {Object|string} member
+   * @returns {string|undefined}
+   */
+  #getMemberId(member) {
+    if (typeof member === 'string') return member.split('.').pop();
+    return member?.actor?.id ?? member?.id;
+  }
+}
+
+export default PartyResolver;
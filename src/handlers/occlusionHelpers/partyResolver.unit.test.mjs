@@ -0,0 +1,134 @@
+/**
+ * @file partyResolver.unit.test.mjs
+ * @description Unit tests for PartyResolver.
+ * @path src/handlers/occlusionHelpers/partyResolver.unit.test.mjs
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import PartyResolver from './partyResolver.mjs';
+
+const createCollection = (entries) => ({
+  get: vi.fn((id) => entries.find((entry) => entry.id === id)),
+  getName: vi.fn((name) => entries.find((entry) => entry.name === name)),
+  find: vi.fn((predicate) => entries.find(predicate))
+});
+
+describe('PartyResolver', () => {
+  let resolver;
+  let logger;
+  let fighter;
+  let wizard;
+  let goblin;
+  let familiar;
+  let tokens;
+
+  beforeEach(() => {
+    fighter = { id: 'fighter', type: 'character', hasPlayerOwner: true };
+    wizard = { id: 'wizard', type: 'character', hasPlayerOwner: true };
+    goblin = { id: 'goblin', type: 'npc', hasPlayerOwner: false };
+    familiar = { id: 'familiar', type: 'npc', hasPlayerOwner: true };
+    tokens = [
+      { id: 't-fighter', actor: fighter, document: { actorId: 'fighter' } },
+      { id: 't-wizard', actor: wizard, document: { actorId: 'wizard' } },
+      { id: 't-goblin', actor: goblin, document: { actorId: 'goblin' } },
+      { id: 't-familiar', actor: familiar, document: { actorId: 'familiar' } },
+      { id: 't-barrel', actor: null, document: {} }
+    ];
+    global.game = {
+      actors: createCollection([
+        fighter,
+        wizard,
+        goblin,
+        familiar,
+        { id: 'party', name: 'The Party', system: { members: [{ actor: fighter }, { actor: goblin }] } },
+        { id: 'legacy', name: 'Legacy Party', members: new Set(['fighter', 'Actor.wizard']) }
+      ]),
+      folders: createCollection([
+        { id: 'heroes', name: 'Heroes', type: 'Actor', contents: [wizard, familiar] },
+        { id: 'maps', name: 'Maps', type: 'Scene', contents: [] }
+      ])
+    };
+    logger = { warn: vi.fn() };
+    resolver = new PartyResolver({ constants: {} }, { logger }, {});
+  });
+
+  afterEach(() => {
+    delete global.game;
+  });
+
+  describe('isPlayerCharacter', () => {
+    it('should return true for player-owned characters only', () => {
+      expect(resolver.isPlayerCharacter(tokens[0])).toBe(true);
+      expect(resolver.isPlayerCharacter(tokens[2])).toBe(false);
+      expect(resolver.isPlayerCharacter(tokens[3])).toBe(false);
+      expect(resolver.isPlayerCharacter(tokens[4])).toBe(false);
+    });
+  });
+
+  describe('findGroup', () => {
+    it('should find actors and actor folders by ID or name', () => {
+      expect(resolver.findGroup('party').id).toBe('party');
+      expect(resolver.findGroup('The Party').id).toBe('party');
+      expect(resolver.findGroup('Heroes').id).toBe('heroes');
+    });
+
+    it('should ignore folders of other document types', () => {
+      expect(resolver.findGroup('maps')).toBeNull();
+    });
+
+    it('should find the actor folder when a folder of another type shares its name', () => {
+      global.game.folders = createCollection([
+        { id: 'scene-heroes', name: 'Heroes', type: 'Scene', contents: [] },
+        { id: 'heroes', name: 'Heroes', type: 'Actor', contents: [wizard, familiar] }
+      ]);
+      expect(resolver.findGroup('Heroes').id).toBe('heroes');
+      expect([...resolver.getMemberIds('Heroes')]).toEqual(['wizard', 'familiar']);
+    });
+
+    it('should return null for empty groups', () => {
+      expect(resolver.findGroup('')).toBeNull();
+      expect(resolver.findGroup(undefined)).toBeNull();
+    });
+  });
+
+  describe('getMemberIds', () => {
+    it('should read members of a party actor', () => {
+      expect([...resolver.getMemberIds('party')]).toEqual(['fighter', 'goblin']);
+    });
+
+    it('should accept member IDs and UUIDs', () => {
+      expect([...resolver.getMemberIds('legacy')]).toEqual(['fighter', 'wizard']);
+    });
+
+    it('should read the actors of a folder', () => {
+      expect([...resolver.getMemberIds('heroes')]).toEqual(['wizard', 'familiar']);
+    });
+
+    it('should warn once when the group is not found', () => {
+      expect(resolver.getMemberIds('nowhere')).toBeNull();
+      expect(resolver.getMemberIds('nowhere')).toBeNull();
+      expect(logger.warn).toHaveBeenCalledTimes(1);
+      expect(logger.warn).toHaveBeenCalledWith('Party group nowhere not found. Using player characters.');
+    });
+
+    it('should not warn when no group is configured', () => {
+      expect(resolver.getMemberIds('')).toBeNull();
+      expect(logger.warn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolve', () => {
+    it('should return player character tokens without a group', () => {
+      expect(resolver.resolve(tokens).map((token) => token.id)).toEqual(['t-fighter', 't-wizard']);
+    });
+
+    it('should return the tokens of the group members', () => {
+      expect(resolver.resolve(tokens, 'party').map((token) => token.id)).toEqual(['t-fighter', 't-goblin']);
+      expect(resolver.resolve(tokens, 'Heroes').map((token) => token.id)).toEqual(['t-wizard', 't-familiar']);
+    });
+
+    it('should return an empty list for invalid tokens', () => {
+      expect(resolver.resolve(null)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * @file regionTriggers.mjs
+ * @description Links scene regions to the overhead tiles they drive and finds the regions entered by observers.
+ * @path src/handlers/occlusionHelpers/regionTriggers.mjs
+ */
+
+import Handler from '../../baseClasses/handler.mjs';
+import { CHECK_TYPES, POSITION_USES, REGION_FLAGS } from '../placeableHelpers/config.mjs';
+import { OCCLUSION_DEFAULTS } from './config.mjs';
+
+/**
+ * @class RegionTriggers
+ * @description Resolves region-driven tiles: a scene region lists the overhead tiles it drives
+ * in its `tiles` flag, and those tiles cover (fade) while an observer is inside the region,
+ * whatever the shape of the tiles themselves.
+ *
+ * Observers are checked against the region shapes (holes included) and its elevation range
+ * through the `region` position use of `PositionChecker`.
+ * @extends Handler
+ */
+class RegionTriggers extends Handler {
+  /**
+   * @param {Object} config - Configuration settings.
+   * @param {Object} utils - Utility functions.
+   * @param {Object} context - Execution context.
+   * @param {PlaceableHandler} placeableHandler - Handler used to read region flags and check positions.
+   */
+  constructor(config, utils, context, placeableHandler) {
+    super(config, utils, context);
+    this.placeables = placeableHandler;
+    this.logger = utils?.logger;
+  }
+
+  /**
+   * Retrieves the ids of the tiles a region drives.
+   * @param {Object} region - The scene region.
+   * @returns {string[]} The tile ids of its `tiles` flag (a list, or a single id), empty when unset.
+   */
+  getLinkedTileIds(region) {
+    const flagged = this.placeables.getFlag?.(region, REGION_FLAGS.TILES);
+    const ids = Array.isArray(flagged) ? flagged : [flagged];
+    return ids.filter((id) => typeof id === 'string' && id);
+  }
+
+  /**
+   * Pairs each region-driven tile with the regions linked to it.
+   * @param {Array} tiles - The occluders.
+   * @param {Array} [regions=[]] - The scene regions.
+   * @returns {Map<Object, Array>} The regions driving each linked tile; tiles without region are left out.
+   */
+  group(tiles, regions = []) {
+    const linked = new Map();
+    for (const region of Array.isArray(regions) ? regions : []) {
+      for (const id of this.getLinkedTileIds(region)) {
+        if (!linked.has(id)) linked.set(id, []);
+        linked.get(id).push(region);
+      }
+    }
+    const triggers = new Map();
+    if (linked.size === 0) return triggers;
+    for (const tile of Array.isArray(tiles) ? tiles : []) {
+      const driving = linked.get(tile?.document?.id ?? tile?.id);
+      if (driving) triggers.set(tile, driving);
+    }
+    return triggers;
+  }
+
+  /**
+   * Determines if any observer is inside any of the regions.
+   * @param {Array} regions - The regions driving a tile.
+   * @param {Array} observers - The observer tokens.
+   * @param {Object} [options={}]
+   * @param {string} [options.targetUse] - Position use for the observers. Defaults to `occlusion.defaults.targetUse`.
+   * @param {number} [options.margin=0] - Margin applied to the region shapes (hysteresis, see `PositionChecker.getMargin`).
+   * @returns {boolean} True if an observer is inside a region, within its elevation range.
+   */
+  isTriggered(regions, observers, { targetUse = OCCLUSION_DEFAULTS.TARGET_USE, margin = 0 } = {}) {
+    const manager = this.placeables.getter;
+    return observers.some((observer) => regions.some((region) =>
+      this.placeables.isUnder(observer, region, manager, manager, targetUse, POSITION_USES.REGION, CHECK_TYPES.UNDER, { margin })
+    ));
+  }
+}
+
+export default RegionTriggers;
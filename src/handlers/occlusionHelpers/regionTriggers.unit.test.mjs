@@ -0,0 +1,82 @@
+/**
+ * @file regionTriggers.unit.test.mjs
+ * @description Unit tests for RegionTriggers.
+ * @path src/handlers/occlusionHelpers/regionTriggers.unit.test.mjs
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import RegionTriggers from './regionTriggers.mjs';
+import Handler from '../../baseClasses/handler.mjs';
+
+describe('RegionTriggers', () => {
+  let triggers;
+  let placeables;
+  let hall;
+  let cellar;
+  let roof;
+  let attic;
+  let shed;
+
+  beforeEach(() => {
+    hall = { id: 'hall', flags: { tiles: ['roof', 'attic'] } };
+    cellar = { id: 'cellar', flags: { tiles: 'roof' } };
+    roof = { document: { id: 'roof' } };
+    attic = { id: 'attic' };
+    shed = { document: { id: 'shed' } };
+    placeables = {
+      getter: {},
+      getFlag: vi.fn((placeable, key) => placeable.flags?.[key]),
+      isUnder: vi.fn(() => false)
+    };
+    triggers = new RegionTriggers({ constants: {} }, { logger: { warn: vi.fn() } }, {}, placeables);
+  });
+
+  describe('constructor', () => {
+    it('should extend Handler and keep the placeable handler', () => {
+      expect(triggers).toBeInstanceOf(Handler);
+      expect(triggers.placeables).toBe(placeables);
+    });
+  });
+
+  describe('getLinkedTileIds', () => {
+    it('should read a list or a single id from the tiles flag', () => {
+      expect(triggers.getLinkedTileIds(hall)).toEqual(['roof', 'attic']);
+      expect(triggers.getLinkedTileIds(cellar)).toEqual(['roof']);
+      expect(placeables.getFlag).toHaveBeenCalledWith(hall, 'tiles');
+    });
+
+    it('should drop invalid ids and unlinked regions', () => {
+      expect(triggers.getLinkedTileIds({ flags: { tiles: ['roof', 7, ''] } })).toEqual(['roof']);
+      expect(triggers.getLinkedTileIds({})).toEqual([]);
+    });
+  });
+
+  describe('group', () => {
+    it('should pair each linked tile with its regions', () => {
+      const grouped = triggers.group([roof, attic, shed], [hall, cellar]);
+      expect([...grouped.keys()]).toEqual([roof, attic]);
+      expect(grouped.get(roof)).toEqual([hall, cellar]);
+      expect(grouped.get(attic)).toEqual([hall]);
+    });
+
+    it('should return an empty map without regions', () => {
+      expect(triggers.group([roof], undefined).size).toBe(0);
+      expect(triggers.group(null, [hall]).size).toBe(0);
+    });
+  });
+
+  describe('isTriggered', () => {
+    it('should check the observers against the region shapes', () => {
+      const token = { id: 'token' };
+      placeables.isUnder = vi.fn((target, reference) => reference === cellar);
+      expect(triggers.isTriggered([hall, cellar], [token])).toBe(true);
+      expect(placeables.isUnder).toHaveBeenCalledWith(token, hall, placeables.getter, placeables.getter, 'center', 'region', 'under', { margin: 0 });
+    });
+
+    it('should forward the target use and margin', () => {
+      const token = { id: 'token' };
+      expect(triggers.isTriggered([hall], [token], { targetUse: 'footprint', margin: -5 })).toBe(false);
+      expect(placeables.isUnder).toHaveBeenCalledWith(token, hall, placeables.getter, placeables.getter, 'footprint', 'region', 'under', { margin: -5 });
+    });
+  });
+});
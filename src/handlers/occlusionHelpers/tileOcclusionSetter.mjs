@@ -0,0 +1,142 @@
+/**
+ * @file tileOcclusionSetter.mjs
+ * @description Switches overhead tiles between Foundry occlusion modes on the local client.
+ * @path src/handlers/occlusionHelpers/tileOcclusionSetter.mjs
+ */
+
+import HookedHandler from '../../baseClasses/hookedHandler.mjs';
+
+/**
+ * @class TileOcclusionSetter
+ * @description Applies occlusion modes to tiles without writing them to their documents.
+ * The mode is written to the `occlusionMode` of the tile's mesh only, so the document (and
+ * its source, which the Tile config sheet shows and saves) keeps the tile's own mode. Restoring
+ * a tile applies the mode its document has at that time, including changes made meanwhile.
+ *
+ * While active, the setter follows `refreshTile`, which applies the held mode again after
+ * Foundry refreshed a mesh from its document.
+ * @extends HookedHandler
+ */
+class TileOcclusionSetter extends HookedHandler {
+  /**
+   * Modes held by the engine, keyed by tile document id.
+   * @type {Map<string, {tile: Object, mode: number}>}
+   * @private
+   */
+  #heldModes = new Map();
+
+  /**
+   * @param {Object} config - Configuration settings.
+   * @param {Object} utils - Utility functions.
+   * @param {Object} context - Execution context.
+   */
+  constructor(config, utils, context) {
+    super(config, utils, context);
+    this.logger = utils?.logger;
+  }
+
+  /**
+   * @protected
+   * Registers the hook keeping the held modes applied to redrawn meshes.
+   */
+  _registerHooks() {
+    this._registerHook('refreshTile', (tile) => this.reapply(tile));
+  }
+
+  /**
+   * Resolves a mode key (e.g., "FADE") to Foundry's numeric occlusion mode.
+   * @param {string} mode - A key of CONST.OCCLUSION_MODES.
+   * @returns {number|undefined} The numeric mode, or undefined when unknown.
+   */
+  resolveModeValue(mode) {
+    const modes = globalThis.foundry?.CONST?.OCCLUSION_MODES ?? globalThis.CONST?.OCCLUSION_MODES;
+    return modes?.[mode];
+  }
+
+  /**
+   * Retrieves the numeric occlusion mode a tile is displayed with: the mode the setter holds, otherwise its own mode.
+   * @param {Object} tile
+   * @returns {number|undefined}
+   */
+  getMode(tile) {
+    return this.#heldModes.get(tile?.document?.id)?.mode ?? tile?.document?.occlusion?.mode;
+  }
+
+  /**
+   * Switches a tile into the given occlusion mode.
+   * @param {Object} tile - The tile placeable.
+   * @param {string} mode - A key of CONST.OCCLUSION_MODES (see OCCLUSION_MODES).
+   * @returns {boolean} True if the tile mode changed, else false.
+   */
+  setMode(tile, mode) {
+    const document = tile?.document;
+    if (!document) return false;
+    const value = this.resolveModeValue(mode);
+    if (value == null) {
+      this.logger?.warn(`Unknown occlusion mode ${mode}`);
+      return false;
+    }
+    const current = this.getMode(tile);
+    this.#heldModes.set(document.id, { tile, mode: value });
+    if (current === value) return false;
+    this.#apply(tile, value);
+    return true;
+  }
+
+  /**
+   * Applies the held mode of a tile to its mesh again, after Foundry refreshed it (`refreshTile`).
+   * @param {Object} tile
+   * @returns {boolean} True if the tile has a held mode.
+   */
+  reapply(tile) {
+    const held = this.#heldModes.get(tile?.document?.id);
+    if (!held) return false;
+    this.#apply(tile, held.mode);
+    return true;
+  }
+
+  /**
+   * Releases a tile, applying its document's occlusion mode again.
+   * @param {Object} tile
+   * @returns {boolean} True if the tile had a held mode, else false.
+   */
+  restore(tile) {
+    const id = tile?.document?.id;
+    const held = this.#heldModes.get(id);
+    if (!held) return false;
+    this.#heldModes.delete(id);
+    if (tile.destroyed) return true;
+    const mode = tile.document.occlusion?.mode;
+    if (mode != null && held.mode !== mode) this.#apply(tile, mode);
+    return true;
+  }
+
+  /**
+   * Restores every tile touched since the last restore.
+   * @returns {number} Number of restored tiles.
+   */
+  restoreAll() {
+    let count = 0;
+    for (const { tile } of [...this.#heldModes.values()]) {
+      if (this.restore(tile)) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Writes a mode to the `occlusionMode` of a tile's mesh, when drawn, and requests a refresh
+   * of the occlusion states. Foundry v12 and v13 keep a single mode per tile, on the document
+   * (`occlusion.mode`) and on its mesh.
+   * @private
+   * @param {Object} tile
+   * @param {number} mode - A value of CONST.OCCLUSION_MODES.
+   */
+  #apply(tile, mode) {
+    const mesh = tile.mesh;
+    if (!mesh) return;
+    mesh.occlusionMode = mode;
+    globalThis.canvas?.perception?.update?.({ refreshOcclusion: true });
+  }
+}
+
+export default TileOcclusionSetter;
@@ -0,0 +1,179 @@
+/**
+ * @file tileOcclusionSetter.unit.test.mjs
+ * @description Unit tests for TileOcclusionSetter.
+ * @path src/handlers/occlusionHelpers/tileOcclusionSetter.unit.test.mjs
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import TileOcclusionSetter from './tileOcclusionSetter.mjs';
+
+// Shaped like a v12/v13 Tile: a single occlusion mode on the document and on its mesh
+const createTile = (id, mode) => {
+  const document = {
+    id,
+    occlusion: { mode, alpha: 0 },
+    _source: { occlusion: { mode, alpha: 0 } },
+    updateSource: vi.fn(),
+    toObject: vi.fn(() => structuredClone(document._source))
+  };
+  const mesh = { occlusionMode: mode, unoccludedAlpha: 1, occludedAlpha: 0, hoverFade: false };
+  return { document, mesh };
+};
+
+describe('TileOcclusionSetter', () => {
+  let setter;
+  let logger;
+  let hookId;
+
+  beforeEach(() => {
+    hookId = 0;
+    globalThis.CONST = { OCCLUSION_MODES: { NONE: 0, FADE: 1, RADIAL: 3, VISION: 4 } };
+    global.Hooks = { on: vi.fn(() => ++hookId), off: vi.fn() };
+    global.canvas = { perception: { update: vi.fn() } };
+    logger = { warn: vi.fn() };
+    setter = new TileOcclusionSetter({ constants: {} }, { logger }, {});
+  });
+
+  afterEach(() => {
+    delete globalThis.CONST;
+    delete globalThis.foundry;
+    delete global.Hooks;
+    delete global.canvas;
+  });
+
+  describe('resolveModeValue', () => {
+    it('should resolve mode keys through CONST.OCCLUSION_MODES', () => {
+      expect(setter.resolveModeValue('FADE')).toBe(1);
+      expect(setter.resolveModeValue('VISION')).toBe(4);
+    });
+
+    it('should prefer foundry.CONST when available', () => {
+      globalThis.foundry = { CONST: { OCCLUSION_MODES: { FADE: 11 } } };
+      expect(setter.resolveModeValue('FADE')).toBe(11);
+    });
+
+    it('should return undefined for unknown modes', () => {
+      expect(setter.resolveModeValue('ROOF')).toBeUndefined();
+    });
+  });
+
+  describe('activate / deactivate', () => {
+    it('should register and unregister the refreshTile hook once', () => {
+      expect(setter.activate()).toBe(true);
+      expect(setter.activate()).toBe(false);
+      expect(global.Hooks.on).toHaveBeenCalledTimes(1);
+      expect(global.Hooks.on).toHaveBeenCalledWith('refreshTile', expect.any(Function));
+      expect(setter.isActive).toBe(true);
+      expect(setter.deactivate()).toBe(true);
+      expect(setter.deactivate()).toBe(false);
+      expect(global.Hooks.off).toHaveBeenCalledWith('refreshTile', 1);
+      expect(setter.isActive).toBe(false);
+    });
+
+    it('should apply the held mode again when a tile is refreshed', () => {
+      const tile = createTile('t1', 4);
+      setter.activate();
+      setter.setMode(tile, 'FADE');
+      // Foundry refreshes the mesh from the document
+      tile.mesh.occlusionMode = 4;
+      global.Hooks.on.mock.calls[0][1](tile);
+      expect(tile.mesh.occlusionMode).toBe(1);
+    });
+  });
+
+  describe('getMode', () => {
+    it('should return the held mode, otherwise the document mode', () => {
+      const tile = createTile('t1', 4);
+      expect(setter.getMode(tile)).toBe(4);
+      setter.setMode(tile, 'FADE');
+      expect(setter.getMode(tile)).toBe(1);
+    });
+  });
+
+  describe('setMode', () => {
+    it('should switch the mesh occlusion without touching the document', () => {
+      const tile = createTile('t1', 4);
+      expect(setter.setMode(tile, 'FADE')).toBe(true);
+      expect(tile.mesh.occlusionMode).toBe(1);
+      expect(tile.document.updateSource).not.toHaveBeenCalled();
+      expect(tile.document.occlusion.mode).toBe(4);
+      expect(global.canvas.perception.update).toHaveBeenCalledWith({ refreshOcclusion: true });
+    });
+
+    it('should only write the occlusion mode of the mesh', () => {
+      const tile = createTile('t1', 4);
+      setter.setMode(tile, 'NONE');
+      expect(tile.mesh).toEqual({ occlusionMode: 0, unoccludedAlpha: 1, occludedAlpha: 0, hoverFade: false });
+      expect(tile.document.occlusion).toEqual({ mode: 4, alpha: 0 });
+    });
+
+    it('should not update the tile when already in the requested mode', () => {
+      const tile = createTile('t1', 1);
+      expect(setter.setMode(tile, 'FADE')).toBe(false);
+      expect(global.canvas.perception.update).not.toHaveBeenCalled();
+    });
+
+    it('should keep the document mode when a covered tile is saved from its config sheet', () => {
+      const tile = createTile('t1', 4);
+      setter.setMode(tile, 'FADE');
+      // The config sheet renders and submits the document source
+      expect(tile.document.toObject().occlusion.mode).toBe(4);
+    });
+
+    it('should warn and return false for unknown modes', () => {
+      const tile = createTile('t1', 4);
+      expect(setter.setMode(tile, 'ROOF')).toBe(false);
+      expect(logger.warn).toHaveBeenCalledWith('Unknown occlusion mode ROOF');
+    });
+
+    it('should return false for tiles without a document', () => {
+      expect(setter.setMode({}, 'FADE')).toBe(false);
+      expect(setter.setMode(null, 'FADE')).toBe(false);
+    });
+  });
+
+  describe('restore', () => {
+    it('should apply the document mode again', () => {
+      const tile = createTile('t1', 4);
+      setter.setMode(tile, 'FADE');
+      setter.setMode(tile, 'NONE');
+      expect(setter.restore(tile)).toBe(true);
+      expect(setter.getMode(tile)).toBe(4);
+      expect(tile.mesh.occlusionMode).toBe(4);
+    });
+
+    it('should apply a mode saved while the tile was covered', () => {
+      const tile = createTile('t1', 4);
+      setter.setMode(tile, 'FADE');
+      tile.document.occlusion.mode = 3;
+      tile.document._source.occlusion.mode = 3;
+      setter.restore(tile);
+      expect(tile.mesh.occlusionMode).toBe(3);
+    });
+
+    it('should return false for tiles that were never changed', () => {
+      expect(setter.restore(createTile('t1', 4))).toBe(false);
+    });
+
+    it('should skip destroyed tiles', () => {
+      const tile = createTile('t1', 4);
+      setter.setMode(tile, 'FADE');
+      tile.destroyed = true;
+      expect(setter.restore(tile)).toBe(true);
+      expect(tile.mesh.occlusionMode).toBe(1);
+    });
+  });
+
+  describe('restoreAll', () => {
+    it('should restore every touched tile', () => {
+      const tileA = createTile('a', 4);
+      const tileB = createTile('b', 4);
+      setter.setMode(tileA, 'FADE');
+      setter.setMode(tileB, 'FADE');
+      expect(setter.restoreAll()).toBe(2);
+      expect(tileA.mesh.occlusionMode).toBe(4);
+      expect(tileB.mesh.occlusionMode).toBe(4);
+      expect(setter.restoreAll()).toBe(0);
+    });
+  });
+});
@@ -8,6 +8,11 @@ import Handler from "../baseClasses/handler.mjs";
 import PlaceableGetter from "./placeableHelpers/placeableGetter.mjs";
 import PlaceableChecker from "./placeableHelpers/placeableChecker.mjs";
 import PlaceableSetter from "./placeableHelpers/placeableSetter.mjs";
+import SpatialIndex from "./placeableHelpers/spatialIndex.mjs";
+import PlaceableGroups from "./placeableHelpers/placeableGroups.mjs";
+import GeometryCache from "./placeableHelpers/geometryCache.mjs";
+import PlaceableRegistry from "./placeableHelpers/placeableRegistry.mjs";
+import { PLACEABLE_REGISTRY } from "./placeableHelpers/config.mjs";
 
  /**
   * Handles operations related to placeable entities.
@@ -20,11 +25,15 @@ class PlaceableHandler extends Handler {
      *
      * @constructor
      * @extends Handler
-     * @property {string} placeableType - Type of placeable entity.
+     * @property {string} placeableType - Type of placeable entity (canvas layer), `placeables.registry.defaultType` by default.
      * @property {PlaceableGetter} getter - Instance of PlaceableGetter for retrieving placeables.
      * @property {PlaceableSetter} setter - Instance of PlaceableSetter for setting placeables.
      * @property {PlaceableChecker} checker - Instance of PlaceableChecker for checking placeables.
-     * @property {Array} all - List of all placeable entities.
+     * @property {SpatialIndex} index - Spatial index of the tiles, used for positional queries.
+     * @property {PlaceableGroups} groups - Instance of PlaceableGroups for managing occlusion groups.
+     * @property {GeometryCache} cache - Geometry cache of the batch evaluations.
+     * @property {PlaceableRegistry} registry - Live registry of the placeables of each tracked layer.
+     * @property {Array} all - List of all placeable entities of `placeableType`, kept up to date while the registry is active.
      * @property {Object} current - The currently selected placeable entity.
      *
      * Inherits properties from Handler:
@@ -40,12 +49,19 @@ class PlaceableHandler extends Handler {
     */
     constructor(config, context, utils) {
         super(config, utils, context);
-        this.placeableType = null;
+        this.placeableType = PLACEABLE_REGISTRY.DEFAULT_TYPE;
         this.getter = new PlaceableGetter(config, context, utils);
         this.setter = new PlaceableSetter(config, context, utils);
         this.checker = new PlaceableChecker(config, context, utils, this.getter);
+        this.index = new SpatialIndex(config, context, utils, this.getter);
+        this.groups = new PlaceableGroups(config, context, utils, this.getter);
+        this.cache = new GeometryCache(config, context, utils, this.getter);
+        this.registry = new PlaceableRegistry(config, context, utils, this.getter);
         this.all = [];
         this.current = null;
+        this.registry.on((diff) => {
+            if (diff.type === this.placeableType) this.getAll(diff.type, true, false);
+        });
     }
 
     // WRAPPER FUNCTIONS
@@ -70,14 +86,17 @@ class PlaceableHandler extends Handler {
     }
 
     /**
-     * Retrieves all placeable entities.
+     * Retrieves all placeable entities. While the registry is active (see `activateRegistry`), tracked
+     * layers are read from it instead of the canvas.
      * @param {string} [placeableType=this.placeableType] - Type of placeables to retrieve.
      * @param {boolean} [updateProperty=true] - Whether to update the internal list.
      * @param {boolean} [returnValue=true] - Whether to return the list.
      * @returns {Array|undefined} List of placeables if returnValue is true.
      */
     getAll(placeableType = this.placeableType, updateProperty = true, returnValue = true) {
-        let all = this.getter.getAllPlaceables(placeableType, false, true);
+        let all = this.registry.isActive && this.registry.tracks(placeableType)
+            ? this.registry.get(placeableType)
+            : this.getter.getAllPlaceables(placeableType, false, true);
         if (updateProperty) {
             this.all = all;
         }
@@ -86,6 +105,15 @@ class PlaceableHandler extends Handler {
         }
     }
 
+    /**
+     * Retrieves the selected (controlled) placeables among the given ones.
+     * @param {Array} placeables - The placeables to filter.
+     * @returns {Array} List of selected placeables.
+     */
+    getSelected(placeables) {
+        return this.getter.getSelectedPlaceables(placeables);
+    }
+
     /**
      * Retrieves the corner of a placeable entity.
      * @param {string} corner - The corner to retrieve.
@@ -114,6 +142,15 @@ class PlaceableHandler extends Handler {
         return this.getter.getElevation(placeable);
     }
 
+    /**
+     * Retrieves the vertical span of a placeable entity (token height or tile floor/roof band).
+     * @param {Object} placeable - The placeable entity.
+     * @returns {{bottom: number, top: number}} The elevation range of the placeable.
+     */
+    getElevationRange(placeable) {
+        return this.getter.getElevationRange(placeable);
+    }
+
     /**
      * Retrieves the rectangular bounds of a placeable entity.
      * @param {Object} placeable - The placeable entity.
@@ -123,6 +160,71 @@ class PlaceableHandler extends Handler {
         return this.getter.getRectBounds(placeable);
     }
 
+    /**
+     * Checks if a placeable entity is a token being animated along its movement path.
+     * @param {Object} placeable - The placeable entity.
+     * @returns {boolean} True if the token is in motion, false otherwise.
+     */
+    isMoving(placeable) {
+        return this.getter.isMoving(placeable);
+    }
+
+    /**
+     * Retrieves the polygon outline of a placeable entity (traced outline flag or rectangle corners).
+     * @param {Object} placeable - The placeable entity.
+     * @returns {Array<{x: number, y: number}>|null} The polygon points.
+     */
+    getPolygon(placeable) {
+        return this.getter.getPolygon(placeable);
+    }
+
+    /**
+     * Retrieves the shapes of a placeable entity for the region position use (region shapes, holes included).
+     * @param {Object} placeable - The placeable entity.
+     * @returns {Object|null} The shapes (`{ shapes: [{ points, hole }] }`), or null without outline.
+     */
+    getRegionShape(placeable) {
+        return this.getter.getRegionShape(placeable);
+    }
+
+    /**
+     * Retrieves the alpha area of a placeable entity, used for alpha-mask hit testing.
+     * @param {Object} placeable - The placeable entity.
+     * @returns {Object} The alpha area (document rectangle, rotation, scale, threshold and mask).
+     */
+    getAlphaArea(placeable) {
+        return this.getter.getAlphaArea(placeable);
+    }
+
+    /**
+     * Retrieves the grid footprint of a placeable entity: the squares or hexes it occupies.
+     * @param {Object} placeable - The placeable entity.
+     * @returns {Object|null} The footprint (`{ layout, cells }`), or null without valid bounds.
+     */
+    getFootprint(placeable) {
+        return this.getter.getFootprint(placeable);
+    }
+
+    /**
+     * Retrieves the sample points of a placeable entity for a sampled position use.
+     * @param {Object} placeable - The placeable entity.
+     * @param {string} use - 'corners', 'corners+center' or 'samples'.
+     * @returns {Object|null} The sample set (`{ use, points }`), or null without valid bounds.
+     */
+    getSamplePoints(placeable, use) {
+        return this.getter.getSamplePoints(placeable, use);
+    }
+
+    /**
+     * Retrieves a module flag of a placeable entity's document.
+     * @param {Object} placeable - The placeable entity.
+     * @param {string} key - The flag key.
+     * @returns {*} The flag value, or undefined when not set.
+     */
+    getFlag(placeable, key) {
+        return this.getter.getFlag(placeable, key);
+    }
+
     /**
      * Retrieves the position of a placeable entity.
      * @param {Object} placeable - The placeable entity.
@@ -134,6 +236,167 @@ class PlaceableHandler extends Handler {
         return this.getter.getPosition(placeable, placeableManager, use);
     }
 
+    // Spatial queries
+    /**
+     * Starts maintaining the spatial index from the canvas and document hooks.
+     * @returns {boolean} True if the index was activated, false if it was already active.
+     */
+    activateIndex() {
+        return this.index.activate();
+    }
+
+    /**
+     * Stops maintaining the spatial index and empties it.
+     * @returns {boolean} True if the index was deactivated, false if it was not active.
+     */
+    deactivateIndex() {
+        return this.index.deactivate();
+    }
+
+    /**
+     * Checks if the spatial index is maintained, so that its queries reflect the canvas.
+     * @returns {boolean} True if the index is active, false otherwise.
+     */
+    isIndexActive() {
+        return this.index.isActive;
+    }
+
+    /**
+     * Retrieves the indexed placeables (tiles by default) whose bounds contain a point.
+     * @param {{x: number, y: number}} point - The point in canvas coordinates.
+     * @returns {Array} The placeables whose bounds strictly contain the point.
+     */
+    getPlaceablesAtPoint(point) {
+        return this.index.queryPoint(point);
+    }
+
+    /**
+     * Retrieves the indexed placeables (tiles by default) whose bounds overlap a rectangle.
+     * @param {Object} rect - `{ x, y, width, height }` or the rectangular bounds of a placeable.
+     * @returns {Array} The placeables whose bounds strictly overlap the rectangle.
+     */
+    getPlaceablesInRect(rect) {
+        return this.index.queryRect(rect);
+    }
+
+    // Geometry cache
+    /**
+     * Starts keeping the geometry of batch evaluations until the placeables' documents change.
+     * @returns {boolean} True if the cache was activated, false if it was already active.
+     */
+    activateCache() {
+        return this.cache.activate();
+    }
+
+    /**
+     * Stops keeping the geometry of batch evaluations and empties the cache.
+     * @returns {boolean} True if the cache was deactivated, false if it was not active.
+     */
+    deactivateCache() {
+        return this.cache.deactivate();
+    }
+
+    /**
+     * Checks if the geometry cache follows the document hooks, so that it lasts across passes.
+     * @returns {boolean} True if the cache is active, false otherwise.
+     */
+    isCacheActive() {
+        return this.cache.isActive;
+    }
+
+    // Placeable registry
+    /**
+     * Starts keeping the placeables of the tracked layers (`placeables.registry.types`) in sync from the
+     * document hooks, publishing them to the Context state component.
+     * @returns {boolean} True if the registry was activated, false if it was already active.
+     */
+    activateRegistry() {
+        return this.registry.activate();
+    }
+
+    /**
+     * Stops keeping the placeables in sync and empties the registry.
+     * @returns {boolean} True if the registry was deactivated, false if it was not active.
+     */
+    deactivateRegistry() {
+        return this.registry.deactivate();
+    }
+
+    /**
+     * Checks if the registry is kept in sync, so that `getAll` reads the tracked layers from it.
+     * @returns {boolean} True if the registry is active, false otherwise.
+     */
+    isRegistryActive() {
+        return this.registry.isActive;
+    }
+
+    /**
+     * Registers a listener of the registry changes.
+     * @param {Function} listener - Called with the diff summary (`{type, reason, added, updated, removed, changes, size}`)
+     * and the registry after each change.
+     * @returns {Function} A function unregistering the listener.
+     */
+    onRegistryChange(listener) {
+        return this.registry.on(listener);
+    }
+
+    // Occlusion groups
+    /**
+     * Retrieves the occlusion group of a placeable entity.
+     * @param {Object} placeable - The placeable entity.
+     * @returns {string|null} The group id, or null for ungrouped placeables.
+     */
+    getGroupId(placeable) {
+        return this.groups.getGroupId(placeable);
+    }
+
+    /**
+     * Groups placeable entities by occlusion group.
+     * @param {Array} [placeables] - The placeables to group. Defaults to the tiles of the canvas.
+     * @returns {Map<string, Array>} The members of each group, by group id.
+     */
+    getGroups(placeables) {
+        return this.groups.group(placeables);
+    }
+
+    /**
+     * Retrieves the members of an occlusion group.
+     * @param {string} groupId - The group id.
+     * @param {Array} [placeables] - The placeables to search. Defaults to the tiles of the canvas.
+     * @returns {Array} The members of the group.
+     */
+    getGroupMembers(groupId, placeables) {
+        return this.groups.getMembers(groupId, placeables);
+    }
+
+    /**
+     * Lists the occlusion groups in use.
+     * @param {Array} [placeables] - The placeables to search. Defaults to the tiles of the canvas.
+     * @returns {string[]} The sorted group ids.
+     */
+    getGroupIds(placeables) {
+        return this.groups.getGroupIds(placeables);
+    }
+
+    /**
+     * Assigns a placeable entity to an occlusion group, or removes it from its group when the id is empty.
+     * @param {Object} placeable - The placeable entity or its document.
+     * @param {string|null} groupId - The group id.
+     * @returns {Promise<boolean>} True if the flag was written.
+     */
+    setGroup(placeable, groupId) {
+        return this.groups.setGroup(placeable, groupId);
+    }
+
+    /**
+     * Removes a placeable entity from its occlusion group.
+     * @param {Object} placeable - The placeable entity or its document.
+     * @returns {Promise<boolean>} True if the flag was removed.
+     */
+    clearGroup(placeable) {
+        return this.groups.clearGroup(placeable);
+    }
+
     // Checkers
     /**
      * Checks if a placeable entity is selected.
@@ -144,6 +407,15 @@ class PlaceableHandler extends Handler {
         return this.checker.isSelected(placeable);
     }
 
+    /**
+     * Checks if a placeable entity is on the overhead (roof) level.
+     * @param {Object} placeable - The placeable entity.
+     * @returns {boolean} True if the placeable is overhead, false otherwise.
+     */
+    isOverhead(placeable) {
+        return this.checker.isOverhead(placeable);
+    }
+
     /**
      * Checks if a target placeable is under a reference placeable.
      * @param {Object} target - The target placeable.
@@ -153,10 +425,13 @@ class PlaceableHandler extends Handler {
      * @param {string} [targetUse='center'] - The use case for the target position.
      * @param {string} [referenceUse='rectangle'] - The use case for the reference position.
      * @param {string} [checkType='under'] - The type of check to perform.
+     * @param {Object} [options={}] - Check options, e.g. a hysteresis `margin`, a `coverage` threshold or, for sampled
+     * target uses ('corners', 'corners+center', 'samples'), the `sampling` mode: 'any', 'all' or 'majority'
+     * (see `PositionChecker.check`).
      * @returns {boolean} True if the target is under the reference, false otherwise.
      */
-    isUnder(target, reference, targetManager, referenceManager, targetUse = 'center', referenceUse = 'rectangle', checkType = 'under') {
-        return this.checker.isUnder(target, reference, targetManager, referenceManager, targetUse, referenceUse, checkType);
+    isUnder(target, reference, targetManager, referenceManager, targetUse = 'center', referenceUse = 'rectangle', checkType = 'under', options = {}) {
+        return this.checker.isUnder(target, reference, targetManager, referenceManager, targetUse, referenceUse, checkType, options);
     }
 
     /**
@@ -168,10 +443,46 @@ class PlaceableHandler extends Handler {
      * @param {string} [targetUse='center'] - The use case for the target position.
      * @param {string} [referenceUse='rectangle'] - The use case for the reference position.
      * @param {string} [checkType='above'] - The type of check to perform.
+     * @param {Object} [options={}] - Check options, e.g. a hysteresis `margin` or a `coverage` threshold (see `PositionChecker.check`).
      * @returns {boolean} True if the target is over the reference, false otherwise.
      */
-    isOver(target, reference, targetManager, referenceManager, targetUse = 'center', referenceUse = 'rectangle', checkType = 'above') {
-        return this.checker.isOver(target, reference, targetManager, referenceManager, targetUse, referenceUse, checkType);
+    isOver(target, reference, targetManager, referenceManager, targetUse = 'center', referenceUse = 'rectangle', checkType = 'above', options = {}) {
+        return this.checker.isOver(target, reference, targetManager, referenceManager, targetUse, referenceUse, checkType, options);
+    }
+
+    /**
+     * Checks if a target placeable is within a distance of a reference placeable's bounds,
+     * measured with the scene grid rules (see `PositionChecker.isNear`).
+     * @param {Object} target - The target placeable.
+     * @param {Object} reference - The reference placeable.
+     * @param {Object} targetManager - The manager of the target placeable.
+     * @param {Object} referenceManager - The manager of the reference placeable.
+     * @param {string} [targetUse='center'] - The use case for the target position.
+     * @param {string} [referenceUse='rectangle'] - The use case for the reference position.
+     * @param {Object} [options={}] - The `distance` (default `positionChecker.proximity.distance`), its `units`
+     * ('grid' or 'pixels') and the `grid` measuring it (default `canvas.grid`). Sampled target uses are near
+     * when any of their points is.
+     * @returns {boolean} True if the target is near the reference, false otherwise.
+     */
+    isNear(target, reference, targetManager, referenceManager, targetUse = 'center', referenceUse = 'rectangle', options = {}) {
+        return this.checker.isNear(target, reference, targetManager, referenceManager, targetUse, referenceUse, options);
+    }
+
+    /**
+     * Checks every target placeable against every reference placeable, reading the geometry of each
+     * placeable once. While the geometry cache is active (see `activateCache`), the geometry is also
+     * kept across calls until the placeable's document changes.
+     * @param {Array} targets - The target placeables (rows of the matrix).
+     * @param {Array} references - The reference placeables (columns of the matrix).
+     * @param {Object} [options={}] - The `targetUse`, the `referenceUse` (or `(reference) => use`), the `checkType`
+     * and the `checkOptions` (or `(target, reference) => options`), see `PlaceableChecker.evaluateAll`.
+     * @returns {Array<Array<boolean>>} `matrix[i][j]`: the result for `targets[i]` and `references[j]`.
+     * @example
+     * const matrix = placeables.evaluateAll(tokens, roofs, { targetUse: 'footprint', referenceUse: 'polygon' });
+     * const coveredRoofs = roofs.filter((roof, j) => matrix.some((row) => row[j]));
+     */
+    evaluateAll(targets, references, options = {}) {
+        return this.checker.evaluateAll(targets, references, options, this.cache);
     }
 }
 
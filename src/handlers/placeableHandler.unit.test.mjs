@@ -22,6 +22,28 @@ vi.mock('./placeableHelpers/placeableSetter.mjs', () => {
   return { default: MockPlaceableSetter };
 });
 
+vi.mock('./placeableHelpers/spatialIndex.mjs', () => {
+  const MockSpatialIndex = vi.fn().mockImplementation(function() {});
+  return { default: MockSpatialIndex };
+});
+
+vi.mock('./placeableHelpers/placeableGroups.mjs', () => {
+  const MockPlaceableGroups = vi.fn().mockImplementation(function() {});
+  return { default: MockPlaceableGroups };
+});
+
+vi.mock('./placeableHelpers/geometryCache.mjs', () => {
+  const MockGeometryCache = vi.fn().mockImplementation(function() {});
+  return { default: MockGeometryCache };
+});
+
+vi.mock('./placeableHelpers/placeableRegistry.mjs', () => {
+  const MockPlaceableRegistry = vi.fn().mockImplementation(function() {
+    this.on = vi.fn();
+  });
+  return { default: MockPlaceableRegistry };
+});
+
 vi.mock('../baseClasses/handler.mjs', () => ({
     default: class MockHandler {
         constructor(config, utils, context) {
@@ -44,6 +66,10 @@ import PlaceableHandler from './placeableHandler.mjs';
 import PlaceableGetter from './placeableHelpers/placeableGetter.mjs';
 import PlaceableChecker from './placeableHelpers/placeableChecker.mjs';
 import PlaceableSetter from './placeableHelpers/placeableSetter.mjs';
+import SpatialIndex from './placeableHelpers/spatialIndex.mjs';
+import PlaceableGroups from './placeableHelpers/placeableGroups.mjs';
+import GeometryCache from './placeableHelpers/geometryCache.mjs';
+import PlaceableRegistry from './placeableHelpers/placeableRegistry.mjs';
 import Handler from '../baseClasses/handler.mjs';
 
 describe('PlaceableHandler', () => {
@@ -54,6 +80,10 @@ describe('PlaceableHandler', () => {
     let mockGetter;
     let mockSetter;
     let mockChecker;
+    let mockIndex;
+    let mockGroups;
+    let mockCache;
+    let mockRegistry;
 
     beforeEach(() => {
         // Reset mocks
@@ -69,8 +99,17 @@ describe('PlaceableHandler', () => {
             getCorner: vi.fn(),
             getCenter: vi.fn(),
             getElevation: vi.fn(),
+            getElevationRange: vi.fn(),
             getRectBounds: vi.fn(),
-            getPosition: vi.fn()
+            getPolygon: vi.fn(),
+            getAlphaArea: vi.fn(),
+            getFootprint: vi.fn(),
+            getRegionShape: vi.fn(),
+            getSamplePoints: vi.fn(),
+            getFlag: vi.fn(),
+            getPosition: vi.fn(),
+            isMoving: vi.fn(),
+            getSelectedPlaceables: vi.fn()
         };
 
         mockSetter = {
@@ -79,8 +118,43 @@ describe('PlaceableHandler', () => {
 
         mockChecker = {
             isSelected: vi.fn(),
+            isOverhead: vi.fn(),
             isUnder: vi.fn(),
-            isOver: vi.fn()
+            isOver: vi.fn(),
+            isNear: vi.fn(),
+            evaluateAll: vi.fn()
+        };
+
+        mockIndex = {
+            isActive: false,
+            activate: vi.fn().mockReturnValue(true),
+            deactivate: vi.fn().mockReturnValue(true),
+            queryPoint: vi.fn(),
+            queryRect: vi.fn()
+        };
+
+        mockCache = {
+            isActive: false,
+            activate: vi.fn().mockReturnValue(true),
+            deactivate: vi.fn().mockReturnValue(true)
+        };
+
+        mockRegistry = {
+            isActive: false,
+            activate: vi.fn().mockReturnValue(true),
+            deactivate: vi.fn().mockReturnValue(true),
+            tracks: vi.fn().mockReturnValue(true),
+            get: vi.fn().mockReturnValue([]),
+            on: vi.fn()
+        };
+
+        mockGroups = {
+            getGroupId: vi.fn(),
+            group: vi.fn(),
+            getMembers: vi.fn(),
+            getGroupIds: vi.fn(),
+            setGroup: vi.fn().mockResolvedValue(true),
+            clearGroup: vi.fn().mockResolvedValue(true)
         };
 
         // Factory mocks defined above replace the need for
@@ -90,6 +164,10 @@ describe('PlaceableHandler', () => {
         placeableHandler.getter = mockGetter;
         placeableHandler.setter = mockSetter;
         placeableHandler.checker = mockChecker;
+        placeableHandler.index = mockIndex;
+        placeableHandler.groups = mockGroups;
+        placeableHandler.cache = mockCache;
+        placeableHandler.registry = mockRegistry;
     });
 
     describe('constructor', () => {
@@ -101,7 +179,11 @@ describe('PlaceableHandler', () => {
             expect(PlaceableGetter).toHaveBeenCalledWith(mockConfig, mockContext, mockUtils);
             expect(PlaceableSetter).toHaveBeenCalledWith(mockConfig, mockContext, mockUtils);
             expect(PlaceableChecker).toHaveBeenCalledWith(mockConfig, mockContext, mockUtils, expect.any(Object));
-            expect(placeableHandler.placeableType).toBeNull();
+            expect(SpatialIndex).toHaveBeenCalledWith(mockConfig, mockContext, mockUtils, expect.any(Object));
+            expect(PlaceableGroups).toHaveBeenCalledWith(mockConfig, mockContext, mockUtils, expect.any(Object));
+            expect(GeometryCache).toHaveBeenCalledWith(mockConfig, mockContext, mockUtils, expect.any(Object));
+            expect(PlaceableRegistry).toHaveBeenCalledWith(mockConfig, mockContext, mockUtils, expect.any(Object));
+            expect(placeableHandler.placeableType).toBe('tokens');
             expect(placeableHandler.all).toEqual([]);
             expect(placeableHandler.current).toBeNull();
         });
@@ -165,6 +247,33 @@ describe('PlaceableHandler', () => {
             expect(placeableHandler.all).toEqual(mockPlaceables);
             expect(result).toBeUndefined();
         });
+
+        it('should read tracked layers from the active registry', () => {
+            const tokens = [{ id: 'hero' }];
+            mockRegistry.isActive = true;
+            mockRegistry.get.mockReturnValue(tokens);
+
+            expect(placeableHandler.getAll('tokens', false)).toBe(tokens);
+            expect(mockRegistry.tracks).toHaveBeenCalledWith('tokens');
+            expect(mockGetter.getAllPlaceables).not.toHaveBeenCalled();
+
+            mockRegistry.tracks.mockReturnValue(false);
+            placeableHandler.getAll('walls', false);
+            expect(mockGetter.getAllPlaceables).toHaveBeenCalledWith('walls', false, true);
+        });
+    });
+
+    describe('getSelected', () => {
+        it('should call getter.getSelectedPlaceables with the provided placeables', () => {
+            const selected = [{ id: 'a', controlled: true }];
+            const placeables = [...selected, { id: 'b', controlled: false }];
+            mockGetter.getSelectedPlaceables.mockReturnValue(selected);
+
+            const result = placeableHandler.getSelected(placeables);
+
+            expect(mockGetter.getSelectedPlaceables).toHaveBeenCalledWith(placeables);
+            expect(result).toBe(selected);
+        });
     });
 
     describe('getCorner', () => {
@@ -218,6 +327,209 @@ describe('PlaceableHandler', () => {
         });
     });
 
+    describe('isMoving', () => {
+        it('should call getter.isMoving with the provided placeable', () => {
+            const mockPlaceable = { id: 'test-placeable' };
+            mockGetter.isMoving.mockReturnValue(true);
+
+            expect(placeableHandler.isMoving(mockPlaceable)).toBe(true);
+            expect(mockGetter.isMoving).toHaveBeenCalledWith(mockPlaceable);
+        });
+    });
+
+    describe('getPolygon', () => {
+        it('should call getter.getPolygon with the provided placeable', () => {
+            const mockPlaceable = { id: 'test-placeable' };
+            const mockPolygon = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 10 }];
+            mockGetter.getPolygon.mockReturnValue(mockPolygon);
+
+            expect(placeableHandler.getPolygon(mockPlaceable)).toBe(mockPolygon);
+            expect(mockGetter.getPolygon).toHaveBeenCalledWith(mockPlaceable);
+        });
+    });
+
+    describe('getElevationRange', () => {
+        it('should call getter.getElevationRange with the provided placeable', () => {
+            const mockPlaceable = { id: 'test-placeable' };
+            mockGetter.getElevationRange.mockReturnValue({ bottom: 0, top: 10 });
+
+            expect(placeableHandler.getElevationRange(mockPlaceable)).toEqual({ bottom: 0, top: 10 });
+            expect(mockGetter.getElevationRange).toHaveBeenCalledWith(mockPlaceable);
+        });
+    });
+
+    describe('getAlphaArea', () => {
+        it('should call getter.getAlphaArea with the provided placeable', () => {
+            const mockPlaceable = { id: 'test-placeable' };
+            const mockArea = { x: 0, y: 0, width: 100, height: 100, mask: null };
+            mockGetter.getAlphaArea.mockReturnValue(mockArea);
+
+            expect(placeableHandler.getAlphaArea(mockPlaceable)).toBe(mockArea);
+            expect(mockGetter.getAlphaArea).toHaveBeenCalledWith(mockPlaceable);
+        });
+    });
+
+    describe('getFootprint', () => {
+        it('should call getter.getFootprint with the provided placeable', () => {
+            const mockPlaceable = { id: 'test-placeable' };
+            const mockFootprint = { layout: 'hexRows', cells: [] };
+            mockGetter.getFootprint.mockReturnValue(mockFootprint);
+
+            expect(placeableHandler.getFootprint(mockPlaceable)).toBe(mockFootprint);
+            expect(mockGetter.getFootprint).toHaveBeenCalledWith(mockPlaceable);
+        });
+    });
+
+    describe('getRegionShape', () => {
+        it('should call getter.getRegionShape with the provided placeable', () => {
+            const mockPlaceable = { id: 'test-placeable' };
+            const mockShape = { shapes: [] };
+            mockGetter.getRegionShape.mockReturnValue(mockShape);
+
+            expect(placeableHandler.getRegionShape(mockPlaceable)).toBe(mockShape);
+            expect(mockGetter.getRegionShape).toHaveBeenCalledWith(mockPlaceable);
+        });
+    });
+
+    describe('getSamplePoints', () => {
+        it('should call getter.getSamplePoints with the provided placeable and use', () => {
+            const mockPlaceable = { id: 'test-placeable' };
+            const mockSamples = { use: 'corners', points: [] };
+            mockGetter.getSamplePoints.mockReturnValue(mockSamples);
+
+            expect(placeableHandler.getSamplePoints(mockPlaceable, 'corners')).toBe(mockSamples);
+            expect(mockGetter.getSamplePoints).toHaveBeenCalledWith(mockPlaceable, 'corners');
+        });
+    });
+
+    describe('geometry cache', () => {
+        it('should activate and deactivate the cache', () => {
+            expect(placeableHandler.activateCache()).toBe(true);
+            expect(mockCache.activate).toHaveBeenCalled();
+            expect(placeableHandler.isCacheActive()).toBe(false);
+            expect(placeableHandler.deactivateCache()).toBe(true);
+            expect(mockCache.deactivate).toHaveBeenCalled();
+        });
+    });
+
+    describe('placeable registry', () => {
+        it('should activate and deactivate the registry', () => {
+            expect(placeableHandler.activateRegistry()).toBe(true);
+            expect(mockRegistry.activate).toHaveBeenCalled();
+            expect(placeableHandler.isRegistryActive()).toBe(false);
+            expect(placeableHandler.deactivateRegistry()).toBe(true);
+            expect(mockRegistry.deactivate).toHaveBeenCalled();
+        });
+
+        it('should register registry listeners', () => {
+            const listener = vi.fn();
+            placeableHandler.onRegistryChange(listener);
+            expect(mockRegistry.on).toHaveBeenCalledWith(listener);
+        });
+
+        it('should refresh the list of its placeable type when the registry changes', () => {
+            const [[onChange]] = PlaceableRegistry.mock.results[0].value.on.mock.calls;
+            const tokens = [{ id: 'hero' }];
+            mockRegistry.isActive = true;
+            mockRegistry.get.mockReturnValue(tokens);
+
+            onChange({ type: 'tiles' });
+            expect(placeableHandler.all).toEqual([]);
+            onChange({ type: 'tokens' });
+            expect(placeableHandler.all).toBe(tokens);
+        });
+    });
+
+    describe('evaluateAll', () => {
+        it('should call checker.evaluateAll with the geometry cache', () => {
+            const targets = [{ id: 'token' }];
+            const references = [{ id: 'roof' }, { id: 'porch' }];
+            const options = { targetUse: 'footprint' };
+            mockChecker.evaluateAll.mockReturnValue([[true, false]]);
+
+            expect(placeableHandler.evaluateAll(targets, references, options)).toEqual([[true, false]]);
+            expect(mockChecker.evaluateAll).toHaveBeenCalledWith(targets, references, options, mockCache);
+        });
+
+        it('should default to empty options', () => {
+            placeableHandler.evaluateAll([], []);
+            expect(mockChecker.evaluateAll).toHaveBeenCalledWith([], [], {}, mockCache);
+        });
+    });
+
+    describe('spatial index', () => {
+        it('should activate and deactivate the index', () => {
+            expect(placeableHandler.activateIndex()).toBe(true);
+            expect(mockIndex.activate).toHaveBeenCalled();
+            expect(placeableHandler.deactivateIndex()).toBe(true);
+            expect(mockIndex.deactivate).toHaveBeenCalled();
+        });
+
+        it('should report whether the index is active', () => {
+            expect(placeableHandler.isIndexActive()).toBe(false);
+            mockIndex.isActive = true;
+            expect(placeableHandler.isIndexActive()).toBe(true);
+        });
+
+        it('should query the placeables at a point', () => {
+            const tiles = [{ id: 'roof' }];
+            mockIndex.queryPoint.mockReturnValue(tiles);
+
+            expect(placeableHandler.getPlaceablesAtPoint({ x: 1, y: 2 })).toBe(tiles);
+            expect(mockIndex.queryPoint).toHaveBeenCalledWith({ x: 1, y: 2 });
+        });
+
+        it('should query the placeables overlapping a rectangle', () => {
+            const tiles = [{ id: 'roof' }];
+            const rect = { x: 0, y: 0, width: 10, height: 10 };
+            mockIndex.queryRect.mockReturnValue(tiles);
+
+            expect(placeableHandler.getPlaceablesInRect(rect)).toBe(tiles);
+            expect(mockIndex.queryRect).toHaveBeenCalledWith(rect);
+        });
+    });
+
+    describe('occlusion groups', () => {
+        const tile = { id: 'roof' };
+
+        it('should read the group of a placeable', () => {
+            mockGroups.getGroupId.mockReturnValue('manor');
+
+            expect(placeableHandler.getGroupId(tile)).toBe('manor');
+            expect(mockGroups.getGroupId).toHaveBeenCalledWith(tile);
+        });
+
+        it('should group placeables and list the groups', () => {
+            const groups = new Map([['manor', [tile]]]);
+            mockGroups.group.mockReturnValue(groups);
+            mockGroups.getMembers.mockReturnValue([tile]);
+            mockGroups.getGroupIds.mockReturnValue(['manor']);
+
+            expect(placeableHandler.getGroups([tile])).toBe(groups);
+            expect(mockGroups.group).toHaveBeenCalledWith([tile]);
+            expect(placeableHandler.getGroupMembers('manor', [tile])).toEqual([tile]);
+            expect(mockGroups.getMembers).toHaveBeenCalledWith('manor', [tile]);
+            expect(placeableHandler.getGroupIds()).toEqual(['manor']);
+        });
+
+        it('should assign and clear groups', async () => {
+            await expect(placeableHandler.setGroup(tile, 'manor')).resolves.toBe(true);
+            expect(mockGroups.setGroup).toHaveBeenCalledWith(tile, 'manor');
+            await expect(placeableHandler.clearGroup(tile)).resolves.toBe(true);
+            expect(mockGroups.clearGroup).toHaveBeenCalledWith(tile);
+        });
+    });
+
+    describe('getFlag', () => {
+        it('should call getter.getFlag with the provided placeable and key', () => {
+            const mockPlaceable = { id: 'test-placeable' };
+            mockGetter.getFlag.mockReturnValue('polygon');
+
+            expect(placeableHandler.getFlag(mockPlaceable, 'referenceUse')).toBe('polygon');
+            expect(mockGetter.getFlag).toHaveBeenCalledWith(mockPlaceable, 'referenceUse');
+        });
+    });
+
     describe('getPosition', () => {
         it('should call getter.getPosition with the provided parameters', () => {
             const mockPlaceable = { id: 'test-placeable' };
@@ -253,6 +565,18 @@ describe('PlaceableHandler', () => {
         });
     });
 
+    describe('isOverhead', () => {
+        it('should call checker.isOverhead with the provided placeable', () => {
+            const mockPlaceable = { id: 'test-placeable' };
+            mockChecker.isOverhead.mockReturnValue(true);
+
+            const result = placeableHandler.isOverhead(mockPlaceable);
+
+            expect(mockChecker.isOverhead).toHaveBeenCalledWith(mockPlaceable);
+            expect(result).toBe(true);
+        });
+    });
+
     describe('isUnder', () => {
         it('should call checker.isUnder with the provided parameters', () => {
             const mockTarget = { id: 'target' };
@@ -263,12 +587,12 @@ describe('PlaceableHandler', () => {
 
             const result = placeableHandler.isUnder(
                 mockTarget, mockReference, mockTargetManager, mockReferenceManager,
-                'customTarget', 'customReference', 'customCheck'
+                'customTarget', 'customReference', 'customCheck', { margin: 12 }
             );
 
             expect(mockChecker.isUnder).toHaveBeenCalledWith(
                 mockTarget, mockReference, mockTargetManager, mockReferenceManager,
-                'customTarget', 'customReference', 'customCheck'
+                'customTarget', 'customReference', 'customCheck', { margin: 12 }
             );
             expect(result).toBe(true);
         });
@@ -283,7 +607,18 @@ describe('PlaceableHandler', () => {
 
             expect(mockChecker.isUnder).toHaveBeenCalledWith(
                 mockTarget, mockReference, mockTargetManager, mockReferenceManager,
-                'center', 'rectangle', 'under'
+                'center', 'rectangle', 'under', {}
+            );
+        });
+        it('should pass the sampling mode of sampled target uses', () => {
+            const mockTarget = { id: 'target' };
+            const mockReference = { id: 'reference' };
+
+            placeableHandler.isUnder(mockTarget, mockReference, mockGetter, mockGetter, 'corners', 'rectangle', 'under', { sampling: 'majority' });
+
+            expect(mockChecker.isUnder).toHaveBeenCalledWith(
+                mockTarget, mockReference, mockGetter, mockGetter,
+                'corners', 'rectangle', 'under', { sampling: 'majority' }
             );
         });
     });
@@ -303,7 +638,7 @@ describe('PlaceableHandler', () => {
 
             expect(mockChecker.isOver).toHaveBeenCalledWith(
                 mockTarget, mockReference, mockTargetManager, mockReferenceManager,
-                'customTarget', 'customReference', 'customCheck'
+                'customTarget', 'customReference', 'customCheck', {}
             );
             expect(result).toBe(true);
         });
@@ -318,8 +653,43 @@ describe('PlaceableHandler', () => {
 
             expect(mockChecker.isOver).toHaveBeenCalledWith(
                 mockTarget, mockReference, mockTargetManager, mockReferenceManager,
-                'center', 'rectangle', 'above'
+                'center', 'rectangle', 'above', {}
             );
         });
+
+        it('should pass the check options', () => {
+            const mockTarget = { id: 'target' };
+            const mockReference = { id: 'reference' };
+
+            placeableHandler.isOver(mockTarget, mockReference, mockGetter, mockGetter, 'rectangle', 'rectangle', 'above', { margin: 10 });
+
+            expect(mockChecker.isOver).toHaveBeenCalledWith(
+                mockTarget, mockReference, mockGetter, mockGetter,
+                'rectangle', 'rectangle', 'above', { margin: 10 }
+            );
+        });
+    });
+
+    describe('isNear', () => {
+        it('should call checker.isNear with the provided parameters', () => {
+            const mockTarget = { id: 'target' };
+            const mockReference = { id: 'door' };
+            const options = { distance: 2, units: 'grid' };
+            mockChecker.isNear.mockReturnValue(true);
+
+            const result = placeableHandler.isNear(mockTarget, mockReference, mockGetter, mockGetter, 'rectangle', 'polygon', options);
+
+            expect(mockChecker.isNear).toHaveBeenCalledWith(mockTarget, mockReference, mockGetter, mockGetter, 'rectangle', 'polygon', options);
+            expect(result).toBe(true);
+        });
+
+        it('should use default parameters if not provided', () => {
+            const mockTarget = { id: 'target' };
+            const mockReference = { id: 'door' };
+
+            placeableHandler.isNear(mockTarget, mockReference, mockGetter, mockGetter);
+
+            expect(mockChecker.isNear).toHaveBeenCalledWith(mockTarget, mockReference, mockGetter, mockGetter, 'center', 'rectangle', {});
+        });
     });
 });
\ No newline at end of file
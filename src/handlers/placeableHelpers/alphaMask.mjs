@@ -0,0 +1,159 @@
+/**
+ * @file alphaMask.mjs
+ * @description Builds, caches and samples downscaled alpha masks of placeable textures.
+ * @path src/handlers/placeableHelpers/alphaMask.mjs
+ */
+
+import Geometry from './geometry.mjs';
+
+/**
+ * Static helpers for alpha-mask hit testing.
+ *
+ * A mask is `{ width, height, data }` where `data` holds one alpha byte per pixel of
+ * a downscaled copy of the texture source. Masks are cached per texture source
+ * (the PIXI base texture), so tiles sharing an image share a mask.
+ *
+ * An alpha area describes where a mask is drawn on the canvas:
+ * `{ x, y, width, height, rotation, scaleX, scaleY, threshold, mask }`, where
+ * x/y/width/height is the unrotated document rectangle, rotation is in degrees around
+ * its center, and negative scales mirror the texture (as Foundry's `texture.scaleX/Y`).
+ *
+ * @class AlphaMask
+ * @export
+ */
+class AlphaMask {
+  /**
+   * Masks by texture source.
+   * @type {WeakMap<Object, {width: number, height: number, data: Uint8Array}>}
+   * @private
+   */
+  static #cache = new WeakMap();
+
+  /**
+   * Creates a 2D drawing surface.
+   * @param {number} width
+   * @param {number} height
+   * @returns {OffscreenCanvas|HTMLCanvasElement|null}
+   */
+  static createCanvas(width, height) {
+    if (typeof globalThis.OffscreenCanvas === 'function') return new globalThis.OffscreenCanvas(width, height);
+    const element = globalThis.document?.createElement?.('canvas');
+    if (!element) return null;
+    element.width = width;
+    element.height = height;
+    return element;
+  }
+
+  /**
+   * Retrieves the cache key and the drawable source of a texture.
+   * @private
+   * @param {Object} texture - A PIXI texture or base texture.
+   * @returns {{key: Object, source: Object}|null}
+   */
+  static #resolveSource(texture) {
+    const key = texture?.baseTexture ?? texture;
+    const source = key?.resource?.source ?? key?.source;
+    if (!key || typeof key !== 'object' || !source) return null;
+    return { key, source };
+  }
+
+  /**
+   * Retrieves the alpha mask of a texture, building and caching it on first use.
+   * @param {Object} texture - A PIXI texture or base texture.
+   * @param {Object} [options={}]
+   * @param {number} [options.resolution=1] - Scale of the mask relative to the source.
+   * @param {number} [options.maxSize=Infinity] - Maximum width/height of the mask.
+   * @returns {{width: number, height: number, data: Uint8Array}|null} The mask, or null
+   * when the texture cannot be read (missing source, no canvas, tainted image).
+   */
+  static getMask(texture, { resolution = 1, maxSize = Infinity } = {}) {
+    const resolved = this.#resolveSource(texture);
+    if (!resolved) return null;
+    const cached = this.#cache.get(resolved.key);
+    if (cached) return cached;
+
+    const { source } = resolved;
+    const sourceWidth = source.naturalWidth || source.videoWidth || source.width;
+    const sourceHeight = source.naturalHeight || source.videoHeight || source.height;
+    if (!sourceWidth || !sourceHeight) return null;
+    const scale = Math.min(resolution, maxSize / Math.max(sourceWidth, sourceHeight));
+    const width = Math.max(1, Math.round(sourceWidth * scale));
+    const height = Math.max(1, Math.round(sourceHeight * scale));
+
+    let pixels;
+    try {
+      const context = this.createCanvas(width, height)?.getContext('2d', { willReadFrequently: true });
+      if (!context) return null;
+      context.drawImage(source, 0, 0, width, height);
+      pixels = context.getImageData(0, 0, width, height).data;
+    } catch {
+      return null;
+    }
+    const data = new Uint8Array(width * height);
+    for (let i = 0; i < data.length; i++) data[i] = pixels[i * 4 + 3];
+    const mask = { width, height, data };
+    this.#cache.set(resolved.key, mask);
+    return mask;
+  }
+
+  /**
+   * Forgets the cached mask of a texture (e.g., after its source changed).
+   * @param {Object} texture - A PIXI texture or base texture.
+   * @returns {boolean} True if a mask was cached.
+   */
+  static clear(texture) {
+    const resolved = this.#resolveSource(texture);
+    return resolved ? this.#cache.delete(resolved.key) : false;
+  }
+
+  /**
+   * Determines if a value is an alpha area.
+   * @param {Object} area
+   * @returns {boolean}
+   */
+  static isArea(area) {
+    return !!area && ['x', 'y', 'width', 'height'].every((key) => typeof area[key] === 'number');
+  }
+
+  /**
+   * Maps a canvas point to texture coordinates of an alpha area, honouring
+   * rotation, scale and mirroring.
+   * @param {Object} area
+   * @param {{x: number, y: number}} point
+   * @returns {{u: number, v: number}|null} Coordinates in [0, 1], or null for an empty area.
+   */
+  static toTextureCoordinates(area, point) {
+    const width = area.width * (area.scaleX ?? 1);
+    const height = area.height * (area.scaleY ?? 1);
+    if (!width || !height) return null;
+    const center = { x: area.x + area.width / 2, y: area.y + area.height / 2 };
+    const [local] = Geometry.rotatePoints([point], center, -(area.rotation ?? 0));
+    return {
+      u: (local.x - center.x) / width + 0.5,
+      v: (local.y - center.y) / height + 0.5
+    };
+  }
+
+  /**
+   * Determines if a canvas point lies over an opaque pixel of an alpha area.
+   * Points outside the texture never count; without a mask, the whole texture
+   * rectangle counts as opaque.
+   * @param {Object} area
+   * @param {{x: number, y: number}} point
+   * @returns {boolean} True if the pixel alpha is strictly above the area threshold.
+   */
+  static isOpaqueAt(area, point) {
+    const coordinates = this.toTextureCoordinates(area, point);
+    if (!coordinates) return false;
+    const { u, v } = coordinates;
+    if (u <= 0 || u >= 1 || v <= 0 || v >= 1) return false;
+    const mask = area.mask;
+    if (!mask?.data) return true;
+    const px = Math.min(mask.width - 1, Math.floor(u * mask.width));
+    const py = Math.min(mask.height - 1, Math.floor(v * mask.height));
+    return mask.data[py * mask.width + px] / 255 > (area.threshold ?? 0);
+  }
+}
+
+export default AlphaMask;
+export { AlphaMask };
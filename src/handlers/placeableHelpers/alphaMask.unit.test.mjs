@@ -0,0 +1,155 @@
+/**
+ * @file alphaMask.unit.test.mjs
+ * @description Unit tests for the AlphaMask static helpers.
+ * @path src/handlers/placeableHelpers/alphaMask.unit.test.mjs
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import AlphaMask from './alphaMask.mjs';
+
+/**
+ * Fake OffscreenCanvas whose image data is opaque on the left half only.
+ */
+class FakeCanvas {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.context = {
+      drawImage: vi.fn(),
+      getImageData: vi.fn((x, y, w, h) => {
+        const data = new Uint8ClampedArray(w * h * 4);
+        for (let row = 0; row < h; row++) {
+          for (let column = 0; column < w / 2; column++) data[(row * w + column) * 4 + 3] = 255;
+        }
+        return { data };
+      })
+    };
+    FakeCanvas.instances.push(this);
+  }
+
+  getContext() {
+    return this.context;
+  }
+}
+FakeCanvas.instances = [];
+
+const createTexture = (width = 400, height = 200) => ({
+  baseTexture: { resource: { source: { naturalWidth: width, naturalHeight: height } } }
+});
+
+describe('AlphaMask', () => {
+  beforeEach(() => {
+    FakeCanvas.instances = [];
+    globalThis.OffscreenCanvas = FakeCanvas;
+  });
+
+  afterEach(() => {
+    delete globalThis.OffscreenCanvas;
+  });
+
+  describe('getMask', () => {
+    it('should build a downscaled alpha mask', () => {
+      const mask = AlphaMask.getMask(createTexture(), { resolution: 0.1 });
+      expect(mask.width).toBe(40);
+      expect(mask.height).toBe(20);
+      expect(mask.data[0]).toBe(255);
+      expect(mask.data[39]).toBe(0);
+      expect(FakeCanvas.instances[0].context.drawImage).toHaveBeenCalledWith(expect.any(Object), 0, 0, 40, 20);
+    });
+
+    it('should honour the maximum size', () => {
+      const mask = AlphaMask.getMask(createTexture(), { resolution: 1, maxSize: 100 });
+      expect(mask.width).toBe(100);
+      expect(mask.height).toBe(50);
+    });
+
+    it('should cache masks per texture source', () => {
+      const texture = createTexture();
+      const shared = { baseTexture: texture.baseTexture };
+      const mask = AlphaMask.getMask(texture, { resolution: 0.1 });
+      expect(AlphaMask.getMask(shared, { resolution: 0.1 })).toBe(mask);
+      expect(FakeCanvas.instances).toHaveLength(1);
+    });
+
+    it('should rebuild masks after clear', () => {
+      const texture = createTexture();
+      const mask = AlphaMask.getMask(texture, { resolution: 0.1 });
+      expect(AlphaMask.clear(texture)).toBe(true);
+      expect(AlphaMask.getMask(texture, { resolution: 0.1 })).not.toBe(mask);
+      expect(AlphaMask.clear(undefined)).toBe(false);
+    });
+
+    it('should return null when the texture cannot be read', () => {
+      expect(AlphaMask.getMask(undefined)).toBeNull();
+      expect(AlphaMask.getMask({ baseTexture: {} })).toBeNull();
+      expect(AlphaMask.getMask(createTexture(0, 0))).toBeNull();
+      FakeCanvas.prototype.getContext = function getContext() {
+        throw new Error('tainted');
+      };
+      try {
+        expect(AlphaMask.getMask(createTexture())).toBeNull();
+      } finally {
+        FakeCanvas.prototype.getContext = function getContext() {
+          return this.context;
+        };
+      }
+    });
+
+    it('should return null without a canvas implementation', () => {
+      delete globalThis.OffscreenCanvas;
+      expect(AlphaMask.getMask(createTexture())).toBeNull();
+    });
+  });
+
+  describe('isArea', () => {
+    it('should validate alpha areas', () => {
+      expect(AlphaMask.isArea({ x: 0, y: 0, width: 1, height: 1 })).toBe(true);
+      expect(AlphaMask.isArea({ x: 0, y: 0, width: 1 })).toBe(false);
+      expect(AlphaMask.isArea(null)).toBe(false);
+    });
+  });
+
+  describe('isOpaqueAt', () => {
+    // 2x1 mask: left pixel opaque, right pixel transparent
+    const mask = { width: 2, height: 1, data: new Uint8Array([255, 0]) };
+    const area = (overrides = {}) => ({ x: 0, y: 0, width: 100, height: 100, threshold: 0.5, mask, ...overrides });
+
+    it('should sample the mask', () => {
+      expect(AlphaMask.isOpaqueAt(area(), { x: 25, y: 50 })).toBe(true);
+      expect(AlphaMask.isOpaqueAt(area(), { x: 75, y: 50 })).toBe(false);
+    });
+
+    it('should ignore points outside the texture', () => {
+      expect(AlphaMask.isOpaqueAt(area(), { x: -10, y: 50 })).toBe(false);
+      expect(AlphaMask.isOpaqueAt(area(), { x: 0, y: 50 })).toBe(false);
+    });
+
+    it('should honour mirroring', () => {
+      expect(AlphaMask.isOpaqueAt(area({ scaleX: -1 }), { x: 25, y: 50 })).toBe(false);
+      expect(AlphaMask.isOpaqueAt(area({ scaleX: -1 }), { x: 75, y: 50 })).toBe(true);
+    });
+
+    it('should honour scale', () => {
+      // Texture drawn at half size around the tile center: 25..75
+      expect(AlphaMask.isOpaqueAt(area({ scaleX: 0.5 }), { x: 20, y: 50 })).toBe(false);
+      expect(AlphaMask.isOpaqueAt(area({ scaleX: 0.5 }), { x: 40, y: 50 })).toBe(true);
+    });
+
+    it('should honour rotation', () => {
+      // Rotated by 180 degrees, the opaque half is on the right
+      expect(AlphaMask.isOpaqueAt(area({ rotation: 180 }), { x: 75, y: 50 })).toBe(true);
+      expect(AlphaMask.isOpaqueAt(area({ rotation: 180 }), { x: 25, y: 50 })).toBe(false);
+    });
+
+    it('should honour the threshold', () => {
+      const faint = { width: 1, height: 1, data: new Uint8Array([100]) };
+      expect(AlphaMask.isOpaqueAt(area({ mask: faint, threshold: 0.5 }), { x: 50, y: 50 })).toBe(false);
+      expect(AlphaMask.isOpaqueAt(area({ mask: faint, threshold: 0.2 }), { x: 50, y: 50 })).toBe(true);
+    });
+
+    it('should treat the texture rectangle as opaque without a mask', () => {
+      expect(AlphaMask.isOpaqueAt(area({ mask: null }), { x: 75, y: 50 })).toBe(true);
+      expect(AlphaMask.isOpaqueAt(area({ mask: null }), { x: 150, y: 50 })).toBe(false);
+    });
+  });
+});
@@ -33,7 +33,8 @@ const positionCheckerConfig = config.constants?.positionChecker || {};
  */
 export const CHECK_TYPES = Object.freeze({
   UNDER: positionCheckerConfig.checkTypes?.UNDER || 'under',
-  OVER: positionCheckerConfig.checkTypes?.OVER || 'over'
+  OVER: positionCheckerConfig.checkTypes?.OVER || 'over',
+  NEAR: positionCheckerConfig.checkTypes?.NEAR || 'near'
 });
 
 /**
@@ -43,7 +44,14 @@ export const CHECK_TYPES = Object.freeze({
  */
 export const POSITION_USES = Object.freeze({
   CENTER: positionCheckerConfig.positionUses?.CENTER || 'center',
-  RECTANGLE: positionCheckerConfig.positionUses?.RECTANGLE || 'rectangle'
+  RECTANGLE: positionCheckerConfig.positionUses?.RECTANGLE || 'rectangle',
+  POLYGON: positionCheckerConfig.positionUses?.POLYGON || 'polygon',
+  ALPHA: positionCheckerConfig.positionUses?.ALPHA || 'alpha',
+  FOOTPRINT: positionCheckerConfig.positionUses?.FOOTPRINT || 'footprint',
+  CORNERS: positionCheckerConfig.positionUses?.CORNERS || 'corners',
+  CORNERS_CENTER: positionCheckerConfig.positionUses?.CORNERS_CENTER || 'corners+center',
+  SAMPLES: positionCheckerConfig.positionUses?.SAMPLES || 'samples',
+  REGION: positionCheckerConfig.positionUses?.REGION || 'region'
 });
 
 /**
@@ -55,7 +63,293 @@ export const METHOD_KEYS = Object.freeze({
   CENTER_RECTANGLE: positionCheckerConfig.methodKeys?.CENTER_RECTANGLE || 'center-rectangle',
   RECTANGLE_CENTER: positionCheckerConfig.methodKeys?.RECTANGLE_CENTER || 'rectangle-center',
   RECTANGLE_RECTANGLE: positionCheckerConfig.methodKeys?.RECTANGLE_RECTANGLE || 'rectangle-rectangle',
-  CENTER_CENTER: positionCheckerConfig.methodKeys?.CENTER_CENTER || 'center-center'
+  CENTER_CENTER: positionCheckerConfig.methodKeys?.CENTER_CENTER || 'center-center',
+  CENTER_POLYGON: positionCheckerConfig.methodKeys?.CENTER_POLYGON || 'center-polygon',
+  POLYGON_CENTER: positionCheckerConfig.methodKeys?.POLYGON_CENTER || 'polygon-center',
+  RECTANGLE_POLYGON: positionCheckerConfig.methodKeys?.RECTANGLE_POLYGON || 'rectangle-polygon',
+  POLYGON_RECTANGLE: positionCheckerConfig.methodKeys?.POLYGON_RECTANGLE || 'polygon-rectangle',
+  POLYGON_POLYGON: positionCheckerConfig.methodKeys?.POLYGON_POLYGON || 'polygon-polygon',
+  CENTER_ALPHA: positionCheckerConfig.methodKeys?.CENTER_ALPHA || 'center-alpha',
+  RECTANGLE_ALPHA: positionCheckerConfig.methodKeys?.RECTANGLE_ALPHA || 'rectangle-alpha',
+  FOOTPRINT_RECTANGLE: positionCheckerConfig.methodKeys?.FOOTPRINT_RECTANGLE || 'footprint-rectangle',
+  FOOTPRINT_POLYGON: positionCheckerConfig.methodKeys?.FOOTPRINT_POLYGON || 'footprint-polygon',
+  FOOTPRINT_ALPHA: positionCheckerConfig.methodKeys?.FOOTPRINT_ALPHA || 'footprint-alpha',
+  CENTER_REGION: positionCheckerConfig.methodKeys?.CENTER_REGION || 'center-region',
+  RECTANGLE_REGION: positionCheckerConfig.methodKeys?.RECTANGLE_REGION || 'rectangle-region',
+  POLYGON_REGION: positionCheckerConfig.methodKeys?.POLYGON_REGION || 'polygon-region',
+  FOOTPRINT_REGION: positionCheckerConfig.methodKeys?.FOOTPRINT_REGION || 'footprint-region'
+});
+
+/**
+ * Alpha-mask hit testing settings, sourced from constants.yaml
+ * @type {Object}
+ * @readonly
+ */
+export const ALPHA_MASK = Object.freeze({
+  THRESHOLD: positionCheckerConfig.alpha?.threshold ?? 0.5,
+  RESOLUTION: positionCheckerConfig.alpha?.resolution ?? 0.25,
+  MAX_SIZE: positionCheckerConfig.alpha?.maxSize ?? 256,
+  RECTANGLE_SAMPLES: positionCheckerConfig.alpha?.rectangleSamples ?? 5
+});
+
+/**
+ * Default elevation ranges, sourced from constants.yaml.
+ * A null (or missing) tile height leaves the tile band open downwards.
+ * @type {Object}
+ * @readonly
+ */
+export const ELEVATION_RANGE = Object.freeze({
+  TILE_HEIGHT: positionCheckerConfig.elevation?.tileHeight ?? Infinity,
+  TOKEN_HEIGHT: positionCheckerConfig.elevation?.tokenHeight ?? 0
+});
+
+/**
+ * Hysteresis against flickering at tile edges, sourced from constants.yaml.
+ * Margins are in pixels, the dwell time in milliseconds.
+ * @type {Object}
+ * @readonly
+ */
+export const HYSTERESIS = Object.freeze({
+  ENTER_MARGIN: positionCheckerConfig.hysteresis?.enterMargin ?? 0,
+  EXIT_MARGIN: positionCheckerConfig.hysteresis?.exitMargin ?? 0,
+  DWELL_TIME: positionCheckerConfig.hysteresis?.dwellTime ?? 0
+});
+
+/**
+ * Default coverage threshold of rectangle footprints, sourced from constants.yaml.
+ * `THRESHOLD` is a fraction in [0, 1], or null to match on any overlap.
+ * @type {Object}
+ * @readonly
+ */
+export const COVERAGE = Object.freeze({
+  THRESHOLD: typeof positionCheckerConfig.coverage?.threshold === 'number' ? positionCheckerConfig.coverage.threshold : null
+});
+
+/**
+ * Near checks, sourced from constants.yaml.
+ * `DISTANCE` is measured in `UNITS`: 'grid' (scene grid rules) or 'pixels'.
+ * @type {Object}
+ * @readonly
+ */
+export const PROXIMITY = Object.freeze({
+  DISTANCE: positionCheckerConfig.proximity?.distance ?? 1,
+  UNITS: positionCheckerConfig.proximity?.units === 'pixels' ? 'pixels' : 'grid'
+});
+
+/**
+ * Center-center tolerance, sourced from constants.yaml.
+ * `RADIUS` is measured in `UNITS`: 'pixels' or 'grid' (fractions of a grid unit).
+ * @type {Object}
+ * @readonly
+ */
+export const CENTER_TOLERANCE = Object.freeze({
+  RADIUS: positionCheckerConfig.centerTolerance?.radius ?? 1,
+  UNITS: positionCheckerConfig.centerTolerance?.units === 'grid' ? 'grid' : 'pixels'
+});
+
+/**
+ * Modes combining the results of sampled target uses, sourced from constants.yaml
+ * @type {Object}
+ * @readonly
+ */
+export const SAMPLING_MODES = Object.freeze({
+  ANY: positionCheckerConfig.sampling?.modes?.ANY || 'any',
+  ALL: positionCheckerConfig.sampling?.modes?.ALL || 'all',
+  MAJORITY: positionCheckerConfig.sampling?.modes?.MAJORITY || 'majority'
+});
+
+/**
+ * Sampling settings, sourced from constants.yaml.
+ * `MODE` is one of `SAMPLING_MODES`; `GRID_SIZE` is the number of points per side of the samples grid.
+ * @type {Object}
+ * @readonly
+ */
+export const SAMPLING = Object.freeze({
+  MODE: Object.values(SAMPLING_MODES).includes(positionCheckerConfig.sampling?.mode) ? positionCheckerConfig.sampling.mode : SAMPLING_MODES.ANY,
+  GRID_SIZE: Math.max(1, Math.round(positionCheckerConfig.sampling?.gridSize) || 3)
+});
+
+/**
+ * Corner names accepted by `PlaceableGetter.getCorner`, sourced from constants.yaml
+ * @type {ReadonlyArray<string>}
+ * @readonly
+ */
+export const ALLOWED_CORNERS = Object.freeze([
+  ...(config.constants?.placeables?.token?.allowedCorners || ['top-left', 'top-right', 'bottom-left', 'bottom-right'])
+]);
+
+/**
+ * Scope of the module flags on placeable documents (the module id)
+ * @type {string}
+ * @readonly
+ */
+export const FLAG_SCOPE = config.manifest?.id || 'foundryvtt-over-my-head';
+
+/**
+ * Canvas layer holding the tiles, sourced from constants.yaml
+ * @type {string}
+ * @readonly
+ */
+export const TILE_LAYER = config.constants?.placeables?.tile?.layer || 'tiles';
+
+/**
+ * Keys of the module flags read from tiles, sourced from constants.yaml
+ * @type {Object}
+ * @readonly
+ */
+export const TILE_FLAGS = Object.freeze({
+  POLYGON: config.constants?.placeables?.tile?.flags?.polygon || 'polygon',
+  REFERENCE_USE: config.constants?.placeables?.tile?.flags?.referenceUse || 'referenceUse',
+  ALPHA_THRESHOLD: config.constants?.placeables?.tile?.flags?.alphaThreshold || 'alphaThreshold',
+  FLOOR_ELEVATION: config.constants?.placeables?.tile?.flags?.floorElevation || 'floorElevation',
+  ROOF_ELEVATION: config.constants?.placeables?.tile?.flags?.roofElevation || 'roofElevation',
+  BUILDING: config.constants?.placeables?.tile?.flags?.building || 'building',
+  FLOOR: config.constants?.placeables?.tile?.flags?.floor || 'floor',
+  OCCLUSION_GROUP: config.constants?.placeables?.tile?.flags?.occlusionGroup || 'occlusionGroup',
+  FADE_DURATION: config.constants?.placeables?.tile?.flags?.fadeDuration || 'fadeDuration',
+  ENTER_MARGIN: config.constants?.placeables?.tile?.flags?.enterMargin || 'enterMargin',
+  EXIT_MARGIN: config.constants?.placeables?.tile?.flags?.exitMargin || 'exitMargin',
+  DWELL_TIME: config.constants?.placeables?.tile?.flags?.dwellTime || 'dwellTime',
+  COVERAGE: config.constants?.placeables?.tile?.flags?.coverage || 'coverage',
+  PROXIMITY: config.constants?.placeables?.tile?.flags?.proximity || 'proximity',
+  ZONE: config.constants?.placeables?.tile?.flags?.zone || 'zone',
+  OCCLUSION_MODE: config.constants?.placeables?.tile?.flags?.occlusionMode || 'occlusionMode',
+  FADED_ALPHA: config.constants?.placeables?.tile?.flags?.fadedAlpha || 'fadedAlpha',
+  TARGET_USE: config.constants?.placeables?.tile?.flags?.targetUse || 'targetUse'
+});
+
+/**
+ * Keys of the module flags read from regions, sourced from constants.yaml
+ * @type {Object}
+ * @readonly
+ */
+export const REGION_FLAGS = Object.freeze({
+  TILES: config.constants?.placeables?.region?.flags?.tiles || 'tiles'
+});
+
+/**
+ * Keys of the module flags read from tokens, sourced from constants.yaml
+ * @type {Object}
+ * @readonly
+ */
+export const TOKEN_FLAGS = Object.freeze({
+  HEIGHT: config.constants?.placeables?.token?.flags?.height || 'tokenHeight',
+  IGNORE_OCCLUSION: config.constants?.placeables?.token?.flags?.ignoreOcclusion || 'ignoreOcclusion',
+  ALWAYS_OBSERVER: config.constants?.placeables?.token?.flags?.alwaysObserver || 'alwaysObserver'
+});
+
+/**
+ * Token movement settings, sourced from constants.yaml.
+ * `ANIMATED_POSITION` reads the positions of moving tokens from their animated canvas object.
+ * @type {Object}
+ * @readonly
+ */
+export const TOKEN_MOVEMENT = Object.freeze({
+  ANIMATED_POSITION: config.constants?.placeables?.token?.animatedPosition !== false
+});
+
+/**
+ * Spatial index settings, sourced from constants.yaml
+ * @type {Object}
+ * @readonly
+ */
+export const SPATIAL_INDEX = Object.freeze({
+  LAYER: config.constants?.placeables?.spatialIndex?.layer || 'tiles',
+  DOCUMENT_NAME: config.constants?.placeables?.spatialIndex?.documentName || 'Tile',
+  CELL_SIZE: config.constants?.placeables?.spatialIndex?.cellSize || 512
+});
+
+/**
+ * Geometry cache settings, sourced from constants.yaml
+ * @type {Object}
+ * @readonly
+ */
+export const GEOMETRY_CACHE = Object.freeze({
+  DOCUMENT_NAMES: Object.freeze([...(config.constants?.placeables?.geometryCache?.documentNames || ['Token', 'Tile'])])
+});
+
+/**
+ * Document names, canvas layers and shape types of the placeable types, sourced from constants.yaml
+ * @type {Object}
+ * @readonly
+ */
+export const PLACEABLE_TYPES = Object.freeze({
+  DRAWING: Object.freeze({
+    DOCUMENT_NAME: config.constants?.placeables?.drawing?.name || 'Drawing',
+    LAYER: config.constants?.placeables?.drawing?.layer || 'drawings',
+    SHAPES: Object.freeze({
+      RECTANGLE: config.constants?.placeables?.drawing?.shapes?.rectangle || 'r',
+      ELLIPSE: config.constants?.placeables?.drawing?.shapes?.ellipse || 'e',
+      POLYGON: config.constants?.placeables?.drawing?.shapes?.polygon || 'p',
+      FREEHAND: config.constants?.placeables?.drawing?.shapes?.freehand || 'f'
+    })
+  }),
+  TEMPLATE: Object.freeze({
+    DOCUMENT_NAME: config.constants?.placeables?.template?.name || 'MeasuredTemplate',
+    LAYER: config.constants?.placeables?.template?.layer || 'templates',
+    SHAPES: Object.freeze({
+      CIRCLE: config.constants?.placeables?.template?.shapes?.circle || 'circle',
+      CONE: config.constants?.placeables?.template?.shapes?.cone || 'cone',
+      RECTANGLE: config.constants?.placeables?.template?.shapes?.rectangle || 'rect',
+      RAY: config.constants?.placeables?.template?.shapes?.ray || 'ray'
+    })
+  }),
+  NOTE: Object.freeze({
+    DOCUMENT_NAME: config.constants?.placeables?.note?.name || 'Note',
+    LAYER: config.constants?.placeables?.note?.layer || 'notes',
+    ICON_SIZE: config.constants?.placeables?.note?.iconSize || 40
+  }),
+  REGION: Object.freeze({
+    DOCUMENT_NAME: config.constants?.placeables?.region?.name || 'Region',
+    LAYER: config.constants?.placeables?.region?.layer || 'regions',
+    SHAPES: Object.freeze({
+      RECTANGLE: config.constants?.placeables?.region?.shapes?.rectangle || 'rectangle',
+      CIRCLE: config.constants?.placeables?.region?.shapes?.circle || 'circle',
+      ELLIPSE: config.constants?.placeables?.region?.shapes?.ellipse || 'ellipse',
+      POLYGON: config.constants?.placeables?.region?.shapes?.polygon || 'polygon'
+    })
+  }),
+  ELLIPSE_SEGMENTS: config.constants?.placeables?.ellipseSegments || 32
+});
+
+/**
+ * Placeable registry settings (tracked layers and their document names), sourced from constants.yaml
+ * @type {Object}
+ * @readonly
+ */
+export const PLACEABLE_REGISTRY = Object.freeze({
+  TYPES: Object.freeze({ ...(config.constants?.placeables?.registry?.types || { tokens: 'Token', tiles: 'Tile', drawings: 'Drawing', regions: 'Region' }) }),
+  DEFAULT_TYPE: config.constants?.placeables?.registry?.defaultType || 'tokens',
+  STATE_KEY: config.constants?.placeables?.registry?.stateKey || 'placeables'
+});
+
+/**
+ * Scene grid types (Foundry's CONST.GRID_TYPES), sourced from constants.yaml
+ * @type {Object}
+ * @readonly
+ */
+export const GRID_TYPES = Object.freeze({
+  GRIDLESS: config.constants?.placeables?.grid?.types?.GRIDLESS ?? 0,
+  SQUARE: config.constants?.placeables?.grid?.types?.SQUARE ?? 1,
+  HEXODDR: config.constants?.placeables?.grid?.types?.HEXODDR ?? 2,
+  HEXEVENR: config.constants?.placeables?.grid?.types?.HEXEVENR ?? 3,
+  HEXODDQ: config.constants?.placeables?.grid?.types?.HEXODDQ ?? 4,
+  HEXEVENQ: config.constants?.placeables?.grid?.types?.HEXEVENQ ?? 5
+});
+
+/**
+ * Diagonal rules of square grids (Foundry's CONST.GRID_DIAGONALS), sourced from constants.yaml
+ * @type {Object}
+ * @readonly
+ */
+export const GRID_DIAGONALS = Object.freeze({
+  EQUIDISTANT: config.constants?.placeables?.grid?.diagonals?.EQUIDISTANT ?? 0,
+  EXACT: config.constants?.placeables?.grid?.diagonals?.EXACT ?? 1,
+  APPROXIMATE: config.constants?.placeables?.grid?.diagonals?.APPROXIMATE ?? 2,
+  RECTILINEAR: config.constants?.placeables?.grid?.diagonals?.RECTILINEAR ?? 3,
+  ALTERNATING_1: config.constants?.placeables?.grid?.diagonals?.ALTERNATING_1 ?? 4,
+  ALTERNATING_2: config.constants?.placeables?.grid?.diagonals?.ALTERNATING_2 ?? 5,
+  ILLEGAL: config.constants?.placeables?.grid?.diagonals?.ILLEGAL ?? 6
 });
 
 /**
@@ -50,7 +50,7 @@ vi.mock('../../config/config.mjs', () => ({
   }
 }));
 
-import { CHECK_TYPES, POSITION_USES, METHOD_KEYS } from './config.mjs';
+import { CHECK_TYPES, POSITION_USES, METHOD_KEYS, FLAG_SCOPE, TILE_FLAGS, TILE_LAYER, TOKEN_FLAGS, ALPHA_MASK, SPATIAL_INDEX, ELEVATION_RANGE, HYSTERESIS, TOKEN_MOVEMENT, COVERAGE, GRID_TYPES, GRID_DIAGONALS, PROXIMITY, CENTER_TOLERANCE, SAMPLING, SAMPLING_MODES, ALLOWED_CORNERS, GEOMETRY_CACHE, PLACEABLE_REGISTRY, PLACEABLE_TYPES, REGION_FLAGS } from './config.mjs';
 
 describe('PlaceableHelpers Config Integration', () => {
   describe('constants flow through config.mjs → constants.mjs → constants.yaml', () => {
@@ -69,6 +69,130 @@ describe('PlaceableHelpers Config Integration', () => {
       expect(METHOD_KEYS.RECTANGLE_CENTER).toBe('rectangle-center');
       expect(METHOD_KEYS.RECTANGLE_RECTANGLE).toBe('rectangle-rectangle');
       expect(METHOD_KEYS.CENTER_CENTER).toBe('center-center');
+      expect(METHOD_KEYS.CENTER_POLYGON).toBe('center-polygon');
+      expect(METHOD_KEYS.RECTANGLE_POLYGON).toBe('rectangle-polygon');
+      expect(METHOD_KEYS.POLYGON_POLYGON).toBe('polygon-polygon');
+    });
+
+    it('should fall back for the polygon position use and the tile flags', () => {
+      expect(POSITION_USES.POLYGON).toBe('polygon');
+      expect(FLAG_SCOPE).toBe('test-module');
+      expect(TILE_FLAGS).toEqual({
+        POLYGON: 'polygon',
+        REFERENCE_USE: 'referenceUse',
+        ALPHA_THRESHOLD: 'alphaThreshold',
+        FLOOR_ELEVATION: 'floorElevation',
+        ROOF_ELEVATION: 'roofElevation',
+        BUILDING: 'building',
+        FLOOR: 'floor',
+        OCCLUSION_GROUP: 'occlusionGroup',
+        FADE_DURATION: 'fadeDuration',
+        ENTER_MARGIN: 'enterMargin',
+        EXIT_MARGIN: 'exitMargin',
+        DWELL_TIME: 'dwellTime',
+        COVERAGE: 'coverage',
+        PROXIMITY: 'proximity',
+        ZONE: 'zone',
+        OCCLUSION_MODE: 'occlusionMode',
+        FADED_ALPHA: 'fadedAlpha',
+        TARGET_USE: 'targetUse'
+      });
+    });
+
+    it('should fall back for the alpha position use and mask settings', () => {
+      expect(POSITION_USES.ALPHA).toBe('alpha');
+      expect(METHOD_KEYS.CENTER_ALPHA).toBe('center-alpha');
+      expect(METHOD_KEYS.RECTANGLE_ALPHA).toBe('rectangle-alpha');
+      expect(ALPHA_MASK).toEqual({ THRESHOLD: 0.5, RESOLUTION: 0.25, MAX_SIZE: 256, RECTANGLE_SAMPLES: 5 });
+    });
+
+    it('should fall back for the spatial index settings', () => {
+      expect(SPATIAL_INDEX).toEqual({ LAYER: 'tiles', DOCUMENT_NAME: 'Tile', CELL_SIZE: 512 });
+      expect(GEOMETRY_CACHE).toEqual({ DOCUMENT_NAMES: ['Token', 'Tile'] });
+    });
+
+    it('should fall back for the placeable type descriptors', () => {
+      expect(PLACEABLE_TYPES.DRAWING).toEqual({
+        DOCUMENT_NAME: 'Drawing',
+        LAYER: 'drawings',
+        SHAPES: { RECTANGLE: 'r', ELLIPSE: 'e', POLYGON: 'p', FREEHAND: 'f' }
+      });
+      expect(PLACEABLE_TYPES.TEMPLATE.DOCUMENT_NAME).toBe('MeasuredTemplate');
+      expect(PLACEABLE_TYPES.TEMPLATE.SHAPES).toEqual({ CIRCLE: 'circle', CONE: 'cone', RECTANGLE: 'rect', RAY: 'ray' });
+      expect(PLACEABLE_TYPES.NOTE).toEqual({ DOCUMENT_NAME: 'Note', LAYER: 'notes', ICON_SIZE: 40 });
+      expect(PLACEABLE_TYPES.REGION.SHAPES).toEqual({ RECTANGLE: 'rectangle', CIRCLE: 'circle', ELLIPSE: 'ellipse', POLYGON: 'polygon' });
+      expect(PLACEABLE_TYPES.ELLIPSE_SEGMENTS).toBe(32);
+    });
+
+    it('should fall back for the region position use and flags', () => {
+      expect(POSITION_USES.REGION).toBe('region');
+      expect(METHOD_KEYS.CENTER_REGION).toBe('center-region');
+      expect(METHOD_KEYS.RECTANGLE_REGION).toBe('rectangle-region');
+      expect(METHOD_KEYS.POLYGON_REGION).toBe('polygon-region');
+      expect(METHOD_KEYS.FOOTPRINT_REGION).toBe('footprint-region');
+      expect(REGION_FLAGS).toEqual({ TILES: 'tiles' });
+    });
+
+    it('should fall back for the placeable registry settings', () => {
+      expect(PLACEABLE_REGISTRY).toEqual({
+        TYPES: { tokens: 'Token', tiles: 'Tile', drawings: 'Drawing', regions: 'Region' },
+        DEFAULT_TYPE: 'tokens',
+        STATE_KEY: 'placeables'
+      });
+    });
+
+    it('should fall back for the elevation ranges and the token flags', () => {
+      expect(ELEVATION_RANGE).toEqual({ TILE_HEIGHT: Infinity, TOKEN_HEIGHT: 0 });
+      expect(TOKEN_FLAGS).toEqual({ HEIGHT: 'tokenHeight', IGNORE_OCCLUSION: 'ignoreOcclusion', ALWAYS_OBSERVER: 'alwaysObserver' });
+      expect(TILE_LAYER).toBe('tiles');
+    });
+
+    it('should expose the footprint position use and its method keys', () => {
+      expect(POSITION_USES.FOOTPRINT).toBe('footprint');
+      expect(METHOD_KEYS.FOOTPRINT_RECTANGLE).toBe('footprint-rectangle');
+      expect(METHOD_KEYS.FOOTPRINT_POLYGON).toBe('footprint-polygon');
+      expect(METHOD_KEYS.FOOTPRINT_ALPHA).toBe('footprint-alpha');
+    });
+
+    it('should follow Foundry grid types', () => {
+      expect(GRID_TYPES).toEqual({ GRIDLESS: 0, SQUARE: 1, HEXODDR: 2, HEXEVENR: 3, HEXODDQ: 4, HEXEVENQ: 5 });
+    });
+
+    it('should fall back for the near check type and proximity', () => {
+      expect(CHECK_TYPES.NEAR).toBe('near');
+      expect(PROXIMITY).toEqual({ DISTANCE: 1, UNITS: 'grid' });
+      expect(GRID_DIAGONALS).toEqual({
+        EQUIDISTANT: 0, EXACT: 1, APPROXIMATE: 2, RECTILINEAR: 3, ALTERNATING_1: 4, ALTERNATING_2: 5, ILLEGAL: 6
+      });
+    });
+
+    it('should fall back for the sampled position uses and modes', () => {
+      expect(POSITION_USES.CORNERS).toBe('corners');
+      expect(POSITION_USES.CORNERS_CENTER).toBe('corners+center');
+      expect(POSITION_USES.SAMPLES).toBe('samples');
+      expect(SAMPLING_MODES).toEqual({ ANY: 'any', ALL: 'all', MAJORITY: 'majority' });
+      expect(SAMPLING).toEqual({ MODE: 'any', GRID_SIZE: 3 });
+    });
+
+    it('should fall back to the kebab-case corner names', () => {
+      expect(ALLOWED_CORNERS).toEqual(['top-left', 'top-right', 'bottom-left', 'bottom-right']);
+    });
+
+    it('should fall back to a one pixel center tolerance', () => {
+      expect(CENTER_TOLERANCE).toEqual({ RADIUS: 1, UNITS: 'pixels' });
+    });
+
+    it('should keep the overlap test without a coverage threshold', () => {
+      expect(COVERAGE).toEqual({ THRESHOLD: null });
+    });
+
+    it('should read the animated token positions by default', () => {
+      expect(TOKEN_MOVEMENT).toEqual({ ANIMATED_POSITION: true });
+    });
+
+    it('should disable the hysteresis without settings', () => {
+      expect(HYSTERESIS).toEqual({ ENTER_MARGIN: 0, EXIT_MARGIN: 0, DWELL_TIME: 0 });
+      expect(Object.isFrozen(HYSTERESIS)).toBe(true);
     });
 
     it('should have fallback values if constants are not available', () => {
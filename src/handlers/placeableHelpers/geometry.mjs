@@ -0,0 +1,551 @@
+/**
+ * @file geometry.mjs
+ * @description Static geometry helpers for oriented rectangles and polygons.
+ * @path src/handlers/placeableHelpers/geometry.mjs
+ */
+
+/**
+ * Static geometry helpers used by the placeable helpers.
+ *
+ * Points are `{ x, y }` objects in canvas coordinates. Polygons are arrays of points
+ * in winding order. Containment and overlap are strict: touching an edge or a corner
+ * does not count, matching the exclusive boundaries of `PositionChecker`.
+ *
+ * @class Geometry
+ * @export
+ */
+class Geometry {
+  /**
+   * Converts degrees to radians.
+   * @param {number} degrees
+   * @returns {number}
+   */
+  static toRadians(degrees) {
+    return (degrees * Math.PI) / 180;
+  }
+
+  /**
+   * Determines if a value is a `{ x, y }` point with numeric coordinates.
+   * @param {Object} point
+   * @returns {boolean}
+   */
+  static isPoint(point) {
+    return !!point && typeof point.x === 'number' && typeof point.y === 'number';
+  }
+
+  /**
+   * Normalizes a list of points given as `[{x, y}, ...]`, `[[x, y], ...]`
+   * or Foundry's flat `[x0, y0, x1, y1, ...]` form.
+   * @param {Array} points
+   * @returns {Array<{x: number, y: number}>|null} The points, or null when invalid.
+   */
+  static toPoints(points) {
+    if (!Array.isArray(points)) return null;
+    let result;
+    if (points.every((value) => typeof value === 'number')) {
+      if (points.length % 2 !== 0) return null;
+      result = [];
+      for (let i = 0; i < points.length; i += 2) result.push({ x: points[i], y: points[i + 1] });
+    } else {
+      result = points.map((point) => (Array.isArray(point) ? { x: point[0], y: point[1] } : point));
+    }
+    return result.every((point) => this.isPoint(point)) ? result : null;
+  }
+
+  /**
+   * Determines if a value is a polygon: at least three `{ x, y }` points.
+   * @param {Array} polygon
+   * @returns {boolean}
+   */
+  static isPolygon(polygon) {
+    return Array.isArray(polygon) && polygon.length >= 3 && polygon.every((point) => this.isPoint(point));
+  }
+
+  /**
+   * Rotates points around a pivot.
+   * @param {Array<{x: number, y: number}>} points
+   * @param {{x: number, y: number}} pivot
+   * @param {number} rotation - Rotation in degrees, clockwise on the y-down canvas.
+   * @returns {Array<{x: number, y: number}>}
+   */
+  static rotatePoints(points, pivot, rotation) {
+    if (!rotation) return points.map(({ x, y }) => ({ x, y }));
+    const radians = this.toRadians(rotation);
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    return points.map(({ x, y }) => {
+      const dx = x - pivot.x;
+      const dy = y - pivot.y;
+      return { x: pivot.x + dx * cos - dy * sin, y: pivot.y + dx * sin + dy * cos };
+    });
+  }
+
+  /**
+   * Moves a position by an offset: a point (or any object with `x`/`y`, such as an alpha area),
+   * a list of points, a `{ BottomLeft, TopRight, corners? }` rectangle, or a `{ cells }` footprint.
+   * @param {Object|Array} shape - The position to move.
+   * @param {{x: number, y: number}} offset
+   * @returns {Object|Array} A moved copy, or the shape unchanged when it has no coordinates.
+   */
+  static translate(shape, offset) {
+    const move = (point) => ({ ...point, x: point.x + offset.x, y: point.y + offset.y });
+    if (Array.isArray(shape)) return shape.map((point) => (this.isPoint(point) ? move(point) : point));
+    if (this.isPoint(shape?.BottomLeft) && this.isPoint(shape?.TopRight)) {
+      const moved = { ...shape, BottomLeft: move(shape.BottomLeft), TopRight: move(shape.TopRight) };
+      if (Array.isArray(shape.corners)) moved.corners = shape.corners.map(move);
+      return moved;
+    }
+    if (Array.isArray(shape?.cells)) return { ...shape, cells: shape.cells.map((cell) => this.translate(cell, offset)) };
+    if (Array.isArray(shape?.points)) return { ...shape, points: this.translate(shape.points, offset) };
+    return this.isPoint(shape) ? move(shape) : shape;
+  }
+
+  /**
+   * Computes the corners of a rectangle rotated around its center.
+   * Rotation follows Foundry: degrees, clockwise on the y-down canvas.
+   *
+   * @param {number} x - Left coordinate of the unrotated rectangle.
+   * @param {number} y - Top coordinate of the unrotated rectangle.
+   * @param {number} width
+   * @param {number} height
+   * @param {number} [rotation=0] - Rotation in degrees.
+   * @returns {Array<{x: number, y: number}>} Top-left, top-right, bottom-right and bottom-left corners.
+   */
+  static getOrientedCorners(x, y, width, height, rotation = 0) {
+    const cx = x + width / 2;
+    const cy = y + height / 2;
+    const radians = this.toRadians(rotation);
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    const offsets = [
+      [-width / 2, -height / 2],
+      [width / 2, -height / 2],
+      [width / 2, height / 2],
+      [-width / 2, height / 2]
+    ];
+    return offsets.map(([dx, dy]) => ({
+      x: cx + dx * cos - dy * sin,
+      y: cy + dx * sin + dy * cos
+    }));
+  }
+
+  /**
+   * Approximates an ellipse (or a circle) with a polygon.
+   *
+   * @param {{x: number, y: number}} center
+   * @param {number} radiusX
+   * @param {number} radiusY
+   * @param {number} [rotation=0] - Rotation in degrees, clockwise on the y-down canvas.
+   * @param {number} [segments=32] - Number of points.
+   * @returns {Array<{x: number, y: number}>} The points, clockwise from the end of the x radius.
+   */
+  static getEllipsePoints(center, radiusX, radiusY, rotation = 0, segments = 32) {
+    const count = Math.max(3, Math.round(segments) || 3);
+    const points = [];
+    for (let i = 0; i < count; i++) {
+      const angle = (2 * Math.PI * i) / count;
+      points.push({ x: center.x + radiusX * Math.cos(angle), y: center.y + radiusY * Math.sin(angle) });
+    }
+    return this.rotatePoints(points, center, rotation);
+  }
+
+  /**
+   * Computes the axis-aligned box around points.
+   *
+   * @param {Array<{x: number, y: number}>} points
+   * @returns {{x: number, y: number, width: number, height: number}|null} The box, or null without points.
+   */
+  static getBoundingBox(points) {
+    if (!Array.isArray(points) || points.length === 0 || !points.every((point) => this.isPoint(point))) return null;
+    const xs = points.map((point) => point.x);
+    const ys = points.map((point) => point.y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+  }
+
+  /**
+   * Retrieves the corners of a rectangle-like position.
+   * Uses the oriented `corners` when present, otherwise the axis-aligned rectangle
+   * spanned by `BottomLeft` and `TopRight` (in either y direction).
+   *
+   * @param {Object} rect - `{ BottomLeft, TopRight, corners? }`
+   * @returns {Array<{x: number, y: number}>|null} The corners, or null for invalid input.
+   */
+  static getRectCorners(rect) {
+    if (Array.isArray(rect?.corners) && rect.corners.length >= 3 && rect.corners.every((p) => this.isPoint(p))) {
+      return rect.corners;
+    }
+    if (!this.isPoint(rect?.BottomLeft) || !this.isPoint(rect?.TopRight)) return null;
+    const minX = Math.min(rect.BottomLeft.x, rect.TopRight.x);
+    const maxX = Math.max(rect.BottomLeft.x, rect.TopRight.x);
+    const minY = Math.min(rect.BottomLeft.y, rect.TopRight.y);
+    const maxY = Math.max(rect.BottomLeft.y, rect.TopRight.y);
+    return [
+      { x: minX, y: minY },
+      { x: maxX, y: minY },
+      { x: maxX, y: maxY },
+      { x: minX, y: maxY }
+    ];
+  }
+
+  /**
+   * Grows (positive margin) or shrinks (negative margin) a rectangle along its own axes.
+   *
+   * @param {Array<{x: number, y: number}>} corners - The four corners, in winding order.
+   * @param {number} margin - Distance each side moves outwards, in pixels.
+   * @returns {Array<{x: number, y: number}>|null} The new corners, or null when the rectangle shrinks away.
+   */
+  static inflateCorners(corners, margin) {
+    if (!margin || !Array.isArray(corners)) return corners;
+    const sides = corners.map((corner, i) => {
+      const next = corners[(i + 1) % corners.length];
+      return Math.hypot(next.x - corner.x, next.y - corner.y);
+    });
+    if (sides.some((side) => side === 0 || side + 2 * margin <= 0)) return null;
+    return corners.map((corner, i) => {
+      const previous = corners[(i + corners.length - 1) % corners.length];
+      const next = corners[(i + 1) % corners.length];
+      const fromPrevious = sides[(i + corners.length - 1) % corners.length];
+      const fromNext = sides[i];
+      return {
+        x: corner.x + margin * ((corner.x - previous.x) / fromPrevious + (corner.x - next.x) / fromNext),
+        y: corner.y + margin * ((corner.y - previous.y) / fromPrevious + (corner.y - next.y) / fromNext)
+      };
+    });
+  }
+
+  /**
+   * Computes the point of a segment closest to a point.
+   * @param {{x: number, y: number}} point
+   * @param {{x: number, y: number}} a - Segment start.
+   * @param {{x: number, y: number}} b - Segment end.
+   * @returns {{x: number, y: number}}
+   */
+  static getClosestPointOnSegment(point, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0
+      ? 0
+      : Math.min(1, Math.max(0, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+    return { x: a.x + t * dx, y: a.y + t * dy };
+  }
+
+  /**
+   * Computes the distance from a point to a segment.
+   * @param {{x: number, y: number}} point
+   * @param {{x: number, y: number}} a - Segment start.
+   * @param {{x: number, y: number}} b - Segment end.
+   * @returns {number}
+   */
+  static getDistanceToSegment(point, a, b) {
+    const closest = this.getClosestPointOnSegment(point, a, b);
+    return Math.hypot(point.x - closest.x, point.y - closest.y);
+  }
+
+  /**
+   * Computes the shortest offset between two shapes: a polygon (convex or not) or a single point each.
+   * Shapes that overlap or touch have a zero offset.
+   * @param {Array<{x: number, y: number}>} a - Polygon points, or a single point.
+   * @param {Array<{x: number, y: number}>} b - Polygon points, or a single point.
+   * @returns {{x: number, y: number}} The offset from the closest point of `a` to the closest point of `b`.
+   */
+  static getGap(a, b) {
+    const zero = { x: 0, y: 0 };
+    const isAreaA = this.isPolygon(a);
+    const isAreaB = this.isPolygon(b);
+    if (isAreaA && isAreaB && this.doPolygonsIntersect(a, b)) return zero;
+    if (isAreaB && a.some((point) => this.isPointInPolygon(point, b))) return zero;
+    if (isAreaA && b.some((point) => this.isPointInPolygon(point, a))) return zero;
+    let gap = null;
+    let best = Infinity;
+    const consider = (from, to) => {
+      const distance = Math.hypot(to.x - from.x, to.y - from.y);
+      if (distance < best) {
+        best = distance;
+        gap = { x: to.x - from.x, y: to.y - from.y };
+      }
+    };
+    const edges = (shape) => (shape.length < 2 ? [] : shape.map((point, i) => [point, shape[(i + 1) % shape.length]]));
+    const edgesB = edges(b);
+    const edgesA = edges(a);
+    for (const point of a) {
+      if (!edgesB.length) b.forEach((other) => consider(point, other));
+      edgesB.forEach(([start, end]) => consider(point, this.getClosestPointOnSegment(point, start, end)));
+    }
+    for (const point of b) {
+      edgesA.forEach(([start, end]) => consider(this.getClosestPointOnSegment(point, start, end), point));
+    }
+    return gap ?? zero;
+  }
+
+  /**
+   * Computes the distance from a point to the boundary of a polygon.
+   * @param {{x: number, y: number}} point
+   * @param {Array<{x: number, y: number}>} polygon
+   * @returns {number}
+   */
+  static getDistanceToBoundary(point, polygon) {
+    let distance = Infinity;
+    for (let i = 0; i < polygon.length; i++) {
+      distance = Math.min(distance, this.getDistanceToSegment(point, polygon[i], polygon[(i + 1) % polygon.length]));
+    }
+    return distance;
+  }
+
+  /**
+   * Determines if a point lies inside a polygon grown (positive margin) or shrunk
+   * (negative margin) by a distance. Without margin, this is `isPointInPolygon`.
+   * @param {{x: number, y: number}} point
+   * @param {Array<{x: number, y: number}>} polygon
+   * @param {number} [margin=0] - In pixels.
+   * @returns {boolean}
+   */
+  static isPointInPolygonWithMargin(point, polygon, margin = 0) {
+    const inside = this.isPointInPolygon(point, polygon);
+    if (!margin) return inside;
+    const distance = this.getDistanceToBoundary(point, polygon);
+    return inside ? distance > -margin : distance < margin;
+  }
+
+  /**
+   * Computes the signed area of a polygon (shoelace formula): positive when its points
+   * run clockwise on the y-down canvas.
+   * @param {Array<{x: number, y: number}>} polygon
+   * @returns {number}
+   */
+  static getSignedArea(polygon) {
+    let area = 0;
+    for (let i = 0; i < polygon.length; i++) {
+      const a = polygon[i];
+      const b = polygon[(i + 1) % polygon.length];
+      area += a.x * b.y - b.x * a.y;
+    }
+    return area / 2;
+  }
+
+  /**
+   * Computes the area of a polygon.
+   * @param {Array<{x: number, y: number}>} polygon
+   * @returns {number}
+   */
+  static getArea(polygon) {
+    return Math.abs(this.getSignedArea(polygon));
+  }
+
+  /**
+   * Clips a polygon, convex or not, to a convex polygon (Sutherland-Hodgman).
+   * Clipping a concave polygon may leave zero-width slivers along the clip edges;
+   * they do not change the area of the result.
+   * @param {Array<{x: number, y: number}>} subject - The polygon to clip.
+   * @param {Array<{x: number, y: number}>} clip - The convex clip polygon, in either winding.
+   * @returns {Array<{x: number, y: number}>} The clipped polygon (fewer than three points when they do not overlap).
+   */
+  static clipPolygon(subject, clip) {
+    const winding = Math.sign(this.getSignedArea(clip));
+    let output = subject;
+    for (let i = 0; i < clip.length && output.length > 0; i++) {
+      const a = clip[i];
+      const b = clip[(i + 1) % clip.length];
+      const side = (p) => winding * ((b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x));
+      const input = output;
+      output = [];
+      for (let j = 0; j < input.length; j++) {
+        const current = input[j];
+        const previous = input[(j + input.length - 1) % input.length];
+        const currentSide = side(current);
+        const previousSide = side(previous);
+        if ((currentSide >= 0) !== (previousSide >= 0)) {
+          const t = previousSide / (previousSide - currentSide);
+          output.push({ x: previous.x + (current.x - previous.x) * t, y: previous.y + (current.y - previous.y) * t });
+        }
+        if (currentSide >= 0) output.push({ x: current.x, y: current.y });
+      }
+    }
+    return output;
+  }
+
+  /**
+   * Computes the fraction of a convex footprint covered by an area.
+   * @param {Array<{x: number, y: number}>} footprint - The convex footprint (e.g., token rectangle corners).
+   * @param {Array<{x: number, y: number}>} area - The covering polygon, convex or not.
+   * @returns {number} The covered fraction, in [0, 1] (0 for a degenerate footprint).
+   */
+  static getCoverage(footprint, area) {
+    const total = this.getArea(footprint);
+    if (!total) return 0;
+    const clipped = this.clipPolygon(area, footprint);
+    return clipped.length < 3 ? 0 : Math.min(1, this.getArea(clipped) / total);
+  }
+
+  /**
+   * Computes the edge normals of a polygon, used as separating axes.
+   * @param {Array<{x: number, y: number}>} polygon
+   * @returns {Array<{x: number, y: number}>}
+   */
+  static getAxes(polygon) {
+    const axes = [];
+    for (let i = 0; i < polygon.length; i++) {
+      const current = polygon[i];
+      const next = polygon[(i + 1) % polygon.length];
+      const axis = { x: current.y - next.y, y: next.x - current.x };
+      if (axis.x !== 0 || axis.y !== 0) axes.push(axis);
+    }
+    return axes;
+  }
+
+  /**
+   * Projects a polygon onto an axis.
+   * @param {Array<{x: number, y: number}>} polygon
+   * @param {{x: number, y: number}} axis
+   * @returns {{min: number, max: number}}
+   */
+  static project(polygon, axis) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const point of polygon) {
+      const value = point.x * axis.x + point.y * axis.y;
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+    return { min, max };
+  }
+
+  /**
+   * Determines if a point lies strictly inside a convex polygon.
+   * @param {{x: number, y: number}} point
+   * @param {Array<{x: number, y: number}>} polygon
+   * @returns {boolean}
+   */
+  static isPointInConvexPolygon(point, polygon) {
+    return this.getAxes(polygon).every((axis) => {
+      const { min, max } = this.project(polygon, axis);
+      const value = point.x * axis.x + point.y * axis.y;
+      return value > min && value < max;
+    });
+  }
+
+  /**
+   * Determines if a point lies on a segment.
+   * @param {{x: number, y: number}} point
+   * @param {{x: number, y: number}} a - Segment start.
+   * @param {{x: number, y: number}} b - Segment end.
+   * @returns {boolean}
+   */
+  static isPointOnSegment(point, a, b) {
+    const cross = (b.x - a.x) * (point.y - a.y) - (b.y - a.y) * (point.x - a.x);
+    if (Math.abs(cross) > 1e-9) return false;
+    return (
+      point.x >= Math.min(a.x, b.x) && point.x <= Math.max(a.x, b.x) &&
+      point.y >= Math.min(a.y, b.y) && point.y <= Math.max(a.y, b.y)
+    );
+  }
+
+  /**
+   * Determines if a point lies strictly inside a polygon, convex or not (even-odd rule).
+   * @param {{x: number, y: number}} point
+   * @param {Array<{x: number, y: number}>} polygon
+   * @returns {boolean}
+   */
+  static isPointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = polygon[i];
+      const b = polygon[j];
+      if (this.isPointOnSegment(point, a, b)) return false;
+      if ((a.y > point.y) !== (b.y > point.y)) {
+        const crossingX = a.x + ((point.y - a.y) * (b.x - a.x)) / (b.y - a.y);
+        if (point.x < crossingX) inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * Determines if two segments cross at a single point interior to both.
+   * @param {{x: number, y: number}} a1
+   * @param {{x: number, y: number}} a2
+   * @param {{x: number, y: number}} b1
+   * @param {{x: number, y: number}} b2
+   * @returns {boolean}
+   */
+  static doSegmentsCross(a1, a2, b1, b2) {
+    const orientation = (p, q, r) => Math.sign((q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x));
+    const o1 = orientation(a1, a2, b1);
+    const o2 = orientation(a1, a2, b2);
+    const o3 = orientation(b1, b2, a1);
+    const o4 = orientation(b1, b2, a2);
+    return o1 * o2 < 0 && o3 * o4 < 0;
+  }
+
+  /**
+   * Determines if two polygons, convex or not, share some interior area.
+   * Checks crossing edges and vertices strictly inside the other polygon, then probes
+   * just off each edge midpoint so that polygons with shared edges are detected too.
+   * Polygons that only touch do not intersect.
+   * @param {Array<{x: number, y: number}>} a
+   * @param {Array<{x: number, y: number}>} b
+   * @returns {boolean}
+   */
+  static doPolygonsIntersect(a, b) {
+    for (let i = 0; i < a.length; i++) {
+      const a1 = a[i];
+      const a2 = a[(i + 1) % a.length];
+      for (let j = 0; j < b.length; j++) {
+        if (this.doSegmentsCross(a1, a2, b[j], b[(j + 1) % b.length])) return true;
+      }
+    }
+    if (a.some((point) => this.isPointInPolygon(point, b))) return true;
+    if (b.some((point) => this.isPointInPolygon(point, a))) return true;
+    const probes = (polygon) => polygon.flatMap((point, i) => {
+      const next = polygon[(i + 1) % polygon.length];
+      const length = Math.hypot(next.x - point.x, next.y - point.y);
+      if (length === 0) return [];
+      const offset = { x: ((point.y - next.y) / length) * 1e-6, y: ((next.x - point.x) / length) * 1e-6 };
+      const middle = { x: (point.x + next.x) / 2, y: (point.y + next.y) / 2 };
+      return [
+        { x: middle.x + offset.x, y: middle.y + offset.y },
+        { x: middle.x - offset.x, y: middle.y - offset.y }
+      ];
+    });
+    return [...probes(a), ...probes(b)].some((point) => this.isPointInPolygon(point, a) && this.isPointInPolygon(point, b));
+  }
+
+  /**
+   * Determines if a polygon lies within another one, convex or not: none of its points or edge
+   * midpoints is outside the outer polygon and none of its edges crosses it. Touching the outline counts as within.
+   * @param {Array<{x: number, y: number}>} inner
+   * @param {Array<{x: number, y: number}>} outer
+   * @returns {boolean}
+   */
+  static isPolygonInPolygon(inner, outer) {
+    const isInside = (point) => this.isPointInPolygon(point, outer) || this.getDistanceToBoundary(point, outer) < 1e-9;
+    for (let i = 0; i < inner.length; i++) {
+      const a = inner[i];
+      const b = inner[(i + 1) % inner.length];
+      if (!isInside(a) || !isInside({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 })) return false;
+      for (let j = 0; j < outer.length; j++) {
+        if (this.doSegmentsCross(a, b, outer[j], outer[(j + 1) % outer.length])) return false;
+      }
+    }
+    return inner.length > 0;
+  }
+
+  /**
+   * Determines if two convex polygons overlap, using the separating axis theorem.
+   * @param {Array<{x: number, y: number}>} a
+   * @param {Array<{x: number, y: number}>} b
+   * @returns {boolean} True if no separating axis exists.
+   */
+  static doConvexPolygonsOverlap(a, b) {
+    return [...this.getAxes(a), ...this.getAxes(b)].every((axis) => {
+      const projectionA = this.project(a, axis);
+      const projectionB = this.project(b, axis);
+      return projectionA.min < projectionB.max && projectionA.max > projectionB.min;
+    });
+  }
+}
+
+export default Geometry;
+export { Geometry };
@@ -0,0 +1,351 @@
+/**
+ * @file geometry.unit.test.mjs
+ * @description Unit tests for the Geometry static helpers.
+ * @path src/handlers/placeableHelpers/geometry.unit.test.mjs
+ */
+
+import { describe, it, expect } from 'vitest';
+import Geometry from './geometry.mjs';
+
+const square = [
+  { x: 0, y: 0 },
+  { x: 10, y: 0 },
+  { x: 10, y: 10 },
+  { x: 0, y: 10 }
+];
+
+describe('Geometry', () => {
+  describe('toRadians', () => {
+    it('should convert degrees to radians', () => {
+      expect(Geometry.toRadians(180)).toBeCloseTo(Math.PI);
+      expect(Geometry.toRadians(0)).toBe(0);
+    });
+  });
+
+  describe('isPoint', () => {
+    it('should validate numeric points', () => {
+      expect(Geometry.isPoint({ x: 1, y: 2 })).toBe(true);
+      expect(Geometry.isPoint({ x: '1', y: 2 })).toBe(false);
+      expect(Geometry.isPoint(null)).toBe(false);
+    });
+  });
+
+  describe('getOrientedCorners', () => {
+    it('should return the plain corners without rotation', () => {
+      expect(Geometry.getOrientedCorners(0, 0, 10, 20)).toEqual([
+        { x: 0, y: 0 },
+        { x: 10, y: 0 },
+        { x: 10, y: 20 },
+        { x: 0, y: 20 }
+      ]);
+    });
+
+    it('should rotate clockwise around the center', () => {
+      const corners = Geometry.getOrientedCorners(0, 0, 20, 10, 90);
+      const expected = [{ x: 15, y: -5 }, { x: 15, y: 15 }, { x: 5, y: 15 }, { x: 5, y: -5 }];
+      corners.forEach((corner, index) => {
+        expect(corner.x).toBeCloseTo(expected[index].x);
+        expect(corner.y).toBeCloseTo(expected[index].y);
+      });
+    });
+  });
+
+  describe('getRectCorners', () => {
+    it('should prefer oriented corners', () => {
+      const corners = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }];
+      expect(Geometry.getRectCorners({ BottomLeft: { x: 5, y: 5 }, TopRight: { x: 6, y: 6 }, corners })).toBe(corners);
+    });
+
+    it('should normalize BottomLeft/TopRight in either y direction', () => {
+      const mathRect = Geometry.getRectCorners({ BottomLeft: { x: 0, y: 0 }, TopRight: { x: 10, y: 10 } });
+      const canvasRect = Geometry.getRectCorners({ BottomLeft: { x: 0, y: 10 }, TopRight: { x: 10, y: 0 } });
+      expect(mathRect).toEqual(square);
+      expect(canvasRect).toEqual(square);
+    });
+
+    it('should return null for invalid rectangles', () => {
+      expect(Geometry.getRectCorners({ BottomLeft: { x: 0, y: 0 } })).toBeNull();
+      expect(Geometry.getRectCorners(undefined)).toBeNull();
+    });
+  });
+
+  describe('inflateCorners', () => {
+    it('should grow and shrink a rectangle along its sides', () => {
+      expect(Geometry.inflateCorners(square, 2)).toEqual([
+        { x: -2, y: -2 }, { x: 12, y: -2 }, { x: 12, y: 12 }, { x: -2, y: 12 }
+      ]);
+      expect(Geometry.inflateCorners(square, -2)).toEqual([
+        { x: 2, y: 2 }, { x: 8, y: 2 }, { x: 8, y: 8 }, { x: 2, y: 8 }
+      ]);
+    });
+
+    it('should follow rotated rectangles', () => {
+      const diamond = [{ x: 0, y: -10 }, { x: 10, y: 0 }, { x: 0, y: 10 }, { x: -10, y: 0 }];
+      const grown = Geometry.inflateCorners(diamond, Math.SQRT2);
+      expect(grown[0].y).toBeCloseTo(-12);
+      expect(grown[1].x).toBeCloseTo(12);
+    });
+
+    it('should return the corners without margin and null when shrunk away', () => {
+      expect(Geometry.inflateCorners(square, 0)).toBe(square);
+      expect(Geometry.inflateCorners(square, -5)).toBeNull();
+    });
+  });
+
+  describe('getDistanceToBoundary', () => {
+    it('should measure the distance to the closest edge', () => {
+      expect(Geometry.getDistanceToBoundary({ x: 5, y: 2 }, square)).toBe(2);
+      expect(Geometry.getDistanceToBoundary({ x: 13, y: 14 }, square)).toBe(5);
+      expect(Geometry.getDistanceToSegment({ x: 3, y: 4 }, { x: 0, y: 0 }, { x: 0, y: 0 })).toBe(5);
+    });
+  });
+
+  describe('isPointInPolygonWithMargin', () => {
+    it('should accept points within the margin outside the outline', () => {
+      expect(Geometry.isPointInPolygonWithMargin({ x: 12, y: 5 }, square, 3)).toBe(true);
+      expect(Geometry.isPointInPolygonWithMargin({ x: 10, y: 5 }, square, 3)).toBe(true);
+      expect(Geometry.isPointInPolygonWithMargin({ x: 14, y: 5 }, square, 3)).toBe(false);
+    });
+
+    it('should require points to be deeper than a negative margin', () => {
+      expect(Geometry.isPointInPolygonWithMargin({ x: 2, y: 5 }, square, -3)).toBe(false);
+      expect(Geometry.isPointInPolygonWithMargin({ x: 5, y: 5 }, square, -3)).toBe(true);
+    });
+
+    it('should keep the strict outline without margin', () => {
+      expect(Geometry.isPointInPolygonWithMargin({ x: 10, y: 5 }, square)).toBe(false);
+    });
+  });
+
+  describe('isPointInConvexPolygon', () => {
+    it('should detect points strictly inside', () => {
+      expect(Geometry.isPointInConvexPolygon({ x: 5, y: 5 }, square)).toBe(true);
+      expect(Geometry.isPointInConvexPolygon({ x: 15, y: 5 }, square)).toBe(false);
+    });
+
+    it('should exclude points on edges and corners', () => {
+      expect(Geometry.isPointInConvexPolygon({ x: 10, y: 5 }, square)).toBe(false);
+      expect(Geometry.isPointInConvexPolygon({ x: 0, y: 0 }, square)).toBe(false);
+    });
+
+    it('should handle rotated polygons', () => {
+      const diamond = Geometry.getOrientedCorners(0, 0, 10, 10, 45);
+      expect(Geometry.isPointInConvexPolygon({ x: 5, y: 5 }, diamond)).toBe(true);
+      expect(Geometry.isPointInConvexPolygon({ x: 0.5, y: 0.5 }, diamond)).toBe(false);
+    });
+  });
+
+  describe('doConvexPolygonsOverlap', () => {
+    it('should detect overlapping polygons', () => {
+      const shifted = square.map(({ x, y }) => ({ x: x + 5, y: y + 5 }));
+      expect(Geometry.doConvexPolygonsOverlap(square, shifted)).toBe(true);
+    });
+
+    it('should exclude polygons that only touch', () => {
+      const adjacent = square.map(({ x, y }) => ({ x: x + 10, y }));
+      expect(Geometry.doConvexPolygonsOverlap(square, adjacent)).toBe(false);
+    });
+
+    it('should find separating axes of rotated polygons', () => {
+      const diamond = Geometry.getOrientedCorners(10, 10, 10, 10, 45);
+      // Axis-aligned boxes overlap, but the diamond's edge separates them
+      const corner = [{ x: 10, y: 10 }, { x: 11, y: 10 }, { x: 11, y: 11 }, { x: 10, y: 11 }];
+      expect(Geometry.doConvexPolygonsOverlap(diamond, corner)).toBe(false);
+      expect(Geometry.doConvexPolygonsOverlap(diamond, square)).toBe(false);
+      expect(Geometry.doConvexPolygonsOverlap(diamond, [{ x: 14, y: 14 }, { x: 16, y: 14 }, { x: 16, y: 16 }])).toBe(true);
+    });
+  });
+
+  describe('toPoints', () => {
+    it('should accept flat, tuple and object points', () => {
+      const expected = [{ x: 0, y: 1 }, { x: 2, y: 3 }];
+      expect(Geometry.toPoints([0, 1, 2, 3])).toEqual(expected);
+      expect(Geometry.toPoints([[0, 1], [2, 3]])).toEqual(expected);
+      expect(Geometry.toPoints(expected)).toEqual(expected);
+    });
+
+    it('should return null for invalid input', () => {
+      expect(Geometry.toPoints([0, 1, 2])).toBeNull();
+      expect(Geometry.toPoints([{ x: 0 }])).toBeNull();
+      expect(Geometry.toPoints('0,1')).toBeNull();
+    });
+  });
+
+  describe('areas and coverage', () => {
+    it('should compute polygon areas in either winding', () => {
+      expect(Geometry.getArea(square)).toBe(100);
+      expect(Geometry.getArea([...square].reverse())).toBe(100);
+      expect(Math.sign(Geometry.getSignedArea(square))).toBe(-Math.sign(Geometry.getSignedArea([...square].reverse())));
+    });
+
+    it('should clip a polygon to a convex polygon', () => {
+      const clip = [{ x: 5, y: 5 }, { x: 15, y: 5 }, { x: 15, y: 15 }, { x: 5, y: 15 }];
+      expect(Geometry.getArea(Geometry.clipPolygon(square, clip))).toBeCloseTo(25);
+      expect(Geometry.getArea(Geometry.clipPolygon(square, [...clip].reverse()))).toBeCloseTo(25);
+      expect(Geometry.clipPolygon(square, clip.map(({ x, y }) => ({ x: x + 20, y })))).toHaveLength(0);
+    });
+
+    it('should compute the covered fraction of a footprint', () => {
+      const token = [{ x: 5, y: 0 }, { x: 15, y: 0 }, { x: 15, y: 10 }, { x: 5, y: 10 }];
+      expect(Geometry.getCoverage(token, square)).toBeCloseTo(0.5);
+      expect(Geometry.getCoverage(square, square)).toBeCloseTo(1);
+      expect(Geometry.getCoverage([{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }], square)).toBe(0);
+    });
+
+    it('should measure the coverage by concave areas', () => {
+      // L-shape: the square without its top-right quarter
+      const lShape = [{ x: 0, y: 0 }, { x: 5, y: 0 }, { x: 5, y: 5 }, { x: 10, y: 5 }, { x: 10, y: 10 }, { x: 0, y: 10 }];
+      expect(Geometry.getCoverage(square, lShape)).toBeCloseTo(0.75);
+      const topRow = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 5 }, { x: 0, y: 5 }];
+      expect(Geometry.getCoverage(topRow, lShape)).toBeCloseTo(0.5);
+    });
+  });
+
+  describe('getGap', () => {
+    const square = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }];
+
+    it('should return the offset between the closest points', () => {
+      const right = square.map((point) => ({ x: point.x + 30, y: point.y + 5 }));
+      expect(Geometry.getGap(square, right)).toEqual({ x: 20, y: 0 });
+      expect(Geometry.getGap([{ x: 13, y: 14 }], square)).toEqual({ x: -3, y: -4 });
+      expect(Geometry.getGap(square, [{ x: 13, y: 14 }])).toEqual({ x: 3, y: 4 });
+      expect(Geometry.getGap([{ x: 0, y: 0 }], [{ x: 3, y: 4 }])).toEqual({ x: 3, y: 4 });
+    });
+
+    it('should return a zero offset for overlapping or contained shapes', () => {
+      expect(Geometry.getGap(square, square.map((point) => ({ x: point.x + 5, y: point.y })))).toEqual({ x: 0, y: 0 });
+      expect(Geometry.getGap([{ x: 5, y: 5 }], square)).toEqual({ x: 0, y: 0 });
+      expect(Geometry.getGap(square, [{ x: 5, y: 5 }])).toEqual({ x: 0, y: 0 });
+    });
+  });
+
+  describe('translate', () => {
+    const offset = { x: 5, y: -2 };
+
+    it('should move points and point lists', () => {
+      expect(Geometry.translate({ x: 1, y: 2 }, offset)).toEqual({ x: 6, y: 0 });
+      expect(Geometry.translate([{ x: 0, y: 0 }, { x: 1, y: 1 }], offset)).toEqual([{ x: 5, y: -2 }, { x: 6, y: -1 }]);
+    });
+
+    it('should move rectangles with their corners and keep other properties', () => {
+      const rect = { BottomLeft: { x: 0, y: 10 }, TopRight: { x: 10, y: 0 }, rotation: 45, corners: [{ x: 0, y: 0 }] };
+      expect(Geometry.translate(rect, offset)).toEqual({
+        BottomLeft: { x: 5, y: 8 }, TopRight: { x: 15, y: -2 }, rotation: 45, corners: [{ x: 5, y: -2 }]
+      });
+      expect(Geometry.translate({ x: 0, y: 0, width: 4, mask: null }, offset)).toEqual({ x: 5, y: -2, width: 4, mask: null });
+    });
+
+    it('should move every cell of a footprint', () => {
+      const footprint = { layout: 'square', cells: [[{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }]] };
+      expect(Geometry.translate(footprint, offset)).toEqual({
+        layout: 'square', cells: [[{ x: 5, y: -2 }, { x: 6, y: -2 }, { x: 6, y: -1 }]]
+      });
+    });
+
+    it('should move every point of a sample set', () => {
+      expect(Geometry.translate({ use: 'corners', points: [{ x: 0, y: 0 }, { x: 1, y: 1 }] }, offset)).toEqual({
+        use: 'corners', points: [{ x: 5, y: -2 }, { x: 6, y: -1 }]
+      });
+    });
+
+    it('should leave shapes without coordinates unchanged', () => {
+      expect(Geometry.translate(null, offset)).toBeNull();
+      expect(Geometry.translate({ radius: 3 }, offset)).toEqual({ radius: 3 });
+    });
+  });
+
+  describe('rotatePoints', () => {
+    it('should rotate around the pivot', () => {
+      const [point] = Geometry.rotatePoints([{ x: 10, y: 0 }], { x: 0, y: 0 }, 90);
+      expect(point.x).toBeCloseTo(0);
+      expect(point.y).toBeCloseTo(10);
+    });
+
+    it('should copy points without rotation', () => {
+      const points = [{ x: 1, y: 2 }];
+      expect(Geometry.rotatePoints(points, { x: 0, y: 0 }, 0)).toEqual(points);
+    });
+  });
+
+  describe('getEllipsePoints', () => {
+    it('should place the points on the ellipse, rotated with it', () => {
+      const points = Geometry.getEllipsePoints({ x: 10, y: 10 }, 20, 10, 0, 4);
+      expect(points).toHaveLength(4);
+      expect(points[0]).toEqual({ x: 30, y: 10 });
+      expect(points[1].x).toBeCloseTo(10);
+      expect(points[1].y).toBeCloseTo(20);
+      const [rotated] = Geometry.getEllipsePoints({ x: 0, y: 0 }, 20, 10, 90, 4);
+      expect(rotated.x).toBeCloseTo(0);
+      expect(rotated.y).toBeCloseTo(20);
+    });
+
+    it('should use at least three points', () => {
+      expect(Geometry.getEllipsePoints({ x: 0, y: 0 }, 1, 1, 0, 1)).toHaveLength(3);
+    });
+  });
+
+  describe('getBoundingBox', () => {
+    it('should enclose the points', () => {
+      expect(Geometry.getBoundingBox([{ x: 10, y: -5 }, { x: -10, y: 5 }, { x: 0, y: 20 }])).toEqual({ x: -10, y: -5, width: 20, height: 25 });
+      expect(Geometry.getBoundingBox([])).toBeNull();
+      expect(Geometry.getBoundingBox(null)).toBeNull();
+    });
+  });
+
+  describe('isPointInPolygon', () => {
+    const lShape = [
+      { x: 0, y: 0 }, { x: 20, y: 0 }, { x: 20, y: 10 },
+      { x: 10, y: 10 }, { x: 10, y: 20 }, { x: 0, y: 20 }
+    ];
+
+    it('should handle concave polygons', () => {
+      expect(Geometry.isPointInPolygon({ x: 5, y: 15 }, lShape)).toBe(true);
+      expect(Geometry.isPointInPolygon({ x: 15, y: 15 }, lShape)).toBe(false);
+    });
+
+    it('should exclude points on the outline', () => {
+      expect(Geometry.isPointInPolygon({ x: 15, y: 10 }, lShape)).toBe(false);
+      expect(Geometry.isPointInPolygon({ x: 0, y: 0 }, lShape)).toBe(false);
+    });
+  });
+
+  describe('doSegmentsCross', () => {
+    it('should detect proper crossings only', () => {
+      expect(Geometry.doSegmentsCross({ x: 0, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }, { x: 10, y: 0 })).toBe(true);
+      expect(Geometry.doSegmentsCross({ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 })).toBe(false);
+    });
+  });
+
+  describe('doPolygonsIntersect', () => {
+    it('should detect crossing, nested and identical polygons', () => {
+      const inner = [{ x: 2, y: 2 }, { x: 4, y: 2 }, { x: 4, y: 4 }];
+      const crossing = [{ x: 5, y: -5 }, { x: 6, y: -5 }, { x: 6, y: 15 }, { x: 5, y: 15 }];
+      expect(Geometry.doPolygonsIntersect(square, inner)).toBe(true);
+      expect(Geometry.doPolygonsIntersect(inner, square)).toBe(true);
+      expect(Geometry.doPolygonsIntersect(square, crossing)).toBe(true);
+      expect(Geometry.doPolygonsIntersect(square, square)).toBe(true);
+    });
+
+    it('should exclude polygons that only touch', () => {
+      const adjacent = square.map(({ x, y }) => ({ x: x + 10, y }));
+      expect(Geometry.doPolygonsIntersect(square, adjacent)).toBe(false);
+    });
+  });
+
+  describe('isPolygonInPolygon', () => {
+    it('should accept nested polygons, outline contact included', () => {
+      const inner = [{ x: 2, y: 2 }, { x: 4, y: 2 }, { x: 4, y: 4 }];
+      expect(Geometry.isPolygonInPolygon(inner, square)).toBe(true);
+      expect(Geometry.isPolygonInPolygon(square, square)).toBe(true);
+      expect(Geometry.isPolygonInPolygon(square, inner)).toBe(false);
+    });
+
+    it('should reject polygons crossing a concave notch', () => {
+      const lShape = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 4 }, { x: 4, y: 4 }, { x: 4, y: 10 }, { x: 0, y: 10 }];
+      const spanning = [{ x: 2, y: 8 }, { x: 8, y: 2 }, { x: 2, y: 2 }];
+      expect(Geometry.isPolygonInPolygon([{ x: 1, y: 1 }, { x: 3, y: 1 }, { x: 3, y: 8 }], lShape)).toBe(true);
+      expect(Geometry.isPolygonInPolygon(spanning, lShape)).toBe(false);
+      expect(Geometry.isPolygonInPolygon([], lShape)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * @file geometryCache.mjs
+ * @description Caches the positions and elevations of placeables until their documents change.
+ * @path src/handlers/placeableHelpers/geometryCache.mjs
+ */
+
+import HookedHandler from '../../baseClasses/hookedHandler.mjs';
+import { GEOMETRY_CACHE, PLACEABLE_TYPES, TILE_FLAGS } from './config.mjs';
+
+/**
+ * @class GeometryCache
+ * @description Keeps the geometry read by `PlaceableGetter` (one position per use, and the
+ * elevation range) for each placeable, so that batch evaluations compute it once.
+ *
+ * While active, entries live until the placeable's document changes: the
+ * `update<Document>` / `delete<Document>` hooks of `placeables.geometryCache.documentNames`
+ * drop them, `updateDrawing` / `deleteDrawing` drop the placeables outlined by that drawing
+ * (`zone` flag) and `canvasReady` empties the cache. While inactive, nothing tells the cache
+ * about changes, so it only lasts one pass (see `beginPass`).
+ * Tokens in motion are never cached: their animated position changes every frame.
+ * @extends HookedHandler
+ */
+class GeometryCache extends HookedHandler {
+  /**
+   * Cached entries by placeable id.
+   * @type {Map<string, {placeable: Object, positions: Map<string, Object>, elevation?: Object|number}>}
+   * @private
+   */
+  #entries = new Map();
+
+  /**
+   * @param {Object} config - Configuration settings.
+   * @param {Object} context - Execution context.
+   * @param {Object} utils - Utility functions.
+   * @param {PlaceableGetter} placeableGetter - Instance of PlaceableGetter.
+   * @param {Object} [options={}]
+   * @param {string[]} [options.documentNames] - Document names of the invalidating hooks. Defaults to `GEOMETRY_CACHE.DOCUMENT_NAMES`.
+   */
+  constructor(config, context, utils, placeableGetter, { documentNames = GEOMETRY_CACHE.DOCUMENT_NAMES } = {}) {
+    super(config, utils, context);
+    this.getter = placeableGetter;
+    this.logger = utils?.logger;
+    this.documentNames = [...documentNames];
+  }
+
+  /**
+   * Number of cached placeables.
+   * @returns {number}
+   */
+  get size() {
+    return this.#entries.size;
+  }
+
+  /**
+   * @protected
+   * Registers the invalidating hooks.
+   */
+  _registerHooks() {
+    this._registerHook('canvasReady', () => this.clear());
+    for (const documentName of this.documentNames) {
+      this._registerHook(`update${documentName}`, (document) => this.invalidate(document?.id));
+      this._registerHook(`delete${documentName}`, (document) => this.invalidate(document?.id));
+    }
+    this._registerHook(`update${PLACEABLE_TYPES.DRAWING.DOCUMENT_NAME}`, (document) => this.invalidateZone(document?.id));
+    this._registerHook(`delete${PLACEABLE_TYPES.DRAWING.DOCUMENT_NAME}`, (document) => this.invalidateZone(document?.id));
+  }
+
+  /**
+   * Unregisters the invalidating hooks and empties the cache.
+   * @returns {boolean} True if the cache was deactivated, false if it was not active.
+   */
+  deactivate() {
+    if (!super.deactivate()) return false;
+    this.clear();
+    return true;
+  }
+
+  /**
+   * Starts an evaluation pass: an inactive cache cannot tell stale entries, so it is emptied.
+   */
+  beginPass() {
+    if (!this.isActive) this.clear();
+  }
+
+  /**
+   * Retrieves the position of a placeable for a use, computing it on first request.
+   * @param {Object} placeable
+   * @param {string} use - The position use (see `PlaceableGetter.getPosition`).
+   * @returns {Object|Array|null|undefined} The position.
+   */
+  getPosition(placeable, use) {
+    const entry = this.#getEntry(placeable);
+    if (!entry) return this.getter.getPosition(placeable, this.getter, use);
+    if (!entry.positions.has(use)) entry.positions.set(use, this.getter.getPosition(placeable, this.getter, use));
+    return entry.positions.get(use);
+  }
+
+  /**
+   * Retrieves the elevation range of a placeable (its plain elevation when the getter has no ranges),
+   * computing it on first request.
+   * @param {Object} placeable
+   * @returns {{bottom: number, top: number}|number}
+   */
+  getElevation(placeable) {
+    const entry = this.#getEntry(placeable);
+    if (entry && 'elevation' in entry) return entry.elevation;
+    const elevation = typeof this.getter.getElevationRange === 'function'
+      ? this.getter.getElevationRange(placeable)
+      : this.getter.getElevation(placeable);
+    if (entry) entry.elevation = elevation;
+    return elevation;
+  }
+
+  /**
+   * Determines if a placeable has cached geometry.
+   * @param {Object|string} placeable - The placeable or its id.
+   * @returns {boolean}
+   */
+  has(placeable) {
+    return this.#entries.has(this.#getId(placeable));
+  }
+
+  /**
+   * Drops the cached geometry of a placeable.
+   * @param {Object|string} placeable - The placeable or its id.
+   * @returns {boolean} True if the placeable was cached.
+   */
+  invalidate(placeable) {
+    return this.#entries.delete(this.#getId(placeable));
+  }
+
+  /**
+   * Drops the cached geometry of the placeables outlined by a drawing (`zone` flag).
+   * @param {string} drawingId - The id of the drawing.
+   * @returns {number} The number of dropped placeables.
+   */
+  invalidateZone(drawingId) {
+    if (typeof drawingId !== 'string' || !drawingId) return 0;
+    let count = 0;
+    for (const [id, entry] of this.#entries) {
+      if (this.getter.getFlag?.(entry.placeable, TILE_FLAGS.ZONE) !== drawingId) continue;
+      this.#entries.delete(id);
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Empties the cache.
+   */
+  clear() {
+    this.#entries.clear();
+  }
+
+  /**
+   * Retrieves (or creates) the entry of a placeable. Entries of another object with the same id
+   * (the canvas was redrawn) are replaced.
+   * @private
+   * @param {Object} placeable
+   * @returns {Object|null} The entry, or null when the placeable cannot be cached.
+   */
+  #getEntry(placeable) {
+    const id = this.#getId(placeable);
+    if (id === undefined || this.getter.isMoving?.(placeable)) return null;
+    let entry = this.#entries.get(id);
+    if (!entry || entry.placeable !== placeable) {
+      entry = { placeable, positions: new Map() };
+      this.#entries.set(id, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Retrieves the id a placeable is cached under.
+   * @private
+   * @param {Object|string} placeable - The placeable or its id.
+   * @returns {string|undefined}
+   */
+  #getId(placeable) {
+    if (typeof placeable === 'string') return placeable;
+    return placeable?.document?.id ?? placeable?.id;
+  }
+}
+
+export default GeometryCache;
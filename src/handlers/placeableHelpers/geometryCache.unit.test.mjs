@@ -0,0 +1,145 @@
+/**
+ * @file geometryCache.unit.test.mjs
+ * @description Unit tests for GeometryCache.
+ * @path src/handlers/placeableHelpers/geometryCache.unit.test.mjs
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import GeometryCache from './geometryCache.mjs';
+import Handler from '../../baseClasses/handler.mjs';
+
+describe('GeometryCache', () => {
+  let cache;
+  let getter;
+  let hooks;
+  let tile;
+
+  beforeEach(() => {
+    tile = { document: { id: 'roof' } };
+    getter = {
+      getPosition: vi.fn((placeable, manager, use) => ({ use })),
+      getElevationRange: vi.fn(() => ({ bottom: 0, top: 10 })),
+      getElevation: vi.fn(() => 10),
+      isMoving: vi.fn(() => false),
+      getFlag: vi.fn((placeable, key) => placeable.flags?.[key])
+    };
+    hooks = new Map();
+    let nextId = 1;
+    global.Hooks = {
+      on: vi.fn((name, callback) => {
+        hooks.set(name, callback);
+        return nextId++;
+      }),
+      off: vi.fn()
+    };
+    cache = new GeometryCache({ constants: {} }, {}, { logger: { warn: vi.fn() } }, getter);
+  });
+
+  afterEach(() => {
+    delete global.Hooks;
+  });
+
+  describe('constructor', () => {
+    it('should extend Handler and follow tokens and tiles by default', () => {
+      expect(cache).toBeInstanceOf(Handler);
+      expect(cache.documentNames).toEqual(['Token', 'Tile']);
+      expect(cache.isActive).toBe(false);
+      expect(cache.size).toBe(0);
+    });
+  });
+
+  describe('getPosition', () => {
+    it('should compute each position use once', () => {
+      expect(cache.getPosition(tile, 'rectangle')).toEqual({ use: 'rectangle' });
+      expect(cache.getPosition(tile, 'rectangle')).toBe(cache.getPosition(tile, 'rectangle'));
+      cache.getPosition(tile, 'polygon');
+      expect(getter.getPosition).toHaveBeenCalledTimes(2);
+      expect(getter.getPosition).toHaveBeenCalledWith(tile, getter, 'polygon');
+      expect(cache.has('roof')).toBe(true);
+    });
+
+    it('should not cache tokens in motion', () => {
+      getter.isMoving.mockReturnValue(true);
+      cache.getPosition(tile, 'center');
+      cache.getPosition(tile, 'center');
+      expect(getter.getPosition).toHaveBeenCalledTimes(2);
+      expect(cache.size).toBe(0);
+    });
+
+    it('should replace the entry of a redrawn placeable', () => {
+      cache.getPosition(tile, 'rectangle');
+      cache.getPosition({ document: { id: 'roof' } }, 'rectangle');
+      expect(getter.getPosition).toHaveBeenCalledTimes(2);
+      expect(cache.size).toBe(1);
+    });
+  });
+
+  describe('getElevation', () => {
+    it('should cache the elevation range', () => {
+      expect(cache.getElevation(tile)).toEqual({ bottom: 0, top: 10 });
+      cache.getElevation(tile);
+      expect(getter.getElevationRange).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fall back to the plain elevation', () => {
+      delete getter.getElevationRange;
+      expect(cache.getElevation(tile)).toBe(10);
+    });
+  });
+
+  describe('invalidation', () => {
+    it('should drop the geometry of a placeable when its document changes', () => {
+      cache.activate();
+      cache.getPosition(tile, 'rectangle');
+      hooks.get('updateTile')({ id: 'roof' });
+      expect(cache.has(tile)).toBe(false);
+      cache.getPosition(tile, 'rectangle');
+      hooks.get('deleteTile')({ id: 'roof' });
+      expect(cache.size).toBe(0);
+    });
+
+    it('should drop the geometry of the placeables outlined by a moved zone drawing', () => {
+      const cellar = { document: { id: 'cellar' }, flags: { zone: 'outline' } };
+      cache.activate();
+      cache.getPosition(tile, 'rectangle');
+      cache.getPosition(cellar, 'rectangle');
+      hooks.get('updateDrawing')({ id: 'outline' });
+      expect(cache.has(cellar)).toBe(false);
+      expect(cache.has(tile)).toBe(true);
+      cache.getPosition(cellar, 'rectangle');
+      hooks.get('deleteDrawing')({ id: 'outline' });
+      expect(cache.size).toBe(1);
+      expect(cache.invalidateZone(undefined)).toBe(0);
+    });
+
+    it('should empty the cache when the canvas is redrawn', () => {
+      cache.activate();
+      cache.getPosition(tile, 'rectangle');
+      hooks.get('canvasReady')();
+      expect(cache.size).toBe(0);
+    });
+
+    it('should only empty an inactive cache at the start of a pass', () => {
+      cache.getPosition(tile, 'rectangle');
+      cache.beginPass();
+      expect(cache.size).toBe(0);
+      cache.activate();
+      cache.getPosition(tile, 'rectangle');
+      cache.beginPass();
+      expect(cache.size).toBe(1);
+    });
+  });
+
+  describe('activate / deactivate', () => {
+    it('should register the hooks once and unregister them', () => {
+      expect(cache.activate()).toBe(true);
+      expect(cache.activate()).toBe(false);
+      expect([...hooks.keys()]).toEqual(['canvasReady', 'updateToken', 'deleteToken', 'updateTile', 'deleteTile', 'updateDrawing', 'deleteDrawing']);
+      cache.getPosition(tile, 'rectangle');
+      expect(cache.deactivate()).toBe(true);
+      expect(global.Hooks.off).toHaveBeenCalledTimes(7);
+      expect(cache.size).toBe(0);
+      expect(cache.deactivate()).toBe(false);
+    });
+  });
+});
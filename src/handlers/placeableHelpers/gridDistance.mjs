@@ -0,0 +1,83 @@
+/**
+ * @file gridDistance.mjs
+ * @description Measures canvas offsets in grid units, following the diagonal rules of the scene grid.
+ * @path src/handlers/placeableHelpers/gridDistance.mjs
+ */
+
+import GridFootprint from './gridFootprint.mjs';
+import { GRID_DIAGONALS } from './config.mjs';
+
+/**
+ * Static helpers to measure distances the way the scene grid counts them.
+ *
+ * - square grids: the horizontal and vertical steps are counted in cells and combined with
+ *   the grid's diagonal rule (`canvas.grid.diagonals`, one of `CONST.GRID_DIAGONALS`,
+ *   see `placeables.grid.diagonals`); alternating rules count whole diagonal pairs
+ * - hex grids: the straight-line distance divided by the distance between neighbouring hex centers
+ * - gridless scenes: the straight-line distance divided by the grid size
+ *
+ * @class GridDistance
+ * @export
+ */
+class GridDistance {
+  /**
+   * Retrieves the size of a grid unit, in pixels: the cell width on square and gridless scenes,
+   * the distance between neighbouring centers on hex grids.
+   * @param {Object} grid - The scene grid (`canvas.grid`).
+   * @returns {number} The unit size, or 0 when the grid has no size.
+   */
+  static getUnitSize(grid) {
+    const { layout, sizeX, sizeY } = GridFootprint.getLayout(grid);
+    const isHex = layout === GridFootprint.LAYOUTS.HEX_ROWS || layout === GridFootprint.LAYOUTS.HEX_COLUMNS;
+    const size = isHex ? Math.min(sizeX, sizeY) : sizeX;
+    return size > 0 ? size : 0;
+  }
+
+  /**
+   * Measures an offset in grid units.
+   * @param {{x: number, y: number}} offset - The offset, in pixels.
+   * @param {Object} grid - The scene grid (`canvas.grid`).
+   * @returns {number} The distance, in grid units: 0 for a zero offset, Infinity when the grid has no size.
+   */
+  static measure(offset, grid) {
+    const x = Math.abs(offset?.x ?? 0);
+    const y = Math.abs(offset?.y ?? 0);
+    if (x === 0 && y === 0) return 0;
+    const { layout, sizeX, sizeY } = GridFootprint.getLayout(grid);
+    if (layout === GridFootprint.LAYOUTS.SQUARE && sizeX > 0 && sizeY > 0) {
+      return this.measureSquare(x / sizeX, y / sizeY, grid?.diagonals ?? GRID_DIAGONALS.EQUIDISTANT);
+    }
+    const unit = this.getUnitSize(grid);
+    return unit ? Math.hypot(x, y) / unit : Infinity;
+  }
+
+  /**
+   * Combines horizontal and vertical steps with a diagonal rule.
+   * @param {number} dx - Horizontal steps, in cells.
+   * @param {number} dy - Vertical steps, in cells.
+   * @param {number} diagonals - The diagonal rule (`CONST.GRID_DIAGONALS`).
+   * @returns {number} The distance, in cells.
+   */
+  static measureSquare(dx, dy, diagonals) {
+    const diagonal = Math.min(dx, dy);
+    const straight = Math.max(dx, dy) - diagonal;
+    switch (diagonals) {
+      case GRID_DIAGONALS.EXACT:
+        return Math.hypot(dx, dy);
+      case GRID_DIAGONALS.APPROXIMATE:
+        return straight + diagonal * 1.5;
+      case GRID_DIAGONALS.RECTILINEAR:
+      case GRID_DIAGONALS.ILLEGAL:
+        return dx + dy;
+      case GRID_DIAGONALS.ALTERNATING_1:
+        return straight + diagonal + Math.floor(diagonal / 2);
+      case GRID_DIAGONALS.ALTERNATING_2:
+        return straight + diagonal + Math.ceil(diagonal / 2);
+      default:
+        return straight + diagonal;
+    }
+  }
+}
+
+export default GridDistance;
+export { GridDistance };
@@ -0,0 +1,52 @@
+/**
+ * @file gridDistance.unit.test.mjs
+ * @description Unit tests for GridDistance.
+ * @path src/handlers/placeableHelpers/gridDistance.unit.test.mjs
+ */
+
+import { describe, it, expect } from 'vitest';
+import GridDistance from './gridDistance.mjs';
+import { GRID_DIAGONALS } from './config.mjs';
+
+describe('GridDistance', () => {
+  const square = (diagonals) => ({ type: 1, size: 100, diagonals });
+
+  describe('getUnitSize', () => {
+    it('should use the cell width, or the hex center spacing', () => {
+      expect(GridDistance.getUnitSize(square())).toBe(100);
+      expect(GridDistance.getUnitSize({ type: 2, size: 100 })).toBeCloseTo(86.6025);
+      expect(GridDistance.getUnitSize({ type: 4, size: 100, sizeX: 100, sizeY: 86 })).toBe(86);
+      expect(GridDistance.getUnitSize({ type: 0, size: 50 })).toBe(50);
+      expect(GridDistance.getUnitSize(undefined)).toBe(0);
+    });
+  });
+
+  describe('measure', () => {
+    const offset = { x: 300, y: -100 };
+
+    it('should apply the diagonal rules of square grids', () => {
+      expect(GridDistance.measure(offset, square(GRID_DIAGONALS.EQUIDISTANT))).toBe(3);
+      expect(GridDistance.measure(offset, square(GRID_DIAGONALS.EXACT))).toBeCloseTo(Math.hypot(3, 1));
+      expect(GridDistance.measure(offset, square(GRID_DIAGONALS.APPROXIMATE))).toBe(3.5);
+      expect(GridDistance.measure(offset, square(GRID_DIAGONALS.RECTILINEAR))).toBe(4);
+      expect(GridDistance.measure(offset, square(GRID_DIAGONALS.ILLEGAL))).toBe(4);
+      expect(GridDistance.measure({ x: 200, y: 200 }, square(GRID_DIAGONALS.ALTERNATING_1))).toBe(3);
+      expect(GridDistance.measure({ x: 100, y: 100 }, square(GRID_DIAGONALS.ALTERNATING_1))).toBe(1);
+      expect(GridDistance.measure({ x: 100, y: 100 }, square(GRID_DIAGONALS.ALTERNATING_2))).toBe(2);
+    });
+
+    it('should count diagonals as one space by default', () => {
+      expect(GridDistance.measure(offset, square())).toBe(3);
+    });
+
+    it('should measure straight lines on hex and gridless scenes', () => {
+      expect(GridDistance.measure({ x: 172, y: 0 }, { type: 2, size: 100, sizeX: 86, sizeY: 100 })).toBe(2);
+      expect(GridDistance.measure({ x: 30, y: 40 }, { type: 0, size: 50 })).toBe(1);
+    });
+
+    it('should return 0 for a zero offset and Infinity without a grid size', () => {
+      expect(GridDistance.measure({ x: 0, y: 0 }, undefined)).toBe(0);
+      expect(GridDistance.measure(offset, undefined)).toBe(Infinity);
+    });
+  });
+});
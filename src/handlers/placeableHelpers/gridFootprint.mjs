@@ -0,0 +1,203 @@
+/**
+ * @file gridFootprint.mjs
+ * @description Builds the grid cells (squares or hexes) occupied by a placeable on the scene grid.
+ * @path src/handlers/placeableHelpers/gridFootprint.mjs
+ */
+
+import Geometry from './geometry.mjs';
+import { GRID_TYPES } from './config.mjs';
+
+/**
+ * Tolerance, in pixels, for bounds that sit on cell edges (floating point positions).
+ * @type {number}
+ */
+const EPSILON = 1e-6;
+
+/**
+ * Static helpers for grid-aware footprints.
+ *
+ * A footprint is `{ layout, cells }` where `cells` lists the occupied cells as convex
+ * polygons in canvas coordinates (clockwise on the y-down canvas):
+ * - square grids: every square the bounds overlap
+ * - hex grids (rows or columns): every hex whose center lies inside the bounds, so a token
+ *   of size 1 occupies its hex and larger tokens the hexes under them
+ * - gridless scenes (or bounds that hold no hex center): the bounds rectangle itself
+ *
+ * The grid is read as Foundry's `canvas.grid`: `{ type, size, sizeX?, sizeY? }`, with
+ * `type` one of `CONST.GRID_TYPES` (see `placeables.grid.types`). Cells are aligned on the
+ * canvas origin, as Foundry pads scenes by whole grid cells.
+ *
+ * @class GridFootprint
+ * @export
+ */
+class GridFootprint {
+  /**
+   * Layouts of the grid types.
+   * @type {Readonly<{GRIDLESS: string, SQUARE: string, HEX_ROWS: string, HEX_COLUMNS: string}>}
+   */
+  static LAYOUTS = Object.freeze({
+    GRIDLESS: 'gridless',
+    SQUARE: 'square',
+    HEX_ROWS: 'hexRows',
+    HEX_COLUMNS: 'hexColumns'
+  });
+
+  /**
+   * Describes the cell layout of a grid.
+   * Hex sizes default to regular hexes `size` pixels from vertex to vertex.
+   * @param {Object} grid - The scene grid (`canvas.grid`).
+   * @returns {{layout: string, sizeX: number, sizeY: number, even: boolean}}
+   */
+  static getLayout(grid) {
+    const type = grid?.type;
+    const size = Number(grid?.size) || 0;
+    const sized = (layout, width, height, even = false) => ({
+      layout,
+      sizeX: Number(grid?.sizeX) || width,
+      sizeY: Number(grid?.sizeY) || height,
+      even
+    });
+    switch (type) {
+      case GRID_TYPES.SQUARE:
+        return sized(this.LAYOUTS.SQUARE, size, size);
+      case GRID_TYPES.HEXODDR:
+      case GRID_TYPES.HEXEVENR:
+        return sized(this.LAYOUTS.HEX_ROWS, (size * Math.sqrt(3)) / 2, size, type === GRID_TYPES.HEXEVENR);
+      case GRID_TYPES.HEXODDQ:
+      case GRID_TYPES.HEXEVENQ:
+        return sized(this.LAYOUTS.HEX_COLUMNS, size, (size * Math.sqrt(3)) / 2, type === GRID_TYPES.HEXEVENQ);
+      default:
+        return sized(this.LAYOUTS.GRIDLESS, size, size);
+    }
+  }
+
+  /**
+   * Builds the footprint of a rectangle on a grid.
+   * @param {{x: number, y: number, width: number, height: number}} bounds - The unrotated bounds, in pixels.
+   * @param {Object} grid - The scene grid (`canvas.grid`).
+   * @returns {{layout: string, cells: Array<Array<{x: number, y: number}>>}|null} The footprint, or null for invalid bounds.
+   */
+  static getFootprint(bounds, grid) {
+    if (!this.isBounds(bounds)) return null;
+    const layout = this.getLayout(grid);
+    let cells = [];
+    if (layout.sizeX > 0 && layout.sizeY > 0) {
+      if (layout.layout === this.LAYOUTS.SQUARE) cells = this.getSquareCells(bounds, layout);
+      else if (layout.layout === this.LAYOUTS.HEX_ROWS) cells = this.getHexCells(bounds, layout);
+      else if (layout.layout === this.LAYOUTS.HEX_COLUMNS) cells = this.getHexColumnCells(bounds, layout);
+    }
+    if (!cells.length) cells = [Geometry.getOrientedCorners(bounds.x, bounds.y, bounds.width, bounds.height)];
+    return { layout: layout.layout, cells };
+  }
+
+  /**
+   * Validates a footprint: a non-empty list of cell polygons.
+   * @param {Object} footprint
+   * @returns {boolean}
+   */
+  static isFootprint(footprint) {
+    return Array.isArray(footprint?.cells) && footprint.cells.length > 0 && footprint.cells.every((cell) => Geometry.isPolygon(cell));
+  }
+
+  /**
+   * Validates a bounds rectangle: `{ x, y, width, height }` with finite values and a positive size.
+   * @param {Object} bounds
+   * @returns {boolean}
+   */
+  static isBounds(bounds) {
+    const values = [bounds?.x, bounds?.y, bounds?.width, bounds?.height];
+    return values.every((value) => typeof value === 'number' && Number.isFinite(value)) && bounds.width > 0 && bounds.height > 0;
+  }
+
+  /**
+   * Lists the squares a rectangle overlaps. Squares it only touches are left out.
+   * @param {{x: number, y: number, width: number, height: number}} bounds
+   * @param {{sizeX: number, sizeY: number}} layout
+   * @returns {Array<Array<{x: number, y: number}>>}
+   */
+  static getSquareCells({ x, y, width, height }, { sizeX, sizeY }) {
+    const cells = [];
+    const firstColumn = Math.floor((x + EPSILON) / sizeX);
+    const lastColumn = Math.ceil((x + width - EPSILON) / sizeX) - 1;
+    const firstRow = Math.floor((y + EPSILON) / sizeY);
+    const lastRow = Math.ceil((y + height - EPSILON) / sizeY) - 1;
+    for (let row = firstRow; row <= lastRow; row++) {
+      for (let column = firstColumn; column <= lastColumn; column++) {
+        cells.push(Geometry.getOrientedCorners(column * sizeX, row * sizeY, sizeX, sizeY));
+      }
+    }
+    return cells;
+  }
+
+  /**
+   * Lists the hexes of a row layout (pointy-top) whose centers lie inside a rectangle.
+   * @param {{x: number, y: number, width: number, height: number}} bounds
+   * @param {{sizeX: number, sizeY: number, even: boolean}} layout
+   * @returns {Array<Array<{x: number, y: number}>>}
+   */
+  static getHexCells({ x, y, width, height }, layout) {
+    const { sizeX, sizeY } = layout;
+    const rowStep = sizeY * 0.75;
+    const cells = [];
+    for (let row = Math.floor((y - sizeY) / rowStep); row <= Math.ceil((y + height) / rowStep); row++) {
+      for (let column = Math.floor((x - sizeX) / sizeX); column <= Math.ceil((x + width) / sizeX); column++) {
+        const center = this.getHexCenter(row, column, layout);
+        const inside = center.x > x + EPSILON && center.x < x + width - EPSILON &&
+          center.y > y + EPSILON && center.y < y + height - EPSILON;
+        if (inside) cells.push(this.getHexVertices(center, layout));
+      }
+    }
+    return cells;
+  }
+
+  /**
+   * Lists the hexes of a column layout (flat-top) whose centers lie inside a rectangle:
+   * the row layout with both axes swapped.
+   * @param {{x: number, y: number, width: number, height: number}} bounds
+   * @param {{sizeX: number, sizeY: number, even: boolean}} layout
+   * @returns {Array<Array<{x: number, y: number}>>}
+   */
+  static getHexColumnCells({ x, y, width, height }, layout) {
+    const swap = (point) => ({ x: point.y, y: point.x });
+    const transposed = { ...layout, sizeX: layout.sizeY, sizeY: layout.sizeX };
+    return this.getHexCells({ x: y, y: x, width: height, height: width }, transposed)
+      .map((cell) => cell.map(swap).reverse());
+  }
+
+  /**
+   * Computes the center of a hex in a row layout. Odd rows (even rows on `even` grids)
+   * are shifted right by half a hex.
+   * @param {number} row
+   * @param {number} column
+   * @param {{sizeX: number, sizeY: number, even: boolean}} layout
+   * @returns {{x: number, y: number}}
+   */
+  static getHexCenter(row, column, { sizeX, sizeY, even }) {
+    const shifted = (Math.abs(row) % 2 === 1) !== even;
+    return {
+      x: column * sizeX + sizeX / 2 + (shifted ? sizeX / 2 : 0),
+      y: row * sizeY * 0.75 + sizeY / 2
+    };
+  }
+
+  /**
+   * Computes the vertices of a pointy-top hex, clockwise from its top vertex.
+   * @param {{x: number, y: number}} center
+   * @param {{sizeX: number, sizeY: number}} layout
+   * @returns {Array<{x: number, y: number}>}
+   */
+  static getHexVertices({ x, y }, { sizeX, sizeY }) {
+    const halfX = sizeX / 2;
+    return [
+      { x, y: y - sizeY / 2 },
+      { x: x + halfX, y: y - sizeY / 4 },
+      { x: x + halfX, y: y + sizeY / 4 },
+      { x, y: y + sizeY / 2 },
+      { x: x - halfX, y: y + sizeY / 4 },
+      { x: x - halfX, y: y - sizeY / 4 }
+    ];
+  }
+}
+
+export default GridFootprint;
+export { GridFootprint };
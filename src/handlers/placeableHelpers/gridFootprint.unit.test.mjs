@@ -0,0 +1,111 @@
+/**
+ * @file gridFootprint.unit.test.mjs
+ * @description Unit tests for GridFootprint.
+ * @path src/handlers/placeableHelpers/gridFootprint.unit.test.mjs
+ */
+
+import { describe, it, expect } from 'vitest';
+import GridFootprint from './gridFootprint.mjs';
+import Geometry from './geometry.mjs';
+
+const centerOf = (cell) => ({
+  x: cell.reduce((sum, point) => sum + point.x, 0) / cell.length,
+  y: cell.reduce((sum, point) => sum + point.y, 0) / cell.length
+});
+
+describe('GridFootprint', () => {
+  describe('getLayout', () => {
+    it('should map the grid types to layouts', () => {
+      expect(GridFootprint.getLayout({ type: 0, size: 100 }).layout).toBe('gridless');
+      expect(GridFootprint.getLayout({ type: 1, size: 100 })).toEqual({ layout: 'square', sizeX: 100, sizeY: 100, even: false });
+      expect(GridFootprint.getLayout({ type: 2, size: 100 })).toMatchObject({ layout: 'hexRows', even: false });
+      expect(GridFootprint.getLayout({ type: 3, size: 100 })).toMatchObject({ layout: 'hexRows', even: true });
+      expect(GridFootprint.getLayout({ type: 4, size: 100 })).toMatchObject({ layout: 'hexColumns', even: false });
+      expect(GridFootprint.getLayout({ type: 5, size: 100 })).toMatchObject({ layout: 'hexColumns', even: true });
+      expect(GridFootprint.getLayout(undefined).layout).toBe('gridless');
+    });
+
+    it('should prefer the grid cell sizes and default to regular hexes', () => {
+      expect(GridFootprint.getLayout({ type: 2, size: 100, sizeX: 90, sizeY: 100 })).toMatchObject({ sizeX: 90, sizeY: 100 });
+      const rows = GridFootprint.getLayout({ type: 2, size: 100 });
+      expect(rows.sizeX).toBeCloseTo(86.6025);
+      expect(rows.sizeY).toBe(100);
+      const columns = GridFootprint.getLayout({ type: 4, size: 100 });
+      expect(columns.sizeX).toBe(100);
+      expect(columns.sizeY).toBeCloseTo(86.6025);
+    });
+  });
+
+  describe('getFootprint', () => {
+    it('should list the squares a token overlaps', () => {
+      const { layout, cells } = GridFootprint.getFootprint({ x: 100, y: 0, width: 200, height: 100 }, { type: 1, size: 100 });
+      expect(layout).toBe('square');
+      expect(cells).toEqual([
+        [{ x: 100, y: 0 }, { x: 200, y: 0 }, { x: 200, y: 100 }, { x: 100, y: 100 }],
+        [{ x: 200, y: 0 }, { x: 300, y: 0 }, { x: 300, y: 100 }, { x: 200, y: 100 }]
+      ]);
+    });
+
+    it('should include partly covered squares and skip touched ones', () => {
+      const { cells } = GridFootprint.getFootprint({ x: 50, y: 0, width: 100, height: 100 }, { type: 1, size: 100 });
+      expect(cells.map(centerOf)).toEqual([{ x: 50, y: 50 }, { x: 150, y: 50 }]);
+    });
+
+    it('should use the token rectangle on gridless scenes', () => {
+      expect(GridFootprint.getFootprint({ x: 10, y: 20, width: 30, height: 40 }, { type: 0, size: 100 })).toEqual({
+        layout: 'gridless',
+        cells: [[{ x: 10, y: 20 }, { x: 40, y: 20 }, { x: 40, y: 60 }, { x: 10, y: 60 }]]
+      });
+    });
+
+    it('should occupy the hex of a size 1 token on hex rows', () => {
+      const grid = { type: 2, size: 100, sizeX: 86, sizeY: 100 };
+      // Row 1 is shifted right by half a hex on odd-row grids
+      const { layout, cells } = GridFootprint.getFootprint({ x: 129, y: 75, width: 86, height: 100 }, grid);
+      expect(layout).toBe('hexRows');
+      expect(cells).toHaveLength(1);
+      expect(centerOf(cells[0])).toEqual({ x: 172, y: 125 });
+      expect(cells[0][0]).toEqual({ x: 172, y: 75 });
+      expect(Geometry.getArea(cells[0])).toBeCloseTo(86 * 100 * 0.75);
+    });
+
+    it('should shift the even rows on even-row grids', () => {
+      const { cells } = GridFootprint.getFootprint({ x: 43, y: 0, width: 86, height: 100 }, { type: 3, size: 100, sizeX: 86, sizeY: 100 });
+      expect(cells.map(centerOf)).toEqual([{ x: 86, y: 50 }]);
+    });
+
+    it('should occupy the hexes under a larger token', () => {
+      const { cells } = GridFootprint.getFootprint({ x: 0, y: 0, width: 172, height: 150 }, { type: 2, size: 100, sizeX: 86, sizeY: 100 });
+      expect(cells.map(centerOf)).toEqual([{ x: 43, y: 50 }, { x: 129, y: 50 }, { x: 86, y: 125 }]);
+    });
+
+    it('should occupy the hexes of hex columns', () => {
+      const grid = { type: 4, size: 100, sizeX: 100, sizeY: 86 };
+      const { layout, cells } = GridFootprint.getFootprint({ x: 75, y: 43, width: 100, height: 86 }, grid);
+      expect(layout).toBe('hexColumns');
+      expect(cells.map(centerOf)).toEqual([{ x: 125, y: 86 }]);
+      // Same winding as the rectangle corners
+      expect(Math.sign(Geometry.getSignedArea(cells[0]))).toBe(Math.sign(Geometry.getSignedArea(Geometry.getOrientedCorners(0, 0, 10, 10))));
+      expect(Geometry.getArea(cells[0])).toBeCloseTo(100 * 86 * 0.75);
+    });
+
+    it('should fall back to the rectangle when no hex center lies inside it', () => {
+      const { cells } = GridFootprint.getFootprint({ x: 0, y: 0, width: 20, height: 20 }, { type: 2, size: 100, sizeX: 86, sizeY: 100 });
+      expect(cells).toEqual([[{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 20, y: 20 }, { x: 0, y: 20 }]]);
+    });
+
+    it('should return null for invalid bounds', () => {
+      expect(GridFootprint.getFootprint(null, { type: 1, size: 100 })).toBeNull();
+      expect(GridFootprint.getFootprint({ x: 0, y: 0, width: 0, height: 10 }, { type: 1, size: 100 })).toBeNull();
+    });
+  });
+
+  describe('isFootprint', () => {
+    it('should accept a non-empty list of cell polygons', () => {
+      expect(GridFootprint.isFootprint({ cells: [[{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }]] })).toBe(true);
+      expect(GridFootprint.isFootprint({ cells: [] })).toBe(false);
+      expect(GridFootprint.isFootprint({ cells: [[{ x: 0, y: 0 }]] })).toBe(false);
+      expect(GridFootprint.isFootprint([{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }])).toBe(false);
+    });
+  });
+});
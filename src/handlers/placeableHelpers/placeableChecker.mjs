@@ -51,6 +51,7 @@ class PlaceableChecker extends Handler {
    * @param {string} targetUse
    * @param {string} referenceUse
    * @param {string} [checkType='under']
+   * @param {Object} [options={}] - Check options, see `PositionChecker.check` (e.g. `margin`, `coverage`).
    * @returns {boolean} Result of the position check.
    */
   checkPosition(
@@ -60,7 +61,8 @@ class PlaceableChecker extends Handler {
     referenceElevation,
     targetUse,
     referenceUse,
-    checkType = 'under'
+    checkType = 'under',
+    options = {}
   ) {
     return this.positionChecker.check(
       targetPosition,
@@ -69,7 +71,8 @@ class PlaceableChecker extends Handler {
       referenceElevation,
       targetUse,
       referenceUse,
-      checkType
+      checkType,
+      options
     );
   }
 
@@ -83,8 +86,38 @@ class PlaceableChecker extends Handler {
     return placeable.controlled;
   }
 
+  /**
+   * Determines if a placeable sits on the overhead (roof) level of the scene.
+   * Foundry v12+ derives "overhead" from the elevation compared to the scene's
+   * foreground elevation; the legacy `document.overhead` flag is used as a fallback.
+   * @param {Object} placeable
+   * @returns {boolean} True if overhead, else false.
+   */
+  isOverhead(placeable) {
+    if (!placeable) return false;
+    const foregroundElevation = globalThis.canvas?.scene?.foregroundElevation;
+    if (typeof foregroundElevation === 'number') {
+      return this.getter.getElevation(placeable) >= foregroundElevation;
+    }
+    return !!placeable.document?.overhead;
+  }
+
+  /**
+   * Retrieves the elevation range of a placeable, or its plain elevation when the
+   * getter does not provide ranges.
+   * @private
+   * @param {Object} placeable
+   * @returns {{bottom: number, top: number}|number}
+   */
+  #getElevation(placeable) {
+    if (typeof this.getter.getElevationRange === 'function') return this.getter.getElevationRange(placeable);
+    return this.getter.getElevation(placeable);
+  }
+
   /**
    * Determines if a placeable is under another placeable.
+   * Elevations are compared as ranges (see `PlaceableGetter.getElevationRange`): the target
+   * is under when its span reaches into the reference's height band.
    *
    * @param {Object} target - The target placeable.
    * @param {Object} reference - The reference placeable.
@@ -93,6 +126,7 @@ class PlaceableChecker extends Handler {
    * @param {string} [targetUse] - The use case for the target position. Defaults to CENTER from config or fallback.
    * @param {string} [referenceUse] - The use case for the reference position. Defaults to RECTANGLE from config or fallback.
    * @param {string} [checkType] - The type of check to perform. Defaults to UNDER from config or fallback.
+   * @param {Object} [options={}] - Check options, see `PositionChecker.check` (e.g. a hysteresis `margin` or a `coverage` threshold).
    * @returns {boolean} True if the target is under the reference, else false.
    */
   isUnder(
@@ -102,13 +136,14 @@ class PlaceableChecker extends Handler {
     referenceManager,
     targetUse = POSITION_USES.CENTER,
     referenceUse = POSITION_USES.RECTANGLE,
-    checkType = CHECK_TYPES.UNDER
+    checkType = CHECK_TYPES.UNDER,
+    options = {}
   ) {
     if (this.getDebugMode()) this.logger?.log(`Checking if target ${target} is under reference ${reference}`);
     const targetPosition = this.getter.getPosition(target, targetManager, targetUse);
-    const targetElevation = this.getter.getElevation(target);
+    const targetElevation = this.#getElevation(target);
     const referencePosition = this.getter.getPosition(reference, referenceManager, referenceUse);
-    const referenceElevation = this.getter.getElevation(reference);
+    const referenceElevation = this.#getElevation(reference);
     if (!targetPosition || targetElevation == null || !referencePosition || referenceElevation == null) {
       this.logger?.warn('Invalid target or reference');
       return false;
@@ -120,7 +155,8 @@ class PlaceableChecker extends Handler {
       referenceElevation,
       targetUse,
       referenceUse,
-      checkType
+      checkType,
+      options
     );
   }
 
@@ -133,6 +169,8 @@ class PlaceableChecker extends Handler {
    * @param {Object} referenceManager
    * @param {string} [targetUse='center']
    * @param {string} [referenceUse='rectangle']
+   * @param {string} [checkType] - The type of check to perform. Defaults to OVER from config or fallback.
+   * @param {Object} [options={}] - Check options, see `PositionChecker.check`.
    */
   isOver(
     target,
@@ -140,7 +178,9 @@ class PlaceableChecker extends Handler {
     targetManager,
     referenceManager,
     targetUse = POSITION_USES.CENTER,
-    referenceUse = POSITION_USES.RECTANGLE
+    referenceUse = POSITION_USES.RECTANGLE,
+    checkType = CHECK_TYPES.OVER,
+    options = {}
   ) {
     return this.isUnder(
       target,
@@ -149,9 +189,106 @@ class PlaceableChecker extends Handler {
       referenceManager,
       targetUse,
       referenceUse,
-      CHECK_TYPES.OVER
+      checkType,
+      options
     );
   }
+
+  /**
+   * Determines if a placeable is within a distance of another placeable.
+   * Delegates to isUnder with CHECK_TYPES.NEAR (see `PositionChecker.isNear`).
+   * @param {Object} target
+   * @param {Object} reference
+   * @param {Object} targetManager
+   * @param {Object} referenceManager
+   * @param {string} [targetUse='center']
+   * @param {string} [referenceUse='rectangle']
+   * @param {Object} [options={}] - The `distance`, its `units` ('grid' or 'pixels') and the `grid` measuring it.
+   * @returns {boolean} True if the target is near the reference, else false.
+   */
+  isNear(
+    target,
+    reference,
+    targetManager,
+    referenceManager,
+    targetUse = POSITION_USES.CENTER,
+    referenceUse = POSITION_USES.RECTANGLE,
+    options = {}
+  ) {
+    return this.isUnder(
+      target,
+      reference,
+      targetManager,
+      referenceManager,
+      targetUse,
+      referenceUse,
+      CHECK_TYPES.NEAR,
+      options
+    );
+  }
+
+  /**
+   * Checks every target against every reference in one pass. Each placeable's position and
+   * elevation is read once (through the geometry cache when given, which may keep it across
+   * passes), instead of once per pair as with `isUnder`.
+   *
+   * @param {Array} targets - The target placeables (rows of the matrix).
+   * @param {Array} references - The reference placeables (columns of the matrix).
+   * @param {Object} [options={}]
+   * @param {string} [options.targetUse='center'] - Position use of the targets.
+   * @param {string|Function} [options.referenceUse='rectangle'] - Position use of the references, or
+   * `(reference) => use` (e.g. from the tile's `referenceUse` flag).
+   * @param {string} [options.checkType='under'] - The type of check to perform.
+   * @param {Object|Function} [options.checkOptions={}] - Check options (see `PositionChecker.check`), or
+   * `(target, reference) => options` for per-pair margins or thresholds.
+   * @param {GeometryCache} [cache] - Geometry cache; without one, positions are only shared within this pass.
+   * @returns {Array<Array<boolean|Object>>} `matrix[i][j]`: the result for `targets[i]` and `references[j]`,
+   * false when either placeable has no valid position.
+   */
+  evaluateAll(targets, references, options = {}, cache = null) {
+    const {
+      targetUse = POSITION_USES.CENTER,
+      referenceUse = POSITION_USES.RECTANGLE,
+      checkType = CHECK_TYPES.UNDER,
+      checkOptions = {}
+    } = options;
+    const pass = new Map();
+    const read = (placeable, use) => {
+      if (!pass.has(placeable)) pass.set(placeable, new Map());
+      const geometry = pass.get(placeable);
+      if (!geometry.has(use)) {
+        geometry.set(use, {
+          position: cache ? cache.getPosition(placeable, use) : this.getter.getPosition(placeable, this.getter, use),
+          elevation: cache ? cache.getElevation(placeable) : this.#getElevation(placeable)
+        });
+      }
+      return geometry.get(use);
+    };
+    const isValid = ({ position, elevation }) => !!position && elevation != null;
+
+    cache?.beginPass();
+    const referenceGeometry = (references ?? []).map((reference) => {
+      const use = typeof referenceUse === 'function' ? referenceUse(reference) : referenceUse;
+      return { reference, use, ...read(reference, use) };
+    });
+    return (targets ?? []).map((target) => {
+      const targetGeometry = read(target, targetUse);
+      return referenceGeometry.map((referenceEntry) => {
+        if (!isValid(targetGeometry) || !isValid(referenceEntry)) return false;
+        const pairOptions = typeof checkOptions === 'function' ? checkOptions(target, referenceEntry.reference) : checkOptions;
+        return this.checkPosition(
+          targetGeometry.position,
+          targetGeometry.elevation,
+          referenceEntry.position,
+          referenceEntry.elevation,
+          targetUse,
+          referenceEntry.use,
+          checkType,
+          pairOptions ?? {}
+        );
+      });
+    });
+  }
  }
 
 export default PlaceableChecker;
\ No newline at end of file
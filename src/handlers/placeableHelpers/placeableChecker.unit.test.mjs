@@ -130,7 +130,8 @@ describe('PlaceableChecker', () => {
                 referenceElevation,
                 targetUse,
                 referenceUse,
-                checkType
+                checkType,
+                {}
             );
             expect(result).toBe(true);
         });
@@ -150,6 +151,28 @@ describe('PlaceableChecker', () => {
         });
     });
 
+    describe('isOverhead', () => {
+        afterEach(() => {
+            delete globalThis.canvas;
+        });
+
+        it('should compare the elevation with the scene foreground elevation', () => {
+            globalThis.canvas = { scene: { foregroundElevation: 20 } };
+            mockPlaceableGetter.getElevation.mockReturnValueOnce(20).mockReturnValueOnce(5);
+            expect(placeableChecker.isOverhead({ id: 'roof' })).toBe(true);
+            expect(placeableChecker.isOverhead({ id: 'floor' })).toBe(false);
+        });
+
+        it('should fall back to document.overhead without a scene foreground elevation', () => {
+            expect(placeableChecker.isOverhead({ document: { overhead: true } })).toBe(true);
+            expect(placeableChecker.isOverhead({ document: {} })).toBe(false);
+        });
+
+        it('should return false for a missing placeable', () => {
+            expect(placeableChecker.isOverhead(null)).toBe(false);
+        });
+    });
+
     describe('isUnder', () => {
         it('should return true when target is under reference', () => {
             const target = { id: 'target' };
@@ -193,7 +216,8 @@ describe('PlaceableChecker', () => {
                 10,
                 targetUse,
                 referenceUse,
-                CHECK_TYPES.UNDER
+                CHECK_TYPES.UNDER,
+                {}
             );
             expect(result).toBe(true);
         });
@@ -218,6 +242,41 @@ describe('PlaceableChecker', () => {
             expect(result).toBe(false);
         });
 
+        it('should compare elevation ranges when the getter provides them', () => {
+            const target = { id: 'target' };
+            const reference = { id: 'reference' };
+            mockPlaceableGetter.getPosition.mockReturnValue({ x: 10, y: 20 });
+            mockPlaceableGetter.getElevationRange = vi.fn((obj) => (
+                obj.id === 'target' ? { bottom: 10, top: 16 } : { bottom: 10, top: 20 }
+            ));
+            mockPositionChecker.check.mockReturnValue(true);
+
+            placeableChecker.isUnder(target, reference, {}, {}, 'center', 'rectangle');
+
+            expect(mockPlaceableGetter.getElevation).not.toHaveBeenCalled();
+            expect(mockPositionChecker.check).toHaveBeenCalledWith(
+                { x: 10, y: 20 },
+                { bottom: 10, top: 16 },
+                { x: 10, y: 20 },
+                { bottom: 10, top: 20 },
+                'center',
+                'rectangle',
+                CHECK_TYPES.UNDER,
+                {}
+            );
+        });
+
+        it('should forward the check options', () => {
+            mockPlaceableGetter.getPosition.mockReturnValue({ x: 10, y: 20 });
+            mockPlaceableGetter.getElevation.mockReturnValue(5);
+
+            placeableChecker.isUnder({ id: 'target' }, { id: 'reference' }, {}, {}, 'center', 'rectangle', CHECK_TYPES.UNDER, { margin: 12 });
+
+            expect(mockPositionChecker.check).toHaveBeenCalledWith(
+                { x: 10, y: 20 }, 5, { x: 10, y: 20 }, 5, 'center', 'rectangle', CHECK_TYPES.UNDER, { margin: 12 }
+            );
+        });
+
         it('should treat elevation 0 as valid', () => {
             const target = { id: 'target' };
             const reference = { id: 'reference' };
@@ -300,9 +359,112 @@ describe('PlaceableChecker', () => {
                 referenceManager,
                 targetUse,
                 referenceUse,
-                'above'
+                'above',
+                {}
             );
             expect(result).toBe(true);
         });
+
+        it('should forward the check type and options', () => {
+            const target = { id: 'target' };
+            const reference = { id: 'reference' };
+            vi.spyOn(placeableChecker, 'isUnder').mockReturnValue(false);
+
+            placeableChecker.isOver(target, reference, mockPlaceableGetter, mockPlaceableGetter, 'center', 'rectangle', 'above', { margin: 5 });
+
+            expect(placeableChecker.isUnder).toHaveBeenCalledWith(
+                target, reference, mockPlaceableGetter, mockPlaceableGetter, 'center', 'rectangle', 'above', { margin: 5 }
+            );
+        });
+    });
+
+    describe('isNear', () => {
+        it('should call isUnder with the checkType from CHECK_TYPES.NEAR and the options', () => {
+            const target = { id: 'target' };
+            const reference = { id: 'door' };
+            const options = { distance: 1 };
+            vi.spyOn(placeableChecker, 'isUnder').mockReturnValue(true);
+
+            expect(placeableChecker.isNear(target, reference, mockPlaceableGetter, mockPlaceableGetter, 'center', 'rectangle', options)).toBe(true);
+            expect(placeableChecker.isUnder).toHaveBeenCalledWith(
+                target, reference, mockPlaceableGetter, mockPlaceableGetter, 'center', 'rectangle', 'near', options
+            );
+        });
+
+        it('should pass the near check type and the options to the position checker', () => {
+            mockPlaceableGetter.getPosition.mockReturnValueOnce({ x: 50, y: 50 }).mockReturnValueOnce({ BottomLeft: { x: 180, y: 100 }, TopRight: { x: 200, y: 0 } });
+            mockPlaceableGetter.getElevation.mockReturnValue(0);
+            mockPositionChecker.check.mockReturnValue(true);
+            const options = { distance: 2 };
+
+            expect(placeableChecker.isNear({ id: 'token' }, { id: 'door' }, mockPlaceableGetter, mockPlaceableGetter, undefined, undefined, options)).toBe(true);
+            expect(mockPositionChecker.check).toHaveBeenCalledWith(
+                { x: 50, y: 50 }, 0, { BottomLeft: { x: 180, y: 100 }, TopRight: { x: 200, y: 0 } }, 0, 'center', 'rectangle', 'near', options
+            );
+        });
+    });
+
+    describe('evaluateAll', () => {
+        const tokens = [{ id: 'a' }, { id: 'b' }];
+        const roofs = [{ id: 'roof' }, { id: 'porch' }, { id: 'tower' }];
+
+        beforeEach(() => {
+            mockPlaceableGetter.getPosition.mockImplementation((placeable, manager, use) => ({ id: placeable.id, use }));
+            mockPlaceableGetter.getElevation.mockImplementation((placeable) => (placeable.id === 'tower' ? 20 : 0));
+            mockPositionChecker.check.mockImplementation((target, targetElevation, reference) => target.id === 'a' && reference.id !== 'porch');
+        });
+
+        it('should return a target x reference matrix of the check results', () => {
+            expect(placeableChecker.evaluateAll(tokens, roofs)).toEqual([
+                [true, false, true],
+                [false, false, false]
+            ]);
+            expect(mockPositionChecker.check).toHaveBeenCalledWith(
+                { id: 'a', use: 'center' }, 0, { id: 'tower', use: 'rectangle' }, 20, 'center', 'rectangle', 'under', {}
+            );
+        });
+
+        it('should read the geometry of each placeable once per pass', () => {
+            placeableChecker.evaluateAll(tokens, roofs);
+            expect(mockPlaceableGetter.getPosition).toHaveBeenCalledTimes(tokens.length + roofs.length);
+            expect(mockPlaceableGetter.getElevation).toHaveBeenCalledTimes(tokens.length + roofs.length);
+            expect(mockPositionChecker.check).toHaveBeenCalledTimes(tokens.length * roofs.length);
+        });
+
+        it('should accept per-reference uses and per-pair options', () => {
+            const checkOptions = vi.fn((target, reference) => ({ margin: reference.id === 'roof' ? 12 : 0 }));
+            placeableChecker.evaluateAll([tokens[0]], roofs, {
+                targetUse: 'footprint',
+                referenceUse: (reference) => (reference.id === 'tower' ? 'polygon' : 'rectangle'),
+                checkType: 'above',
+                checkOptions
+            });
+            expect(checkOptions).toHaveBeenCalledWith(tokens[0], roofs[0]);
+            expect(mockPositionChecker.check).toHaveBeenCalledWith(
+                { id: 'a', use: 'footprint' }, 0, { id: 'roof', use: 'rectangle' }, 0, 'footprint', 'rectangle', 'above', { margin: 12 }
+            );
+            expect(mockPositionChecker.check).toHaveBeenCalledWith(
+                { id: 'a', use: 'footprint' }, 0, { id: 'tower', use: 'polygon' }, 20, 'footprint', 'polygon', 'above', { margin: 0 }
+            );
+        });
+
+        it('should read through the geometry cache when given', () => {
+            const cache = {
+                beginPass: vi.fn(),
+                getPosition: vi.fn((placeable, use) => ({ id: placeable.id, use })),
+                getElevation: vi.fn(() => 0)
+            };
+            placeableChecker.evaluateAll(tokens, roofs, {}, cache);
+            expect(cache.beginPass).toHaveBeenCalled();
+            expect(cache.getPosition).toHaveBeenCalledWith(roofs[0], 'rectangle');
+            expect(mockPlaceableGetter.getPosition).not.toHaveBeenCalled();
+        });
+
+        it('should return false for placeables without a position', () => {
+            mockPlaceableGetter.getPosition.mockImplementation((placeable, manager, use) => (placeable.id === 'porch' ? null : { id: placeable.id, use }));
+            mockPositionChecker.check.mockReturnValue(true);
+            expect(placeableChecker.evaluateAll([tokens[0]], roofs)).toEqual([[true, false, true]]);
+            expect(placeableChecker.evaluateAll(null, roofs)).toEqual([]);
+        });
     });
 });
\ No newline at end of file
@@ -6,9 +6,17 @@
 
 
 import Handler from "../../baseClasses/handler.mjs";
+import Geometry from "./geometry.mjs";
+import AlphaMask from "./alphaMask.mjs";
+import GridFootprint from "./gridFootprint.mjs";
+import Sampling from "./sampling.mjs";
+import PlaceableTypes from "./placeableTypes.mjs";
+import { FLAG_SCOPE, TILE_FLAGS, TOKEN_FLAGS, TOKEN_MOVEMENT, ALPHA_MASK, ELEVATION_RANGE, ALLOWED_CORNERS, SAMPLING, PLACEABLE_TYPES } from "./config.mjs";
 
 /**
  * Retrieves information about placeable entities.
+ * Tokens and tiles are read as width/height rectangles; drawings, measured templates, notes and
+ * regions through their type descriptor (see `PlaceableTypes`).
  */
 class PlaceableGetter extends Handler {
     /**
@@ -39,26 +47,29 @@ class PlaceableGetter extends Handler {
 
     /**
      * Retrieves a specific corner of a placeable.
+     * Corner names follow `placeables.token.allowedCorners` ('top-left', 'top-right', 'bottom-left',
+     * 'bottom-right'); the camelCase forms ('topLeft', ...) are accepted too.
      * @param {string} corner
      * @param {Object} placeable
      * @returns {Object|null} Coordinates of the corner or null if invalid.
      */
     getCorner(corner, placeable) {
-        const allowedCorners = this.config.HANDLERS.PLACEABLE.ALLOWED_CORNERS;
-        if (allowedCorners.includes(corner)) {
+        const allowedCorners = ALLOWED_CORNERS;
+        const name = typeof corner === 'string' ? corner.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`) : corner;
+        if (allowedCorners.includes(name)) {
             let anchor = { x: placeable.x, y: placeable.y };
 
-            switch (corner) {
-                case 'topLeft':
+            switch (name) {
+                case 'top-left':
                     // Default anchor
                     break;
-                case 'topRight':
+                case 'top-right':
                     anchor.x += placeable.w || placeable.width;
                     break;
-                case 'bottomLeft':
+                case 'bottom-left':
                     anchor.y += placeable.h || placeable.height;
                     break;
-                case 'bottomRight':
+                case 'bottom-right':
                     anchor.x += placeable.w || placeable.width;
                     anchor.y += placeable.h || placeable.height;
                     break;
@@ -91,24 +102,79 @@ class PlaceableGetter extends Handler {
      * @returns {Object} Coordinates of the center.
      */
     getCenter ( placeable ) {
+        const descriptor = PlaceableTypes.get(placeable);
+        if (descriptor) return descriptor.getCenter(placeable);
         return placeable.center;
     }
 
     /**
      * Retrieves the elevation of a placeable.
+     * Types with their own vertical span (regions) return its top, like the roof of a tile.
      * @param {Object} placeable
      * @returns {number} Elevation value.
      */
     getElevation ( placeable ) {
+        const descriptor = PlaceableTypes.get(placeable);
+        if (descriptor?.getElevationRange) return descriptor.getElevationRange(placeable).top;
         return placeable.document?.elevation ?? placeable.elevation ?? 0;
     }
 
+    /**
+     * Retrieves the vertical span of a placeable.
+     * Tokens span from their elevation up to their height (`tokenHeight` flag, or the
+     * configured default). Other placeables span from their floor to their roof: the
+     * `floorElevation` / `roofElevation` flags, defaulting to the elevation for the roof
+     * and to the roof minus the configured tile height for the floor. Regions span their own
+     * `elevation.bottom` to `elevation.top`.
+     * @param {Object} placeable
+     * @returns {{bottom: number, top: number}} The elevation range, bottom <= top.
+     */
+    getElevationRange ( placeable ) {
+        const descriptor = PlaceableTypes.get(placeable);
+        if (descriptor?.getElevationRange) return descriptor.getElevationRange(placeable);
+        const elevation = this.getElevation(placeable);
+        const numeric = (value) => (typeof value === 'number' && !Number.isNaN(value) ? value : undefined);
+        if (placeable?.document?.documentName === 'Token') {
+            const height = numeric(this.getFlag(placeable, TOKEN_FLAGS.HEIGHT)) ?? ELEVATION_RANGE.TOKEN_HEIGHT;
+            return { bottom: elevation, top: elevation + Math.max(0, height) };
+        }
+        const roof = numeric(this.getFlag(placeable, TILE_FLAGS.ROOF_ELEVATION)) ?? elevation;
+        const floor = numeric(this.getFlag(placeable, TILE_FLAGS.FLOOR_ELEVATION)) ?? roof - ELEVATION_RANGE.TILE_HEIGHT;
+        return { bottom: Math.min(floor, roof), top: Math.max(floor, roof) };
+    }
+
+    /**
+     * Retrieves the rotation of a placeable, in degrees.
+     * Token footprints are never rotated in Foundry, so tokens always return 0.
+     * @param {Object} placeable
+     * @returns {number} Rotation normalized to [0, 360).
+     */
+    getRotation ( placeable ) {
+        if (placeable?.document?.documentName === 'Token') return 0;
+        const descriptor = PlaceableTypes.get(placeable);
+        const source = descriptor ? descriptor.getBounds(placeable).rotation : placeable?.document?.rotation ?? placeable?.rotation;
+        const rotation = Number(source ?? 0) || 0;
+        return ((rotation % 360) + 360) % 360;
+    }
+
     /**
      * Retrieves the rectangular bounds of a placeable.
+     * Rotated placeables also return their oriented corners: Foundry's `bounds`
+     * is the axis-aligned box around the rotated shape, so the unrotated rectangle
+     * is read from the document instead. Types with a descriptor always use its rectangle
+     * (the box around the shape of templates and regions).
      * @param {Object} placeable
-     * @returns {Object} Coordinates of the top-right and bottom-left corners.
+     * @returns {Object} Coordinates of the top-right and bottom-left corners, plus
+     * `rotation` and `corners` (top-left, top-right, bottom-right, bottom-left) when rotated.
      */
     getRectBounds ( placeable ) {
+        const rotation = this.getRotation(placeable);
+        if (rotation !== 0) return this.#getOrientedBounds(placeable, rotation);
+        if (PlaceableTypes.get(placeable)) {
+            const { x, y, width, height } = this.#getDocumentRect(placeable);
+            return { TopRight: { x: x + width, y }, BottomLeft: { x, y: y + height } };
+        }
+
         // Use Foundry's bounds API if available for consistent pixel rectangles
         if (placeable.bounds) {
             const bounds = placeable.bounds;
@@ -119,25 +185,231 @@ class PlaceableGetter extends Handler {
         }
         
         // Fallback to manual calculation
-        let TopRight = this.getCorner('topRight', placeable);
-        let BottomLeft = this.getCorner('bottomLeft', placeable);
+        let TopRight = this.getCorner('top-right', placeable);
+        let BottomLeft = this.getCorner('bottom-left', placeable);
         return {TopRight, BottomLeft};
     }
 
+    /**
+     * Retrieves a module flag of a placeable's document.
+     * @param {Object} placeable
+     * @param {string} key - The flag key (see `placeables.tile.flags` in constants.yaml).
+     * @returns {*} The flag value, or undefined when not set.
+     */
+    getFlag ( placeable, key ) {
+        return placeable?.document?.flags?.[FLAG_SCOPE]?.[key];
+    }
+
+    /**
+     * Retrieves the polygon outline of a placeable, in canvas coordinates.
+     * Uses, in order: the shape of the drawing named by the `zone` flag (the occlusion zone
+     * of a tile), the traced outline from the `polygon` flag (points relative to the
+     * top-left corner of the unrotated placeable, rotated with it), the shape given by the
+     * type descriptor, otherwise the corners of its (possibly rotated) rectangle.
+     * @param {Object} placeable
+     * @returns {Array<{x: number, y: number}>|null} The polygon points.
+     */
+    getPolygon ( placeable ) {
+        const zone = this.getZone(placeable);
+        const points = zone ? this.#getOutline(zone) : null;
+        return Geometry.isPolygon(points) ? points : this.#getOutline(placeable);
+    }
+
+    /**
+     * Builds the outline of a placeable itself, ignoring its `zone` flag (see `getPolygon`).
+     * @private
+     * @param {Object} placeable
+     * @returns {Array<{x: number, y: number}>|null} The polygon points.
+     */
+    #getOutline ( placeable ) {
+        const outline = Geometry.toPoints(this.getFlag(placeable, TILE_FLAGS.POLYGON));
+        if (outline && outline.length >= 3) {
+            const { x, y, width, height } = this.#getDocumentRect(placeable);
+            const points = outline.map((point) => ({ x: x + point.x, y: y + point.y }));
+            return Geometry.rotatePoints(points, { x: x + width / 2, y: y + height / 2 }, this.getRotation(placeable));
+        }
+        const shape = PlaceableTypes.get(placeable)?.getShape(placeable);
+        if (Geometry.isPolygon(shape)) return shape;
+        return Geometry.getRectCorners(this.getRectBounds(placeable));
+    }
+
+    /**
+     * Retrieves the shapes of a placeable for the region position use: the shapes of a
+     * scene region, holes included, or the polygon outline of any other placeable (see `getPolygon`).
+     * @param {Object} placeable
+     * @returns {{shapes: Array<{points: Array<{x: number, y: number}>, hole: boolean}>}|null} The shapes,
+     * or null when the placeable has no outline.
+     */
+    getRegionShape ( placeable ) {
+        if (PlaceableTypes.get(placeable)?.documentName === PLACEABLE_TYPES.REGION.DOCUMENT_NAME) {
+            return { shapes: PlaceableTypes.getRegionShapes(placeable) };
+        }
+        const points = this.getPolygon(placeable);
+        return Geometry.isPolygon(points) ? { shapes: [{ points, hole: false }] } : null;
+    }
+
+    /**
+     * Retrieves the drawing named by the `zone` flag of a placeable, whose shape is used as its outline.
+     * @param {Object} placeable
+     * @returns {Object|null} The drawing, or null when the flag is unset or the drawing is not on the canvas.
+     */
+    getZone ( placeable ) {
+        const id = this.getFlag(placeable, TILE_FLAGS.ZONE);
+        if (typeof id !== 'string' || !id) return null;
+        const drawing = globalThis.canvas?.[PLACEABLE_TYPES.DRAWING.LAYER]?.get?.(id) ?? null;
+        return drawing && drawing !== placeable ? drawing : null;
+    }
+
+    /**
+     * Retrieves the alpha area of a placeable: where its texture is drawn and the
+     * cached alpha mask used for pixel-accurate hit testing (see `AlphaMask`).
+     * Without a readable texture the mask is null and the whole texture rectangle counts as opaque.
+     * @param {Object} placeable
+     * @returns {Object} `{ x, y, width, height, rotation, scaleX, scaleY, threshold, mask }`
+     */
+    getAlphaArea ( placeable ) {
+        const { x, y, width, height } = this.#getDocumentRect(placeable);
+        const textureData = placeable.document?.texture ?? {};
+        const flagged = this.getFlag(placeable, TILE_FLAGS.ALPHA_THRESHOLD);
+        const threshold = Number.isFinite(Number(flagged)) && flagged !== null && flagged !== '' ? Number(flagged) : ALPHA_MASK.THRESHOLD;
+        return {
+            x,
+            y,
+            width,
+            height,
+            rotation: this.getRotation(placeable),
+            scaleX: textureData.scaleX ?? 1,
+            scaleY: textureData.scaleY ?? 1,
+            threshold,
+            mask: AlphaMask.getMask(placeable.texture ?? placeable.mesh?.texture, {
+                resolution: ALPHA_MASK.RESOLUTION,
+                maxSize: ALPHA_MASK.MAX_SIZE
+            })
+        };
+    }
+
+    /**
+     * Retrieves the grid footprint of a placeable: the squares or hexes of the scene grid
+     * it occupies, built from its rectangular bounds (see `GridFootprint`).
+     * On gridless scenes the footprint is the rectangle itself.
+     * @param {Object} placeable
+     * @param {Object} [grid=canvas.grid] - The scene grid.
+     * @returns {Object|null} `{ layout, cells }`, or null when the placeable has no valid bounds.
+     */
+    getFootprint ( placeable, grid = globalThis.canvas?.grid ) {
+        const rect = this.getRectBounds(placeable);
+        const corners = rect?.BottomLeft && rect?.TopRight ? [rect.BottomLeft, rect.TopRight] : null;
+        if (!corners) return null;
+        const x = Math.min(corners[0].x, corners[1].x);
+        const y = Math.min(corners[0].y, corners[1].y);
+        return GridFootprint.getFootprint({
+            x,
+            y,
+            width: Math.max(corners[0].x, corners[1].x) - x,
+            height: Math.max(corners[0].y, corners[1].y) - y
+        }, grid);
+    }
+
+    /**
+     * Retrieves the sample points of a placeable for a sampled position use: its corners,
+     * its corners and center, or an N x N grid over its (possibly rotated) rectangle (see `Sampling`).
+     * @param {Object} placeable
+     * @param {string} use - 'corners', 'corners+center' or 'samples'.
+     * @param {number} [gridSize=SAMPLING.GRID_SIZE] - Points per side of the samples grid.
+     * @returns {Object|null} `{ use, points }`, or null when the placeable has no valid bounds.
+     */
+    getSamplePoints ( placeable, use, gridSize = SAMPLING.GRID_SIZE ) {
+        return Sampling.getSampleSet(Geometry.getRectCorners(this.getRectBounds(placeable)), use, gridSize);
+    }
+
+    /**
+     * Reads the unrotated rectangle of a placeable from its document (or its type descriptor).
+     * @private
+     * @param {Object} placeable
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    #getDocumentRect ( placeable ) {
+        const descriptor = PlaceableTypes.get(placeable);
+        if (descriptor) return descriptor.getBounds(placeable);
+        const source = placeable.document ?? placeable;
+        return {
+            x: source.x ?? placeable.x,
+            y: source.y ?? placeable.y,
+            width: source.width ?? placeable.w ?? placeable.width,
+            height: source.height ?? placeable.h ?? placeable.height
+        };
+    }
+
+    /**
+     * Builds the bounds of a rotated placeable from its unrotated document rectangle.
+     * @private
+     * @param {Object} placeable
+     * @param {number} rotation - Rotation in degrees.
+     * @returns {Object} `{ TopRight, BottomLeft, rotation, corners }`
+     */
+    #getOrientedBounds ( placeable, rotation ) {
+        const { x, y, width, height } = this.#getDocumentRect(placeable);
+        return {
+            TopRight: { x: x + width, y },
+            BottomLeft: { x, y: y + height },
+            rotation,
+            corners: Geometry.getOrientedCorners(x, y, width, height, rotation)
+        };
+    }
+
+    /**
+     * Retrieves the offset of a token being animated on the canvas: Foundry writes the destination
+     * to the document at once and moves the canvas object there frame by frame.
+     * @param {Object} placeable
+     * @returns {{x: number, y: number}|null} The animated position minus the document position,
+     * or null when the placeable is not a token in motion.
+     */
+    getMovementOffset ( placeable ) {
+        const document = placeable?.document;
+        if (document?.documentName !== 'Token') return null;
+        const values = [placeable.x, placeable.y, document.x, document.y];
+        if (!values.every((value) => typeof value === 'number' && Number.isFinite(value))) return null;
+        const offset = { x: placeable.x - document.x, y: placeable.y - document.y };
+        return offset.x === 0 && offset.y === 0 ? null : offset;
+    }
+
+    /**
+     * Determines if a token is being animated towards its document position.
+     * @param {Object} placeable
+     * @returns {boolean}
+     */
+    isMoving ( placeable ) {
+        return this.getMovementOffset(placeable) !== null;
+    }
+
     /**
      * Retrieves the position of a placeable based on the specified use.
+     * Tokens in motion are read at their animated position when `placeables.token.animatedPosition`
+     * is enabled, so checks follow them along their movement path instead of jumping to the destination.
      * @param {Object} placeable
      * @param {Object} placeableManager
      * @param {string} use
      * @returns {Object} Coordinates of the position.
      */
     getPosition ( placeable, placeableManager, use ) {
+        let position;
         if ( use === 'center' ) {
-            return placeableManager.getCenter(placeable);
-        }
-        if ( use === 'rectangle' ) {
-            return placeableManager.getRectBounds(placeable);
+            position = placeableManager.getCenter(placeable);
+        } else if ( use === 'rectangle' ) {
+            position = placeableManager.getRectBounds(placeable);
+        } else if ( use === 'polygon' ) {
+            position = placeableManager.getPolygon(placeable);
+        } else if ( use === 'alpha' ) {
+            position = placeableManager.getAlphaArea(placeable);
+        } else if ( use === 'footprint' ) {
+            position = placeableManager.getFootprint(placeable);
+        } else if ( use === 'region' ) {
+            position = placeableManager.getRegionShape(placeable);
+        } else if ( Sampling.isSampledUse(use) ) {
+            position = placeableManager.getSamplePoints(placeable, use);
         }
+        const offset = TOKEN_MOVEMENT.ANIMATED_POSITION && position ? this.getMovementOffset(placeable) : null;
+        return offset ? Geometry.translate(position, offset) : position;
     }
 
     /**
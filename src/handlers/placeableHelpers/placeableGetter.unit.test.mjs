@@ -122,6 +122,19 @@ describe('PlaceableGetter', () => {
         }
         );
 
+        it('should accept the kebab-case corner names of constants.yaml', () => {
+            expect(placeableGetter.getCorner('top-left', mockPlaceable)).toEqual({ x: 100, y: 100 });
+            expect(placeableGetter.getCorner('bottom-right', mockPlaceable)).toEqual({ x: 300, y: 250 });
+            expect(mockUtils.logger.warn).not.toHaveBeenCalled();
+        });
+
+        it('should build the rectangle from the corners without Foundry bounds', () => {
+            expect(placeableGetter.getRectBounds(mockPlaceable)).toEqual({
+                TopRight: { x: 300, y: 100 },
+                BottomLeft: { x: 100, y: 250 }
+            });
+        });
+
     it('should log a warning if corner is null', () => {
             const corner = placeableGetter.getCorner(null, mockPlaceable);
             expect(corner).toBeNull();
@@ -150,6 +163,35 @@ describe('PlaceableGetter', () => {
         });
     });
 
+    describe('getElevationRange', () => {
+        const flags = (values) => ({ 'foundryvtt-over-my-head': values });
+
+        it('should span tokens from their elevation up to their height', () => {
+            const token = { document: { documentName: 'Token', elevation: 5, flags: flags({ tokenHeight: 6 }) } };
+            expect(placeableGetter.getElevationRange(token)).toEqual({ bottom: 5, top: 11 });
+        });
+
+        it('should default tokens to a flat range', () => {
+            const token = { document: { documentName: 'Token', elevation: 5 } };
+            expect(placeableGetter.getElevationRange(token)).toEqual({ bottom: 5, top: 5 });
+        });
+
+        it('should read the floor and roof of tiles from their flags', () => {
+            const tile = { document: { documentName: 'Tile', elevation: 30, flags: flags({ floorElevation: 10, roofElevation: 20 }) } };
+            expect(placeableGetter.getElevationRange(tile)).toEqual({ bottom: 10, top: 20 });
+        });
+
+        it('should default tiles to a band open downwards below their elevation', () => {
+            const tile = { document: { documentName: 'Tile', elevation: 30, flags: flags({ floorElevation: 'high' }) } };
+            expect(placeableGetter.getElevationRange(tile)).toEqual({ bottom: -Infinity, top: 30 });
+        });
+
+        it('should order inverted bands', () => {
+            const tile = { document: { documentName: 'Tile', elevation: 0, flags: flags({ floorElevation: 20, roofElevation: 10 }) } };
+            expect(placeableGetter.getElevationRange(tile)).toEqual({ bottom: 10, top: 20 });
+        });
+    });
+
     describe('getRectBounds', () => {
         it('should return the top-right and bottom-left corners', () => {
             const bounds = placeableGetter.getRectBounds(mockPlaceable);
@@ -158,6 +200,274 @@ describe('PlaceableGetter', () => {
                 BottomLeft: { x: 100, y: 250 }
             });
         });
+
+        it('should return the oriented corners of rotated placeables', () => {
+            const tile = {
+                bounds: { x: 0, y: 0, width: 1, height: 1 },
+                document: { documentName: 'Tile', x: 100, y: 100, width: 200, height: 100, rotation: 90 }
+            };
+            const bounds = placeableGetter.getRectBounds(tile);
+            expect(bounds.TopRight).toEqual({ x: 300, y: 100 });
+            expect(bounds.BottomLeft).toEqual({ x: 100, y: 200 });
+            expect(bounds.rotation).toBe(90);
+            const expected = [{ x: 250, y: 50 }, { x: 250, y: 250 }, { x: 150, y: 250 }, { x: 150, y: 50 }];
+            bounds.corners.forEach((corner, index) => {
+                expect(corner.x).toBeCloseTo(expected[index].x);
+                expect(corner.y).toBeCloseTo(expected[index].y);
+            });
+        });
+
+        it('should ignore full turns', () => {
+            const bounds = placeableGetter.getRectBounds({ ...mockPlaceable, rotation: 360 });
+            expect(bounds.corners).toBeUndefined();
+        });
+    });
+
+    describe('getFlag', () => {
+        it('should read module flags from the document', () => {
+            const tile = { document: { flags: { 'foundryvtt-over-my-head': { referenceUse: 'polygon' } } } };
+            expect(placeableGetter.getFlag(tile, 'referenceUse')).toBe('polygon');
+            expect(placeableGetter.getFlag(tile, 'polygon')).toBeUndefined();
+            expect(placeableGetter.getFlag(mockPlaceable, 'polygon')).toBeUndefined();
+        });
+    });
+
+    describe('getPolygon', () => {
+        const withOutline = (outline, rotation = 0) => ({
+            document: {
+                documentName: 'Tile',
+                x: 100,
+                y: 100,
+                width: 200,
+                height: 200,
+                rotation,
+                flags: { 'foundryvtt-over-my-head': { polygon: outline } }
+            }
+        });
+
+        it('should offset the traced outline by the tile position', () => {
+            // L-shaped outline in Foundry's flat form
+            const tile = withOutline([0, 0, 200, 0, 200, 100, 100, 100, 100, 200, 0, 200]);
+            expect(placeableGetter.getPolygon(tile)).toEqual([
+                { x: 100, y: 100 }, { x: 300, y: 100 }, { x: 300, y: 200 },
+                { x: 200, y: 200 }, { x: 200, y: 300 }, { x: 100, y: 300 }
+            ]);
+        });
+
+        it('should rotate the traced outline with the tile', () => {
+            const polygon = placeableGetter.getPolygon(withOutline([{ x: 0, y: 0 }, { x: 200, y: 0 }, { x: 0, y: 200 }], 90));
+            const expected = [{ x: 300, y: 100 }, { x: 300, y: 300 }, { x: 100, y: 100 }];
+            polygon.forEach((point, index) => {
+                expect(point.x).toBeCloseTo(expected[index].x);
+                expect(point.y).toBeCloseTo(expected[index].y);
+            });
+        });
+
+        it('should fall back to the rectangle corners', () => {
+            expect(placeableGetter.getPolygon(mockPlaceable)).toEqual([
+                { x: 100, y: 100 }, { x: 300, y: 100 }, { x: 300, y: 250 }, { x: 100, y: 250 }
+            ]);
+            const invalidOutline = { ...mockPlaceable, document: { flags: { 'foundryvtt-over-my-head': { polygon: [0, 0, 10] } } } };
+            expect(placeableGetter.getPolygon(invalidOutline)).toHaveLength(4);
+        });
+
+        describe('occlusion zones', () => {
+            const triangle = { document: { documentName: 'Drawing', x: 0, y: 0, shape: { type: 'p', width: 100, height: 100, points: [0, 0, 100, 0, 0, 100] } } };
+            const zoned = (zone) => ({ bounds: { x: 500, y: 500, width: 50, height: 50 }, document: { documentName: 'Tile', x: 500, y: 500, width: 50, height: 50, flags: { 'foundryvtt-over-my-head': { zone } } } });
+
+            afterEach(() => {
+                delete globalThis.canvas;
+            });
+
+            it('should use the shape of the drawing named by the zone flag', () => {
+                globalThis.canvas = { drawings: { get: vi.fn((id) => (id === 'zone1' ? triangle : undefined)) } };
+                expect(placeableGetter.getZone(zoned('zone1'))).toBe(triangle);
+                expect(placeableGetter.getPolygon(zoned('zone1'))).toEqual([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 0, y: 100 }]);
+            });
+
+            it('should keep the tile outline when the drawing is missing', () => {
+                globalThis.canvas = { drawings: { get: vi.fn() } };
+                expect(placeableGetter.getZone(zoned('gone'))).toBeNull();
+                expect(placeableGetter.getPolygon(zoned('gone'))).toEqual([
+                    { x: 500, y: 500 }, { x: 550, y: 500 }, { x: 550, y: 550 }, { x: 500, y: 550 }
+                ]);
+                expect(placeableGetter.getZone(mockPlaceable)).toBeNull();
+            });
+
+            it('should not follow the zone flag of the zone itself', () => {
+                const drawing = { document: { ...triangle.document, flags: { 'foundryvtt-over-my-head': { zone: 'loop' } } } };
+                globalThis.canvas = { drawings: { get: vi.fn(() => drawing) } };
+                expect(placeableGetter.getPolygon(zoned('loop'))).toEqual([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 0, y: 100 }]);
+            });
+        });
+    });
+
+    describe('placeable types', () => {
+        const drawing = {
+            center: { x: -1, y: -1 },
+            bounds: { x: 0, y: 0, width: 1, height: 1 },
+            document: { documentName: 'Drawing', x: 100, y: 50, rotation: 0, elevation: 5, shape: { type: 'r', width: 200, height: 100 } }
+        };
+        const region = {
+            document: {
+                documentName: 'Region',
+                elevation: { bottom: 0, top: 20 },
+                shapes: [
+                    { type: 'rectangle', x: 0, y: 0, width: 100, height: 100, rotation: 0, hole: false },
+                    { type: 'rectangle', x: 200, y: 0, width: 100, height: 50, rotation: 0, hole: false }
+                ]
+            }
+        };
+
+        it('should read the center and rectangle of a drawing from its shape', () => {
+            expect(placeableGetter.getCenter(drawing)).toEqual({ x: 200, y: 100 });
+            expect(placeableGetter.getRectBounds(drawing)).toEqual({ TopRight: { x: 300, y: 50 }, BottomLeft: { x: 100, y: 150 } });
+            expect(placeableGetter.getPolygon(drawing)).toEqual([
+                { x: 100, y: 50 }, { x: 300, y: 50 }, { x: 300, y: 150 }, { x: 100, y: 150 }
+            ]);
+        });
+
+        it('should rotate drawings around their center', () => {
+            const rotated = { document: { ...drawing.document, rotation: 90 } };
+            expect(placeableGetter.getRotation(rotated)).toBe(90);
+            const { corners } = placeableGetter.getRectBounds(rotated);
+            expect(corners[0].x).toBeCloseTo(250);
+            expect(corners[0].y).toBeCloseTo(0);
+        });
+
+        it('should describe notes by their icon', () => {
+            const note = { document: { documentName: 'Note', x: 100, y: 100, iconSize: 20 } };
+            expect(placeableGetter.getCenter(note)).toEqual({ x: 100, y: 100 });
+            expect(placeableGetter.getRectBounds(note)).toEqual({ TopRight: { x: 110, y: 90 }, BottomLeft: { x: 90, y: 110 } });
+        });
+
+        it('should use the shapes and elevation range of regions', () => {
+            expect(placeableGetter.getRectBounds(region)).toEqual({ TopRight: { x: 300, y: 0 }, BottomLeft: { x: 0, y: 100 } });
+            expect(placeableGetter.getPolygon(region)).toEqual([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }]);
+            expect(placeableGetter.getElevationRange(region)).toEqual({ bottom: 0, top: 20 });
+            expect(placeableGetter.getElevation(region)).toBe(20);
+        });
+
+        it('should give regions their shapes for the region position use', () => {
+            const courtyard = { document: { ...region.document, shapes: [...region.document.shapes, {
+                type: 'rectangle', x: 25, y: 25, width: 50, height: 50, rotation: 0, hole: true
+            }] } };
+            const { shapes } = placeableGetter.getPosition(courtyard, placeableGetter, 'region');
+            expect(shapes.map((shape) => shape.hole)).toEqual([false, false, true]);
+            expect(shapes[2].points[0]).toEqual({ x: 25, y: 25 });
+        });
+
+        it('should use the outline of other placeables as a single solid shape', () => {
+            expect(placeableGetter.getRegionShape(drawing)).toEqual({ shapes: [{
+                points: [{ x: 100, y: 50 }, { x: 300, y: 50 }, { x: 300, y: 150 }, { x: 100, y: 150 }],
+                hole: false
+            }] });
+        });
+
+        it('should give every type a position for the position checks', () => {
+            const template = { document: { documentName: 'MeasuredTemplate', t: 'circle', x: 0, y: 0, distance: 1, direction: 0 } };
+            expect(placeableGetter.getPosition(template, placeableGetter, 'polygon')).toHaveLength(32);
+            expect(placeableGetter.getPosition(template, placeableGetter, 'center')).toEqual({ x: 0, y: 0 });
+            expect(placeableGetter.getPosition(region, placeableGetter, 'corners').points).toHaveLength(4);
+        });
+    });
+
+    describe('getAlphaArea', () => {
+        it('should describe the drawn texture of the placeable', () => {
+            const tile = {
+                texture: {},
+                document: {
+                    documentName: 'Tile',
+                    x: 10,
+                    y: 20,
+                    width: 100,
+                    height: 50,
+                    rotation: 30,
+                    texture: { scaleX: -1, scaleY: 2 },
+                    flags: { 'foundryvtt-over-my-head': { alphaThreshold: 0.2 } }
+                }
+            };
+            expect(placeableGetter.getAlphaArea(tile)).toEqual({
+                x: 10, y: 20, width: 100, height: 50, rotation: 30, scaleX: -1, scaleY: 2, threshold: 0.2, mask: null
+            });
+        });
+
+        it('should use the default threshold and scale', () => {
+            const area = placeableGetter.getAlphaArea(mockPlaceable);
+            expect(area).toMatchObject({ x: 100, y: 100, width: 200, height: 150, scaleX: 1, scaleY: 1, threshold: 0.5, mask: null });
+        });
+    });
+
+    describe('getFootprint', () => {
+        afterEach(() => {
+            delete globalThis.canvas;
+        });
+
+        it('should list the grid squares under the placeable', () => {
+            const footprint = placeableGetter.getFootprint(mockPlaceable, { type: 1, size: 50 });
+            expect(footprint.layout).toBe('square');
+            expect(footprint.cells).toHaveLength(12);
+            expect(footprint.cells[0]).toEqual([{ x: 100, y: 100 }, { x: 150, y: 100 }, { x: 150, y: 150 }, { x: 100, y: 150 }]);
+        });
+
+        it('should read the scene grid by default', () => {
+            globalThis.canvas = { grid: { type: 0, size: 100 } };
+            expect(placeableGetter.getFootprint(mockPlaceable)).toEqual({
+                layout: 'gridless',
+                cells: [[{ x: 100, y: 100 }, { x: 300, y: 100 }, { x: 300, y: 250 }, { x: 100, y: 250 }]]
+            });
+        });
+
+        it('should follow moving tokens when used as a position', () => {
+            const token = {
+                x: 150, y: 100, w: 100, h: 100,
+                bounds: { x: 200, y: 100, width: 100, height: 100 },
+                document: { documentName: 'Token', x: 200, y: 100 }
+            };
+            globalThis.canvas = { grid: { type: 1, size: 100 } };
+            const { cells } = placeableGetter.getPosition(token, placeableGetter, 'footprint');
+            expect(cells).toEqual([[{ x: 150, y: 100 }, { x: 250, y: 100 }, { x: 250, y: 200 }, { x: 150, y: 200 }]]);
+        });
+    });
+
+    describe('getSamplePoints', () => {
+        it('should sample the corners, the corners and center, or a grid', () => {
+            expect(placeableGetter.getSamplePoints(mockPlaceable, 'corners')).toEqual({
+                use: 'corners',
+                points: [{ x: 100, y: 100 }, { x: 300, y: 100 }, { x: 300, y: 250 }, { x: 100, y: 250 }]
+            });
+            expect(placeableGetter.getSamplePoints(mockPlaceable, 'corners+center').points[4]).toEqual({ x: 200, y: 175 });
+            expect(placeableGetter.getSamplePoints(mockPlaceable, 'samples').points).toHaveLength(9);
+            expect(placeableGetter.getSamplePoints(mockPlaceable, 'samples', 2).points).toEqual([
+                { x: 150, y: 137.5 }, { x: 150, y: 212.5 }, { x: 250, y: 137.5 }, { x: 250, y: 212.5 }
+            ]);
+        });
+
+        it('should be returned by getPosition and follow moving tokens', () => {
+            const token = {
+                x: 150, y: 100, w: 100, h: 100,
+                bounds: { x: 200, y: 100, width: 100, height: 100 },
+                document: { documentName: 'Token', x: 200, y: 100 }
+            };
+            expect(placeableGetter.getPosition(token, placeableGetter, 'corners').points[0]).toEqual({ x: 150, y: 100 });
+        });
+    });
+
+    describe('getRotation', () => {
+        it('should read the document rotation first', () => {
+            expect(placeableGetter.getRotation({ rotation: 10, document: { rotation: 45 } })).toBe(45);
+            expect(placeableGetter.getRotation({ rotation: 10 })).toBe(10);
+        });
+
+        it('should normalize the rotation to [0, 360)', () => {
+            expect(placeableGetter.getRotation({ rotation: -90 })).toBe(270);
+            expect(placeableGetter.getRotation({ rotation: 450 })).toBe(90);
+        });
+
+        it('should return 0 for tokens and unrotated placeables', () => {
+            expect(placeableGetter.getRotation({ document: { documentName: 'Token', rotation: 45 } })).toBe(0);
+            expect(placeableGetter.getRotation(mockPlaceable)).toBe(0);
+        });
     });
 
     describe('getPosition', () => {
@@ -174,10 +484,50 @@ describe('PlaceableGetter', () => {
             });
         });
 
+        it('should return the polygon when "use" is set to "polygon"', () => {
+            const position = placeableGetter.getPosition(mockPlaceable, placeableGetter, 'polygon');
+            expect(position).toHaveLength(4);
+        });
+
+        it('should return the alpha area when "use" is set to "alpha"', () => {
+            const position = placeableGetter.getPosition(mockPlaceable, placeableGetter, 'alpha');
+            expect(position).toMatchObject({ x: 100, y: 100, width: 200, height: 150 });
+        });
+
         it('should return undefined for unhandled "use" values', () => {
             const position = placeableGetter.getPosition(mockPlaceable, placeableGetter, 'unknown');
             expect(position).toBeUndefined();
         });
+
+        it('should read moving tokens at their animated position', () => {
+            // The document already holds the destination; the canvas object is halfway there
+            const token = {
+                x: 150, y: 100, w: 100, h: 100,
+                center: { x: 250, y: 150 },
+                bounds: { x: 200, y: 100, width: 100, height: 100 },
+                document: { documentName: 'Token', x: 200, y: 100 }
+            };
+            expect(placeableGetter.getPosition(token, placeableGetter, 'center')).toEqual({ x: 200, y: 150 });
+            expect(placeableGetter.getPosition(token, placeableGetter, 'rectangle')).toEqual({
+                TopRight: { x: 250, y: 100 },
+                BottomLeft: { x: 150, y: 200 }
+            });
+        });
+    });
+
+    describe('getMovementOffset', () => {
+        it('should return the offset of a token in motion', () => {
+            const token = { x: 40, y: 10, document: { documentName: 'Token', x: 100, y: 10 } };
+            expect(placeableGetter.getMovementOffset(token)).toEqual({ x: -60, y: 0 });
+            expect(placeableGetter.isMoving(token)).toBe(true);
+        });
+
+        it('should return null for resting tokens and other placeables', () => {
+            expect(placeableGetter.getMovementOffset({ x: 5, y: 5, document: { documentName: 'Token', x: 5, y: 5 } })).toBeNull();
+            expect(placeableGetter.getMovementOffset({ x: 0, y: 0, document: { documentName: 'Tile', x: 5, y: 5 } })).toBeNull();
+            expect(placeableGetter.getMovementOffset({ document: { documentName: 'Token', x: 5, y: 5 } })).toBeNull();
+            expect(placeableGetter.isMoving(null)).toBe(false);
+        });
     });
 
     describe('getSelectedPlaceables', () => {
@@ -0,0 +1,121 @@
+/**
+ * @file placeableGroups.mjs
+ * @description Reads and assigns the occlusion groups of placeables.
+ * @path src/handlers/placeableHelpers/placeableGroups.mjs
+ */
+
+import Handler from '../../baseClasses/handler.mjs';
+import { FLAG_SCOPE, TILE_FLAGS, TILE_LAYER } from './config.mjs';
+
+/**
+ * @class PlaceableGroups
+ * @description Manages occlusion groups: placeables (tiles) sharing the same
+ * `occlusionGroup` flag form one structure, so that the occlusion engine fades every
+ * member when any of them covers an observer.
+ * @extends Handler
+ */
+class PlaceableGroups extends Handler {
+  /**
+   * @param {Object} config - Configuration settings.
+   * @param {Object} context - Execution context.
+   * @param {Object} utils - Utility functions.
+   * @param {PlaceableGetter} placeableGetter - Instance of PlaceableGetter.
+   */
+  constructor(config, context, utils, placeableGetter) {
+    super(config, utils, context);
+    this.getter = placeableGetter;
+    this.logger = utils?.logger;
+  }
+
+  /**
+   * Normalizes a group id: trimmed non-empty strings, numbers as strings.
+   * @param {*} groupId
+   * @returns {string|null} The group id, or null when there is none.
+   */
+  normalizeId(groupId) {
+    if (typeof groupId === 'number' && Number.isFinite(groupId)) return String(groupId);
+    if (typeof groupId !== 'string') return null;
+    return groupId.trim() || null;
+  }
+
+  /**
+   * Retrieves the occlusion group of a placeable.
+   * @param {Object} placeable
+   * @returns {string|null} The group id, or null for ungrouped placeables.
+   */
+  getGroupId(placeable) {
+    return this.normalizeId(this.getter.getFlag(placeable, TILE_FLAGS.OCCLUSION_GROUP));
+  }
+
+  /**
+   * Groups placeables by occlusion group.
+   * @param {Array} [placeables] - The placeables to group. Defaults to the tiles of the canvas.
+   * @returns {Map<string, Array>} The members of each group, by group id.
+   */
+  group(placeables = this.getter.getAllPlaceables(TILE_LAYER, false)) {
+    const groups = new Map();
+    for (const placeable of Array.isArray(placeables) ? placeables : []) {
+      const groupId = this.getGroupId(placeable);
+      if (groupId === null) continue;
+      if (!groups.has(groupId)) groups.set(groupId, []);
+      groups.get(groupId).push(placeable);
+    }
+    return groups;
+  }
+
+  /**
+   * Retrieves the members of an occlusion group.
+   * @param {string} groupId
+   * @param {Array} [placeables] - The placeables to search. Defaults to the tiles of the canvas.
+   * @returns {Array} The members of the group.
+   */
+  getMembers(groupId, placeables = this.getter.getAllPlaceables(TILE_LAYER, false)) {
+    const id = this.normalizeId(groupId);
+    if (id === null) return [];
+    return this.group(placeables).get(id) ?? [];
+  }
+
+  /**
+   * Lists the occlusion groups in use.
+   * @param {Array} [placeables] - The placeables to search. Defaults to the tiles of the canvas.
+   * @returns {string[]} The group ids, sorted.
+   */
+  getGroupIds(placeables = this.getter.getAllPlaceables(TILE_LAYER, false)) {
+    return [...this.group(placeables).keys()].sort();
+  }
+
+  /**
+   * Assigns a placeable to an occlusion group, or removes it from its group when the id is empty.
+   * @param {Object} placeable - The placeable or its document.
+   * @param {string|null} groupId
+   * @returns {Promise<boolean>} True if the flag was written.
+   */
+  async setGroup(placeable, groupId) {
+    const id = this.normalizeId(groupId);
+    if (id === null) return this.clearGroup(placeable);
+    const document = placeable?.document ?? placeable;
+    if (typeof document?.setFlag !== 'function') {
+      this.logger?.warn('Cannot set the occlusion group of a placeable without document');
+      return false;
+    }
+    await document.setFlag(FLAG_SCOPE, TILE_FLAGS.OCCLUSION_GROUP, id);
+    return true;
+  }
+
+  /**
+   * Removes a placeable from its occlusion group.
+   * @param {Object} placeable - The placeable or its document.
+   * @returns {Promise<boolean>} True if the flag was removed.
+   */
+  async clearGroup(placeable) {
+    const document = placeable?.document ?? placeable;
+    if (typeof document?.unsetFlag !== 'function') {
+      this.logger?.warn('Cannot clear the occlusion group of a placeable without document');
+      return false;
+    }
+    await document.unsetFlag(FLAG_SCOPE, TILE_FLAGS.OCCLUSION_GROUP);
+    return true;
+  }
+}
+
+export default PlaceableGroups;
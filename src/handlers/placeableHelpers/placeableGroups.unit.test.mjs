@@ -0,0 +1,132 @@
+/**
+ * @file placeableGroups.unit.test.mjs
+ * @description Unit tests for PlaceableGroups.
+ * @path src/handlers/placeableHelpers/placeableGroups.unit.test.mjs
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import PlaceableGroups from './placeableGroups.mjs';
+import Handler from '../../baseClasses/handler.mjs';
+import { FLAG_SCOPE } from './config.mjs';
+
+const createTile = (id, occlusionGroup) => ({
+  id,
+  flags: occlusionGroup === undefined ? {} : { occlusionGroup },
+  document: { setFlag: vi.fn().mockResolvedValue(undefined), unsetFlag: vi.fn().mockResolvedValue(undefined) }
+});
+
+describe('PlaceableGroups', () => {
+  let groups;
+  let getter;
+  let logger;
+  let hall;
+  let tower;
+  let porch;
+  let shed;
+
+  beforeEach(() => {
+    hall = createTile('hall', 'manor');
+    tower = createTile('tower', ' manor ');
+    porch = createTile('porch', 3);
+    shed = createTile('shed');
+    getter = {
+      getAllPlaceables: vi.fn(() => [hall, tower, porch, shed]),
+      getFlag: vi.fn((tile, key) => tile.flags?.[key])
+    };
+    logger = { warn: vi.fn() };
+    groups = new PlaceableGroups({ constants: {} }, {}, { logger }, getter);
+  });
+
+  describe('constructor', () => {
+    it('should extend Handler and keep the getter', () => {
+      expect(groups).toBeInstanceOf(Handler);
+      expect(groups.getter).toBe(getter);
+    });
+  });
+
+  describe('getGroupId', () => {
+    it('should read the occlusion group flag', () => {
+      expect(groups.getGroupId(hall)).toBe('manor');
+      expect(groups.getGroupId(tower)).toBe('manor');
+      expect(groups.getGroupId(porch)).toBe('3');
+      expect(getter.getFlag).toHaveBeenCalledWith(hall, 'occlusionGroup');
+    });
+
+    it('should return null for ungrouped placeables', () => {
+      expect(groups.getGroupId(shed)).toBeNull();
+      expect(groups.getGroupId(createTile('blank', '  '))).toBeNull();
+      expect(groups.getGroupId(createTile('invalid', { id: 'manor' }))).toBeNull();
+    });
+  });
+
+  describe('group', () => {
+    it('should group the tiles of the canvas by default', () => {
+      const result = groups.group();
+      expect(getter.getAllPlaceables).toHaveBeenCalledWith('tiles', false);
+      expect([...result.keys()]).toEqual(['manor', '3']);
+      expect(result.get('manor')).toEqual([hall, tower]);
+    });
+
+    it('should group the given placeables', () => {
+      expect([...groups.group([porch, shed]).keys()]).toEqual(['3']);
+    });
+
+    it('should return an empty map for invalid input', () => {
+      expect(groups.group(null).size).toBe(0);
+    });
+  });
+
+  describe('getMembers', () => {
+    it('should return the members of a group', () => {
+      expect(groups.getMembers('manor')).toEqual([hall, tower]);
+      expect(groups.getMembers(3)).toEqual([porch]);
+    });
+
+    it('should return an empty list for unknown or empty groups', () => {
+      expect(groups.getMembers('keep')).toEqual([]);
+      expect(groups.getMembers('')).toEqual([]);
+    });
+  });
+
+  describe('getGroupIds', () => {
+    it('should list the sorted group ids', () => {
+      expect(groups.getGroupIds()).toEqual(['3', 'manor']);
+    });
+  });
+
+  describe('setGroup', () => {
+    it('should write the normalized group id', async () => {
+      await expect(groups.setGroup(shed, ' keep ')).resolves.toBe(true);
+      expect(shed.document.setFlag).toHaveBeenCalledWith(FLAG_SCOPE, 'occlusionGroup', 'keep');
+    });
+
+    it('should accept documents', async () => {
+      const document = { setFlag: vi.fn() };
+      await expect(groups.setGroup(document, 'keep')).resolves.toBe(true);
+      expect(document.setFlag).toHaveBeenCalledWith(FLAG_SCOPE, 'occlusionGroup', 'keep');
+    });
+
+    it('should clear the group for empty ids', async () => {
+      await expect(groups.setGroup(hall, '')).resolves.toBe(true);
+      expect(hall.document.unsetFlag).toHaveBeenCalledWith(FLAG_SCOPE, 'occlusionGroup');
+      expect(hall.document.setFlag).not.toHaveBeenCalled();
+    });
+
+    it('should warn without a document', async () => {
+      await expect(groups.setGroup({}, 'keep')).resolves.toBe(false);
+      expect(logger.warn).toHaveBeenCalledWith('Cannot set the occlusion group of a placeable without document');
+    });
+  });
+
+  describe('clearGroup', () => {
+    it('should remove the group flag', async () => {
+      await expect(groups.clearGroup(hall)).resolves.toBe(true);
+      expect(hall.document.unsetFlag).toHaveBeenCalledWith(FLAG_SCOPE, 'occlusionGroup');
+    });
+
+    it('should warn without a document', async () => {
+      await expect(groups.clearGroup(null)).resolves.toBe(false);
+      expect(logger.warn).toHaveBeenCalledWith('Cannot clear the occlusion group of a placeable without document');
+    });
+  });
+});
@@ -0,0 +1,290 @@
+/**
+ * @file placeableRegistry.mjs
+ * @description Live registry of the placeables of the viewed scene, kept in sync from the document hooks.
+ * @path src/handlers/placeableHelpers/placeableRegistry.mjs
+ */
+
+import HookedHandler from '../../baseClasses/hookedHandler.mjs';
+import { PLACEABLE_REGISTRY } from './config.mjs';
+
+/**
+ * @typedef {Object} RegistryDiff
+ * @property {string} type - The canvas layer that changed (e.g. 'tokens').
+ * @property {string} reason - What changed it: 'create', 'update', 'delete' or 'rebuild'.
+ * @property {string[]} added - Ids of the placeables that entered the registry.
+ * @property {string[]} updated - Ids of the placeables that changed (or were redrawn).
+ * @property {string[]} removed - Ids of the placeables that left the registry.
+ * @property {Object<string, Object>} changes - Changed document data of the updated placeables, by id.
+ * @property {number} size - Number of placeables of the layer after the change.
+ */
+
+/**
+ * @class PlaceableRegistry
+ * @description Tracks the placeables of each layer of `placeables.registry.types` (layer → document
+ * name), so that nothing else needs to scan the canvas.
+ *
+ * While active, the `create<Document>` / `update<Document>` / `delete<Document>` hooks update the
+ * layer of the document and `canvasReady` rebuilds every layer from the canvas. After each change
+ * the document ids of the layer are published to the Context `state` component
+ * (`state.<stateKey>.<layer>`) and the listeners receive a `RegistryDiff` summary. The state only
+ * holds plain data: the placeables themselves are read from the registry (`get`, `getById`).
+ * @extends HookedHandler
+ */
+class PlaceableRegistry extends HookedHandler {
+  /**
+   * Tracked placeables, by layer and id.
+   * @type {Map<string, Map<string, Object>>}
+   * @private
+   */
+  #placeables = new Map();
+
+  /**
+   * Change listeners.
+   * @type {Set<Function>}
+   * @private
+   */
+  #listeners = new Set();
+
+  /**
+   * @param {Object} config - Configuration settings.
+   * @param {Object} context - Execution context, whose `state` component receives the id lists.
+   * @param {Object} utils - Utility functions.
+   * @param {PlaceableGetter} placeableGetter - Instance of PlaceableGetter.
+   * @param {Object} [options={}]
+   * @param {Object<string, string>} [options.types] - Tracked layers and their document names. Defaults to `PLACEABLE_REGISTRY.TYPES`.
+   * @param {string} [options.stateKey] - State path of the id lists. Defaults to `PLACEABLE_REGISTRY.STATE_KEY`.
+   */
+  constructor(config, context, utils, placeableGetter, { types = PLACEABLE_REGISTRY.TYPES, stateKey = PLACEABLE_REGISTRY.STATE_KEY } = {}) {
+    super(config, utils, context);
+    this.getter = placeableGetter;
+    this.logger = utils?.logger;
+    this.types = { ...types };
+    this.stateKey = stateKey;
+  }
+
+  /**
+   * Number of tracked placeables, all layers included.
+   * @returns {number}
+   */
+  get size() {
+    let size = 0;
+    for (const placeables of this.#placeables.values()) size += placeables.size;
+    return size;
+  }
+
+  /**
+   * Registers the hooks and fills the registry when the canvas is already ready.
+   * @returns {boolean} True if the registry was activated, false if it was already active.
+   */
+  activate() {
+    if (!super.activate()) return false;
+    if (globalThis.canvas?.ready) this.rebuild();
+    return true;
+  }
+
+  /**
+   * Unregisters the hooks and empties the registry (and its published id lists).
+   * @returns {boolean} True if the registry was deactivated, false if it was not active.
+   */
+  deactivate() {
+    if (!super.deactivate()) return false;
+    for (const type of this.#placeables.keys()) {
+      this.#placeables.set(type, new Map());
+      this.#publish(type);
+    }
+    this.#placeables.clear();
+    return true;
+  }
+
+  /**
+   * @protected
+   * Registers the hooks keeping the tracked placeables in sync with the scene.
+   */
+  _registerHooks() {
+    this._registerHook('canvasReady', () => this.rebuild());
+    for (const [type, documentName] of Object.entries(this.types)) {
+      this._registerHook(`create${documentName}`, (document) => this.#onUpsert(type, document, 'create'));
+      this._registerHook(`update${documentName}`, (document, changes) => this.#onUpsert(type, document, 'update', changes));
+      this._registerHook(`delete${documentName}`, (document) => this.#onDelete(type, document));
+    }
+  }
+
+  /**
+   * Determines if a layer is tracked.
+   * @param {string} type - The canvas layer (e.g. 'tiles').
+   * @returns {boolean}
+   */
+  tracks(type) {
+    return Object.hasOwn(this.types, type);
+  }
+
+  /**
+   * Retrieves the tracked placeables of a layer.
+   * @param {string} type - The canvas layer.
+   * @returns {Array} The placeables, empty for untracked layers.
+   */
+  get(type) {
+    return [...(this.#placeables.get(type)?.values() ?? [])];
+  }
+
+  /**
+   * Retrieves a tracked placeable by id.
+   * @param {string} type - The canvas layer.
+   * @param {string} id - The id of the placeable's document.
+   * @returns {Object|null}
+   */
+  getById(type, id) {
+    return this.#placeables.get(type)?.get(id) ?? null;
+  }
+
+  /**
+   * Reads the layers from the canvas again, notifying the listeners of what changed.
+   * Placeables that were already tracked count as updated: the canvas may have redrawn them.
+   * @param {string[]} [types] - The layers to rebuild. Defaults to every tracked layer.
+   * @returns {RegistryDiff[]} The diffs of the rebuilt layers.
+   */
+  rebuild(types = Object.keys(this.types)) {
+    const diffs = [];
+    for (const type of types.filter((candidate) => this.tracks(candidate))) {
+      const previous = this.#placeables.get(type) ?? new Map();
+      const placeables = new Map();
+      for (const placeable of this.getter.getAllPlaceables(type, false, true) ?? []) {
+        const id = this.#getId(placeable);
+        if (id !== undefined) placeables.set(id, placeable);
+      }
+      this.#placeables.set(type, placeables);
+      const ids = [...placeables.keys()];
+      diffs.push(this.#commit(type, 'rebuild', {
+        added: ids.filter((id) => !previous.has(id)),
+        updated: ids.filter((id) => previous.has(id)),
+        removed: [...previous.keys()].filter((id) => !placeables.has(id))
+      }));
+    }
+    return diffs;
+  }
+
+  /**
+   * Registers a change listener, called with a `RegistryDiff` and the registry after each change.
+   * @param {Function} listener
+   * @returns {Function} A function unregistering the listener.
+   */
+  on(listener) {
+    if (typeof listener !== 'function') throw new TypeError('PlaceableRegistry listener must be a function');
+    this.#listeners.add(listener);
+    return () => this.off(listener);
+  }
+
+  /**
+   * Unregisters a change listener.
+   * @param {Function} listener
+   * @returns {boolean} True if the listener was registered.
+   */
+  off(listener) {
+    return this.#listeners.delete(listener);
+  }
+
+  /**
+   * Adds or refreshes the placeable of a created or updated document.
+   * @private
+   * @param {string} type
+   * @param {Object} document
+   * @param {string} reason - 'create' or 'update'.
+   * @param {Object} [changes] - The changed document data of an update.
+   */
+  #onUpsert(type, document, reason, changes) {
+    if (!this.#isViewed(document)) return;
+    const id = document?.id;
+    const placeable = document?.object ?? globalThis.canvas?.[type]?.get?.(id);
+    if (id === undefined || !placeable) return;
+    const placeables = this.#getLayer(type);
+    const known = placeables.has(id);
+    placeables.set(id, placeable);
+    this.#commit(type, reason, {
+      added: known ? [] : [id],
+      updated: known ? [id] : [],
+      changes: known && changes ? { [id]: changes } : {}
+    });
+  }
+
+  /**
+   * Drops the placeable of a deleted document.
+   * @private
+   * @param {string} type
+   * @param {Object} document
+   */
+  #onDelete(type, document) {
+    if (!this.#getLayer(type).delete(document?.id)) return;
+    this.#commit(type, 'delete', { removed: [document.id] });
+  }
+
+  /**
+   * Publishes a layer and notifies the listeners of a non-empty diff.
+   * @private
+   * @param {string} type
+   * @param {string} reason
+   * @param {Object} diff - `added`, `updated`, `removed` and `changes` (each optional).
+   * @returns {RegistryDiff}
+   */
+  #commit(type, reason, { added = [], updated = [], removed = [], changes = {} }) {
+    const diff = { type, reason, added, updated, removed, changes, size: this.#getLayer(type).size };
+    this.#publish(type);
+    if (added.length + updated.length + removed.length === 0) return diff;
+    for (const listener of [...this.#listeners]) {
+      try {
+        listener(diff, this);
+      } catch (error) {
+        this.logger?.warn(`PlaceableRegistry listener failed: ${error.message}`);
+      }
+    }
+    return diff;
+  }
+
+  /**
+   * Writes the document ids of a layer to the Context `state` component, when there is one.
+   * @private
+   * @param {string} type
+   */
+  #publish(type) {
+    const state = this.context?.state;
+    if (typeof state?.setItem !== 'function') return;
+    try {
+      state.setItem(`${this.stateKey}.${type}`, [...this.#getLayer(type).keys()]);
+    } catch (error) {
+      this.logger?.warn(`PlaceableRegistry could not publish ${type}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieves (or creates) the placeables of a layer.
+   * @private
+   * @param {string} type
+   * @returns {Map<string, Object>}
+   */
+  #getLayer(type) {
+    if (!this.#placeables.has(type)) this.#placeables.set(type, new Map());
+    return this.#placeables.get(type);
+  }
+
+  /**
+   * Determines if a document belongs to the viewed scene (documents of other scenes have no placeable).
+   * @private
+   * @param {Object} document
+   * @returns {boolean}
+   */
+  #isViewed(document) {
+    const scene = globalThis.canvas?.scene;
+    return !scene || !document?.parent || document.parent === scene;
+  }
+
+  /**
+   * Retrieves the id a placeable is tracked under.
+   * @private
+   * @param {Object} placeable
+   * @returns {string|undefined}
+   */
+  #getId(placeable) {
+    return placeable?.document?.id ?? placeable?.id;
+  }
+}
+
+export default PlaceableRegistry;
@@ -0,0 +1,195 @@
+/**
+ * @file placeableRegistry.unit.test.mjs
+ * @description Unit tests for PlaceableRegistry.
+ * @path src/handlers/placeableHelpers/placeableRegistry.unit.test.mjs
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import PlaceableRegistry from './placeableRegistry.mjs';
+import Handler from '../../baseClasses/handler.mjs';
+import { ContextContainer } from '../../contexts/helpers/contextContainer.mjs';
+
+describe('PlaceableRegistry', () => {
+  let registry;
+  let getter;
+  let hooks;
+  let context;
+  let layers;
+  let scene;
+  let logger;
+
+  const makePlaceable = (id) => ({ document: { id, parent: scene } });
+
+  beforeEach(() => {
+    scene = { id: 'scene' };
+    layers = {
+      tokens: [makePlaceable('hero'), makePlaceable('villain')],
+      tiles: [makePlaceable('roof')]
+    };
+    getter = { getAllPlaceables: vi.fn((type) => layers[type] ?? []) };
+    hooks = new Map();
+    let nextId = 1;
+    global.Hooks = {
+      on: vi.fn((name, callback) => {
+        hooks.set(name, callback);
+        return nextId++;
+      }),
+      off: vi.fn()
+    };
+    globalThis.canvas = { ready: true, scene };
+    context = { state: new ContextContainer({}, { type: 'state' }) };
+    logger = { warn: vi.fn() };
+    registry = new PlaceableRegistry({ constants: {} }, context, { logger }, getter);
+  });
+
+  afterEach(() => {
+    delete global.Hooks;
+    delete globalThis.canvas;
+  });
+
+  describe('constructor', () => {
+    it('should extend Handler and track tokens, tiles, drawings and regions by default', () => {
+      expect(registry).toBeInstanceOf(Handler);
+      expect(registry.types).toEqual({ tokens: 'Token', tiles: 'Tile', drawings: 'Drawing', regions: 'Region' });
+      expect(registry.stateKey).toBe('placeables');
+      expect(registry.tracks('regions')).toBe(true);
+      expect(registry.tracks('walls')).toBe(false);
+      expect(registry.isActive).toBe(false);
+    });
+  });
+
+  describe('activate / deactivate', () => {
+    it('should register the hooks once and read the ready canvas', () => {
+      expect(registry.activate()).toBe(true);
+      expect(registry.activate()).toBe(false);
+      expect(hooks.has('canvasReady')).toBe(true);
+      expect([...hooks.keys()].filter((name) => name.endsWith('Drawing'))).toEqual(['createDrawing', 'updateDrawing', 'deleteDrawing']);
+      expect(global.Hooks.on).toHaveBeenCalledTimes(13);
+      expect(registry.get('tokens')).toEqual(layers.tokens);
+      expect(registry.size).toBe(3);
+    });
+
+    it('should wait for canvasReady when the canvas is not ready', () => {
+      globalThis.canvas.ready = false;
+      registry.activate();
+      expect(registry.size).toBe(0);
+      hooks.get('canvasReady')();
+      expect(registry.get('tiles')).toEqual(layers.tiles);
+    });
+
+    it('should unregister the hooks and empty the published lists', () => {
+      registry.activate();
+      expect(registry.deactivate()).toBe(true);
+      expect(global.Hooks.off).toHaveBeenCalledTimes(13);
+      expect(registry.size).toBe(0);
+      expect(context.state.getItem('placeables.tokens')).toEqual([]);
+      expect(registry.deactivate()).toBe(false);
+    });
+  });
+
+  describe('document hooks', () => {
+    beforeEach(() => {
+      registry.activate();
+    });
+
+    it('should add created placeables and refresh updated ones', () => {
+      const added = makePlaceable('ghost');
+      hooks.get('createToken')({ id: 'ghost', parent: scene, object: added });
+      expect(registry.getById('tokens', 'ghost')).toBe(added);
+
+      const redrawn = makePlaceable('hero');
+      hooks.get('updateToken')({ id: 'hero', parent: scene, object: redrawn }, { x: 100 });
+      expect(registry.getById('tokens', 'hero')).toBe(redrawn);
+      expect(registry.get('tokens')).toHaveLength(3);
+    });
+
+    it('should find the placeable on the canvas layer when the document has none', () => {
+      const placeable = makePlaceable('window');
+      globalThis.canvas.tiles = { get: vi.fn(() => placeable) };
+      hooks.get('createTile')({ id: 'window', parent: scene });
+      expect(globalThis.canvas.tiles.get).toHaveBeenCalledWith('window');
+      expect(registry.getById('tiles', 'window')).toBe(placeable);
+    });
+
+    it('should remove deleted placeables', () => {
+      hooks.get('deleteToken')({ id: 'villain', parent: scene });
+      expect(registry.get('tokens')).toEqual([layers.tokens[0]]);
+    });
+
+    it('should ignore the documents of other scenes', () => {
+      hooks.get('createToken')({ id: 'elsewhere', parent: { id: 'other' }, object: makePlaceable('elsewhere') });
+      expect(registry.getById('tokens', 'elsewhere')).toBeNull();
+    });
+  });
+
+  describe('listeners', () => {
+    it('should receive the diff summary of each change', () => {
+      const listener = vi.fn();
+      registry.on(listener);
+      registry.activate();
+      expect(listener).toHaveBeenCalledWith(
+        { type: 'tokens', reason: 'rebuild', added: ['hero', 'villain'], updated: [], removed: [], changes: {}, size: 2 },
+        registry
+      );
+
+      hooks.get('updateTile')({ id: 'roof', parent: scene, object: layers.tiles[0] }, { alpha: 0.5 });
+      expect(listener).toHaveBeenLastCalledWith(
+        { type: 'tiles', reason: 'update', added: [], updated: ['roof'], removed: [], changes: { roof: { alpha: 0.5 } }, size: 1 },
+        registry
+      );
+
+      hooks.get('deleteToken')({ id: 'hero', parent: scene });
+      expect(listener.mock.lastCall[0]).toMatchObject({ type: 'tokens', reason: 'delete', removed: ['hero'], size: 1 });
+    });
+
+    it('should summarize a rebuild against the previous content', () => {
+      registry.activate();
+      const listener = vi.fn();
+      registry.on(listener);
+      layers.tokens = [layers.tokens[0], makePlaceable('ghost')];
+      const [diff] = registry.rebuild(['tokens']);
+      expect(diff).toMatchObject({ added: ['ghost'], updated: ['hero'], removed: ['villain'] });
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip empty diffs', () => {
+      const listener = vi.fn();
+      registry.on(listener);
+      registry.rebuild(['drawings', 'regions']);
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('should stop notifying removed listeners and survive failing ones', () => {
+      const listener = vi.fn();
+      const unsubscribe = registry.on(listener);
+      registry.on(() => {
+        throw new Error('boom');
+      });
+      expect(unsubscribe()).toBe(true);
+      registry.activate();
+      expect(listener).not.toHaveBeenCalled();
+      expect(logger.warn).toHaveBeenCalledWith('PlaceableRegistry listener failed: boom');
+    });
+
+    it('should reject listeners that are not functions', () => {
+      expect(() => registry.on('listener')).toThrow(TypeError);
+    });
+  });
+
+  describe('state', () => {
+    it('should publish the document ids of each layer to the Context state component', () => {
+      registry.activate();
+      expect(context.state.getItem('placeables.tokens')).toEqual(['hero', 'villain']);
+      expect(context.state.getItem('placeables.tokens').map((id) => registry.getById('tokens', id))).toEqual(layers.tokens);
+      expect(context.state.getItem('placeables.regions')).toEqual([]);
+      hooks.get('deleteTile')({ id: 'roof', parent: scene });
+      expect(context.state.getItem('placeables.tiles')).toEqual([]);
+    });
+
+    it('should work without a state component', () => {
+      registry = new PlaceableRegistry({ constants: {} }, {}, { logger }, getter);
+      expect(() => registry.activate()).not.toThrow();
+      expect(registry.get('tokens')).toEqual(layers.tokens);
+    });
+  });
+});
@@ -0,0 +1,288 @@
+/**
+ * @file placeableTypes.mjs
+ * @description Type descriptors reading the center, bounds and shape of drawings, measured templates, notes and regions.
+ * @path src/handlers/placeableHelpers/placeableTypes.mjs
+ */
+
+import Geometry from './geometry.mjs';
+import { PLACEABLE_TYPES } from './config.mjs';
+
+/**
+ * @typedef {Object} PlaceableTypeDescriptor
+ * @property {string} documentName - Document name of the type (e.g. 'Drawing').
+ * @property {string} layer - Canvas layer of the type (e.g. 'drawings').
+ * @property {Function} getCenter - `(placeable) => {x, y}`
+ * @property {Function} getBounds - `(placeable) => {x, y, width, height, rotation}`: the unrotated
+ * rectangle of the placeable and its rotation in degrees.
+ * @property {Function} getShape - `(placeable) => Array<{x, y}>|null`: the outline in canvas coordinates.
+ * @property {Function} [getElevationRange] - `(placeable) => {bottom, top}`, for types with their own vertical span.
+ */
+
+/**
+ * Static helpers describing the placeable types that are not tokens or tiles.
+ *
+ * `PlaceableGetter` reads tokens and tiles as width/height rectangles; the other types keep
+ * their geometry in their own document data, which their descriptor turns into a center, a
+ * rectangle and an outline:
+ * - Drawings: `shape` (rectangle, ellipse, polygon or freehand points relative to `x`/`y`), rotated around its center
+ * - Measured templates: circles, cones, rectangles and rays from the origin (`x`/`y`), `distance`, `direction`,
+ *   `angle` and `width`, in scene distance units
+ * - Notes: the icon square (`iconSize`) centered on `x`/`y`
+ * - Regions: the union of their `shapes` (holes are ignored); the outline is their first shape.
+ *   Their elevation range is `elevation.bottom` to `elevation.top`, open when unset.
+ *
+ * Circles and ellipses are approximated with `placeables.ellipseSegments` points.
+ *
+ * @class PlaceableTypes
+ * @export
+ */
+class PlaceableTypes {
+  /**
+   * Descriptors by document name.
+   * @type {Map<string, PlaceableTypeDescriptor>}
+   * @private
+   */
+  static #descriptors = new Map([
+    [PLACEABLE_TYPES.DRAWING.DOCUMENT_NAME, Object.freeze({
+      documentName: PLACEABLE_TYPES.DRAWING.DOCUMENT_NAME,
+      layer: PLACEABLE_TYPES.DRAWING.LAYER,
+      getCenter: (placeable) => PlaceableTypes.#getBoundsCenter(PlaceableTypes.getDrawingBounds(placeable)),
+      getBounds: (placeable) => PlaceableTypes.getDrawingBounds(placeable),
+      getShape: (placeable) => PlaceableTypes.getDrawingShape(placeable)
+    })],
+    [PLACEABLE_TYPES.TEMPLATE.DOCUMENT_NAME, Object.freeze({
+      documentName: PLACEABLE_TYPES.TEMPLATE.DOCUMENT_NAME,
+      layer: PLACEABLE_TYPES.TEMPLATE.LAYER,
+      getCenter: (placeable) => PlaceableTypes.#getBoundsCenter(PlaceableTypes.#getShapeBounds(placeable, PlaceableTypes.getTemplateShape(placeable))),
+      getBounds: (placeable) => PlaceableTypes.#getShapeBounds(placeable, PlaceableTypes.getTemplateShape(placeable)),
+      getShape: (placeable) => PlaceableTypes.getTemplateShape(placeable)
+    })],
+    [PLACEABLE_TYPES.NOTE.DOCUMENT_NAME, Object.freeze({
+      documentName: PLACEABLE_TYPES.NOTE.DOCUMENT_NAME,
+      layer: PLACEABLE_TYPES.NOTE.LAYER,
+      getCenter: (placeable) => PlaceableTypes.#getBoundsCenter(PlaceableTypes.getNoteBounds(placeable)),
+      getBounds: (placeable) => PlaceableTypes.getNoteBounds(placeable),
+      getShape: (placeable) => {
+        const { x, y, width, height } = PlaceableTypes.getNoteBounds(placeable);
+        return Geometry.getOrientedCorners(x, y, width, height);
+      }
+    })],
+    [PLACEABLE_TYPES.REGION.DOCUMENT_NAME, Object.freeze({
+      documentName: PLACEABLE_TYPES.REGION.DOCUMENT_NAME,
+      layer: PLACEABLE_TYPES.REGION.LAYER,
+      getCenter: (placeable) => PlaceableTypes.#getBoundsCenter(PlaceableTypes.#getRegionBounds(placeable)),
+      getBounds: (placeable) => PlaceableTypes.#getRegionBounds(placeable),
+      getShape: (placeable) => PlaceableTypes.getRegionShapes(placeable).find((shape) => !shape.hole)?.points ?? null,
+      getElevationRange: (placeable) => PlaceableTypes.getRegionElevationRange(placeable)
+    })]
+  ]);
+
+  /**
+   * Retrieves the descriptor of a placeable, from its document name.
+   * @param {Object} placeable - A placeable, or its document.
+   * @returns {PlaceableTypeDescriptor|null} The descriptor, or null for tokens, tiles and unknown types.
+   */
+  static get(placeable) {
+    const documentName = placeable?.document?.documentName ?? placeable?.documentName;
+    return this.#descriptors.get(documentName) ?? null;
+  }
+
+  /**
+   * Retrieves the document names with a descriptor.
+   * @returns {string[]}
+   */
+  static getDocumentNames() {
+    return [...this.#descriptors.keys()];
+  }
+
+  /**
+   * Retrieves the size of a scene distance unit, in pixels.
+   * @param {Object} [dimensions=canvas.dimensions] - The scene dimensions.
+   * @returns {number} `distancePixels`, or the grid size over the grid distance; 1 without dimensions.
+   */
+  static getDistancePixels(dimensions = globalThis.canvas?.dimensions) {
+    if (dimensions?.distancePixels > 0) return dimensions.distancePixels;
+    if (dimensions?.size > 0 && dimensions?.distance > 0) return dimensions.size / dimensions.distance;
+    return 1;
+  }
+
+  /**
+   * Reads the unrotated rectangle of a drawing: its position and the size of its shape.
+   * @param {Object} placeable - A drawing, or its document.
+   * @returns {{x: number, y: number, width: number, height: number, rotation: number}}
+   */
+  static getDrawingBounds(placeable) {
+    const document = this.#getDocument(placeable);
+    return {
+      x: document.x ?? 0,
+      y: document.y ?? 0,
+      width: document.shape?.width ?? 0,
+      height: document.shape?.height ?? 0,
+      rotation: document.rotation ?? 0
+    };
+  }
+
+  /**
+   * Builds the outline of a drawing: its rectangle, its ellipse or its points, rotated around its center.
+   * @param {Object} placeable - A drawing, or its document.
+   * @returns {Array<{x: number, y: number}>|null} The outline, or null for an unknown or degenerate shape.
+   */
+  static getDrawingShape(placeable) {
+    const shape = this.#getDocument(placeable).shape ?? {};
+    const { x, y, width, height, rotation } = this.getDrawingBounds(placeable);
+    const center = { x: x + width / 2, y: y + height / 2 };
+    const { RECTANGLE, ELLIPSE, POLYGON, FREEHAND } = PLACEABLE_TYPES.DRAWING.SHAPES;
+    switch (shape.type) {
+      case RECTANGLE:
+        return Geometry.getOrientedCorners(x, y, width, height, rotation);
+      case ELLIPSE:
+        return Geometry.getEllipsePoints(center, width / 2, height / 2, rotation, PLACEABLE_TYPES.ELLIPSE_SEGMENTS);
+      case POLYGON:
+      case FREEHAND: {
+        const points = Geometry.toPoints(shape.points);
+        if (!points || points.length < 3) return null;
+        return Geometry.rotatePoints(points.map((point) => ({ x: x + point.x, y: y + point.y })), center, rotation);
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Builds the outline of a measured template from its origin.
+   * Directions are in degrees, clockwise from the x axis on the y-down canvas, like Foundry's.
+   * @param {Object} placeable - A measured template, or its document.
+   * @param {Object} [dimensions=canvas.dimensions] - The scene dimensions, converting distances to pixels.
+   * @returns {Array<{x: number, y: number}>|null} The outline, or null for an unknown or empty template.
+   */
+  static getTemplateShape(placeable, dimensions = globalThis.canvas?.dimensions) {
+    const document = this.#getDocument(placeable);
+    const scale = this.getDistancePixels(dimensions);
+    const origin = { x: document.x ?? 0, y: document.y ?? 0 };
+    const radius = (document.distance ?? 0) * scale;
+    if (!(radius > 0)) return null;
+    const direction = Geometry.toRadians(document.direction ?? 0);
+    const pointAt = (angle, length, from = origin) => ({ x: from.x + length * Math.cos(angle), y: from.y + length * Math.sin(angle) });
+    const { CIRCLE, CONE, RECTANGLE, RAY } = PLACEABLE_TYPES.TEMPLATE.SHAPES;
+    switch (document.t) {
+      case CIRCLE:
+        return Geometry.getEllipsePoints(origin, radius, radius, 0, PLACEABLE_TYPES.ELLIPSE_SEGMENTS);
+      case CONE: {
+        const angle = Geometry.toRadians(document.angle ?? 0);
+        const steps = Math.max(1, Math.ceil((PLACEABLE_TYPES.ELLIPSE_SEGMENTS * angle) / (2 * Math.PI)));
+        const arc = Array.from({ length: steps + 1 }, (_, i) => pointAt(direction - angle / 2 + (angle * i) / steps, radius));
+        return [{ ...origin }, ...arc];
+      }
+      case RECTANGLE: {
+        const end = pointAt(direction, radius);
+        const { x, y, width, height } = Geometry.getBoundingBox([origin, end]);
+        return Geometry.getOrientedCorners(x, y, width, height);
+      }
+      case RAY: {
+        const halfWidth = ((document.width ?? 0) * scale) / 2;
+        const left = pointAt(direction - Math.PI / 2, halfWidth);
+        const right = pointAt(direction + Math.PI / 2, halfWidth);
+        return [left, pointAt(direction, radius, left), pointAt(direction, radius, right), right];
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Reads the icon square of a note, centered on its position.
+   * @param {Object} placeable - A note, or its document.
+   * @returns {{x: number, y: number, width: number, height: number, rotation: number}}
+   */
+  static getNoteBounds(placeable) {
+    const document = this.#getDocument(placeable);
+    const size = document.iconSize ?? PLACEABLE_TYPES.NOTE.ICON_SIZE;
+    return { x: (document.x ?? 0) - size / 2, y: (document.y ?? 0) - size / 2, width: size, height: size, rotation: 0 };
+  }
+
+  /**
+   * Builds the outlines of the shapes of a region.
+   * @param {Object} placeable - A region, or its document.
+   * @returns {Array<{points: Array<{x: number, y: number}>, hole: boolean}>} The outlines of the known
+   * shape types, in document order.
+   */
+  static getRegionShapes(placeable) {
+    const { RECTANGLE, CIRCLE, ELLIPSE, POLYGON } = PLACEABLE_TYPES.REGION.SHAPES;
+    const outlines = [];
+    for (const shape of this.#getDocument(placeable).shapes ?? []) {
+      let points = null;
+      switch (shape?.type) {
+        case RECTANGLE:
+          points = Geometry.getOrientedCorners(shape.x ?? 0, shape.y ?? 0, shape.width ?? 0, shape.height ?? 0, shape.rotation ?? 0);
+          break;
+        case CIRCLE:
+          points = Geometry.getEllipsePoints({ x: shape.x ?? 0, y: shape.y ?? 0 }, shape.radius ?? 0, shape.radius ?? 0, 0, PLACEABLE_TYPES.ELLIPSE_SEGMENTS);
+          break;
+        case ELLIPSE:
+          points = Geometry.getEllipsePoints({ x: shape.x ?? 0, y: shape.y ?? 0 }, shape.radiusX ?? 0, shape.radiusY ?? 0, shape.rotation ?? 0, PLACEABLE_TYPES.ELLIPSE_SEGMENTS);
+          break;
+        case POLYGON:
+          points = Geometry.toPoints(shape.points);
+          break;
+      }
+      if (Geometry.isPolygon(points)) outlines.push({ points, hole: shape.hole === true });
+    }
+    return outlines;
+  }
+
+  /**
+   * Reads the vertical span of a region. Unset bounds leave the range open.
+   * @param {Object} placeable - A region, or its document.
+   * @returns {{bottom: number, top: number}}
+   */
+  static getRegionElevationRange(placeable) {
+    const elevation = this.#getDocument(placeable).elevation ?? {};
+    return { bottom: elevation.bottom ?? -Infinity, top: elevation.top ?? Infinity };
+  }
+
+  /**
+   * Computes the box around the (non-hole) shapes of a region.
+   * @private
+   * @param {Object} placeable
+   * @returns {{x: number, y: number, width: number, height: number, rotation: number}}
+   */
+  static #getRegionBounds(placeable) {
+    const points = this.getRegionShapes(placeable).filter((shape) => !shape.hole).flatMap((shape) => shape.points);
+    return { ...(Geometry.getBoundingBox(points) ?? { x: 0, y: 0, width: 0, height: 0 }), rotation: 0 };
+  }
+
+  /**
+   * Computes the box around an outline, or an empty box at the document position without one.
+   * @private
+   * @param {Object} placeable
+   * @param {Array<{x: number, y: number}>|null} shape
+   * @returns {{x: number, y: number, width: number, height: number, rotation: number}}
+   */
+  static #getShapeBounds(placeable, shape) {
+    const document = this.#getDocument(placeable);
+    return { ...(Geometry.getBoundingBox(shape) ?? { x: document.x ?? 0, y: document.y ?? 0, width: 0, height: 0 }), rotation: 0 };
+  }
+
+  /**
+   * Computes the center of a rectangle (rotations around the center leave it in place).
+   * @private
+   * @param {{x: number, y: number, width: number, height: number}} bounds
+   * @returns {{x: number, y: number}}
+   */
+  static #getBoundsCenter({ x, y, width, height }) {
+    return { x: x + width / 2, y: y + height / 2 };
+  }
+
+  /**
+   * Retrieves the document of a placeable (documents are accepted as is).
+   * @private
+   * @param {Object} placeable
+   * @returns {Object}
+   */
+  static #getDocument(placeable) {
+    return placeable?.document ?? placeable ?? {};
+  }
+}
+
+export default PlaceableTypes;
+export { PlaceableTypes };
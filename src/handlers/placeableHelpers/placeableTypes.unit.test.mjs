@@ -0,0 +1,165 @@
+/**
+ * @file placeableTypes.unit.test.mjs
+ * @description Unit tests for PlaceableTypes.
+ * @path src/handlers/placeableHelpers/placeableTypes.unit.test.mjs
+ */
+
+import { describe, it, expect } from 'vitest';
+import PlaceableTypes from './placeableTypes.mjs';
+
+const expectPoints = (actual, expected) => {
+  expect(actual).toHaveLength(expected.length);
+  actual.forEach((point, index) => {
+    expect(point.x).toBeCloseTo(expected[index].x);
+    expect(point.y).toBeCloseTo(expected[index].y);
+  });
+};
+
+describe('PlaceableTypes', () => {
+  const dimensions = { size: 100, distance: 5 };
+
+  describe('get', () => {
+    it('should find the descriptor from the document name', () => {
+      expect(PlaceableTypes.get({ document: { documentName: 'Drawing' } }).layer).toBe('drawings');
+      expect(PlaceableTypes.get({ documentName: 'MeasuredTemplate' }).layer).toBe('templates');
+      expect(PlaceableTypes.getDocumentNames()).toEqual(['Drawing', 'MeasuredTemplate', 'Note', 'Region']);
+    });
+
+    it('should leave tokens, tiles and unknown types to the getter', () => {
+      expect(PlaceableTypes.get({ document: { documentName: 'Token' } })).toBeNull();
+      expect(PlaceableTypes.get({ document: { documentName: 'Tile' } })).toBeNull();
+      expect(PlaceableTypes.get(null)).toBeNull();
+    });
+  });
+
+  describe('getDistancePixels', () => {
+    it('should convert scene distance units to pixels', () => {
+      expect(PlaceableTypes.getDistancePixels({ distancePixels: 30 })).toBe(30);
+      expect(PlaceableTypes.getDistancePixels(dimensions)).toBe(20);
+      expect(PlaceableTypes.getDistancePixels(undefined)).toBe(1);
+    });
+  });
+
+  describe('drawings', () => {
+    const drawing = (shape, rotation = 0) => ({ document: { documentName: 'Drawing', x: 100, y: 100, rotation, shape } });
+
+    it('should read the rectangle from the shape size', () => {
+      expect(PlaceableTypes.getDrawingBounds(drawing({ type: 'r', width: 200, height: 100 }))).toEqual({
+        x: 100, y: 100, width: 200, height: 100, rotation: 0
+      });
+    });
+
+    it('should outline rectangles and ellipses', () => {
+      expect(PlaceableTypes.getDrawingShape(drawing({ type: 'r', width: 200, height: 100 }))).toEqual([
+        { x: 100, y: 100 }, { x: 300, y: 100 }, { x: 300, y: 200 }, { x: 100, y: 200 }
+      ]);
+      const ellipse = PlaceableTypes.getDrawingShape(drawing({ type: 'e', width: 200, height: 100 }));
+      expect(ellipse).toHaveLength(32);
+      expect(ellipse[0]).toEqual({ x: 300, y: 150 });
+    });
+
+    it('should offset and rotate the polygon points around the center', () => {
+      const shape = { type: 'p', width: 100, height: 100, points: [0, 0, 100, 0, 0, 100] };
+      expect(PlaceableTypes.getDrawingShape(drawing(shape))).toEqual([{ x: 100, y: 100 }, { x: 200, y: 100 }, { x: 100, y: 200 }]);
+      expectPoints(PlaceableTypes.getDrawingShape(drawing(shape, 90)), [{ x: 200, y: 100 }, { x: 200, y: 200 }, { x: 100, y: 100 }]);
+    });
+
+    it('should return null for unknown or degenerate shapes', () => {
+      expect(PlaceableTypes.getDrawingShape(drawing({ type: 't', width: 10, height: 10 }))).toBeNull();
+      expect(PlaceableTypes.getDrawingShape(drawing({ type: 'f', points: [0, 0, 10, 10] }))).toBeNull();
+    });
+  });
+
+  describe('measured templates', () => {
+    const template = (data) => ({ document: { documentName: 'MeasuredTemplate', x: 0, y: 0, direction: 0, ...data } });
+
+    it('should outline circles around the origin', () => {
+      const circle = PlaceableTypes.getTemplateShape(template({ t: 'circle', distance: 5 }), dimensions);
+      expect(circle).toHaveLength(32);
+      expect(circle[0]).toEqual({ x: 100, y: 0 });
+    });
+
+    it('should outline cones from the origin', () => {
+      const cone = PlaceableTypes.getTemplateShape(template({ t: 'cone', distance: 5, angle: 90, direction: 90 }), dimensions);
+      expect(cone[0]).toEqual({ x: 0, y: 0 });
+      expect(cone).toHaveLength(10);
+      expect(cone[1].x).toBeCloseTo(70.71);
+      expect(cone[1].y).toBeCloseTo(70.71);
+      expect(cone[9].x).toBeCloseTo(-70.71);
+    });
+
+    it('should outline rectangles along their diagonal', () => {
+      const shape = PlaceableTypes.getTemplateShape(template({ t: 'rect', distance: 5 * Math.SQRT2, direction: 135 }), dimensions);
+      expectPoints(shape, [{ x: -100, y: 0 }, { x: 0, y: 0 }, { x: 0, y: 100 }, { x: -100, y: 100 }]);
+    });
+
+    it('should outline rays with their width', () => {
+      const ray = PlaceableTypes.getTemplateShape(template({ t: 'ray', distance: 10, width: 1 }), dimensions);
+      expectPoints(ray, [{ x: 0, y: -10 }, { x: 200, y: -10 }, { x: 200, y: 10 }, { x: 0, y: 10 }]);
+    });
+
+    it('should box and center the outline', () => {
+      globalThis.canvas = { dimensions };
+      const descriptor = PlaceableTypes.get({ documentName: 'MeasuredTemplate' });
+      const ray = template({ t: 'ray', distance: 10, width: 1 });
+      const bounds = descriptor.getBounds(ray);
+      expect(bounds.x).toBeCloseTo(0);
+      expect(bounds.width).toBeCloseTo(200);
+      expect(descriptor.getCenter(ray).x).toBeCloseTo(100);
+      delete globalThis.canvas;
+    });
+
+    it('should return null for empty or unknown templates', () => {
+      expect(PlaceableTypes.getTemplateShape(template({ t: 'circle', distance: 0 }), dimensions)).toBeNull();
+      expect(PlaceableTypes.getTemplateShape(template({ t: 'star', distance: 5 }), dimensions)).toBeNull();
+      expect(PlaceableTypes.get(template({})).getBounds(template({ x: 10, y: 20 }))).toEqual({ x: 10, y: 20, width: 0, height: 0, rotation: 0 });
+    });
+  });
+
+  describe('notes', () => {
+    it('should center the icon on the note', () => {
+      expect(PlaceableTypes.getNoteBounds({ document: { x: 50, y: 50 } })).toEqual({ x: 30, y: 30, width: 40, height: 40, rotation: 0 });
+      expect(PlaceableTypes.get({ documentName: 'Note' }).getShape({ x: 50, y: 50, iconSize: 10 })).toEqual([
+        { x: 45, y: 45 }, { x: 55, y: 45 }, { x: 55, y: 55 }, { x: 45, y: 55 }
+      ]);
+    });
+  });
+
+  describe('regions', () => {
+    const region = {
+      document: {
+        documentName: 'Region',
+        elevation: { bottom: 10, top: null },
+        shapes: [
+          { type: 'circle', x: 0, y: 0, radius: 50, hole: true },
+          { type: 'polygon', points: [0, 0, 100, 0, 100, 100], hole: false },
+          { type: 'ellipse', x: 200, y: 200, radiusX: 20, radiusY: 10, rotation: 0, hole: false },
+          { type: 'emanation', hole: false }
+        ]
+      }
+    };
+    const descriptor = PlaceableTypes.get(region);
+
+    it('should outline the known shapes', () => {
+      const shapes = PlaceableTypes.getRegionShapes(region);
+      expect(shapes.map((shape) => shape.hole)).toEqual([true, false, false]);
+      expect(shapes[1].points).toEqual([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }]);
+    });
+
+    it('should use the first solid shape as outline and box every solid shape', () => {
+      expect(descriptor.getShape(region)).toEqual([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }]);
+      expect(descriptor.getBounds(region)).toEqual({ x: 0, y: 0, width: 220, height: 210, rotation: 0 });
+      expect(descriptor.getCenter(region)).toEqual({ x: 110, y: 105 });
+    });
+
+    it('should leave unset elevation bounds open', () => {
+      expect(descriptor.getElevationRange(region)).toEqual({ bottom: 10, top: Infinity });
+      expect(PlaceableTypes.getRegionElevationRange({ document: {} })).toEqual({ bottom: -Infinity, top: Infinity });
+    });
+
+    it('should have no outline without shapes', () => {
+      expect(descriptor.getShape({ document: { documentName: 'Region', shapes: [] } })).toBeNull();
+      expect(descriptor.getBounds({ document: { documentName: 'Region' } })).toEqual({ x: 0, y: 0, width: 0, height: 0, rotation: 0 });
+    });
+  });
+});
@@ -7,24 +7,52 @@
 // Fallback constants if these are not present in config.constants
 const CHECK_TYPES = Object.freeze({
   UNDER: 'under',
-  OVER: 'over'
+  OVER: 'over',
+  NEAR: 'near'
 });
 
 const POSITION_USES = Object.freeze({
   CENTER: 'center',
-  RECTANGLE: 'rectangle'
+  RECTANGLE: 'rectangle',
+  POLYGON: 'polygon',
+  ALPHA: 'alpha',
+  FOOTPRINT: 'footprint',
+  CORNERS: 'corners',
+  CORNERS_CENTER: 'corners+center',
+  SAMPLES: 'samples',
+  REGION: 'region'
 });
 
 const METHOD_KEYS = Object.freeze({
   CENTER_RECTANGLE: `${POSITION_USES.CENTER}-${POSITION_USES.RECTANGLE}`,
   RECTANGLE_CENTER: `${POSITION_USES.RECTANGLE}-${POSITION_USES.CENTER}`,
   RECTANGLE_RECTANGLE: `${POSITION_USES.RECTANGLE}-${POSITION_USES.RECTANGLE}`,
-  CENTER_CENTER: `${POSITION_USES.CENTER}-${POSITION_USES.CENTER}`
+  CENTER_CENTER: `${POSITION_USES.CENTER}-${POSITION_USES.CENTER}`,
+  CENTER_POLYGON: `${POSITION_USES.CENTER}-${POSITION_USES.POLYGON}`,
+  POLYGON_CENTER: `${POSITION_USES.POLYGON}-${POSITION_USES.CENTER}`,
+  RECTANGLE_POLYGON: `${POSITION_USES.RECTANGLE}-${POSITION_USES.POLYGON}`,
+  POLYGON_RECTANGLE: `${POSITION_USES.POLYGON}-${POSITION_USES.RECTANGLE}`,
+  POLYGON_POLYGON: `${POSITION_USES.POLYGON}-${POSITION_USES.POLYGON}`,
+  CENTER_ALPHA: `${POSITION_USES.CENTER}-${POSITION_USES.ALPHA}`,
+  RECTANGLE_ALPHA: `${POSITION_USES.RECTANGLE}-${POSITION_USES.ALPHA}`,
+  FOOTPRINT_RECTANGLE: `${POSITION_USES.FOOTPRINT}-${POSITION_USES.RECTANGLE}`,
+  FOOTPRINT_POLYGON: `${POSITION_USES.FOOTPRINT}-${POSITION_USES.POLYGON}`,
+  FOOTPRINT_ALPHA: `${POSITION_USES.FOOTPRINT}-${POSITION_USES.ALPHA}`,
+  CENTER_REGION: `${POSITION_USES.CENTER}-${POSITION_USES.REGION}`,
+  RECTANGLE_REGION: `${POSITION_USES.RECTANGLE}-${POSITION_USES.REGION}`,
+  POLYGON_REGION: `${POSITION_USES.POLYGON}-${POSITION_USES.REGION}`,
+  FOOTPRINT_REGION: `${POSITION_USES.FOOTPRINT}-${POSITION_USES.REGION}`
 });
 
 const makeMethodKey = (targetUse, referenceUse) => `${targetUse}-${referenceUse}`;
 
 import Handler from '../../baseClasses/handler.mjs';
+import Geometry from './geometry.mjs';
+import AlphaMask from './alphaMask.mjs';
+import GridFootprint from './gridFootprint.mjs';
+import GridDistance from './gridDistance.mjs';
+import Sampling from './sampling.mjs';
+import { ALPHA_MASK, CENTER_TOLERANCE, HYSTERESIS, PROXIMITY, SAMPLING } from './config.mjs';
 
 /**
  * Checks the positional relationship between two entities.
@@ -59,7 +87,21 @@ class PositionChecker extends Handler {
           CENTER_RECTANGLE: makeMethodKey(this.POSITION_USES.CENTER, this.POSITION_USES.RECTANGLE),
           RECTANGLE_CENTER: makeMethodKey(this.POSITION_USES.RECTANGLE, this.POSITION_USES.CENTER),
           RECTANGLE_RECTANGLE: makeMethodKey(this.POSITION_USES.RECTANGLE, this.POSITION_USES.RECTANGLE),
-          CENTER_CENTER: makeMethodKey(this.POSITION_USES.CENTER, this.POSITION_USES.CENTER)
+          CENTER_CENTER: makeMethodKey(this.POSITION_USES.CENTER, this.POSITION_USES.CENTER),
+          CENTER_POLYGON: makeMethodKey(this.POSITION_USES.CENTER, this.POSITION_USES.POLYGON),
+          POLYGON_CENTER: makeMethodKey(this.POSITION_USES.POLYGON, this.POSITION_USES.CENTER),
+          RECTANGLE_POLYGON: makeMethodKey(this.POSITION_USES.RECTANGLE, this.POSITION_USES.POLYGON),
+          POLYGON_RECTANGLE: makeMethodKey(this.POSITION_USES.POLYGON, this.POSITION_USES.RECTANGLE),
+          POLYGON_POLYGON: makeMethodKey(this.POSITION_USES.POLYGON, this.POSITION_USES.POLYGON),
+          CENTER_ALPHA: makeMethodKey(this.POSITION_USES.CENTER, this.POSITION_USES.ALPHA),
+          RECTANGLE_ALPHA: makeMethodKey(this.POSITION_USES.RECTANGLE, this.POSITION_USES.ALPHA),
+          FOOTPRINT_RECTANGLE: makeMethodKey(this.POSITION_USES.FOOTPRINT, this.POSITION_USES.RECTANGLE),
+          FOOTPRINT_POLYGON: makeMethodKey(this.POSITION_USES.FOOTPRINT, this.POSITION_USES.POLYGON),
+          FOOTPRINT_ALPHA: makeMethodKey(this.POSITION_USES.FOOTPRINT, this.POSITION_USES.ALPHA),
+          CENTER_REGION: makeMethodKey(this.POSITION_USES.CENTER, this.POSITION_USES.REGION),
+          RECTANGLE_REGION: makeMethodKey(this.POSITION_USES.RECTANGLE, this.POSITION_USES.REGION),
+          POLYGON_REGION: makeMethodKey(this.POSITION_USES.POLYGON, this.POSITION_USES.REGION),
+          FOOTPRINT_REGION: makeMethodKey(this.POSITION_USES.FOOTPRINT, this.POSITION_USES.REGION)
         }
     );
     /**
@@ -67,17 +109,45 @@ class PositionChecker extends Handler {
      * @property {Function} 'center-rectangle' - Checks if the target center is within the reference rectangle.
      * @property {Function} 'rectangle-center' - Checks if the target rectangle contains the reference center.
      * @property {Function} 'rectangle-rectangle' - Checks if the target rectangle is overlapping with the reference rectangle.
-     * @property {Function} 'center-center' - Checks if the target center is at the same position as the reference center.
+     * @property {Function} 'center-center' - Checks if the target center is within a tolerance radius of the reference center.
+     * @property {Function} 'center-polygon' / 'polygon-center' - Checks if the polygon contains the center.
+     * @property {Function} 'rectangle-polygon' / 'polygon-rectangle' / 'polygon-polygon' - Checks if the shapes intersect.
+     * @property {Function} 'center-alpha' / 'rectangle-alpha' - Checks if the target is over opaque pixels of the reference texture.
+     * @property {Function} 'footprint-rectangle' / 'footprint-polygon' / 'footprint-alpha' - Checks the grid cells
+     * occupied by the target (see `GridFootprint`) against the reference, like the rectangle checks.
+     * @property {Function} 'center-region' / 'rectangle-region' / 'polygon-region' / 'footprint-region' - Checks the
+     * target against the shapes of a scene region: inside a solid shape and not inside one of its holes.
      *
      * Notes:
      * - Boundaries are exclusive: comparisons use < and >, not <= or >=.
+     * - An optional margin grows or shrinks the boundaries (hysteresis, see `getMargin`).
+     * - An optional coverage threshold makes rectangle footprints match on the fraction covered (see `getCoverage`).
      * - Edge-touching centers or rectangles do not count as inside/overlapping.
+     * - Rectangles carrying oriented `corners` (rotated tiles) are tested with separating-axis tests.
+     * - Polygons may be concave (e.g., L-shaped roofs): containment uses the even-odd rule.
+     * - Near checks do not use these methods: any pair of uses is measured by `isNear`.
+     * - Sampled target uses (corners, corners+center, samples) check each point with the center method
+     *   of the reference use and combine the results (see `checkSamples`).
     */
     this.checkMethods = {
       [this.METHOD_KEYS.CENTER_RECTANGLE]: this.isCenterRelativeToRect.bind(this),
       [this.METHOD_KEYS.RECTANGLE_CENTER]: this.isRectRelativeToCenter.bind(this),
       [this.METHOD_KEYS.RECTANGLE_RECTANGLE]: this.isRectRelativeToRect.bind(this),
-      [this.METHOD_KEYS.CENTER_CENTER]: this.isCenterRelativeToCenter.bind(this)
+      [this.METHOD_KEYS.CENTER_CENTER]: this.isCenterRelativeToCenter.bind(this),
+      [this.METHOD_KEYS.CENTER_POLYGON]: this.isCenterRelativeToPolygon.bind(this),
+      [this.METHOD_KEYS.POLYGON_CENTER]: this.isPolygonRelativeToCenter.bind(this),
+      [this.METHOD_KEYS.RECTANGLE_POLYGON]: this.isRectRelativeToPolygon.bind(this),
+      [this.METHOD_KEYS.POLYGON_RECTANGLE]: this.isPolygonRelativeToRect.bind(this),
+      [this.METHOD_KEYS.POLYGON_POLYGON]: this.isPolygonRelativeToPolygon.bind(this),
+      [this.METHOD_KEYS.CENTER_ALPHA]: this.isCenterRelativeToAlpha.bind(this),
+      [this.METHOD_KEYS.RECTANGLE_ALPHA]: this.isRectRelativeToAlpha.bind(this),
+      [this.METHOD_KEYS.FOOTPRINT_RECTANGLE]: this.isFootprintRelativeToRect.bind(this),
+      [this.METHOD_KEYS.FOOTPRINT_POLYGON]: this.isFootprintRelativeToPolygon.bind(this),
+      [this.METHOD_KEYS.FOOTPRINT_ALPHA]: this.isFootprintRelativeToAlpha.bind(this),
+      [this.METHOD_KEYS.CENTER_REGION]: this.isCenterRelativeToRegion.bind(this),
+      [this.METHOD_KEYS.RECTANGLE_REGION]: this.isRectRelativeToRegion.bind(this),
+      [this.METHOD_KEYS.POLYGON_REGION]: this.isPolygonRelativeToRegion.bind(this),
+      [this.METHOD_KEYS.FOOTPRINT_REGION]: this.isFootprintRelativeToRegion.bind(this)
     };
   }
 
@@ -99,6 +169,81 @@ class PositionChecker extends Handler {
     return !!rect && this._isValidCenter(rect.BottomLeft) && this._isValidCenter(rect.TopRight);
   }
 
+  /**
+   * Validates a polygon-like object: an array of at least three { x, y } points.
+   * @param {Array} polygon
+   * @returns {boolean}
+   */
+  _isValidPolygon(polygon) {
+    return Geometry.isPolygon(polygon);
+  }
+
+  /**
+   * Validates a footprint-like object: `{ cells }`, a non-empty list of cell polygons (see `GridFootprint`).
+   * @param {Object} footprint
+   * @returns {boolean}
+   */
+  _isValidFootprint(footprint) {
+    return GridFootprint.isFootprint(footprint);
+  }
+
+  /**
+   * Validates a region-like object: `{ shapes }`, a list of `{ points, hole }` polygons with
+   * at least one solid (non-hole) shape (see `PlaceableGetter.getRegionShape`).
+   * @param {Object} region
+   * @returns {boolean}
+   */
+  _isValidRegion(region) {
+    return Array.isArray(region?.shapes) && region.shapes.some((shape) => !shape?.hole && this._isValidPolygon(shape?.points));
+  }
+
+  /**
+   * Splits the shapes of a region into its solid shapes and its holes, dropping invalid polygons.
+   * @param {{shapes: Array<{points: Array, hole: boolean}>}} region
+   * @returns {{solids: Array<Array<{x: number, y: number}>>, holes: Array<Array<{x: number, y: number}>>}}
+   */
+  _getRegionParts(region) {
+    const solids = [];
+    const holes = [];
+    for (const shape of region.shapes) {
+      if (this._isValidPolygon(shape?.points)) (shape.hole ? holes : solids).push(shape.points);
+    }
+    return { solids, holes };
+  }
+
+  /**
+   * Determines if a target polygon overlaps a region: it intersects a solid shape without lying within a hole.
+   * @param {Array<{x: number, y: number}>} polygon
+   * @param {Object} region
+   * @returns {boolean}
+   */
+  _isPolygonInRegion(polygon, region) {
+    const { solids, holes } = this._getRegionParts(region);
+    return solids.some((solid) => Geometry.doPolygonsIntersect(polygon, solid))
+      && !holes.some((hole) => Geometry.isPolygonInPolygon(polygon, hole));
+  }
+
+  /**
+   * Retrieves the cells of a target footprint: the cells of a grid footprint, or the corners of a rectangle.
+   * @param {Object} position - Footprint or rectangle of the target.
+   * @returns {Array<Array<{x: number, y: number}>>|null} The cell polygons, or null when the position is neither.
+   */
+  _getFootprintCells(position) {
+    if (this._isValidFootprint(position)) return position.cells;
+    return this._isValidRect(position) ? [this._getRectCorners(position)] : null;
+  }
+
+  /**
+   * Retrieves the corners of a rectangle: its oriented `corners` when rotated,
+   * otherwise the axis-aligned corners spanned by BottomLeft and TopRight.
+   * @param {Object} rect
+   * @param {number} [margin=0] - Distance the sides move outwards (negative: inwards), in pixels.
+   * @returns {Array<{x: number, y: number}>|null} The corners, or null when a negative margin shrinks the rectangle away.
+   */
+  _getRectCorners(rect, margin = 0) {
+    return Geometry.inflateCorners(Geometry.getRectCorners(rect), margin);
+  }
+
   _warnInvalid(message) {
     if (this.logger && typeof this.logger.warn === 'function') this.logger.warn(message);
   }
@@ -129,15 +274,39 @@ class PositionChecker extends Handler {
    * Checks the position relationship between target and reference.
    *
    * @param {Object} targetPosition - Position of the target entity.
-   * @param {number} targetElevation - Elevation of the target entity.
+   * @param {number|Object} targetElevation - Elevation (or `{ bottom, top }` range) of the target entity.
    * @param {Object} referencePosition - Position of the reference entity.
-   * @param {number} referenceElevation - Elevation of the reference entity.
+   * @param {number|Object} referenceElevation - Elevation (or `{ bottom, top }` range) of the reference entity.
    * @param {string} targetUse - Use case for the target entity.
    * @param {string} referenceUse - Use case for the reference entity.
-   * @param {string} [checkType='under'] - Type of check to perform. Any non-'under' string is treated as 'over'. Boundaries are strict.
-   * @returns {boolean} Result of the position check.
+   * @param {string} [checkType='under'] - Type of check to perform. 'near' measures the gap between the shapes
+   * (see `isNear`); any other non-'under' string is treated as 'over'. Boundaries are strict.
+   * @param {Object} [options={}]
+   * @param {number} [options.margin=0] - Boundary margin, in pixels: positive values grow the boundary,
+   * negative values shrink it (see `getMargin`). Rectangle sides move along their own axes (the reference
+   * rectangle, or the target one against a polygon or center); points are compared with their distance
+   * to polygon outlines. Center-center, polygon-polygon, footprint-polygon, polygon-region,
+   * footprint-region and alpha checks ignore it.
+   * @param {number} [options.coverage] - Coverage threshold, in [0, 1]: a target rectangle or footprint against a rectangle,
+   * polygon or alpha reference then matches when at least this fraction of it is covered (see `getCoverage`),
+   * instead of on any overlap. Other target uses and region references ignore it (a center is either fully covered or not at all).
+   * @param {number} [options.distance] - Near checks: the maximum gap, in `options.units`.
+   * @param {string} [options.units] - Near checks: 'grid' or 'pixels'.
+   * @param {Object} [options.grid] - Near and center-center checks: the scene grid measuring grid units. Defaults to `canvas.grid`.
+   * @param {number} [options.tolerance] - Center-center checks: the tolerance radius, in `options.toleranceUnits`.
+   * @param {string} [options.toleranceUnits] - Center-center checks: 'pixels' or 'grid' (fractions of a grid unit).
+   * @param {boolean} [options.details=false] - Center-center and sampled checks: return the distance or sample
+   * information instead of a boolean.
+   * @param {string} [options.sampling] - Sampled target uses: 'any', 'all' or 'majority' (see `checkSamples`).
+   * @returns {boolean|Object} Result of the position check.
    */
-  check(targetPosition, targetElevation, referencePosition, referenceElevation, targetUse, referenceUse, checkType = this.CHECK_TYPES.UNDER) {
+  check(targetPosition, targetElevation, referencePosition, referenceElevation, targetUse, referenceUse, checkType = this.CHECK_TYPES.UNDER, options = {}) {
+    if (checkType === this.CHECK_TYPES.NEAR) {
+      return this.isNear(targetPosition, targetElevation, referencePosition, referenceElevation, targetUse, referenceUse, options);
+    }
+    if (Sampling.isSampledUse(targetUse)) {
+      return this.checkSamples(targetPosition, targetElevation, referencePosition, referenceElevation, referenceUse, checkType, options);
+    }
     // Create a key to access the correct check method.
     const methodKey = makeMethodKey(targetUse, referenceUse);
     // Retrieve the correct check method.
@@ -145,38 +314,190 @@ class PositionChecker extends Handler {
 
     // If the check method is valid, call it.
     if (checkMethod) {
-      return checkMethod(targetPosition, targetElevation, referencePosition, referenceElevation, checkType);
+      return checkMethod(targetPosition, targetElevation, referencePosition, referenceElevation, checkType, options);
     } else {
       this.logger.warn(`Invalid combination of targetUse ${targetUse} and referenceUse ${referenceUse}`);
       return false;
     }
   }
 
+  /**
+   * Retrieves the boundary margin of a hysteresis check: a target that was not inside must
+   * cross the entry boundary (the shape shrunk by `enterMargin`), a target that was inside
+   * stays inside until it crosses the exit boundary (the shape grown by `exitMargin`).
+   *
+   * @param {boolean} wasInside - Whether the target was inside at the previous check.
+   * @param {Object} [margins={}]
+   * @param {number} [margins.enterMargin] - Depth, in pixels, to enter. Defaults to `HYSTERESIS.ENTER_MARGIN`.
+   * @param {number} [margins.exitMargin] - Distance, in pixels, to exit. Defaults to `HYSTERESIS.EXIT_MARGIN`.
+   * @returns {number} The margin to pass to `check`.
+   */
+  getMargin(wasInside, { enterMargin = HYSTERESIS.ENTER_MARGIN, exitMargin = HYSTERESIS.EXIT_MARGIN } = {}) {
+    return wasInside ? exitMargin : -enterMargin || 0;
+  }
+
+  /**
+   * Computes the fraction of a target rectangle or grid footprint covered by a reference shape.
+   * The cells of a footprint count by their area. Against a rectangle the margin grows or shrinks
+   * the reference first; against an alpha area the fraction of opaque samples is returned
+   * (`positionChecker.alpha.rectangleSamples`² samples per rectangle or cell).
+   *
+   * @param {Object} targetPosition - Rectangle or grid footprint (`{ cells }`) of the target entity.
+   * @param {Object|Array} referencePosition - Rectangle, polygon or alpha area of the reference entity.
+   * @param {string} referenceUse - Position use of the reference (rectangle, polygon or alpha).
+   * @param {{margin?: number}} [options={}] - Boundary margin, in pixels (see `check`).
+   * @returns {number|null} The covered fraction, in [0, 1], or null for invalid inputs.
+   */
+  getCoverage(targetPosition, referencePosition, referenceUse, options = {}) {
+    const cells = this._getFootprintCells(targetPosition);
+    if (!cells) return null;
+    if (referenceUse === this.POSITION_USES.RECTANGLE) {
+      if (!this._isValidRect(referencePosition)) return null;
+      const corners = this._getRectCorners(referencePosition, options.margin);
+      return corners ? this._getCellsCoverage(cells, corners) : 0;
+    }
+    if (referenceUse === this.POSITION_USES.POLYGON) {
+      return this._isValidPolygon(referencePosition) ? this._getCellsCoverage(cells, referencePosition) : null;
+    }
+    if (referenceUse === this.POSITION_USES.ALPHA) {
+      if (!AlphaMask.isArea(referencePosition)) return null;
+      const samples = this._isValidFootprint(targetPosition) ? this._sampleCells(cells) : this._sampleRect(targetPosition);
+      return samples.filter((point) => AlphaMask.isOpaqueAt(referencePosition, point)).length / samples.length;
+    }
+    return null;
+  }
+
+  /**
+   * Computes the fraction of a set of cells covered by an area, weighting each cell by its area.
+   * @param {Array<Array<{x: number, y: number}>>} cells - Convex cell polygons.
+   * @param {Array<{x: number, y: number}>} area - The covering polygon, convex or not.
+   * @returns {number} The covered fraction, in [0, 1].
+   */
+  _getCellsCoverage(cells, area) {
+    let total = 0;
+    let covered = 0;
+    for (const cell of cells) {
+      const cellArea = Geometry.getArea(cell);
+      total += cellArea;
+      covered += cellArea * Geometry.getCoverage(cell, area);
+    }
+    return total ? covered / total : 0;
+  }
+
+  /**
+   * Determines if a coverage threshold applies to a check.
+   * @param {Object} options - Check options.
+   * @returns {boolean}
+   */
+  _hasCoverage(options) {
+    return typeof options?.coverage === 'number' && Number.isFinite(options.coverage);
+  }
+
+  /**
+   * Compares a covered fraction with a coverage threshold. Some part must be covered,
+   * so a threshold of 0 behaves like the plain overlap test.
+   * @param {number|null} coverage - The covered fraction.
+   * @param {number} threshold - The threshold, clamped to [0, 1].
+   * @returns {boolean}
+   */
+  _meetsCoverage(coverage, threshold) {
+    return typeof coverage === 'number' && coverage > 0 && coverage >= Math.min(1, Math.max(0, threshold));
+  }
+
+  /**
+   * Samples a rectangle on an N x N grid of cell centers (`positionChecker.alpha.rectangleSamples`).
+   * @param {Object} rect
+   * @returns {Array<{x: number, y: number}>}
+   */
+  _sampleRect(rect) {
+    return Sampling.getGridPoints(this._getRectCorners(rect), ALPHA_MASK.RECTANGLE_SAMPLES);
+  }
+
+  /**
+   * Samples convex cells on an N x N grid over each cell's bounding box (`positionChecker.alpha.rectangleSamples`),
+   * keeping the points inside the cell (its centroid when none is).
+   * @param {Array<Array<{x: number, y: number}>>} cells
+   * @returns {Array<{x: number, y: number}>}
+   */
+  _sampleCells(cells) {
+    const samples = Math.max(1, ALPHA_MASK.RECTANGLE_SAMPLES);
+    return cells.flatMap((cell) => {
+      const xs = cell.map((point) => point.x);
+      const ys = cell.map((point) => point.y);
+      const minX = Math.min(...xs);
+      const minY = Math.min(...ys);
+      const width = Math.max(...xs) - minX;
+      const height = Math.max(...ys) - minY;
+      const points = [];
+      for (let i = 0; i < samples; i++) {
+        for (let j = 0; j < samples; j++) {
+          const point = { x: minX + (width * (i + 0.5)) / samples, y: minY + (height * (j + 0.5)) / samples };
+          if (Geometry.isPointInConvexPolygon(point, cell)) points.push(point);
+        }
+      }
+      if (points.length) return points;
+      return [{ x: xs.reduce((sum, x) => sum + x, 0) / xs.length, y: ys.reduce((sum, y) => sum + y, 0) / ys.length }];
+    });
+  }
+
+  /**
+   * Compares the elevations of the target and the reference.
+   *
+   * Elevations are numbers or `{ bottom, top }` ranges. A number is a flat target
+   * (`{ bottom: n, top: n }`) or a reference open downwards (`{ bottom: -Infinity, top: n }`),
+   * so plain numbers keep the `target < reference` / `target > reference` rule.
+   * - `UNDER`: the target starts below the reference top and reaches its bottom
+   *   (`target.bottom < reference.top && target.top >= reference.bottom`)
+   * - any other check type (`OVER`): the target is above the reference top (`target.bottom > reference.top`)
+   *
+   * @param {number|{bottom: number, top: number}} targetElevation - Elevation (or range) of the target entity.
+   * @param {number|{bottom: number, top: number}} referenceElevation - Elevation (or range) of the reference entity.
+   * @param {string} checkType - Type of check to perform.
+   * @returns {boolean} Result of the elevation check.
+   */
   elevationCheck(targetElevation, referenceElevation, checkType) {
-    return checkType === this.CHECK_TYPES.UNDER ? targetElevation < referenceElevation : targetElevation > referenceElevation;
+    const target = this._toElevationRange(targetElevation, targetElevation);
+    const reference = this._toElevationRange(referenceElevation, -Infinity);
+    if (checkType === this.CHECK_TYPES.UNDER) {
+      return target.bottom < reference.top && target.top >= reference.bottom;
+    }
+    return target.bottom > reference.top;
+  }
+
+  /**
+   * Normalizes an elevation into a `{ bottom, top }` range.
+   * @param {number|{bottom: number, top: number}} elevation
+   * @param {number} bottom - Bottom used when the elevation is a plain number.
+   * @returns {{bottom: number, top: number}}
+   */
+  _toElevationRange(elevation, bottom) {
+    if (elevation && typeof elevation === 'object') {
+      const low = elevation.bottom ?? -Infinity;
+      const high = elevation.top ?? Infinity;
+      return { bottom: Math.min(low, high), top: Math.max(low, high) };
+    }
+    return { bottom, top: elevation };
   }
 
   /**
    * Checks if the target center is within the reference rectangle.
    *
    * @param {Object} targetCenter - Center of the target entity.
-   * @param {number} targetElevation - Elevation of the target entity.
+   * @param {number|Object} targetElevation - Elevation (or `{ bottom, top }` range) of the target entity.
    * @param {Object} referencePosition - Position of the reference entity.
-   * @param {number} referenceElevation - Elevation of the reference entity.
+   * @param {number|Object} referenceElevation - Elevation (or `{ bottom, top }` range) of the reference entity.
    * @param {string} checkType - Type of check to perform.
+   * @param {{margin?: number}} [options={}] - Boundary margin, in pixels (see `check`).
    * @returns {boolean} Result of the position check.
    */
-  isCenterRelativeToRect(targetCenter, targetElevation, referencePosition, referenceElevation, checkType) {
+  isCenterRelativeToRect(targetCenter, targetElevation, referencePosition, referenceElevation, checkType, options = {}) {
     if (!this._isValidCenter(targetCenter) || !this._isValidRect(referencePosition)) {
       this._warnInvalid('Invalid inputs for isCenterRelativeToRect');
       return false;
     }
-    // Check if the target center is within the reference rectangle.
-    const isWithinBounds =
-      targetCenter.x > referencePosition.BottomLeft.x &&
-      targetCenter.x < referencePosition.TopRight.x &&
-      targetCenter.y > referencePosition.BottomLeft.y &&
-      targetCenter.y < referencePosition.TopRight.y;
+    // Check if the target center is within the (possibly rotated) reference rectangle.
+    const corners = this._getRectCorners(referencePosition, options.margin);
+    const isWithinBounds = !!corners && Geometry.isPointInConvexPolygon(targetCenter, corners);
 
     // Check if the target elevation is under or over the reference elevation.
     const elevationCheck = this.elevationCheck(targetElevation, referenceElevation, checkType);
@@ -188,23 +509,21 @@ class PositionChecker extends Handler {
    * Checks if the target rectangle is within the reference center.
    *
    * @param {Object} targetPosition - Position of the target entity.
-   * @param {number} targetElevation - Elevation of the target entity.
+   * @param {number|Object} targetElevation - Elevation (or `{ bottom, top }` range) of the target entity.
    * @param {Object} referenceCenter - Center of the reference entity.
-   * @param {number} referenceElevation - Elevation of the reference entity.
+   * @param {number|Object} referenceElevation - Elevation (or `{ bottom, top }` range) of the reference entity.
    * @param {string} checkType - Type of check to perform.
+   * @param {{margin?: number}} [options={}] - Boundary margin, in pixels (see `check`).
    * @returns {boolean} Result of the position check.
    */
-  isRectRelativeToCenter(targetPosition, targetElevation, referenceCenter, referenceElevation, checkType) {
+  isRectRelativeToCenter(targetPosition, targetElevation, referenceCenter, referenceElevation, checkType, options = {}) {
     if (!this._isValidRect(targetPosition) || !this._isValidCenter(referenceCenter)) {
       this._warnInvalid('Invalid inputs for isRectRelativeToCenter');
       return false;
     }
-    // Check if the target rectangle is within the reference center.
-    const isWithinBounds =
-      targetPosition.BottomLeft.x < referenceCenter.x &&
-      targetPosition.TopRight.x > referenceCenter.x &&
-      targetPosition.BottomLeft.y < referenceCenter.y &&
-      targetPosition.TopRight.y > referenceCenter.y;
+    // Check if the (possibly rotated) target rectangle contains the reference center.
+    const corners = this._getRectCorners(targetPosition, options.margin);
+    const isWithinBounds = !!corners && Geometry.isPointInConvexPolygon(referenceCenter, corners);
 
     // Check if the target elevation is under or over the reference elevation.
     const elevationCheck = this.elevationCheck(targetElevation, referenceElevation, checkType);
@@ -213,26 +532,27 @@ class PositionChecker extends Handler {
   }
 
   /**
-   * Checks if the target rectangle is overlapping with the reference rectangle.
+   * Checks if the target rectangle is overlapping with the reference rectangle,
+   * or covered by it for at least `options.coverage`.
    *
    * @param {Object} targetPosition - Position of the target entity.
-   * @param {number} targetElevation - Elevation of the target entity.
+   * @param {number|Object} targetElevation - Elevation (or `{ bottom, top }` range) of the target entity.
    * @param {Object} referencePosition - Position of the reference entity.
-   * @param {number} referenceElevation - Elevation of the reference entity.
+   * @param {number|Object} referenceElevation - Elevation (or `{ bottom, top }` range) of the reference entity.
    * @param {string} checkType - Type of check to perform.
+   * @param {{margin?: number, coverage?: number}} [options={}] - Boundary margin and coverage threshold (see `check`).
    * @returns {boolean} Result of the position check.
    */
-  isRectRelativeToRect(targetPosition, targetElevation, referencePosition, referenceElevation, checkType) {
+  isRectRelativeToRect(targetPosition, targetElevation, referencePosition, referenceElevation, checkType, options = {}) {
     if (!this._isValidRect(targetPosition) || !this._isValidRect(referencePosition)) {
       this._warnInvalid('Invalid inputs for isRectRelativeToRect');
       return false;
     }
-    // Check if the target rectangle is overlapping with the reference rectangle.
-    const isOverlapping =
-      targetPosition.BottomLeft.x < referencePosition.TopRight.x &&
-      targetPosition.TopRight.x > referencePosition.BottomLeft.x &&
-      targetPosition.BottomLeft.y < referencePosition.TopRight.y &&
-      targetPosition.TopRight.y > referencePosition.BottomLeft.y;
+    // Check if the target rectangle is overlapping with the reference rectangle (separating axis test).
+    const corners = this._getRectCorners(referencePosition, options.margin);
+    const isOverlapping = this._hasCoverage(options)
+      ? this._meetsCoverage(this.getCoverage(targetPosition, referencePosition, this.POSITION_USES.RECTANGLE, options), options.coverage)
+      : !!corners && Geometry.doConvexPolygonsOverlap(this._getRectCorners(targetPosition), corners);
 
     // Check if the target elevation is under or over the reference elevation.
     const elevationCheck = this.elevationCheck(targetElevation, referenceElevation, checkType);
@@ -241,30 +561,529 @@ class PositionChecker extends Handler {
   }
 
   /**
-   * Checks if the target center is at the same position as the reference center.
+   * Retrieves the tolerance radius of a center-center check, in pixels: `options.tolerance`
+   * (default `positionChecker.centerTolerance.radius`) in pixels or in fractions of a grid unit.
+   * @param {Object} [options={}] - Check options (see `check`).
+   * @returns {number} The radius, in pixels, never negative.
+   */
+  getCenterTolerance(options = {}) {
+    let radius = options.tolerance ?? CENTER_TOLERANCE.RADIUS;
+    if ((options.toleranceUnits ?? CENTER_TOLERANCE.UNITS) === 'grid') {
+      radius *= GridDistance.getUnitSize(options.grid ?? globalThis.canvas?.grid);
+    }
+    return Math.max(0, radius);
+  }
+
+  /**
+   * Checks if the target center is at the position of the reference center, within a tolerance radius
+   * (see `getCenterTolerance`). Unlike the other checks the boundary is inclusive, so a zero radius
+   * matches identical centers.
    *
    * @param {Object} targetCenter - Center of the target entity.
-   * @param {number} targetElevation - Elevation of the target entity.
+   * @param {number|Object} targetElevation - Elevation (or `{ bottom, top }` range) of the target entity.
    * @param {Object} referenceCenter - Center of the reference entity.
-   * @param {number} referenceElevation - Elevation of the reference entity.
+   * @param {number|Object} referenceElevation - Elevation (or `{ bottom, top }` range) of the reference entity.
    * @param {string} checkType - Type of check to perform.
-   * @returns {boolean} Result of the position check.
+   * @param {Object} [options={}] - The `tolerance`, its `toleranceUnits`, the `grid` and `details` (see `check`).
+   * @returns {boolean|{result: boolean, distance: number, offset: {x: number, y: number}, tolerance: number}|null}
+   * Result of the position check; with `options.details`, the result with the distance and offset from the
+   * target to the reference and the tolerance radius, in pixels (null for invalid inputs).
    */
-  isCenterRelativeToCenter(targetCenter, targetElevation, referenceCenter, referenceElevation, checkType) {
+  isCenterRelativeToCenter(targetCenter, targetElevation, referenceCenter, referenceElevation, checkType, options = {}) {
     if (!this._isValidCenter(targetCenter) || !this._isValidCenter(referenceCenter)) {
       this._warnInvalid('Invalid inputs for isCenterRelativeToCenter');
-      return false;
+      return options.details ? null : false;
     }
-    // Check if the target center is at the same position as the reference center.
-    const isSamePosition =
-      targetCenter.x === referenceCenter.x &&
-      targetCenter.y === referenceCenter.y;
+    const offset = { x: referenceCenter.x - targetCenter.x, y: referenceCenter.y - targetCenter.y };
+    const distance = Math.hypot(offset.x, offset.y);
+    const tolerance = this.getCenterTolerance(options);
 
     // Check if the target elevation is under or over the reference elevation.
     const elevationCheck = this.elevationCheck(targetElevation, referenceElevation, checkType);
 
-    return isSamePosition && elevationCheck;
+    const result = distance <= tolerance && elevationCheck;
+    return options.details ? { result, distance, offset, tolerance } : result;
+  }
+
+  /**
+   * Checks if the target center is within the reference polygon.
+   *
+   * @param {Object} targetCenter - Center of the target entity.
+   * @param {number|Object} targetElevation - Elevation (or `{ bottom, top }` range) of the target entity.
+   * @param {Array<{x: number, y: number}>} referencePolygon - Polygon of the reference entity.
+   * @param {number|Object} referenceElevation - Elevation (or `{ bottom, top }` range) of the reference entity.
+   * @param {string} checkType - Type of check to perform.
+   * @param {{margin?: number}} [options={}] - Boundary margin, in pixels (see `check`).
+   * @returns {boolean} Result of the position check.
+   */
+  isCenterRelativeToPolygon(targetCenter, targetElevation, referencePolygon, referenceElevation, checkType, options = {}) {
+    if (!this._isValidCenter(targetCenter) || !this._isValidPolygon(referencePolygon)) {
+      this._warnInvalid('Invalid inputs for isCenterRelativeToPolygon');
+      return false;
+    }
+    const isWithinBounds = Geometry.isPointInPolygonWithMargin(targetCenter, referencePolygon, options.margin);
+    const elevationCheck = this.elevationCheck(targetElevation, referenceElevation, checkType);
+    return isWithinBounds && elevationCheck;
+  }
+
+  /**
+   * Checks if the target polygon contains the reference center.
+   *
+   * @param {Array<{x: number, y: number}>} targetPolygon - Polygon of the target entity.
+   * @param {number|Object} targetElevation - Elevation (or `{ bottom, top }` range) of the target entity.
+   * @param {Object} referenceCenter - Center of the reference entity.
+   * @param {number|Object} referenceElevation - Elevation (or `{ bottom, top }` range) of the reference entity.
+   * @param {string} checkType - Type of check to perform.
+   * @param {{margin?: number}} [options={}] - Boundary margin, in pixels (see `check`).
+   * @returns {boolean} Result of the position check.
+   */
+  isPolygonRelativeToCenter(targetPolygon, targetElevation, referenceCenter, referenceElevation, checkType, options = {}) {
+    if (!this._isValidPolygon(targetPolygon) || !this._isValidCenter(referenceCenter)) {
+      this._warnInvalid('Invalid inputs for isPolygonRelativeToCenter');
+      return false;
+    }
+    const isWithinBounds = Geometry.isPointInPolygonWithMargin(referenceCenter, targetPolygon, options.margin);
+    const elevationCheck = this.elevationCheck(targetElevation, referenceElevation, checkType);
+    return isWithinBounds && elevationCheck;
+  }
+
+  /**
+   * Checks if the target rectangle intersects the reference polygon.
+   *
+   * @param {Object} targetPosition - Rectangle of the target entity.
+   * @param {number|Object} targetElevation - Elevation (or `{ bottom, top }` range) of the target entity.
+   * @param {Array<{x: number, y: number}>} referencePolygon - Polygon of the reference entity.
+   * @param {number|Object} referenceElevation - Elevation (or `{ bottom, top }` range) of the reference entity.
+   * @param {string} checkType - Type of check to perform.
+   * @param {{margin?: number, coverage?: number}} [options={}] - Boundary margin and coverage threshold (see `check`).
+   * The margin does not apply to coverage checks.
+   * @returns {boolean} Result of the position check.
+   */
+  isRectRelativeToPolygon(targetPosition, targetElevation, referencePolygon, referenceElevation, checkType, options = {}) {
+    if (!this._isValidRect(targetPosition) || !this._isValidPolygon(referencePolygon)) {
+      this._warnInvalid('Invalid inputs for isRectRelativeToPolygon');
+      return false;
+    }
+    const corners = this._getRectCorners(targetPosition, options.margin);
+    const isOverlapping = this._hasCoverage(options)
+      ? this._meetsCoverage(this.getCoverage(targetPosition, referencePolygon, this.POSITION_USES.POLYGON), options.coverage)
+      : !!corners && Geometry.doPolygonsIntersect(corners, referencePolygon);
+    const elevationCheck = this.elevationCheck(targetElevation, referenceElevation, checkType);
+    return isOverlapping && elevationCheck;
+  }
+
+  /**
+   * Checks if the target polygon intersects the reference rectangle.
+   *
+   * @param {Array<{x: number, y: number}>} targetPolygon - Polygon of the target entity.
+   * @param {number|Object} targetElevation - Elevation (or `{ bottom, top }` range) of the target entity.
+   * @param {Object} referencePosition - Rectangle of the reference entity.
+   * @param {number|Object} referenceElevation - Elevation (or `{ bottom, top }` range) of the reference entity.
+   * @param {string} checkType - Type of check to perform.
+   * @param {{margin?: number}} [options={}] - Boundary margin, in pixels (see `check`).
+   * @returns {boolean} Result of the position check.
+   */
+  isPolygonRelativeToRect(targetPolygon, targetElevation, referencePosition, referenceElevation, checkType, options = {}) {
+    if (!this._isValidPolygon(targetPolygon) || !this._isValidRect(referencePosition)) {
+      this._warnInvalid('Invalid inputs for isPolygonRelativeToRect');
+      return false;
+    }
+    const corners = this._getRectCorners(referencePosition, options.margin);
+    const isOverlapping = !!corners && Geometry.doPolygonsIntersect(targetPolygon, corners);
+    const elevationCheck = this.elevationCheck(targetElevation, referenceElevation, checkType);
+    return isOverlapping && elevationCheck;
+  }
+
+  /**
+   * Checks if the target polygon intersects the reference polygon.
+   *
+   * @param {Array<{x: number, y: number}>} targetPolygon - Polygon of the target entity.
+   * @param {number|Object} targetElevation - Elevation (or `{ bottom, top }` range) of the target entity.
+   * @param {Array<{x: number, y: number}>} referencePolygon - Polygon of the reference entity.
+   * @param {number|Object} referenceElevation - Elevation (or `{ bottom, top }` range) of the reference entity.
+   * @param {string} checkType - Type of check to perform.
+   * @returns {boolean} Result of the position check.
+   */
+  isPolygonRelativeToPolygon(targetPolygon, targetElevation, referencePolygon, referenceElevation, checkType) {
+    if (!this._isValidPolygon(targetPolygon) || !this._isValidPolygon(referencePolygon)) {
+      this._warnInvalid('Invalid inputs for isPolygonRelativeToPolygon');
+      return false;
+    }
+    const isOverlapping = Geometry.doPolygonsIntersect(targetPolygon, referencePolygon);
+    const elevationCheck = this.elevationCheck(targetElevation, referenceElevation, checkType);
+    return isOverlapping && elevationCheck;
+  }
+
+  /**
+   * Checks if the target center lies over an opaque pixel of the reference texture.
+   *
+   * @param {Object} targetCenter - Center of the target entity.
+   * @param {number|Object} targetElevation - Elevation (or `{ bottom, top }` range) of the target entity.
+   * @param {Object} referenceArea - Alpha area of the reference entity (see `AlphaMask`).
+   * @param {number|Object} referenceElevation - Elevation (or `{ bottom, top }` range) of the reference entity.
+   * @param {string} checkType - Type of check to perform.
+   * @returns {boolean} Result of the position check.
+   */
+  isCenterRelativeToAlpha(targetCenter, targetElevation, referenceArea, referenceElevation, checkType) {
+    if (!this._isValidCenter(targetCenter) || !AlphaMask.isArea(referenceArea)) {
+      this._warnInvalid('Invalid inputs for isCenterRelativeToAlpha');
+      return false;
+    }
+    const isOpaque = AlphaMask.isOpaqueAt(referenceArea, targetCenter);
+    const elevationCheck = this.elevationCheck(targetElevation, referenceElevation, checkType);
+    return isOpaque && elevationCheck;
+  }
+
+  /**
+   * Checks if any part of the target rectangle lies over opaque pixels of the reference texture,
+   * or at least the `options.coverage` fraction of it.
+   * The rectangle is sampled on an N x N grid of cell centers (`positionChecker.alpha.rectangleSamples`).
+   *
+   * @param {Object} targetPosition - Rectangle of the target entity.
+   * @param {number|Object} targetElevation - Elevation (or `{ bottom, top }` range) of the target entity.
+   * @param {Object} referenceArea - Alpha area of the reference entity (see `AlphaMask`).
+   * @param {number|Object} referenceElevation - Elevation (or `{ bottom, top }` range) of the reference entity.
+   * @param {string} checkType - Type of check to perform.
+   * @param {{coverage?: number}} [options={}] - Coverage threshold (see `check`).
+   * @returns {boolean} Result of the position check.
+   */
+  isRectRelativeToAlpha(targetPosition, targetElevation, referenceArea, referenceElevation, checkType, options = {}) {
+    if (!this._isValidRect(targetPosition) || !AlphaMask.isArea(referenceArea)) {
+      this._warnInvalid('Invalid inputs for isRectRelativeToAlpha');
+      return false;
+    }
+    const isOpaque = this._hasCoverage(options)
+      ? this._meetsCoverage(this.getCoverage(targetPosition, referenceArea, this.POSITION_USES.ALPHA), options.coverage)
+      : this._sampleRect(targetPosition).some((point) => AlphaMask.isOpaqueAt(referenceArea, point));
+    const elevationCheck = this.elevationCheck(targetElevation, referenceElevation, checkType);
+    return isOpaque && elevationCheck;
+  }
+
+  /**
+   * Checks if any cell of the target footprint overlaps the reference rectangle,
+   * or if the footprint is covered by it for at least `options.coverage`.
+   *
+   * @param {Object} targetFootprint - Grid footprint (`{ cells }`) of the target entity.
+   * @param {number|Object} targetElevation - Elevation (or `{ bottom, top }` range) of the target entity.
+   * @param {Object} referencePosition - Rectangle of the reference entity.
+   * @param {number|Object} referenceElevation - Elevation (or `{ bottom, top }` range) of the reference entity.
+   * @param {string} checkType - Type of check to perform.
+   * @param {{margin?: number, coverage?: number}} [options={}] - Boundary margin and coverage threshold (see `check`).
+   * @returns {boolean} Result of the position check.
+   */
+  isFootprintRelativeToRect(targetFootprint, targetElevation, referencePosition, referenceElevation, checkType, options = {}) {
+    if (!this._isValidFootprint(targetFootprint) || !this._isValidRect(referencePosition)) {
+      this._warnInvalid('Invalid inputs for isFootprintRelativeToRect');
+      return false;
+    }
+    const corners = this._getRectCorners(referencePosition, options.margin);
+    const isOverlapping = this._hasCoverage(options)
+      ? this._meetsCoverage(this.getCoverage(targetFootprint, referencePosition, this.POSITION_USES.RECTANGLE, options), options.coverage)
+      : !!corners && targetFootprint.cells.some((cell) => Geometry.doConvexPolygonsOverlap(cell, corners));
+    const elevationCheck = this.elevationCheck(targetElevation, referenceElevation, checkType);
+    return isOverlapping && elevationCheck;
+  }
+
+  /**
+   * Checks if any cell of the target footprint intersects the reference polygon,
+   * or if the footprint is covered by it for at least `options.coverage`. The margin does not apply.
+   *
+   * @param {Object} targetFootprint - Grid footprint (`{ cells }`) of the target entity.
+   * @param {number|Object} targetElevation - Elevation (or `{ bottom, top }` range) of the target entity.
+   * @param {Array<{x: number, y: number}>} referencePolygon - Polygon of the reference entity.
+   * @param {number|Object} referenceElevation - Elevation (or `{ bottom, top }` range) of the reference entity.
+   * @param {string} checkType - Type of check to perform.
+   * @param {{coverage?: number}} [options={}] - Coverage threshold (see `check`).
+   * @returns {boolean} Result of the position check.
+   */
+  isFootprintRelativeToPolygon(targetFootprint, targetElevation, referencePolygon, referenceElevation, checkType, options = {}) {
+    if (!this._isValidFootprint(targetFootprint) || !this._isValidPolygon(referencePolygon)) {
+      this._warnInvalid('Invalid inputs for isFootprintRelativeToPolygon');
+      return false;
+    }
+    const isOverlapping = this._hasCoverage(options)
+      ? this._meetsCoverage(this.getCoverage(targetFootprint, referencePolygon, this.POSITION_USES.POLYGON), options.coverage)
+      : targetFootprint.cells.some((cell) => Geometry.doPolygonsIntersect(cell, referencePolygon));
+    const elevationCheck = this.elevationCheck(targetElevation, referenceElevation, checkType);
+    return isOverlapping && elevationCheck;
+  }
+
+  /**
+   * Checks if any cell of the target footprint lies over opaque pixels of the reference texture,
+   * or at least the `options.coverage` fraction of the samples. Each cell is sampled on an N x N grid
+   * (`positionChecker.alpha.rectangleSamples`).
+   *
+   * @param {Object} targetFootprint - Grid footprint (`{ cells }`) of the target entity.
+   * @param {number|Object} targetElevation - Elevation (or `{ bottom, top }` range) of the target entity.
+   * @param {Object} referenceArea - Alpha area of the reference entity (see `AlphaMask`).
+   * @param {number|Object} referenceElevation - Elevation (or `{ bottom, top }` range) of the reference entity.
+   * @param {string} checkType - Type of check to perform.
+   * @param {{coverage?: number}} [options={}] - Coverage threshold (see `check`).
+   * @returns {boolean} Result of the position check.
+   */
+  isFootprintRelativeToAlpha(targetFootprint, targetElevation, referenceArea, referenceElevation, checkType, options = {}) {
+    if (!this._isValidFootprint(targetFootprint) || !AlphaMask.isArea(referenceArea)) {
+      this._warnInvalid('Invalid inputs for isFootprintRelativeToAlpha');
+      return false;
+    }
+    const isOpaque = this._hasCoverage(options)
+      ? this._meetsCoverage(this.getCoverage(targetFootprint, referenceArea, this.POSITION_USES.ALPHA), options.coverage)
+      : this._sampleCells(targetFootprint.cells).some((point) => AlphaMask.isOpaqueAt(referenceArea, point));
+    const elevationCheck = this.elevationCheck(targetElevation, referenceElevation, checkType);
+    return isOpaque && elevationCheck;
+  }
+
+  /**
+   * Checks if the target center lies inside the reference region: inside one of its solid
+   * shapes and outside its holes. The margin grows the solid shapes and shrinks the holes.
+   *
+   * @param {Object} targetCenter - Center of the target entity.
+   * @param {number|Object} targetElevation - Elevation (or `{ bottom, top }` range) of the target entity.
+   * @param {{shapes: Array<{points: Array, hole: boolean}>}} referenceRegion - Shapes of the reference region.
+   * @param {number|Object} referenceElevation - Elevation (or `{ bottom, top }` range) of the reference entity.
+   * @param {string} checkType - Type of check to perform.
+   * @param {{margin?: number}} [options={}] - Boundary margin, in pixels (see `check`).
+   * @returns {boolean} Result of the position check.
+   */
+  isCenterRelativeToRegion(targetCenter, targetElevation, referenceRegion, referenceElevation, checkType, options = {}) {
+    if (!this._isValidCenter(targetCenter) || !this._isValidRegion(referenceRegion)) {
+      this._warnInvalid('Invalid inputs for isCenterRelativeToRegion');
+      return false;
+    }
+    const margin = options.margin ?? 0;
+    const { solids, holes } = this._getRegionParts(referenceRegion);
+    const isWithinBounds = solids.some((solid) => Geometry.isPointInPolygonWithMargin(targetCenter, solid, margin))
+      && !holes.some((hole) => Geometry.isPointInPolygonWithMargin(targetCenter, hole, -margin));
+    const elevationCheck = this.elevationCheck(targetElevation, referenceElevation, checkType);
+    return isWithinBounds && elevationCheck;
+  }
+
+  /**
+   * Checks if the target rectangle overlaps the reference region: it intersects one of its
+   * solid shapes and does not lie within one of its holes.
+   *
+   * @param {Object} targetPosition - Rectangle of the target entity.
+   * @param {number|Object} targetElevation - Elevation (or `{ bottom, top }` range) of the target entity.
+   * @param {{shapes: Array<{points: Array, hole: boolean}>}} referenceRegion - Shapes of the reference region.
+   * @param {number|Object} referenceElevation - Elevation (or `{ bottom, top }` range) of the reference entity.
+   * @param {string} checkType - Type of check to perform.
+   * @param {{margin?: number}} [options={}] - Boundary margin, in pixels (see `check`), applied to the target rectangle.
+   * @returns {boolean} Result of the position check.
+   */
+  isRectRelativeToRegion(targetPosition, targetElevation, referenceRegion, referenceElevation, checkType, options = {}) {
+    if (!this._isValidRect(targetPosition) || !this._isValidRegion(referenceRegion)) {
+      this._warnInvalid('Invalid inputs for isRectRelativeToRegion');
+      return false;
+    }
+    const corners = this._getRectCorners(targetPosition, options.margin);
+    const isOverlapping = !!corners && this._isPolygonInRegion(corners, referenceRegion);
+    const elevationCheck = this.elevationCheck(targetElevation, referenceElevation, checkType);
+    return isOverlapping && elevationCheck;
+  }
+
+  /**
+   * Checks if the target polygon overlaps the reference region (see `isRectRelativeToRegion`).
+   *
+   * @param {Array<{x: number, y: number}>} targetPolygon - Polygon of the target entity.
+   * @param {number|Object} targetElevation - Elevation (or `{ bottom, top }` range) of the target entity.
+   * @param {{shapes: Array<{points: Array, hole: boolean}>}} referenceRegion - Shapes of the reference region.
+   * @param {number|Object} referenceElevation - Elevation (or `{ bottom, top }` range) of the reference entity.
+   * @param {string} checkType - Type of check to perform.
+   * @returns {boolean} Result of the position check.
+   */
+  isPolygonRelativeToRegion(targetPolygon, targetElevation, referenceRegion, referenceElevation, checkType) {
+    if (!this._isValidPolygon(targetPolygon) || !this._isValidRegion(referenceRegion)) {
+      this._warnInvalid('Invalid inputs for isPolygonRelativeToRegion');
+      return false;
+    }
+    const isOverlapping = this._isPolygonInRegion(targetPolygon, referenceRegion);
+    const elevationCheck = this.elevationCheck(targetElevation, referenceElevation, checkType);
+    return isOverlapping && elevationCheck;
+  }
+
+  /**
+   * Checks if any grid cell of the target footprint overlaps the reference region (see `isRectRelativeToRegion`).
+   *
+   * @param {Object} targetFootprint - Grid footprint (`{ cells }`) of the target entity.
+   * @param {number|Object} targetElevation - Elevation (or `{ bottom, top }` range) of the target entity.
+   * @param {{shapes: Array<{points: Array, hole: boolean}>}} referenceRegion - Shapes of the reference region.
+   * @param {number|Object} referenceElevation - Elevation (or `{ bottom, top }` range) of the reference entity.
+   * @param {string} checkType - Type of check to perform.
+   * @returns {boolean} Result of the position check.
+   */
+  isFootprintRelativeToRegion(targetFootprint, targetElevation, referenceRegion, referenceElevation, checkType) {
+    if (!this._isValidFootprint(targetFootprint) || !this._isValidRegion(referenceRegion)) {
+      this._warnInvalid('Invalid inputs for isFootprintRelativeToRegion');
+      return false;
+    }
+    const isOverlapping = targetFootprint.cells.some((cell) => this._isPolygonInRegion(cell, referenceRegion));
+    const elevationCheck = this.elevationCheck(targetElevation, referenceElevation, checkType);
+    return isOverlapping && elevationCheck;
+  }
+
+  /**
+   * Counts the sample points of a target that pass a check against the reference: each point is
+   * checked like a center, with the center method of the reference use and the same options.
+   *
+   * @param {{points: Array<{x: number, y: number}>}} targetSamples - Sample set of the target entity (see `Sampling`).
+   * @param {number|Object} targetElevation - Elevation (or `{ bottom, top }` range) of the target entity.
+   * @param {Object|Array} referencePosition - Position of the reference entity.
+   * @param {number|Object} referenceElevation - Elevation (or `{ bottom, top }` range) of the reference entity.
+   * @param {string} referenceUse - Position use of the reference.
+   * @param {string} checkType - Type of check to perform.
+   * @param {Object} [options={}] - Check options (see `check`).
+   * @returns {{count: number, total: number}|null} The passing and checked points, or null for invalid inputs.
+   */
+  countSamples(targetSamples, targetElevation, referencePosition, referenceElevation, referenceUse, checkType, options = {}) {
+    if (!Sampling.isSampleSet(targetSamples)) return null;
+    const checkMethod = this.returnCheckMethod(makeMethodKey(this.POSITION_USES.CENTER, referenceUse));
+    if (!checkMethod) return null;
+    const pointOptions = { ...options, details: false };
+    const count = targetSamples.points
+      .filter((point) => checkMethod(point, targetElevation, referencePosition, referenceElevation, checkType, pointOptions))
+      .length;
+    return { count, total: targetSamples.points.length };
+  }
+
+  /**
+   * Checks the sample points of a target against the reference (see `countSamples`) and combines
+   * the results: 'any' passes when one point passes, 'all' when every point does, 'majority' when
+   * more than half of them do.
+   *
+   * @param {{points: Array<{x: number, y: number}>}} targetSamples - Sample set of the target entity.
+   * @param {number|Object} targetElevation - Elevation (or `{ bottom, top }` range) of the target entity.
+   * @param {Object|Array} referencePosition - Position of the reference entity.
+   * @param {number|Object} referenceElevation - Elevation (or `{ bottom, top }` range) of the reference entity.
+   * @param {string} referenceUse - Position use of the reference.
+   * @param {string} checkType - Type of check to perform.
+   * @param {Object} [options={}]
+   * @param {string} [options.sampling] - The sampling mode. Defaults to `positionChecker.sampling.mode`.
+   * @param {boolean} [options.details=false] - Return `{ result, count, total, mode }` instead of a boolean.
+   * @returns {boolean|{result: boolean, count: number, total: number, mode: string}|null} Result of the position check;
+   * with `options.details`, the result with the passing and checked points (null for invalid inputs).
+   */
+  checkSamples(targetSamples, targetElevation, referencePosition, referenceElevation, referenceUse, checkType, options = {}) {
+    const counted = this.countSamples(targetSamples, targetElevation, referencePosition, referenceElevation, referenceUse, checkType, options);
+    if (!counted) {
+      this._warnInvalid('Invalid inputs for checkSamples');
+      return options.details ? null : false;
+    }
+    const mode = options.sampling ?? SAMPLING.MODE;
+    const result = Sampling.isSatisfied(counted.count, counted.total, mode);
+    return options.details ? { result, ...counted, mode } : result;
+  }
+
+  /**
+   * Retrieves the shapes of a position: point lists (polygons, or a single point for centers).
+   * Alpha areas use their texture rectangle, footprints their cells, regions their solid shapes
+   * (holes are ignored) and sample sets their points.
+   * @param {Object|Array} position
+   * @param {string} use - Position use of the position.
+   * @returns {Array<Array<{x: number, y: number}>>|null} The shapes, or null for invalid positions.
+   */
+  _getShapes(position, use) {
+    switch (use) {
+      case this.POSITION_USES.CENTER:
+        return this._isValidCenter(position) ? [[position]] : null;
+      case this.POSITION_USES.RECTANGLE:
+        return this._isValidRect(position) ? [this._getRectCorners(position)] : null;
+      case this.POSITION_USES.POLYGON:
+        return this._isValidPolygon(position) ? [position] : null;
+      case this.POSITION_USES.ALPHA:
+        return AlphaMask.isArea(position)
+          ? [Geometry.getOrientedCorners(position.x, position.y, position.width, position.height, position.rotation ?? 0)]
+          : null;
+      case this.POSITION_USES.FOOTPRINT:
+        return this._isValidFootprint(position) ? position.cells : null;
+      case this.POSITION_USES.REGION:
+        return this._isValidRegion(position) ? this._getRegionParts(position).solids : null;
+      default:
+        return Sampling.isSampledUse(use) && Sampling.isSampleSet(position) ? position.points.map((point) => [point]) : null;
+    }
+  }
+
+  /**
+   * Computes the shortest offset between a target and a reference, whatever their position uses.
+   * @param {Object|Array} targetPosition
+   * @param {string} targetUse
+   * @param {Object|Array} referencePosition
+   * @param {string} referenceUse
+   * @returns {{x: number, y: number}|null} The offset from the target to the reference, in pixels
+   * (zero when they overlap or touch), or null for invalid positions.
+   */
+  getGap(targetPosition, targetUse, referencePosition, referenceUse) {
+    const targets = this._getShapes(targetPosition, targetUse);
+    const references = this._getShapes(referencePosition, referenceUse);
+    if (!targets || !references) return null;
+    let gap = null;
+    for (const target of targets) {
+      for (const reference of references) {
+        const candidate = Geometry.getGap(target, reference);
+        if (!gap || Math.hypot(candidate.x, candidate.y) < Math.hypot(gap.x, gap.y)) gap = candidate;
+      }
+    }
+    return gap;
+  }
+
+  /**
+   * Measures the distance between a target and a reference, whatever their position uses: the
+   * shortest gap between their shapes (see `getGap`), or the distance between two centers.
+   * Elevations are not considered.
+   *
+   * @param {Object|Array} targetPosition
+   * @param {string} targetUse
+   * @param {Object|Array} referencePosition
+   * @param {string} referenceUse
+   * @param {{grid?: Object}} [options={}] - The scene grid measuring grid units. Defaults to `canvas.grid`.
+   * @returns {{offset: {x: number, y: number}, pixels: number, gridUnits: number}|null} The offset from the target
+   * to the reference, its length in pixels and in grid units (see `GridDistance.measure`), or null for invalid positions.
+   */
+  getDistance(targetPosition, targetUse, referencePosition, referenceUse, options = {}) {
+    const offset = this.getGap(targetPosition, targetUse, referencePosition, referenceUse);
+    if (!offset) return null;
+    return {
+      offset,
+      pixels: Math.hypot(offset.x, offset.y),
+      gridUnits: GridDistance.measure(offset, options.grid ?? globalThis.canvas?.grid)
+    };
+  }
+
+  /**
+   * Checks if the target is within a distance of the reference: the gap between their shapes is at
+   * most `options.distance` (default `positionChecker.proximity.distance`), measured in grid units with
+   * the scene grid rules (see `GridDistance`) or in pixels (`options.units`). Overlapping shapes are near.
+   * The elevations follow the `under` rule, so a token only nears the roofs of its own level.
+   *
+   * @param {Object|Array} targetPosition - Position of the target entity.
+   * @param {number|Object} targetElevation - Elevation (or `{ bottom, top }` range) of the target entity.
+   * @param {Object|Array} referencePosition - Position of the reference entity.
+   * @param {number|Object} referenceElevation - Elevation (or `{ bottom, top }` range) of the reference entity.
+   * @param {string} targetUse - Position use of the target.
+   * @param {string} referenceUse - Position use of the reference.
+   * @param {Object} [options={}]
+   * @param {number} [options.distance] - Maximum gap, in `options.units`.
+   * @param {string} [options.units] - 'grid' or 'pixels'. Defaults to `positionChecker.proximity.units`.
+   * @param {Object} [options.grid] - The scene grid. Defaults to `canvas.grid`.
+   * @param {number} [options.margin=0] - Pixels added to the distance (hysteresis, see `getMargin`).
+   * @returns {boolean} Result of the position check.
+   */
+  isNear(targetPosition, targetElevation, referencePosition, referenceElevation, targetUse, referenceUse, options = {}) {
+    const measured = this.getDistance(targetPosition, targetUse, referencePosition, referenceUse, options);
+    if (!measured) {
+      this._warnInvalid('Invalid inputs for isNear');
+      return false;
+    }
+    const distance = options.distance ?? PROXIMITY.DISTANCE;
+    const margin = options.margin ?? 0;
+    let isWithin;
+    if ((options.units ?? PROXIMITY.UNITS) === 'pixels') {
+      isWithin = measured.pixels <= distance + margin;
+    } else {
+      const unit = GridDistance.getUnitSize(options.grid ?? globalThis.canvas?.grid);
+      isWithin = measured.gridUnits <= distance + (unit ? margin / unit : 0);
+    }
+    return isWithin && this.elevationCheck(targetElevation, referenceElevation, this.CHECK_TYPES.UNDER);
   }
 }
 
-export default PositionChecker;
\ No newline at end of file
+export default PositionChecker;
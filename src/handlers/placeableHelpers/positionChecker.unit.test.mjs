@@ -28,7 +28,7 @@ describe('PositionChecker', () => {
         it('should initialize with utils and check methods', () => {
             expect(positionChecker.utils).toBe(mockUtils);
             expect(positionChecker.checkMethods).toBeDefined();
-            expect(Object.keys(positionChecker.checkMethods).length).toBe(4);
+            expect(Object.keys(positionChecker.checkMethods).length).toBe(18);
         });
     });
 
@@ -95,7 +95,7 @@ describe('PositionChecker', () => {
 
             // Verify that the correct method was called with the right parameters
             expect(mockCheckMethod).toHaveBeenCalledWith(
-                {}, 1, {}, 2, positionChecker.CHECK_TYPES.UNDER
+                {}, 1, {}, 2, positionChecker.CHECK_TYPES.UNDER, {}
             );
             expect(mockLogger.warn).not.toHaveBeenCalled();
         });
@@ -132,6 +132,38 @@ describe('PositionChecker', () => {
             const result = positionChecker.elevationCheck(1, 2, positionChecker.CHECK_TYPES.OVER);
             expect(result).toBe(false);
         });
+
+        describe('with elevation ranges', () => {
+            // Upper floor of a building: band from 10 to 20
+            const band = { bottom: 10, top: 20 };
+
+            it('should be under when the target reaches into the band', () => {
+                expect(positionChecker.elevationCheck({ bottom: 10, top: 16 }, band, positionChecker.CHECK_TYPES.UNDER)).toBe(true);
+                expect(positionChecker.elevationCheck({ bottom: 5, top: 12 }, band, positionChecker.CHECK_TYPES.UNDER)).toBe(true);
+                expect(positionChecker.elevationCheck(15, band, positionChecker.CHECK_TYPES.UNDER)).toBe(true);
+            });
+
+            it('should leave tokens on a lower level unaffected', () => {
+                expect(positionChecker.elevationCheck({ bottom: 0, top: 6 }, band, positionChecker.CHECK_TYPES.UNDER)).toBe(false);
+                expect(positionChecker.elevationCheck(0, band, positionChecker.CHECK_TYPES.UNDER)).toBe(false);
+            });
+
+            it('should let tokens above the roof see it', () => {
+                const flying = { bottom: 25, top: 31 };
+                expect(positionChecker.elevationCheck(flying, band, positionChecker.CHECK_TYPES.UNDER)).toBe(false);
+                expect(positionChecker.elevationCheck(flying, band, positionChecker.CHECK_TYPES.OVER)).toBe(true);
+            });
+
+            it('should treat a token standing on the roof as neither under nor above', () => {
+                expect(positionChecker.elevationCheck({ bottom: 20, top: 26 }, band, positionChecker.CHECK_TYPES.UNDER)).toBe(false);
+                expect(positionChecker.elevationCheck({ bottom: 20, top: 26 }, band, positionChecker.CHECK_TYPES.OVER)).toBe(false);
+            });
+
+            it('should treat a plain reference elevation as a band open downwards', () => {
+                expect(positionChecker.elevationCheck({ bottom: -50, top: -44 }, 20, positionChecker.CHECK_TYPES.UNDER)).toBe(true);
+                expect(positionChecker.elevationCheck({ bottom: -50, top: -44 }, { top: 20 }, positionChecker.CHECK_TYPES.UNDER)).toBe(true);
+            });
+        });
     });
 
     describe('isCenterRelativeToRect', () => {
@@ -429,5 +461,458 @@ describe('PositionChecker', () => {
 
             expect(result).toBe(false);
         });
+
+        it('should match centers within the tolerance radius', () => {
+            const target = { x: 100.1 + 0.2, y: 50 };
+            const reference = { x: 100.3, y: 50.0000001 };
+            const under = positionChecker.CHECK_TYPES.UNDER;
+            expect(positionChecker.isCenterRelativeToCenter(target, 1, reference, 2, under)).toBe(true);
+            expect(positionChecker.isCenterRelativeToCenter({ x: 0, y: 0 }, 1, { x: 3, y: 4 }, 2, under, { tolerance: 5 })).toBe(true);
+            expect(positionChecker.isCenterRelativeToCenter({ x: 0, y: 0 }, 1, { x: 3, y: 4 }, 2, under, { tolerance: 4.9 })).toBe(false);
+        });
+
+        it('should measure the tolerance in fractions of a grid unit', () => {
+            const grid = { type: 1, size: 100 };
+            const options = { tolerance: 0.25, toleranceUnits: 'grid', grid };
+            expect(positionChecker.getCenterTolerance(options)).toBe(25);
+            expect(positionChecker.check({ x: 0, y: 0 }, 1, { x: 20, y: 15 }, 2, 'center', 'center', 'under', options)).toBe(true);
+            expect(positionChecker.check({ x: 0, y: 0 }, 1, { x: 20, y: 16 }, 2, 'center', 'center', 'under', options)).toBe(false);
+        });
+
+        it('should return the distance information on request', () => {
+            const result = positionChecker.isCenterRelativeToCenter(
+                { x: 0, y: 0 }, 1, { x: 3, y: 4 }, 2, positionChecker.CHECK_TYPES.UNDER, { details: true }
+            );
+            expect(result).toEqual({ result: false, distance: 5, offset: { x: 3, y: 4 }, tolerance: 1 });
+            expect(positionChecker.isCenterRelativeToCenter(null, 1, { x: 3, y: 4 }, 2, 'under', { details: true })).toBeNull();
+        });
+    });
+
+    describe('rotated rectangles', () => {
+        // A 200x100 rectangle at (100, 100) rotated by 45 degrees around its center (200, 150)
+        let rotated;
+
+        beforeEach(() => {
+            const c = Math.SQRT1_2;
+            const corner = (dx, dy) => ({ x: 200 + dx * c - dy * c, y: 150 + dx * c + dy * c });
+            rotated = {
+                TopRight: { x: 300, y: 100 },
+                BottomLeft: { x: 100, y: 200 },
+                rotation: 45,
+                corners: [corner(-100, -50), corner(100, -50), corner(100, 50), corner(-100, 50)]
+            };
+        });
+
+        it('should use the oriented corners for center-rectangle checks', () => {
+            // Inside the unrotated box but outside the rotated one
+            expect(positionChecker.isCenterRelativeToRect({ x: 105, y: 195 }, 0, rotated, 1, 'under')).toBe(false);
+            // Outside the unrotated box but inside the rotated one
+            expect(positionChecker.isCenterRelativeToRect({ x: 250, y: 230 }, 0, rotated, 1, 'under')).toBe(true);
+            expect(positionChecker.isCenterRelativeToRect({ x: 200, y: 150 }, 0, rotated, 1, 'under')).toBe(true);
+        });
+
+        it('should use the oriented corners for rectangle-center checks', () => {
+            expect(positionChecker.isRectRelativeToCenter(rotated, 0, { x: 105, y: 195 }, 1, 'under')).toBe(false);
+            expect(positionChecker.isRectRelativeToCenter(rotated, 0, { x: 250, y: 230 }, 1, 'under')).toBe(true);
+        });
+
+        it('should use separating axis tests for rectangle-rectangle checks', () => {
+            const besideCorner = { BottomLeft: { x: 280, y: 120 }, TopRight: { x: 300, y: 100 } };
+            const crossingEdge = { BottomLeft: { x: 260, y: 240 }, TopRight: { x: 280, y: 220 } };
+            expect(positionChecker.isRectRelativeToRect(besideCorner, 0, rotated, 1, 'under')).toBe(false);
+            expect(positionChecker.isRectRelativeToRect(crossingEdge, 0, rotated, 1, 'under')).toBe(true);
+            expect(positionChecker.isRectRelativeToRect(rotated, 0, crossingEdge, 1, 'under')).toBe(true);
+        });
+    });
+
+    describe('canvas (y-down) rectangles', () => {
+        it('should accept rectangles whose TopRight has the smaller y', () => {
+            const bounds = { TopRight: { x: 300, y: 100 }, BottomLeft: { x: 100, y: 250 } };
+            expect(positionChecker.isCenterRelativeToRect({ x: 200, y: 175 }, 0, bounds, 1, 'under')).toBe(true);
+            expect(positionChecker.isCenterRelativeToRect({ x: 200, y: 50 }, 0, bounds, 1, 'under')).toBe(false);
+        });
+    });
+
+    describe('polygons', () => {
+        // L-shaped roof: the top-right quarter (10..20, 10..20 in y-up terms) is missing
+        const lShape = [
+            { x: 0, y: 0 }, { x: 20, y: 0 }, { x: 20, y: 10 },
+            { x: 10, y: 10 }, { x: 10, y: 20 }, { x: 0, y: 20 }
+        ];
+
+        it('should register the polygon method keys', () => {
+            expect(positionChecker.METHOD_KEYS.CENTER_POLYGON).toBe('center-polygon');
+            expect(positionChecker.returnCheckMethod('rectangle-polygon')).toEqual(expect.any(Function));
+        });
+
+        it('should check centers against concave polygons', () => {
+            expect(positionChecker.check({ x: 5, y: 15 }, 0, lShape, 1, 'center', 'polygon', 'under')).toBe(true);
+            expect(positionChecker.check({ x: 15, y: 15 }, 0, lShape, 1, 'center', 'polygon', 'under')).toBe(false);
+            expect(positionChecker.isPolygonRelativeToCenter(lShape, 0, { x: 15, y: 5 }, 1, 'under')).toBe(true);
+        });
+
+        it('should exclude centers on the polygon outline', () => {
+            expect(positionChecker.isCenterRelativeToPolygon({ x: 10, y: 15 }, 0, lShape, 1, 'under')).toBe(false);
+        });
+
+        it('should check rectangles against concave polygons', () => {
+            const inNotch = { BottomLeft: { x: 12, y: 12 }, TopRight: { x: 18, y: 18 } };
+            const acrossEdge = { BottomLeft: { x: 8, y: 12 }, TopRight: { x: 12, y: 18 } };
+            expect(positionChecker.isRectRelativeToPolygon(inNotch, 0, lShape, 1, 'under')).toBe(false);
+            expect(positionChecker.isRectRelativeToPolygon(acrossEdge, 0, lShape, 1, 'under')).toBe(true);
+            expect(positionChecker.isPolygonRelativeToRect(lShape, 0, acrossEdge, 1, 'under')).toBe(true);
+        });
+
+        it('should check polygons against polygons', () => {
+            const triangle = [{ x: 12, y: 12 }, { x: 18, y: 12 }, { x: 12, y: 18 }];
+            expect(positionChecker.isPolygonRelativeToPolygon(triangle, 0, lShape, 1, 'under')).toBe(false);
+            expect(positionChecker.isPolygonRelativeToPolygon(lShape, 0, lShape, 1, 'under')).toBe(true);
+        });
+
+        it('should apply the elevation check', () => {
+            expect(positionChecker.isCenterRelativeToPolygon({ x: 5, y: 15 }, 2, lShape, 1, 'under')).toBe(false);
+        });
+
+        it('should warn for invalid polygons', () => {
+            expect(positionChecker.isCenterRelativeToPolygon({ x: 5, y: 5 }, 0, [{ x: 0, y: 0 }], 1, 'under')).toBe(false);
+            expect(mockLogger.warn).toHaveBeenCalledWith('Invalid inputs for isCenterRelativeToPolygon');
+        });
+    });
+
+    describe('margins', () => {
+        const bounds = { BottomLeft: { x: 0, y: 100 }, TopRight: { x: 100, y: 0 } };
+        const square = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }];
+
+        it('should grow the reference rectangle with a positive margin', () => {
+            expect(positionChecker.check({ x: 105, y: 50 }, 0, bounds, 1, 'center', 'rectangle', 'under')).toBe(false);
+            expect(positionChecker.check({ x: 105, y: 50 }, 0, bounds, 1, 'center', 'rectangle', 'under', { margin: 10 })).toBe(true);
+            expect(positionChecker.check({ x: 115, y: 50 }, 0, bounds, 1, 'center', 'rectangle', 'under', { margin: 10 })).toBe(false);
+        });
+
+        it('should shrink the reference rectangle with a negative margin', () => {
+            expect(positionChecker.isCenterRelativeToRect({ x: 95, y: 50 }, 0, bounds, 1, 'under', { margin: -10 })).toBe(false);
+            expect(positionChecker.isCenterRelativeToRect({ x: 85, y: 50 }, 0, bounds, 1, 'under', { margin: -10 })).toBe(true);
+            expect(positionChecker.isCenterRelativeToRect({ x: 50, y: 50 }, 0, bounds, 1, 'under', { margin: -60 })).toBe(false);
+        });
+
+        it('should apply the margin to rectangle footprints', () => {
+            const token = { BottomLeft: { x: 105, y: 60 }, TopRight: { x: 125, y: 40 } };
+            expect(positionChecker.isRectRelativeToRect(token, 0, bounds, 1, 'under', { margin: 10 })).toBe(true);
+            expect(positionChecker.isRectRelativeToRect(token, 0, bounds, 1, 'under')).toBe(false);
+            expect(positionChecker.isRectRelativeToCenter(token, 0, { x: 100, y: 50 }, 1, 'under', { margin: 10 })).toBe(true);
+            expect(positionChecker.isRectRelativeToPolygon(token, 0, square, 1, 'under', { margin: 10 })).toBe(true);
+            expect(positionChecker.isPolygonRelativeToRect(square, 0, token, 1, 'under', { margin: 10 })).toBe(true);
+        });
+
+        it('should compare centers with their distance to polygon outlines', () => {
+            expect(positionChecker.isCenterRelativeToPolygon({ x: 105, y: 50 }, 0, square, 1, 'under', { margin: 10 })).toBe(true);
+            expect(positionChecker.isCenterRelativeToPolygon({ x: 95, y: 50 }, 0, square, 1, 'under', { margin: -10 })).toBe(false);
+            expect(positionChecker.isPolygonRelativeToCenter(square, 0, { x: 105, y: 50 }, 1, 'under', { margin: 10 })).toBe(true);
+        });
+
+        it('should ignore the margin for center-center checks', () => {
+            expect(positionChecker.check({ x: 1, y: 1 }, 0, { x: 2, y: 2 }, 1, 'center', 'center', 'under', { margin: 10 })).toBe(false);
+        });
+    });
+
+    describe('getMargin', () => {
+        it('should use the exit margin for targets that were inside', () => {
+            expect(positionChecker.getMargin(true, { enterMargin: 4, exitMargin: 12 })).toBe(12);
+        });
+
+        it('should use the negated entry margin for targets that were outside', () => {
+            expect(positionChecker.getMargin(false, { enterMargin: 4, exitMargin: 12 })).toBe(-4);
+        });
+
+        it('should fall back to the configured margins', () => {
+            expect(typeof positionChecker.getMargin(true)).toBe('number');
+        });
+    });
+
+    describe('coverage', () => {
+        const roof = { BottomLeft: { x: 0, y: 100 }, TopRight: { x: 100, y: 0 } };
+        // A large creature with three quarters of its footprint under the roof
+        const dragon = { BottomLeft: { x: 50, y: 60 }, TopRight: { x: 110, y: 20 } };
+        const lShape = [{ x: 0, y: 0 }, { x: 50, y: 0 }, { x: 50, y: 50 }, { x: 100, y: 50 }, { x: 100, y: 100 }, { x: 0, y: 100 }];
+
+        it('should compute the covered fraction of a footprint', () => {
+            expect(positionChecker.getCoverage(dragon, roof, 'rectangle')).toBeCloseTo(50 / 60);
+            expect(positionChecker.getCoverage(roof, lShape, 'polygon')).toBeCloseTo(0.75);
+            expect(positionChecker.getCoverage(dragon, roof, 'rectangle', { margin: 10 })).toBeCloseTo(1);
+        });
+
+        it('should return null for invalid inputs', () => {
+            expect(positionChecker.getCoverage({}, roof, 'rectangle')).toBeNull();
+            expect(positionChecker.getCoverage(dragon, [], 'polygon')).toBeNull();
+            expect(positionChecker.getCoverage(dragon, roof, 'center')).toBeNull();
+        });
+
+        it('should compare rectangles with the coverage threshold', () => {
+            expect(positionChecker.check(dragon, 0, roof, 1, 'rectangle', 'rectangle', 'under', { coverage: 0.5 })).toBe(true);
+            expect(positionChecker.check(dragon, 0, roof, 1, 'rectangle', 'rectangle', 'under', { coverage: 0.9 })).toBe(false);
+            expect(positionChecker.check(dragon, 2, roof, 1, 'rectangle', 'rectangle', 'under', { coverage: 0.5 })).toBe(false);
+        });
+
+        it('should compare rectangles with polygons using the coverage threshold', () => {
+            const corner = { BottomLeft: { x: 40, y: 60 }, TopRight: { x: 60, y: 40 } };
+            expect(positionChecker.isRectRelativeToPolygon(corner, 0, lShape, 1, 'under', { coverage: 0.75 })).toBe(true);
+            expect(positionChecker.isRectRelativeToPolygon(corner, 0, lShape, 1, 'under', { coverage: 0.8 })).toBe(false);
+        });
+
+        it('should require some coverage with a threshold of 0', () => {
+            const outside = { BottomLeft: { x: 100, y: 60 }, TopRight: { x: 120, y: 40 } };
+            expect(positionChecker.isRectRelativeToRect(outside, 0, roof, 1, 'under', { coverage: 0 })).toBe(false);
+            expect(positionChecker.isRectRelativeToRect(dragon, 0, roof, 1, 'under', { coverage: 0 })).toBe(true);
+        });
+
+        it('should ignore the threshold for centers', () => {
+            expect(positionChecker.check({ x: 50, y: 50 }, 0, roof, 1, 'center', 'rectangle', 'under', { coverage: 0.9 })).toBe(true);
+        });
+    });
+
+    describe('grid footprints', () => {
+        const roof = { BottomLeft: { x: 0, y: 100 }, TopRight: { x: 100, y: 0 } };
+        const square = (x, y) => [{ x, y }, { x: x + 50, y }, { x: x + 50, y: y + 50 }, { x, y: y + 50 }];
+        // Two squares of a large token: one under the roof, one beside it
+        const wide = { layout: 'square', cells: [square(50, 0), square(100, 0)] };
+        // Hex off the roof corner: its bounding box overlaps the roof, the hex does not
+        const hex = { layout: 'hexRows', cells: [[
+            { x: 140, y: 90 }, { x: 183, y: 115 }, { x: 183, y: 165 }, { x: 140, y: 190 }, { x: 97, y: 165 }, { x: 97, y: 115 }
+        ]] };
+
+        it('should check the occupied cells against rectangles', () => {
+            expect(positionChecker.check(wide, 0, roof, 1, 'footprint', 'rectangle', 'under')).toBe(true);
+            expect(positionChecker.check(hex, 0, roof, 1, 'footprint', 'rectangle', 'under')).toBe(false);
+            expect(positionChecker.check(hex, 0, roof, 1, 'footprint', 'rectangle', 'under', { margin: 10 })).toBe(true);
+            expect(positionChecker.check(wide, 2, roof, 1, 'footprint', 'rectangle', 'under')).toBe(false);
+        });
+
+        it('should weight the coverage of the cells by their area', () => {
+            expect(positionChecker.getCoverage(wide, roof, 'rectangle')).toBeCloseTo(0.5);
+            expect(positionChecker.getCoverage(hex, roof, 'rectangle')).toBe(0);
+            expect(positionChecker.isFootprintRelativeToRect(wide, 0, roof, 1, 'under', { coverage: 0.5 })).toBe(true);
+            expect(positionChecker.isFootprintRelativeToRect(wide, 0, roof, 1, 'under', { coverage: 0.6 })).toBe(false);
+        });
+
+        it('should check the occupied cells against polygons', () => {
+            const lShape = [{ x: 0, y: 0 }, { x: 50, y: 0 }, { x: 50, y: 50 }, { x: 100, y: 50 }, { x: 100, y: 100 }, { x: 0, y: 100 }];
+            const notched = { layout: 'square', cells: [square(50, 0), square(50, 50)] };
+            expect(positionChecker.check(notched, 0, lShape, 1, 'footprint', 'polygon', 'under')).toBe(true);
+            expect(positionChecker.check({ layout: 'square', cells: [square(50, 0)] }, 0, lShape, 1, 'footprint', 'polygon', 'under')).toBe(false);
+            expect(positionChecker.isFootprintRelativeToPolygon(notched, 0, lShape, 1, 'under', { coverage: 0.5 })).toBe(true);
+            expect(positionChecker.isFootprintRelativeToPolygon(notched, 0, lShape, 1, 'under', { coverage: 0.6 })).toBe(false);
+        });
+
+        it('should check the occupied cells against opaque pixels', () => {
+            // Only the top-left quarter of the 100x100 tile is opaque
+            const data = new Uint8Array(16);
+            [0, 1, 4, 5].forEach((index) => { data[index] = 255; });
+            const area = { x: 0, y: 0, width: 100, height: 100, rotation: 0, scaleX: 1, scaleY: 1, threshold: 0.5, mask: { width: 4, height: 4, data } };
+            const top = { layout: 'square', cells: [square(0, 0), square(50, 0)] };
+            expect(positionChecker.check(top, 0, area, 1, 'footprint', 'alpha', 'under')).toBe(true);
+            expect(positionChecker.check({ layout: 'square', cells: [square(50, 50)] }, 0, area, 1, 'footprint', 'alpha', 'under')).toBe(false);
+            expect(positionChecker.getCoverage(top, area, 'alpha')).toBeCloseTo(0.5);
+            expect(positionChecker.isFootprintRelativeToAlpha(top, 0, area, 1, 'under', { coverage: 0.6 })).toBe(false);
+        });
+
+        it('should warn for invalid footprints', () => {
+            expect(positionChecker.isFootprintRelativeToRect({ cells: [] }, 0, roof, 1, 'under')).toBe(false);
+            expect(mockLogger.warn).toHaveBeenCalledWith('Invalid inputs for isFootprintRelativeToRect');
+            expect(positionChecker.isFootprintRelativeToPolygon(roof, 0, [], 1, 'under')).toBe(false);
+            expect(mockLogger.warn).toHaveBeenCalledWith('Invalid inputs for isFootprintRelativeToPolygon');
+        });
+    });
+
+    describe('sampled target uses', () => {
+        // A 100x100 token whose right half overhangs the 100x100 roof
+        const roof = { BottomLeft: { x: 0, y: 100 }, TopRight: { x: 100, y: 0 } };
+        const corners = { use: 'corners', points: [{ x: 50, y: 10 }, { x: 150, y: 10 }, { x: 150, y: 90 }, { x: 50, y: 90 }] };
+        const withCenter = { use: 'corners+center', points: [...corners.points, { x: 99, y: 50 }] };
+
+        it('should check each point against the reference and combine the results', () => {
+            expect(positionChecker.check(corners, 0, roof, 1, 'corners', 'rectangle', 'under')).toBe(true);
+            expect(positionChecker.check(corners, 0, roof, 1, 'corners', 'rectangle', 'under', { sampling: 'all' })).toBe(false);
+            expect(positionChecker.check(corners, 0, roof, 1, 'corners', 'rectangle', 'under', { sampling: 'majority' })).toBe(false);
+            expect(positionChecker.check(withCenter, 0, roof, 1, 'corners+center', 'rectangle', 'under', { sampling: 'majority' })).toBe(true);
+        });
+
+        it('should report how many samples passed', () => {
+            expect(positionChecker.check(corners, 0, roof, 1, 'corners', 'rectangle', 'under', { sampling: 'all', details: true })).toEqual({
+                result: false, count: 2, total: 4, mode: 'all'
+            });
+            expect(positionChecker.countSamples(withCenter, 0, roof, 1, 'rectangle', 'under')).toEqual({ count: 3, total: 5 });
+        });
+
+        it('should apply the elevation check and the margin to every point', () => {
+            expect(positionChecker.check(corners, 2, roof, 1, 'corners', 'rectangle', 'under')).toBe(false);
+            expect(positionChecker.check(corners, 0, roof, 1, 'corners', 'rectangle', 'under', { sampling: 'all', margin: 60 })).toBe(true);
+        });
+
+        it('should use the center methods of other reference uses', () => {
+            const polygon = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }];
+            const grid = { use: 'samples', points: [{ x: 25, y: 25 }, { x: 75, y: 75 }, { x: 125, y: 75 }] };
+            expect(positionChecker.check(grid, 0, polygon, 1, 'samples', 'polygon', 'under', { sampling: 'majority' })).toBe(true);
+            expect(positionChecker.getGap(grid, 'samples', { x: 25, y: 30 }, 'center')).toEqual({ x: 0, y: 5 });
+        });
+
+        it('should warn for invalid sample sets', () => {
+            expect(positionChecker.check({ points: [] }, 0, roof, 1, 'corners', 'rectangle', 'under')).toBe(false);
+            expect(mockLogger.warn).toHaveBeenCalledWith('Invalid inputs for checkSamples');
+            expect(positionChecker.checkSamples(null, 0, roof, 1, 'rectangle', 'under', { details: true })).toBeNull();
+        });
+    });
+
+    describe('regions', () => {
+        const square = (x, y, size) => [{ x, y }, { x: x + size, y }, { x: x + size, y: y + size }, { x, y: y + size }];
+        // A 200x200 interior with a 50x50 courtyard cut out, plus a separate 50x50 porch
+        const region = { shapes: [
+            { points: square(0, 0, 200), hole: false },
+            { points: square(75, 75, 50), hole: true },
+            { points: square(300, 0, 50), hole: false }
+        ] };
+        const range = { bottom: 0, top: 10 };
+
+        it('should check centers against the solid shapes and their holes', () => {
+            expect(positionChecker.check({ x: 20, y: 20 }, 0, region, range, 'center', 'region', 'under')).toBe(true);
+            expect(positionChecker.check({ x: 320, y: 20 }, 0, region, range, 'center', 'region', 'under')).toBe(true);
+            expect(positionChecker.check({ x: 100, y: 100 }, 0, region, range, 'center', 'region', 'under')).toBe(false);
+            expect(positionChecker.check({ x: 250, y: 20 }, 0, region, range, 'center', 'region', 'under')).toBe(false);
+        });
+
+        it('should grow the solid shapes and shrink the holes with the margin', () => {
+            expect(positionChecker.isCenterRelativeToRegion({ x: 205, y: 20 }, 0, region, range, 'under', { margin: 10 })).toBe(true);
+            expect(positionChecker.isCenterRelativeToRegion({ x: 80, y: 100 }, 0, region, range, 'under', { margin: 10 })).toBe(true);
+            expect(positionChecker.isCenterRelativeToRegion({ x: 20, y: 20 }, 0, region, range, 'under', { margin: -30 })).toBe(false);
+        });
+
+        it('should follow the elevation range of the region', () => {
+            expect(positionChecker.check({ x: 20, y: 20 }, 10, region, range, 'center', 'region', 'under')).toBe(false);
+            expect(positionChecker.check({ x: 20, y: 20 }, -5, region, range, 'center', 'region', 'under')).toBe(false);
+            expect(positionChecker.check({ x: 20, y: 20 }, 99, region, { bottom: 0, top: Infinity }, 'center', 'region', 'under')).toBe(true);
+        });
+
+        it('should check rectangles, polygons and footprints unless a hole holds them', () => {
+            const inHole = { BottomLeft: { x: 80, y: 120 }, TopRight: { x: 120, y: 80 } };
+            const overEdge = { BottomLeft: { x: 60, y: 120 }, TopRight: { x: 120, y: 80 } };
+            expect(positionChecker.check(inHole, 0, region, range, 'rectangle', 'region', 'under')).toBe(false);
+            expect(positionChecker.check(overEdge, 0, region, range, 'rectangle', 'region', 'under')).toBe(true);
+            expect(positionChecker.check(square(75, 75, 50), 0, region, range, 'polygon', 'region', 'under')).toBe(false);
+            expect(positionChecker.check(square(190, 0, 20), 0, region, range, 'polygon', 'region', 'under')).toBe(true);
+            const footprint = { layout: 'square', cells: [square(80, 80, 40), square(220, 0, 50)] };
+            expect(positionChecker.check(footprint, 0, region, range, 'footprint', 'region', 'under')).toBe(false);
+            footprint.cells.push(square(150, 150, 50));
+            expect(positionChecker.check(footprint, 0, region, range, 'footprint', 'region', 'under')).toBe(true);
+        });
+
+        it('should sample points against the region and measure gaps to its solid shapes', () => {
+            const samples = { use: 'corners', points: [{ x: 90, y: 90 }, { x: 20, y: 20 }] };
+            expect(positionChecker.check(samples, 0, region, range, 'corners', 'region', 'under', { sampling: 'all' })).toBe(false);
+            expect(positionChecker.check(samples, 0, region, range, 'corners', 'region', 'under')).toBe(true);
+            expect(positionChecker.getGap({ x: 250, y: 20 }, 'center', region, 'region')).toEqual({ x: -50, y: 0 });
+        });
+
+        it('should warn for regions without a solid shape', () => {
+            const holes = { shapes: [{ points: square(0, 0, 10), hole: true }] };
+            expect(positionChecker.isCenterRelativeToRegion({ x: 5, y: 5 }, 0, holes, range, 'under')).toBe(false);
+            expect(mockLogger.warn).toHaveBeenCalledWith('Invalid inputs for isCenterRelativeToRegion');
+            expect(positionChecker.isRectRelativeToRegion(null, 0, region, range, 'under')).toBe(false);
+            expect(positionChecker.isFootprintRelativeToRegion({ cells: [] }, 0, region, range, 'under')).toBe(false);
+            expect(mockLogger.warn).toHaveBeenCalledWith('Invalid inputs for isFootprintRelativeToRegion');
+        });
+    });
+
+    describe('near', () => {
+        const grid = { type: 1, size: 100 };
+        // Roof one and a half squares right of the token
+        const roof = { BottomLeft: { x: 250, y: 100 }, TopRight: { x: 450, y: 0 } };
+        const token = { BottomLeft: { x: 0, y: 100 }, TopRight: { x: 100, y: 0 } };
+
+        afterEach(() => {
+            delete globalThis.canvas;
+        });
+
+        it('should measure the gap between any two position uses', () => {
+            expect(positionChecker.getGap(token, 'rectangle', roof, 'rectangle')).toEqual({ x: 150, y: 0 });
+            expect(positionChecker.getGap({ x: 50, y: 50 }, 'center', roof, 'rectangle')).toEqual({ x: 200, y: 0 });
+            expect(positionChecker.getGap({ x: 300, y: 50 }, 'center', roof, 'rectangle')).toEqual({ x: 0, y: 0 });
+            expect(positionChecker.getGap(token, 'rectangle', roof, 'unknown')).toBeNull();
+        });
+
+        it('should measure the distance in pixels and grid units', () => {
+            expect(positionChecker.getDistance(token, 'rectangle', roof, 'rectangle', { grid })).toEqual({
+                offset: { x: 150, y: 0 }, pixels: 150, gridUnits: 1.5
+            });
+            expect(positionChecker.getDistance({ x: 0, y: 0 }, 'center', { x: 300, y: 400 }, 'center', { grid })).toMatchObject({
+                pixels: 500, gridUnits: 4
+            });
+            expect(positionChecker.getDistance(token, 'rectangle', null, 'rectangle', { grid })).toBeNull();
+        });
+
+        it('should compare the gap with a distance in grid units', () => {
+            expect(positionChecker.check(token, 0, roof, 1, 'rectangle', 'rectangle', 'near', { distance: 2, grid })).toBe(true);
+            expect(positionChecker.check(token, 0, roof, 1, 'rectangle', 'rectangle', 'near', { distance: 1, grid })).toBe(false);
+            expect(positionChecker.check(token, 0, roof, 1, 'rectangle', 'rectangle', 'near', { distance: 1, grid, margin: 50 })).toBe(true);
+        });
+
+        it('should read the scene grid and its diagonal rule', () => {
+            const diagonal = { BottomLeft: { x: 200, y: 300 }, TopRight: { x: 300, y: 200 } };
+            globalThis.canvas = { grid: { type: 1, size: 100, diagonals: 0 } };
+            expect(positionChecker.isNear(token, 0, diagonal, 1, 'rectangle', 'rectangle', { distance: 1 })).toBe(true);
+            globalThis.canvas.grid.diagonals = 3;
+            expect(positionChecker.isNear(token, 0, diagonal, 1, 'rectangle', 'rectangle', { distance: 1 })).toBe(false);
+        });
+
+        it('should measure in pixels', () => {
+            expect(positionChecker.isNear(token, 0, roof, 1, 'rectangle', 'rectangle', { distance: 150, units: 'pixels' })).toBe(true);
+            expect(positionChecker.isNear(token, 0, roof, 1, 'rectangle', 'rectangle', { distance: 149, units: 'pixels' })).toBe(false);
+        });
+
+        it('should apply the under elevation rule', () => {
+            expect(positionChecker.isNear(token, 2, roof, 1, 'rectangle', 'rectangle', { distance: 2, grid })).toBe(false);
+        });
+
+        it('should warn for invalid positions', () => {
+            expect(positionChecker.isNear(null, 0, roof, 1, 'center', 'rectangle')).toBe(false);
+            expect(mockLogger.warn).toHaveBeenCalledWith('Invalid inputs for isNear');
+        });
+    });
+
+    describe('alpha areas', () => {
+        // 4x4 mask over a 100x100 tile at (0, 0): only the top-left quarter is opaque
+        let area;
+
+        beforeEach(() => {
+            const data = new Uint8Array(16);
+            [0, 1, 4, 5].forEach((index) => { data[index] = 255; });
+            area = { x: 0, y: 0, width: 100, height: 100, rotation: 0, scaleX: 1, scaleY: 1, threshold: 0.5, mask: { width: 4, height: 4, data } };
+        });
+
+        it('should check centers against opaque pixels', () => {
+            expect(positionChecker.check({ x: 25, y: 25 }, 0, area, 1, 'center', 'alpha', 'under')).toBe(true);
+            expect(positionChecker.check({ x: 75, y: 75 }, 0, area, 1, 'center', 'alpha', 'under')).toBe(false);
+        });
+
+        it('should check rectangles against opaque pixels', () => {
+            const overEdge = { BottomLeft: { x: 40, y: 60 }, TopRight: { x: 60, y: 40 } };
+            const transparent = { BottomLeft: { x: 60, y: 90 }, TopRight: { x: 90, y: 60 } };
+            expect(positionChecker.isRectRelativeToAlpha(overEdge, 0, area, 1, 'under')).toBe(true);
+            expect(positionChecker.isRectRelativeToAlpha(transparent, 0, area, 1, 'under')).toBe(false);
+        });
+
+        it('should measure the coverage on the opaque samples', () => {
+            const straddling = { BottomLeft: { x: 0, y: 100 }, TopRight: { x: 100, y: 0 } };
+            expect(positionChecker.getCoverage(straddling, area, 'alpha')).toBeCloseTo(4 / 25);
+            expect(positionChecker.isRectRelativeToAlpha(straddling, 0, area, 1, 'under', { coverage: 0.15 })).toBe(true);
+            expect(positionChecker.isRectRelativeToAlpha(straddling, 0, area, 1, 'under', { coverage: 0.5 })).toBe(false);
+        });
+
+        it('should apply the elevation check', () => {
+            expect(positionChecker.isCenterRelativeToAlpha({ x: 25, y: 25 }, 2, area, 1, 'under')).toBe(false);
+        });
+
+        it('should warn for invalid areas', () => {
+            expect(positionChecker.isCenterRelativeToAlpha({ x: 25, y: 25 }, 0, { x: 0 }, 1, 'under')).toBe(false);
+            expect(mockLogger.warn).toHaveBeenCalledWith('Invalid inputs for isCenterRelativeToAlpha');
+        });
     });
-});
\ No newline at end of file
+});
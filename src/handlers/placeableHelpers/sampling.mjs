@@ -0,0 +1,117 @@
+/**
+ * @file sampling.mjs
+ * @description Builds the sample points of sampled position uses and combines their results.
+ * @path src/handlers/placeableHelpers/sampling.mjs
+ */
+
+import Geometry from './geometry.mjs';
+import { POSITION_USES, SAMPLING, SAMPLING_MODES } from './config.mjs';
+
+/**
+ * Static helpers for sampled position uses.
+ *
+ * A sample set is `{ use, points }`: points taken on a target rectangle (possibly rotated),
+ * each checked against the reference like a center:
+ * - `corners`: the four corners
+ * - `corners+center`: the four corners and the center
+ * - `samples`: an N x N grid of cell centers (`positionChecker.sampling.gridSize`)
+ *
+ * The results are combined with a sampling mode (see `SAMPLING_MODES`): `any` passes when one
+ * point passes, `all` when every point does and `majority` when more than half of them do.
+ *
+ * @class Sampling
+ * @export
+ */
+class Sampling {
+  /**
+   * Position uses that are sampled.
+   * @type {ReadonlyArray<string>}
+   */
+  static USES = Object.freeze([POSITION_USES.CORNERS, POSITION_USES.CORNERS_CENTER, POSITION_USES.SAMPLES]);
+
+  /**
+   * Determines if a position use is sampled.
+   * @param {string} use
+   * @returns {boolean}
+   */
+  static isSampledUse(use) {
+    return this.USES.includes(use);
+  }
+
+  /**
+   * Validates a sample set: `{ points }`, a non-empty list of points.
+   * @param {Object} sampleSet
+   * @returns {boolean}
+   */
+  static isSampleSet(sampleSet) {
+    return Array.isArray(sampleSet?.points) && sampleSet.points.length > 0 && sampleSet.points.every((point) => Geometry.isPoint(point));
+  }
+
+  /**
+   * Builds the sample set of a rectangle.
+   * @param {Array<{x: number, y: number}>} corners - Top-left, top-right, bottom-right and bottom-left corners.
+   * @param {string} use - A sampled position use.
+   * @param {number} [gridSize=SAMPLING.GRID_SIZE] - Points per side of the `samples` grid.
+   * @returns {{use: string, points: Array<{x: number, y: number}>}|null} The sample set, or null for
+   * invalid corners or a use that is not sampled.
+   */
+  static getSampleSet(corners, use, gridSize = SAMPLING.GRID_SIZE) {
+    if (!Array.isArray(corners) || corners.length !== 4 || !corners.every((point) => Geometry.isPoint(point))) return null;
+    const outline = corners.map(({ x, y }) => ({ x, y }));
+    switch (use) {
+      case POSITION_USES.CORNERS:
+        return { use, points: outline };
+      case POSITION_USES.CORNERS_CENTER:
+        return { use, points: [...outline, this.getGridPoints(corners, 1)[0]] };
+      case POSITION_USES.SAMPLES:
+        return { use, points: this.getGridPoints(corners, gridSize) };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Samples a rectangle on an N x N grid of cell centers, following its orientation.
+   * @param {Array<{x: number, y: number}>} corners - Top-left, top-right, bottom-right and bottom-left corners.
+   * @param {number} size - Points per side.
+   * @returns {Array<{x: number, y: number}>}
+   */
+  static getGridPoints(corners, size) {
+    const [origin, right, , down] = corners;
+    const samples = Math.max(1, Math.round(size) || 1);
+    const points = [];
+    for (let i = 0; i < samples; i++) {
+      for (let j = 0; j < samples; j++) {
+        const u = (i + 0.5) / samples;
+        const v = (j + 0.5) / samples;
+        points.push({
+          x: origin.x + (right.x - origin.x) * u + (down.x - origin.x) * v,
+          y: origin.y + (right.y - origin.y) * u + (down.y - origin.y) * v
+        });
+      }
+    }
+    return points;
+  }
+
+  /**
+   * Combines the results of the sample points.
+   * @param {number} count - Points that passed.
+   * @param {number} total - Points checked.
+   * @param {string} [mode=SAMPLING.MODE] - `any`, `all` or `majority`; unknown modes use the default.
+   * @returns {boolean}
+   */
+  static isSatisfied(count, total, mode = SAMPLING.MODE) {
+    if (!(total > 0)) return false;
+    switch (Object.values(SAMPLING_MODES).includes(mode) ? mode : SAMPLING.MODE) {
+      case SAMPLING_MODES.ALL:
+        return count === total;
+      case SAMPLING_MODES.MAJORITY:
+        return count > total / 2;
+      default:
+        return count > 0;
+    }
+  }
+}
+
+export default Sampling;
+export { Sampling };
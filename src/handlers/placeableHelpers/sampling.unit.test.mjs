@@ -0,0 +1,74 @@
+/**
+ * @file sampling.unit.test.mjs
+ * @description Unit tests for Sampling.
+ * @path src/handlers/placeableHelpers/sampling.unit.test.mjs
+ */
+
+import { describe, it, expect } from 'vitest';
+import Sampling from './sampling.mjs';
+import Geometry from './geometry.mjs';
+
+describe('Sampling', () => {
+  const corners = Geometry.getOrientedCorners(0, 0, 100, 50);
+
+  describe('isSampledUse', () => {
+    it('should recognize the sampled position uses', () => {
+      expect(Sampling.isSampledUse('corners')).toBe(true);
+      expect(Sampling.isSampledUse('corners+center')).toBe(true);
+      expect(Sampling.isSampledUse('samples')).toBe(true);
+      expect(Sampling.isSampledUse('rectangle')).toBe(false);
+    });
+  });
+
+  describe('getSampleSet', () => {
+    it('should take the corners, with or without the center', () => {
+      expect(Sampling.getSampleSet(corners, 'corners')).toEqual({ use: 'corners', points: corners });
+      expect(Sampling.getSampleSet(corners, 'corners+center').points).toEqual([...corners, { x: 50, y: 25 }]);
+    });
+
+    it('should sample an N x N grid of cell centers', () => {
+      const { points } = Sampling.getSampleSet(corners, 'samples', 2);
+      expect(points).toEqual([{ x: 25, y: 12.5 }, { x: 25, y: 37.5 }, { x: 75, y: 12.5 }, { x: 75, y: 37.5 }]);
+      expect(Sampling.getSampleSet(corners, 'samples').points).toHaveLength(9);
+    });
+
+    it('should follow the rectangle orientation', () => {
+      const rotated = Geometry.getOrientedCorners(0, 0, 100, 100, 90);
+      const { points } = Sampling.getSampleSet(rotated, 'samples', 1);
+      expect(points[0].x).toBeCloseTo(50);
+      expect(points[0].y).toBeCloseTo(50);
+    });
+
+    it('should return null for invalid corners or uses', () => {
+      expect(Sampling.getSampleSet(null, 'corners')).toBeNull();
+      expect(Sampling.getSampleSet(corners.slice(0, 3), 'corners')).toBeNull();
+      expect(Sampling.getSampleSet(corners, 'rectangle')).toBeNull();
+    });
+  });
+
+  describe('isSampleSet', () => {
+    it('should accept a non-empty list of points', () => {
+      expect(Sampling.isSampleSet({ points: [{ x: 0, y: 0 }] })).toBe(true);
+      expect(Sampling.isSampleSet({ points: [] })).toBe(false);
+      expect(Sampling.isSampleSet({ points: [{ x: 0 }] })).toBe(false);
+      expect(Sampling.isSampleSet(null)).toBe(false);
+    });
+  });
+
+  describe('isSatisfied', () => {
+    it('should combine the results with any, all or majority', () => {
+      expect(Sampling.isSatisfied(1, 4, 'any')).toBe(true);
+      expect(Sampling.isSatisfied(0, 4, 'any')).toBe(false);
+      expect(Sampling.isSatisfied(3, 4, 'all')).toBe(false);
+      expect(Sampling.isSatisfied(4, 4, 'all')).toBe(true);
+      expect(Sampling.isSatisfied(2, 4, 'majority')).toBe(false);
+      expect(Sampling.isSatisfied(3, 5, 'majority')).toBe(true);
+    });
+
+    it('should use the configured mode for missing or unknown modes', () => {
+      expect(Sampling.isSatisfied(1, 4)).toBe(true);
+      expect(Sampling.isSatisfied(1, 4, 'most')).toBe(true);
+      expect(Sampling.isSatisfied(0, 0, 'any')).toBe(false);
+    });
+  });
+});
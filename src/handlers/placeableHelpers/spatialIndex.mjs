@@ -0,0 +1,323 @@
+/**
+ * @file spatialIndex.mjs
+ * @description Uniform grid index of placeables, maintained incrementally from the document hooks.
+ * @path src/handlers/placeableHelpers/spatialIndex.mjs
+ */
+
+import HookedHandler from '../../baseClasses/hookedHandler.mjs';
+import Geometry from './geometry.mjs';
+import { SPATIAL_INDEX, PLACEABLE_TYPES, TILE_FLAGS } from './config.mjs';
+
+/**
+ * @class SpatialIndex
+ * @description Indexes the placeables of a canvas layer in a uniform grid, so that
+ * positional queries only visit the placeables near the queried area.
+ *
+ * Each placeable is stored under the cells overlapped by its axis-aligned box: the box
+ * around its rectangle (oriented corners included) and its polygon outline. Queries are
+ * broad-phase only: they return the placeables whose box contains the point or overlaps
+ * the rectangle, with the same strict boundaries as `PositionChecker`; precise checks
+ * (rotation, polygon, alpha) remain the job of `PlaceableChecker`.
+ *
+ * While active, the index follows `canvasReady` (rebuild) and the
+ * `create<Document>` / `update<Document>` / `delete<Document>` hooks. Placeables outlined by
+ * a drawing (`zone` flag) are re-indexed when that drawing is updated or deleted.
+ * @extends HookedHandler
+ */
+class SpatialIndex extends HookedHandler {
+  /**
+   * Placeables by grid cell key.
+   * @type {Map<string, Set<Object>>}
+   * @private
+   */
+  #cells = new Map();
+
+  /**
+   * Indexed entries by placeable id.
+   * @type {Map<string, {placeable: Object, box: Object, keys: string[]}>}
+   * @private
+   */
+  #entries = new Map();
+
+  /**
+   * @param {Object} config - Configuration settings.
+   * @param {Object} context - Execution context.
+   * @param {Object} utils - Utility functions.
+   * @param {PlaceableGetter} placeableGetter - Instance of PlaceableGetter.
+   * @param {Object} [options={}]
+   * @param {string} [options.layer] - Canvas layer to index. Defaults to `SPATIAL_INDEX.LAYER`.
+   * @param {string} [options.documentName] - Document name of the maintaining hooks. Defaults to `SPATIAL_INDEX.DOCUMENT_NAME`.
+   * @param {number} [options.cellSize] - Size of a grid cell, in pixels. Defaults to `SPATIAL_INDEX.CELL_SIZE`.
+   */
+  constructor(config, context, utils, placeableGetter, {
+    layer = SPATIAL_INDEX.LAYER,
+    documentName = SPATIAL_INDEX.DOCUMENT_NAME,
+    cellSize = SPATIAL_INDEX.CELL_SIZE
+  } = {}) {
+    super(config, utils, context);
+    this.getter = placeableGetter;
+    this.logger = utils?.logger;
+    this.layer = layer;
+    this.documentName = documentName;
+    this.cellSize = cellSize > 0 ? cellSize : SPATIAL_INDEX.CELL_SIZE;
+  }
+
+  /**
+   * Number of indexed placeables.
+   * @returns {number}
+   */
+  get size() {
+    return this.#entries.size;
+  }
+
+  /**
+   * Registers the maintaining hooks and builds the index if the canvas is ready.
+   * @returns {boolean} True if the index was activated, false if it was already active.
+   */
+  activate() {
+    if (!super.activate()) return false;
+    if (globalThis.canvas?.ready) this.rebuild();
+    return true;
+  }
+
+  /**
+   * Unregisters the maintaining hooks and empties the index.
+   * @returns {boolean} True if the index was deactivated, false if it was not active.
+   */
+  deactivate() {
+    if (!super.deactivate()) return false;
+    this.clear();
+    return true;
+  }
+
+  /**
+   * @protected
+   * Registers the hooks keeping the index in sync with the scene.
+   */
+  _registerHooks() {
+    this._registerHook('canvasReady', () => this.rebuild());
+    this._registerHook(`create${this.documentName}`, (document) => this.insert(document?.object));
+    this._registerHook(`update${this.documentName}`, (document) => this.update(document?.object ?? document?.id));
+    this._registerHook(`delete${this.documentName}`, (document) => this.remove(document?.id));
+    this._registerHook(`update${PLACEABLE_TYPES.DRAWING.DOCUMENT_NAME}`, (document) => this.refreshZone(document?.id));
+    this._registerHook(`delete${PLACEABLE_TYPES.DRAWING.DOCUMENT_NAME}`, (document) => this.refreshZone(document?.id));
+  }
+
+  /**
+   * Rebuilds the index from scratch.
+   * @param {Array} [placeables] - The placeables to index. Defaults to the placeables of the layer.
+   * @returns {number} The number of indexed placeables.
+   */
+  rebuild(placeables = this.getter.getAllPlaceables(this.layer, false)) {
+    this.clear();
+    for (const placeable of placeables ?? []) this.insert(placeable);
+    return this.size;
+  }
+
+  /**
+   * Empties the index.
+   */
+  clear() {
+    this.#cells.clear();
+    this.#entries.clear();
+  }
+
+  /**
+   * Determines if a placeable is indexed.
+   * @param {Object|string} placeable - The placeable or its id.
+   * @returns {boolean}
+   */
+  has(placeable) {
+    return this.#entries.has(this.#getId(placeable));
+  }
+
+  /**
+   * Computes the axis-aligned box a placeable is indexed under.
+   * @param {Object} placeable
+   * @returns {{minX: number, minY: number, maxX: number, maxY: number}|null} The box, or null when
+   * the placeable has no valid bounds.
+   */
+  getBox(placeable) {
+    const corners = Geometry.getRectCorners(this.getter.getRectBounds(placeable)) ?? [];
+    const polygon = this.getter.getPolygon?.(placeable) ?? [];
+    return this.#toBox([...corners, ...polygon]);
+  }
+
+  /**
+   * Adds a placeable to the index, replacing its previous entry.
+   * @param {Object} placeable
+   * @returns {boolean} True if the placeable was indexed.
+   */
+  insert(placeable) {
+    const id = this.#getId(placeable);
+    if (id === undefined) return false;
+    this.remove(id);
+    let box;
+    try {
+      box = this.getBox(placeable);
+    } catch (error) {
+      this.logger?.warn?.(`Could not index placeable ${id}: ${error.message}`);
+      return false;
+    }
+    if (!box) return false;
+    const keys = this.#getKeys(box);
+    for (const key of keys) {
+      if (!this.#cells.has(key)) this.#cells.set(key, new Set());
+      this.#cells.get(key).add(placeable);
+    }
+    this.#entries.set(id, { placeable, box, keys });
+    return true;
+  }
+
+  /**
+   * Re-indexes a placeable after a change. Removes it when only its id is known.
+   * @param {Object|string} placeable - The placeable or its id.
+   * @returns {boolean} True if the placeable is indexed afterwards.
+   */
+  update(placeable) {
+    if (typeof placeable === 'object' && placeable !== null) return this.insert(placeable);
+    this.remove(placeable);
+    return false;
+  }
+
+  /**
+   * Removes a placeable from the index.
+   * @param {Object|string} placeable - The placeable or its id.
+   * @returns {boolean} True if the placeable was indexed.
+   */
+  remove(placeable) {
+    const id = this.#getId(placeable);
+    const entry = this.#entries.get(id);
+    if (!entry) return false;
+    for (const key of entry.keys) {
+      const cell = this.#cells.get(key);
+      cell?.delete(entry.placeable);
+      if (cell?.size === 0) this.#cells.delete(key);
+    }
+    this.#entries.delete(id);
+    return true;
+  }
+
+  /**
+   * Re-indexes the placeables outlined by a drawing (`zone` flag), after the drawing changed.
+   * @param {string} drawingId - The id of the drawing.
+   * @returns {number} The number of re-indexed placeables.
+   */
+  refreshZone(drawingId) {
+    if (typeof drawingId !== 'string' || !drawingId) return 0;
+    const placeables = [...this.#entries.values()]
+      .map((entry) => entry.placeable)
+      .filter((placeable) => this.getter.getFlag?.(placeable, TILE_FLAGS.ZONE) === drawingId);
+    for (const placeable of placeables) this.insert(placeable);
+    return placeables.length;
+  }
+
+  /**
+   * Retrieves the placeables whose box strictly contains a point.
+   * @param {{x: number, y: number}} point
+   * @returns {Array<Object>} The matching placeables.
+   */
+  queryPoint(point) {
+    if (!Geometry.isPoint(point)) return [];
+    const cell = this.#cells.get(this.#getKey(this.#toCell(point.x), this.#toCell(point.y)));
+    if (!cell) return [];
+    return [...cell].filter((placeable) => {
+      const { box } = this.#entries.get(this.#getId(placeable));
+      return point.x > box.minX && point.x < box.maxX && point.y > box.minY && point.y < box.maxY;
+    });
+  }
+
+  /**
+   * Retrieves the placeables whose box strictly overlaps a rectangle.
+   * @param {Object} rect - `{ x, y, width, height }` (e.g., a PIXI.Rectangle) or
+   * `{ BottomLeft, TopRight, corners? }` as returned by `PlaceableGetter.getRectBounds`.
+   * @returns {Array<Object>} The matching placeables.
+   */
+  queryRect(rect) {
+    const area = this.#toBox(this.#getRectPoints(rect));
+    if (!area) return [];
+    const found = new Set();
+    for (const key of this.#getKeys(area)) {
+      for (const placeable of this.#cells.get(key) ?? []) found.add(placeable);
+    }
+    return [...found].filter((placeable) => {
+      const { box } = this.#entries.get(this.#getId(placeable));
+      return box.minX < area.maxX && box.maxX > area.minX && box.minY < area.maxY && box.maxY > area.minY;
+    });
+  }
+
+  /**
+   * Retrieves the id a placeable is indexed under.
+   * @private
+   * @param {Object|string} placeable - The placeable or its id.
+   * @returns {string|undefined}
+   */
+  #getId(placeable) {
+    if (typeof placeable === 'string') return placeable;
+    return placeable?.document?.id ?? placeable?.id;
+  }
+
+  /**
+   * Lists the points spanning a rectangle-like value.
+   * @private
+   * @param {Object} rect
+   * @returns {Array<{x: number, y: number}>}
+   */
+  #getRectPoints(rect) {
+    if (['x', 'y', 'width', 'height'].every((key) => typeof rect?.[key] === 'number')) {
+      return [{ x: rect.x, y: rect.y }, { x: rect.x + rect.width, y: rect.y + rect.height }];
+    }
+    return Geometry.getRectCorners(rect) ?? [];
+  }
+
+  /**
+   * Computes the axis-aligned box around points.
+   * @private
+   * @param {Array<{x: number, y: number}>} points
+   * @returns {{minX: number, minY: number, maxX: number, maxY: number}|null}
+   */
+  #toBox(points) {
+    const valid = points.filter((point) => Geometry.isPoint(point) && Number.isFinite(point.x) && Number.isFinite(point.y));
+    if (valid.length === 0) return null;
+    const xs = valid.map((point) => point.x);
+    const ys = valid.map((point) => point.y);
+    return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+  }
+
+  /**
+   * Lists the keys of the cells overlapped by a box.
+   * @private
+   * @param {{minX: number, minY: number, maxX: number, maxY: number}} box
+   * @returns {string[]}
+   */
+  #getKeys(box) {
+    const keys = [];
+    for (let column = this.#toCell(box.minX); column <= this.#toCell(box.maxX); column++) {
+      for (let row = this.#toCell(box.minY); row <= this.#toCell(box.maxY); row++) keys.push(this.#getKey(column, row));
+    }
+    return keys;
+  }
+
+  /**
+   * Converts a coordinate into a cell index.
+   * @private
+   * @param {number} value
+   * @returns {number}
+   */
+  #toCell(value) {
+    return Math.floor(value / this.cellSize);
+  }
+
+  /**
+   * Builds the key of a cell.
+   * @private
+   * @param {number} column
+   * @param {number} row
+   * @returns {string}
+   */
+  #getKey(column, row) {
+    return `${column},${row}`;
+  }
+}
+
+export default SpatialIndex;
@@ -0,0 +1,239 @@
+/**
+ * @file spatialIndex.unit.test.mjs
+ * @description Unit tests for SpatialIndex.
+ * @path src/handlers/placeableHelpers/spatialIndex.unit.test.mjs
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import SpatialIndex from './spatialIndex.mjs';
+import Handler from '../../baseClasses/handler.mjs';
+
+const createTile = (id, x, y, width, height, extra = {}) => ({
+  id,
+  document: { id, x, y, width, height },
+  ...extra
+});
+
+describe('SpatialIndex', () => {
+  let index;
+  let getter;
+  let logger;
+  let tiles;
+  let hooks;
+
+  beforeEach(() => {
+    tiles = [
+      createTile('roof', 0, 0, 200, 100),
+      createTile('tower', 600, 600, 100, 100),
+      createTile('hall', 100, 50, 600, 100)
+    ];
+    getter = {
+      getAllPlaceables: vi.fn(() => tiles),
+      getRectBounds: vi.fn(({ document: { x, y, width, height }, corners }) => ({
+        TopRight: { x: x + width, y },
+        BottomLeft: { x, y: y + height },
+        ...(corners ? { corners } : {})
+      })),
+      getPolygon: vi.fn((tile) => tile.zone?.points ?? tile.outline ?? null),
+      getFlag: vi.fn((tile, key) => tile.flags?.[key])
+    };
+    logger = { warn: vi.fn() };
+    hooks = new Map();
+    let nextId = 1;
+    global.Hooks = {
+      on: vi.fn((name, callback) => {
+        hooks.set(name, callback);
+        return nextId++;
+      }),
+      off: vi.fn()
+    };
+    global.canvas = { ready: false };
+    index = new SpatialIndex({ constants: {} }, {}, { logger }, getter, { cellSize: 256 });
+  });
+
+  afterEach(() => {
+    delete global.Hooks;
+    delete global.canvas;
+  });
+
+  describe('constructor', () => {
+    it('should extend Handler with the default layer and hooks', () => {
+      const defaults = new SpatialIndex({ constants: {} }, {}, { logger }, getter);
+      expect(defaults).toBeInstanceOf(Handler);
+      expect(defaults.layer).toBe('tiles');
+      expect(defaults.documentName).toBe('Tile');
+      expect(defaults.cellSize).toBe(512);
+      expect(defaults.isActive).toBe(false);
+    });
+
+    it('should ignore invalid cell sizes', () => {
+      expect(new SpatialIndex({}, {}, {}, getter, { cellSize: 0 }).cellSize).toBe(512);
+    });
+  });
+
+  describe('rebuild', () => {
+    it('should index the placeables of the layer', () => {
+      expect(index.rebuild()).toBe(3);
+      expect(getter.getAllPlaceables).toHaveBeenCalledWith('tiles', false);
+      expect(index.has('roof')).toBe(true);
+    });
+
+    it('should replace the previous content', () => {
+      index.rebuild();
+      expect(index.rebuild([tiles[0]])).toBe(1);
+      expect(index.has(tiles[1])).toBe(false);
+    });
+  });
+
+  describe('getBox', () => {
+    it('should include oriented corners and polygon outlines', () => {
+      const rotated = createTile('rotated', 0, 0, 10, 10, { corners: [{ x: -5, y: 5 }, { x: 5, y: -5 }, { x: 15, y: 5 }, { x: 5, y: 15 }] });
+      expect(index.getBox(rotated)).toEqual({ minX: -5, minY: -5, maxX: 15, maxY: 15 });
+      const traced = createTile('traced', 0, 0, 10, 10, { outline: [{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 0, y: 30 }] });
+      expect(index.getBox(traced)).toEqual({ minX: 0, minY: 0, maxX: 20, maxY: 30 });
+    });
+  });
+
+  describe('queryPoint', () => {
+    beforeEach(() => index.rebuild());
+
+    it('should return the placeables whose box contains the point', () => {
+      expect(index.queryPoint({ x: 150, y: 75 }).map((tile) => tile.id)).toEqual(['roof', 'hall']);
+      expect(index.queryPoint({ x: 650, y: 650 }).map((tile) => tile.id)).toEqual(['tower']);
+      expect(index.queryPoint({ x: 400, y: 400 })).toEqual([]);
+    });
+
+    it('should exclude points on the boundary', () => {
+      expect(index.queryPoint({ x: 200, y: 20 })).toEqual([]);
+    });
+
+    it('should return an empty list for invalid points', () => {
+      expect(index.queryPoint(null)).toEqual([]);
+    });
+  });
+
+  describe('queryRect', () => {
+    beforeEach(() => index.rebuild());
+
+    it('should accept plain rectangles', () => {
+      expect(index.queryRect({ x: 650, y: 100, width: 100, height: 550 }).map((tile) => tile.id)).toEqual(['hall', 'tower']);
+    });
+
+    it('should accept rectangular bounds', () => {
+      const bounds = { BottomLeft: { x: 10, y: 40 }, TopRight: { x: 50, y: 10 } };
+      expect(index.queryRect(bounds).map((tile) => tile.id)).toEqual(['roof']);
+    });
+
+    it('should exclude rectangles that only touch', () => {
+      expect(index.queryRect({ x: 700, y: 600, width: 50, height: 50 })).toEqual([]);
+    });
+
+    it('should return each placeable once', () => {
+      expect(index.queryRect({ x: 0, y: 0, width: 1000, height: 1000 })).toHaveLength(3);
+    });
+
+    it('should return an empty list for invalid rectangles', () => {
+      expect(index.queryRect({ x: 0 })).toEqual([]);
+    });
+  });
+
+  describe('insert, update and remove', () => {
+    it('should move a placeable when it is updated', () => {
+      index.rebuild();
+      tiles[1].document.x = 0;
+      tiles[1].document.y = 0;
+      expect(index.update(tiles[1])).toBe(true);
+      expect(index.queryPoint({ x: 650, y: 650 })).toEqual([]);
+      expect(index.queryPoint({ x: 50, y: 50 }).map((tile) => tile.id)).toEqual(['roof', 'tower']);
+      expect(index.size).toBe(3);
+    });
+
+    it('should remove placeables by id or instance', () => {
+      index.rebuild();
+      expect(index.remove('roof')).toBe(true);
+      expect(index.remove(tiles[1])).toBe(true);
+      expect(index.remove('roof')).toBe(false);
+      expect(index.size).toBe(1);
+      expect(index.queryPoint({ x: 150, y: 75 }).map((tile) => tile.id)).toEqual(['hall']);
+    });
+
+    it('should remove a placeable updated without a canvas object', () => {
+      index.rebuild();
+      expect(index.update('tower')).toBe(false);
+      expect(index.has('tower')).toBe(false);
+    });
+
+    it('should skip placeables without an id or bounds', () => {
+      expect(index.insert(undefined)).toBe(false);
+      getter.getRectBounds.mockReturnValueOnce({});
+      expect(index.insert(tiles[0])).toBe(false);
+    });
+
+    it('should warn when a placeable cannot be measured', () => {
+      getter.getRectBounds.mockImplementationOnce(() => {
+        throw new Error('no document');
+      });
+      expect(index.insert(tiles[0])).toBe(false);
+      expect(logger.warn).toHaveBeenCalledWith('Could not index placeable roof: no document');
+    });
+  });
+
+  describe('activate and deactivate', () => {
+    it('should follow the canvas and document hooks', () => {
+      expect(index.activate()).toBe(true);
+      expect(index.activate()).toBe(false);
+      expect([...hooks.keys()]).toEqual(['canvasReady', 'createTile', 'updateTile', 'deleteTile', 'updateDrawing', 'deleteDrawing']);
+
+      hooks.get('canvasReady')();
+      expect(index.size).toBe(3);
+
+      const porch = createTile('porch', 300, 300, 50, 50);
+      hooks.get('createTile')({ id: 'porch', object: porch });
+      expect(index.queryPoint({ x: 320, y: 320 })).toEqual([porch]);
+
+      porch.document.x = 900;
+      hooks.get('updateTile')({ id: 'porch', object: porch });
+      expect(index.queryPoint({ x: 320, y: 320 })).toEqual([]);
+
+      hooks.get('deleteTile')({ id: 'porch', object: null });
+      expect(index.has('porch')).toBe(false);
+    });
+
+    it('should re-index the placeables outlined by a moved zone drawing', () => {
+      const drawing = { points: [{ x: 1000, y: 1000 }, { x: 1100, y: 1000 }, { x: 1100, y: 1100 }] };
+      const cellar = createTile('cellar', 300, 300, 50, 50, { flags: { zone: 'outline' }, zone: drawing });
+      tiles.push(cellar);
+      global.canvas.ready = true;
+      index.activate();
+      expect(index.queryPoint({ x: 1050, y: 1020 })).toEqual([cellar]);
+
+      drawing.points = drawing.points.map(({ x, y }) => ({ x, y: y - 2000 }));
+      hooks.get('updateDrawing')({ id: 'outline' });
+      expect(index.queryPoint({ x: 1050, y: 1020 })).toEqual([]);
+      expect(index.queryPoint({ x: 1050, y: -980 })).toEqual([cellar]);
+
+      delete cellar.zone;
+      hooks.get('deleteDrawing')({ id: 'outline' });
+      expect(index.queryPoint({ x: 1050, y: -980 })).toEqual([]);
+      expect(index.queryPoint({ x: 320, y: 320 })).toEqual([cellar]);
+      expect(index.refreshZone('other')).toBe(0);
+    });
+
+    it('should build the index when the canvas is already ready', () => {
+      global.canvas.ready = true;
+      index.activate();
+      expect(index.size).toBe(3);
+    });
+
+    it('should unregister the hooks and empty the index', () => {
+      global.canvas.ready = true;
+      index.activate();
+      expect(index.deactivate()).toBe(true);
+      expect(global.Hooks.off).toHaveBeenCalledTimes(6);
+      expect(global.Hooks.off).toHaveBeenCalledWith('canvasReady', 1);
+      expect(index.size).toBe(0);
+      expect(index.isActive).toBe(false);
+      expect(index.deactivate()).toBe(false);
+    });
+  });
+});
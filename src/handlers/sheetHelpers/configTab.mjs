@@ -0,0 +1,172 @@
+/**
+ * @file configTab.mjs
+ * @description Builds the module tab and its fields in Foundry's document configuration sheets.
+ * @path src/handlers/sheetHelpers/configTab.mjs
+ */
+
+/**
+ * Static helpers injecting a tab of module fields into a rendered configuration sheet.
+ *
+ * The tab button and panel copy the markup of the sheet's existing tabs, so they work with both
+ * the ApplicationV1 (jQuery, `Tabs` controller) and ApplicationV2 (HTMLElement, `tabGroups`) sheets.
+ * Sheets without tabs get the fields appended to their form in a fieldset.
+ *
+ * Fields are named after the module flags (`flags.<scope>.<key>`), so the sheet's own submission
+ * saves them with the document.
+ *
+ * @class ConfigTab
+ * @export
+ */
+class ConfigTab {
+  /**
+   * Unwraps the element a sheet rendered.
+   * @param {HTMLElement|Object} html - The rendered element, or its jQuery wrapper.
+   * @returns {HTMLElement|null} The element, or null when it cannot be queried.
+   */
+  static getRoot(html) {
+    const root = html?.jquery ? html[0] : html;
+    return root && typeof root.querySelector === 'function' ? root : null;
+  }
+
+  /**
+   * Adds a tab holding the fields to a rendered sheet.
+   * @param {Object} app - The rendered sheet.
+   * @param {HTMLElement} root - The rendered element.
+   * @param {{id: string, label: string, icon?: string}} tab - Id, (localized) label and icon classes of the tab.
+   * @param {HTMLElement[]} fields - The form groups to show in the tab.
+   * @returns {boolean} True once the fields are added.
+   */
+  static inject(app, root, tab, fields) {
+    const dom = root.ownerDocument;
+    const nav = root.querySelector('nav.sheet-tabs, nav.tabs');
+    const panels = nav ? [...root.querySelectorAll('.tab[data-tab]')].filter((panel) => !nav.contains(panel)) : [];
+    if (panels.length > 0) {
+      const group = panels[0].dataset.group ?? nav.dataset.group;
+      nav.append(this.createTabItem(dom, nav, tab));
+      const panel = dom.createElement(panels[0].tagName);
+      panel.className = 'tab';
+      panel.dataset.tab = tab.id;
+      if (group) panel.dataset.group = group;
+      panel.append(...fields);
+      panels.at(-1).after(panel);
+      this.restoreActiveTab(app, tab.id, group);
+    } else {
+      const fieldset = dom.createElement('fieldset');
+      const legend = dom.createElement('legend');
+      legend.textContent = tab.label;
+      fieldset.append(legend, ...fields);
+      (root.querySelector('form') ?? root).append(fieldset);
+    }
+    app?.setPosition?.({ height: 'auto' });
+    return true;
+  }
+
+  /**
+   * Builds the tab button from the first button of the sheet's navigation, so it keeps the
+   * attributes the sheet's tab handling relies on (`data-group`, `data-action`, classes).
+   * @param {Document} dom - The DOM document of the sheet.
+   * @param {HTMLElement} nav - The tab navigation of the sheet.
+   * @param {{id: string, label: string, icon?: string}} tab
+   * @returns {HTMLElement} The tab button.
+   */
+  static createTabItem(dom, nav, tab) {
+    const template = nav.querySelector('[data-tab]');
+    const item = template ? template.cloneNode(false) : dom.createElement('a');
+    if (!template) item.className = 'item';
+    item.classList.remove('active');
+    item.removeAttribute('aria-selected');
+    item.dataset.tab = tab.id;
+    const icon = dom.createElement('i');
+    icon.className = tab.icon ?? '';
+    const label = dom.createElement('span');
+    label.textContent = tab.label;
+    item.replaceChildren(icon, ' ', label);
+    return item;
+  }
+
+  /**
+   * Shows the module tab again when it was the active tab before a re-render, since the sheet
+   * activates its tabs before the render hooks run.
+   * @param {Object} app - The rendered sheet.
+   * @param {string} tabId - The module tab id.
+   * @param {string} [group] - The tab group.
+   */
+  static restoreActiveTab(app, tabId, group) {
+    if (group && app?.tabGroups?.[group] === tabId) {
+      app.changeTab?.(tabId, group, { force: true, updatePosition: false });
+      return;
+    }
+    const tabs = Array.isArray(app?._tabs) ? app._tabs.find((controller) => controller?.active === tabId) : null;
+    tabs?.activate?.(tabId);
+  }
+
+  /**
+   * Builds a form group editing one value.
+   * @param {Document} dom - The DOM document of the sheet.
+   * @param {Object} field
+   * @param {string} field.name - The input name.
+   * @param {string} field.type - `select`, `checkbox`, or an input type (`text`, `number`).
+   * @param {string} field.label - The (localized) label.
+   * @param {string} [field.hint] - The (localized) hint.
+   * @param {*} [field.value] - The current value.
+   * @param {Array<[string, string]>} [field.choices] - Values and labels of the select options.
+   * @param {Object} [field.attributes] - Extra input attributes (e.g., `min`, `step`).
+   * @returns {HTMLElement} The form group; its input is in `.form-fields`.
+   */
+  static createField(dom, { name, type, label, hint, value, choices = [], attributes = {} }) {
+    const group = dom.createElement('div');
+    group.className = 'form-group';
+
+    const labelElement = dom.createElement('label');
+    labelElement.textContent = label;
+
+    const inputs = dom.createElement('div');
+    inputs.className = 'form-fields';
+    let input;
+    if (type === 'select') {
+      input = dom.createElement('select');
+      for (const [optionValue, text] of choices) {
+        const option = dom.createElement('option');
+        option.value = optionValue;
+        option.textContent = text;
+        option.selected = optionValue === (value ?? '');
+        input.append(option);
+      }
+    } else {
+      input = dom.createElement('input');
+      input.type = type;
+      for (const [attribute, attributeValue] of Object.entries(attributes)) input.setAttribute(attribute, attributeValue);
+      if (type === 'checkbox') {
+        input.checked = value === true;
+        input.dataset.dtype = 'Boolean';
+      } else {
+        if (type === 'number') input.dataset.dtype = 'Number';
+        input.value = value ?? '';
+      }
+    }
+    input.name = name;
+    inputs.append(input);
+
+    const hintElement = dom.createElement('p');
+    hintElement.className = 'hint notes';
+    hintElement.textContent = hint ?? '';
+
+    group.append(labelElement, inputs, hintElement);
+    return group;
+  }
+
+  /**
+   * Localizes a key through Foundry's i18n, falling back when unavailable.
+   * @param {string} [key]
+   * @param {string} fallback
+   * @returns {string}
+   */
+  static localize(key, fallback) {
+    if (!key) return fallback;
+    const localize = globalThis.game?.i18n?.localize;
+    return typeof localize === 'function' ? globalThis.game.i18n.localize(key) : fallback;
+  }
+}
+
+export default ConfigTab;
+export { ConfigTab };
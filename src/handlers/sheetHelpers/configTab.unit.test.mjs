@@ -0,0 +1,121 @@
+// @vitest-environment jsdom
+/**
+ * @file configTab.unit.test.mjs
+ * @description Unit tests for ConfigTab (module tab of the configuration sheets).
+ * @path src/handlers/sheetHelpers/configTab.unit.test.mjs
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import ConfigTab from './configTab.mjs';
+
+const TAB = { id: 'over-my-head', label: 'Over My Head', icon: 'fa-solid fa-house-chimney' };
+
+const createSheet = () => {
+  const root = document.createElement('form');
+  root.innerHTML = `
+    <nav class="sheet-tabs tabs" data-group="main">
+      <a class="item active" data-tab="identity"><i class="fas fa-user"></i> Identity</a>
+    </nav>
+    <div class="tab active" data-group="main" data-tab="identity"></div>
+    <button type="submit">Save</button>`;
+  return root;
+};
+
+describe('ConfigTab', () => {
+  afterEach(() => {
+    delete globalThis.game;
+  });
+
+  describe('getRoot', () => {
+    it('should unwrap jQuery wrappers and reject invalid elements', () => {
+      const root = document.createElement('div');
+      expect(ConfigTab.getRoot(root)).toBe(root);
+      expect(ConfigTab.getRoot({ jquery: '3.7.1', 0: root })).toBe(root);
+      expect(ConfigTab.getRoot({})).toBeNull();
+      expect(ConfigTab.getRoot(null)).toBeNull();
+    });
+  });
+
+  describe('inject', () => {
+    it('should add the tab button and a panel of the same group', () => {
+      const root = createSheet();
+      const app = { setPosition: vi.fn() };
+      const field = document.createElement('div');
+      expect(ConfigTab.inject(app, root, TAB, [field])).toBe(true);
+
+      const item = root.querySelector('nav [data-tab="over-my-head"]');
+      expect(item.className).toBe('item');
+      expect(item.querySelector('span').textContent).toBe('Over My Head');
+      const panel = root.querySelector('.tab[data-tab="over-my-head"]');
+      expect(panel.dataset.group).toBe('main');
+      expect(panel.firstElementChild).toBe(field);
+      expect(panel.nextElementSibling.tagName).toBe('BUTTON');
+      expect(app.setPosition).toHaveBeenCalledWith({ height: 'auto' });
+    });
+
+    it('should append a fieldset when the sheet has no tabs', () => {
+      const root = document.createElement('div');
+      root.append(document.createElement('form'));
+      ConfigTab.inject({}, root, TAB, [document.createElement('div')]);
+      const fieldset = root.querySelector('form > fieldset');
+      expect(fieldset.querySelector('legend').textContent).toBe('Over My Head');
+      expect(fieldset.children).toHaveLength(2);
+    });
+  });
+
+  describe('restoreActiveTab', () => {
+    it('should change to the module tab of an ApplicationV2 sheet', () => {
+      const app = { tabGroups: { sheet: 'over-my-head' }, changeTab: vi.fn() };
+      ConfigTab.restoreActiveTab(app, 'over-my-head', 'sheet');
+      expect(app.changeTab).toHaveBeenCalledWith('over-my-head', 'sheet', { force: true, updatePosition: false });
+    });
+
+    it('should activate the module tab of an ApplicationV1 controller', () => {
+      const other = { active: 'identity', activate: vi.fn() };
+      const controller = { active: 'over-my-head', activate: vi.fn() };
+      ConfigTab.restoreActiveTab({ _tabs: [other, controller] }, 'over-my-head', 'main');
+      expect(controller.activate).toHaveBeenCalledWith('over-my-head');
+      expect(other.activate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createField', () => {
+    it('should build a select with the current option selected', () => {
+      const group = ConfigTab.createField(document, {
+        name: 'flags.omh.mode',
+        type: 'select',
+        label: 'Mode',
+        hint: 'How it fades',
+        value: 'NONE',
+        choices: [['', 'Default'], ['FADE', 'Fade'], ['NONE', 'None']]
+      });
+      const select = group.querySelector('.form-fields select');
+      expect(select.name).toBe('flags.omh.mode');
+      expect(select.value).toBe('NONE');
+      expect(group.querySelector('label').textContent).toBe('Mode');
+      expect(group.querySelector('.hint').textContent).toBe('How it fades');
+    });
+
+    it('should build checkboxes and typed inputs', () => {
+      const checkbox = ConfigTab.createField(document, { name: 'a', type: 'checkbox', label: 'A', value: true }).querySelector('input');
+      expect(checkbox.checked).toBe(true);
+      expect(checkbox.dataset.dtype).toBe('Boolean');
+
+      const number = ConfigTab.createField(document, {
+        name: 'b', type: 'number', label: 'B', value: null, attributes: { min: 0, step: 'any' }
+      }).querySelector('input');
+      expect(number.value).toBe('');
+      expect(number.getAttribute('step')).toBe('any');
+      expect(number.dataset.dtype).toBe('Number');
+    });
+  });
+
+  describe('localize', () => {
+    it('should localize through game.i18n and fall back without it', () => {
+      expect(ConfigTab.localize('omh.key', 'Fallback')).toBe('Fallback');
+      expect(ConfigTab.localize(undefined, 'Fallback')).toBe('Fallback');
+      globalThis.game = { i18n: { localize: vi.fn((key) => `localized:${key}`) } };
+      expect(ConfigTab.localize('omh.key', 'Fallback')).toBe('localized:omh.key');
+    });
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * @file tileConfigHandler.mjs
+ * @description Adds the "Over My Head" tab, editing the module tile flags, to the tile configuration sheet.
+ * @path src/handlers/tileConfigHandler.mjs
+ */
+
+import HookedHandler from "../baseClasses/hookedHandler.mjs";
+import { FLAG_SCOPE, POSITION_USES, TILE_FLAGS } from "./placeableHelpers/config.mjs";
+import { OCCLUSION_MODES } from "./occlusionHelpers/config.mjs";
+import ConfigTab from "./sheetHelpers/configTab.mjs";
+
+/**
+ * Fields of the tab, in display order: the tile flag each one edits and its input.
+ * Select fields start with an empty option that leaves the flag unset.
+ * @type {Array<{flag: string, type: string, choices?: string[], attributes?: Object}>}
+ */
+const FIELDS = [
+    { flag: TILE_FLAGS.OCCLUSION_MODE, type: 'select', choices: Object.values(OCCLUSION_MODES) },
+    { flag: TILE_FLAGS.FADED_ALPHA, type: 'number', attributes: { min: 0, max: 1, step: 0.05 } },
+    { flag: TILE_FLAGS.OCCLUSION_GROUP, type: 'text' },
+    { flag: TILE_FLAGS.FLOOR_ELEVATION, type: 'number', attributes: { step: 'any' } },
+    { flag: TILE_FLAGS.ROOF_ELEVATION, type: 'number', attributes: { step: 'any' } },
+    {
+        flag: TILE_FLAGS.TARGET_USE,
+        type: 'select',
+        choices: [
+            POSITION_USES.CENTER,
+            POSITION_USES.RECTANGLE,
+            POSITION_USES.FOOTPRINT,
+            POSITION_USES.CORNERS,
+            POSITION_USES.CORNERS_CENTER,
+            POSITION_USES.SAMPLES
+        ]
+    },
+    {
+        flag: TILE_FLAGS.REFERENCE_USE,
+        type: 'select',
+        choices: [POSITION_USES.RECTANGLE, POSITION_USES.POLYGON, POSITION_USES.ALPHA]
+    }
+];
+
+/**
+ * TileConfigHandler injects the module fields into Foundry's tile configuration sheet.
+ *
+ * On every render of the sheet it adds an "Over My Head" tab editing the tile flags read by the
+ * occlusion engine: occlusion mode, faded alpha, occlusion group (suggesting the groups already used
+ * in the scene), elevation band, observer position use and hit-test method. Each input is named after
+ * its flag (`flags.<scope>.<key>`), so the sheet's own submission saves it with the document; empty
+ * inputs leave the configured defaults in place.
+ *
+ * The tab is built by `ConfigTab`, which supports both the ApplicationV1 and ApplicationV2 sheets.
+ *
+ * @class TileConfigHandler
+ * @extends HookedHandler
+ * @export
+ *
+ * **Public API:**
+ * - `constructor(config, utils, context, placeableHandler)` - Creates the handler (inactive)
+ * - `activate()` - Registers the render hooks of the tile configuration sheet
+ * - `deactivate()` - Unregisters the render hooks
+ * - `injectFields(app, html)` - Adds the module tab to a rendered sheet
+ * - `isActive` - Whether the handler is listening to hooks
+ */
+class TileConfigHandler extends HookedHandler {
+    /**
+     * @param {Object} config - Module configuration object.
+     * @param {Object} utils - Utilities facade providing logging.
+     * @param {Object} context - Execution context object.
+     * @param {PlaceableHandler} placeableHandler - Handler used to list the occlusion groups.
+     */
+    constructor(config, utils, context, placeableHandler) {
+        super(config, utils, context);
+        this.logger = utils?.logger;
+        /**
+         * The placeable handler instance.
+         * @type {PlaceableHandler}
+         * @public
+         */
+        this.placeables = placeableHandler;
+        const tileConfig = config?.constants?.tileConfig ?? {};
+        /**
+         * Hooks fired when a tile configuration sheet renders.
+         * @type {string[]}
+         * @public
+         */
+        this.renderHooks = Array.isArray(tileConfig.renderHooks) && tileConfig.renderHooks.length > 0
+            ? tileConfig.renderHooks
+            : ['renderTileConfig'];
+        /**
+         * Localization keys of the added fields.
+         * @type {Object}
+         * @public
+         */
+        this.fields = tileConfig.fields ?? {};
+        /**
+         * Id, label key and icon of the module tab.
+         * @type {{id: string, label: string, icon: string}}
+         * @public
+         */
+        this.tab = {
+            id: tileConfig.tab?.id || 'over-my-head',
+            label: tileConfig.tab?.label,
+            icon: tileConfig.tab?.icon || 'fa-solid fa-house-chimney'
+        };
+        /**
+         * Localization key of the empty option of the select fields.
+         * @type {string|undefined}
+         * @public
+         */
+        this.defaultChoice = tileConfig.defaultChoice;
+    }
+
+    /**
+     * @protected
+     * Registers the render hooks of the tile configuration sheet.
+     */
+    _registerHooks() {
+        for (const hookName of this.renderHooks) {
+            this._registerHook(hookName, (app, html) => this.injectFields(app, html));
+        }
+    }
+
+    /**
+     * Adds the module tab to a rendered tile configuration sheet.
+     * Does nothing when the tab is already present (e.g., on a partial re-render).
+     *
+     * @param {Object} app - The rendered sheet.
+     * @param {HTMLElement|Object} html - The rendered element, or its jQuery wrapper.
+     * @returns {boolean} True if the fields were added, false otherwise.
+     */
+    injectFields(app, html) {
+        const root = ConfigTab.getRoot(html);
+        if (!root) return false;
+        if (root.querySelector(`[name^="flags.${FLAG_SCOPE}."]`)) return false;
+
+        const dom = root.ownerDocument;
+        const document = app?.document ?? app?.object;
+        const fields = FIELDS.map((field) => this.#createField(dom, field, document));
+        const tab = { ...this.tab, label: ConfigTab.localize(this.tab.label, 'Over My Head') };
+        return ConfigTab.inject(app, root, tab, fields);
+    }
+
+    /**
+     * Builds the form group editing a tile flag.
+     * @private
+     * @param {Document} dom - The DOM document of the sheet.
+     * @param {Object} field - One of FIELDS.
+     * @param {Object} [document] - The tile document being configured.
+     * @returns {HTMLElement} The form group.
+     */
+    #createField(dom, field, document) {
+        const keys = this.fields[field.flag] ?? {};
+        const choices = field.choices?.map((choice) => [choice, ConfigTab.localize(keys.choices && `${keys.choices}.${choice}`, choice)]);
+        const group = ConfigTab.createField(dom, {
+            name: `flags.${FLAG_SCOPE}.${field.flag}`,
+            type: field.type,
+            label: ConfigTab.localize(keys.name, field.flag),
+            hint: ConfigTab.localize(keys.hint, ''),
+            value: document?.getFlag?.(FLAG_SCOPE, field.flag),
+            choices: choices && [['', ConfigTab.localize(this.defaultChoice, 'Default')], ...choices],
+            attributes: field.attributes
+        });
+        if (field.flag === TILE_FLAGS.OCCLUSION_GROUP) {
+            const input = group.querySelector('input');
+            input.after(this.#createGroupList(dom, input, document));
+        }
+        return group;
+    }
+
+    /**
+     * Builds the suggestions of the occlusion group input: the groups in use in the scene.
+     * @private
+     * @param {Document} dom - The DOM document of the sheet.
+     * @param {HTMLInputElement} input - The occlusion group input.
+     * @param {Object} [document] - The tile document being configured.
+     * @returns {HTMLDataListElement}
+     */
+    #createGroupList(dom, input, document) {
+        const list = dom.createElement('datalist');
+        list.id = `${FLAG_SCOPE}-${TILE_FLAGS.OCCLUSION_GROUP}-${document?.id ?? 'new'}`;
+        input.setAttribute('list', list.id);
+        for (const groupId of this.#getGroupIds()) {
+            const option = dom.createElement('option');
+            option.value = groupId;
+            list.append(option);
+        }
+        return list;
+    }
+
+    /**
+     * Lists the occlusion groups in use in the scene.
+     * @private
+     * @returns {string[]}
+     */
+    #getGroupIds() {
+        try {
+            return this.placeables?.getGroupIds?.() ?? [];
+        } catch (error) {
+            this.logger?.warn(`Could not list the occlusion groups: ${error.message}`);
+            return [];
+        }
+    }
+}
+
+export default TileConfigHandler;
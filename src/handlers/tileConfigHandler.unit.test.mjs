@@ -0,0 +1,244 @@
+// @vitest-environment jsdom
+/**
+ * @file tileConfigHandler.unit.test.mjs
+ * @description Unit tests for TileConfigHandler (tile configuration sheet fields).
+ * @path src/handlers/tileConfigHandler.unit.test.mjs
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import TileConfigHandler from './tileConfigHandler.mjs';
+import Handler from '../baseClasses/handler.mjs';
+import { FLAG_SCOPE } from './placeableHelpers/config.mjs';
+
+const FIELD_NAME = `flags.${FLAG_SCOPE}.occlusionGroup`;
+
+const TAB_ID = 'over-my-head';
+
+const createSheet = () => {
+  const root = document.createElement('form');
+  root.innerHTML = `
+    <nav class="sheet-tabs tabs">
+      <a class="item active" data-tab="basic"><i class="fas fa-image"></i> Basic</a>
+      <a class="item" data-tab="overhead"><i class="fas fa-house"></i> Overhead</a>
+    </nav>
+    <div class="tab active" data-tab="basic">
+      <div class="form-group"><label>Elevation</label><input type="number" name="elevation"></div>
+    </div>
+    <div class="tab" data-tab="overhead"></div>`;
+  return root;
+};
+
+const createSheetV2 = () => {
+  const root = document.createElement('div');
+  root.innerHTML = `
+    <nav class="sheet-tabs tabs" data-group="sheet">
+      <a class="active" data-action="tab" data-group="sheet" data-tab="basic" aria-selected="true"><i class="fa-solid fa-image"></i><span>Basic</span></a>
+    </nav>
+    <section class="tab active" data-group="sheet" data-tab="basic" data-application-part="basic"></section>
+    <footer class="form-footer"></footer>`;
+  return root;
+};
+
+describe('TileConfigHandler', () => {
+  let handler;
+  let placeables;
+  let config;
+  let app;
+  let hookId;
+  let flags;
+
+  beforeEach(() => {
+    hookId = 0;
+    flags = { occlusionGroup: 'manor', occlusionMode: 'NONE', fadedAlpha: 0.4 };
+    global.Hooks = { on: vi.fn(() => ++hookId), off: vi.fn() };
+    globalThis.game = { i18n: { localize: vi.fn((key) => `localized:${key}`) } };
+    placeables = { getGroupIds: vi.fn(() => ['keep', 'manor']) };
+    config = {
+      constants: {
+        tileConfig: {
+          renderHooks: ['renderTileConfig'],
+          tab: { id: TAB_ID, label: 'omh.tab', icon: 'fa-solid fa-house-chimney' },
+          defaultChoice: 'omh.default',
+          fields: {
+            occlusionGroup: { name: 'omh.group.name', hint: 'omh.group.hint' },
+            occlusionMode: { name: 'omh.mode.name', hint: 'omh.mode.hint', choices: 'omh.mode.choices' }
+          }
+        }
+      }
+    };
+    app = {
+      document: { id: 'tile1', getFlag: vi.fn((scope, key) => flags[key]) },
+      setPosition: vi.fn()
+    };
+    handler = new TileConfigHandler(config, { logger: { warn: vi.fn() } }, {}, placeables);
+  });
+
+  afterEach(() => {
+    delete global.Hooks;
+    delete globalThis.game;
+  });
+
+  describe('constructor', () => {
+    it('should extend Handler and read the configured hooks', () => {
+      expect(handler).toBeInstanceOf(Handler);
+      expect(handler.placeables).toBe(placeables);
+      expect(handler.renderHooks).toEqual(['renderTileConfig']);
+      expect(handler.tab).toEqual({ id: TAB_ID, label: 'omh.tab', icon: 'fa-solid fa-house-chimney' });
+      expect(handler.isActive).toBe(false);
+    });
+
+    it('should fall back to the tile config render hook and the default tab', () => {
+      const fallback = new TileConfigHandler({}, {}, {}, placeables);
+      expect(fallback.renderHooks).toEqual(['renderTileConfig']);
+      expect(fallback.tab.id).toBe(TAB_ID);
+    });
+  });
+
+  describe('activate and deactivate', () => {
+    it('should register and unregister the render hooks', () => {
+      expect(handler.activate()).toBe(true);
+      expect(handler.activate()).toBe(false);
+      expect(Hooks.on).toHaveBeenCalledTimes(1);
+      expect(Hooks.on).toHaveBeenCalledWith('renderTileConfig', expect.any(Function));
+      expect(handler.deactivate()).toBe(true);
+      expect(Hooks.off).toHaveBeenCalledWith('renderTileConfig', 1);
+      expect(handler.deactivate()).toBe(false);
+    });
+
+    it('should inject the fields when the sheet renders', () => {
+      handler.activate();
+      const root = createSheet();
+      Hooks.on.mock.calls[0][1](app, root);
+      expect(root.querySelector(`[name="${FIELD_NAME}"]`)).not.toBeNull();
+    });
+  });
+
+  describe('injectFields', () => {
+    it('should add the module tab after the other tabs', () => {
+      const root = createSheet();
+      expect(handler.injectFields(app, root)).toBe(true);
+
+      const item = root.querySelector(`nav [data-tab="${TAB_ID}"]`);
+      expect(item.className).toBe('item');
+      expect(item.textContent).toBe(' localized:omh.tab');
+      expect(item.querySelector('i').className).toBe('fa-solid fa-house-chimney');
+      const panel = root.querySelector(`.tab[data-tab="${TAB_ID}"]`);
+      expect(panel.tagName).toBe('DIV');
+      expect(panel.previousElementSibling.dataset.tab).toBe('overhead');
+      expect(panel.classList.contains('active')).toBe(false);
+      expect(app.setPosition).toHaveBeenCalledWith({ height: 'auto' });
+    });
+
+    it('should add a field for each tile flag, filled with its value', () => {
+      const root = createSheet();
+      handler.injectFields(app, root);
+      const panel = root.querySelector(`.tab[data-tab="${TAB_ID}"]`);
+      expect([...panel.querySelectorAll('[name]')].map((input) => input.name)).toEqual([
+        'occlusionMode', 'fadedAlpha', 'occlusionGroup', 'floorElevation', 'roofElevation', 'targetUse', 'referenceUse'
+      ].map((key) => `flags.${FLAG_SCOPE}.${key}`));
+
+      const input = root.querySelector(`[name="${FIELD_NAME}"]`);
+      expect(input.value).toBe('manor');
+      expect(app.document.getFlag).toHaveBeenCalledWith(FLAG_SCOPE, 'occlusionGroup');
+      const group = input.closest('.form-group');
+      expect(group.querySelector('label').textContent).toBe('localized:omh.group.name');
+      expect(group.querySelector('.hint').textContent).toBe('localized:omh.group.hint');
+
+      const alpha = root.querySelector(`[name="flags.${FLAG_SCOPE}.fadedAlpha"]`);
+      expect(alpha.value).toBe('0.4');
+      expect(alpha.getAttribute('max')).toBe('1');
+      expect(alpha.dataset.dtype).toBe('Number');
+      expect(root.querySelector(`[name="flags.${FLAG_SCOPE}.floorElevation"]`).value).toBe('');
+    });
+
+    it('should offer the choices of the select fields after a default option', () => {
+      const root = createSheet();
+      handler.injectFields(app, root);
+      const mode = root.querySelector(`[name="flags.${FLAG_SCOPE}.occlusionMode"]`);
+      expect([...mode.options].map((option) => option.value)).toEqual(['', 'FADE', 'VISION', 'NONE']);
+      expect(mode.options[0].textContent).toBe('localized:omh.default');
+      expect(mode.options[1].textContent).toBe('localized:omh.mode.choices.FADE');
+      expect(mode.value).toBe('NONE');
+      expect(mode.closest('.form-group').querySelector('.hint').textContent).toBe('localized:omh.mode.hint');
+
+      const method = root.querySelector(`[name="flags.${FLAG_SCOPE}.referenceUse"]`);
+      expect([...method.options].map((option) => option.value)).toEqual(['', 'rectangle', 'polygon', 'alpha']);
+      expect(method.options[2].textContent).toBe('polygon');
+      expect(method.value).toBe('');
+    });
+
+    it('should suggest the groups in use', () => {
+      const root = createSheet();
+      handler.injectFields(app, root);
+      const input = root.querySelector(`[name="${FIELD_NAME}"]`);
+      const list = root.querySelector(`#${input.getAttribute('list')}`);
+      expect([...list.querySelectorAll('option')].map((option) => option.value)).toEqual(['keep', 'manor']);
+    });
+
+    it('should accept jQuery wrappers and ApplicationV1 objects', () => {
+      const root = createSheet();
+      const legacy = { object: { id: 'tile2', getFlag: vi.fn(() => undefined) } };
+      expect(handler.injectFields(legacy, { jquery: '3.7.1', 0: root })).toBe(true);
+      expect(root.querySelector(`[name="${FIELD_NAME}"]`).value).toBe('');
+    });
+
+    it('should reactivate the module tab of an ApplicationV1 sheet', () => {
+      const controller = { active: TAB_ID, activate: vi.fn() };
+      handler.injectFields({ ...app, _tabs: [controller] }, createSheet());
+      expect(controller.activate).toHaveBeenCalledWith(TAB_ID);
+    });
+
+    it('should copy the tab markup of ApplicationV2 sheets', () => {
+      const root = createSheetV2();
+      const sheet = { ...app, tabGroups: { sheet: 'basic' }, changeTab: vi.fn() };
+      expect(handler.injectFields(sheet, root)).toBe(true);
+
+      const item = root.querySelector(`nav [data-tab="${TAB_ID}"]`);
+      expect(item.dataset).toMatchObject({ action: 'tab', group: 'sheet' });
+      expect(item.classList.contains('active')).toBe(false);
+      expect(item.hasAttribute('aria-selected')).toBe(false);
+      const panel = root.querySelector(`.tab[data-tab="${TAB_ID}"]`);
+      expect(panel.tagName).toBe('SECTION');
+      expect(panel.dataset.group).toBe('sheet');
+      expect(panel.hasAttribute('data-application-part')).toBe(false);
+      expect(panel.nextElementSibling.tagName).toBe('FOOTER');
+      expect(sheet.changeTab).not.toHaveBeenCalled();
+    });
+
+    it('should reactivate the module tab of an ApplicationV2 sheet', () => {
+      const sheet = { ...app, tabGroups: { sheet: TAB_ID }, changeTab: vi.fn() };
+      handler.injectFields(sheet, createSheetV2());
+      expect(sheet.changeTab).toHaveBeenCalledWith(TAB_ID, 'sheet', { force: true, updatePosition: false });
+    });
+
+    it('should not add the tab twice', () => {
+      const root = createSheet();
+      handler.injectFields(app, root);
+      expect(handler.injectFields(app, root)).toBe(false);
+      expect(root.querySelectorAll(`[name="${FIELD_NAME}"]`)).toHaveLength(1);
+      expect(root.querySelectorAll(`[data-tab="${TAB_ID}"]`)).toHaveLength(2);
+    });
+
+    it('should append a fieldset to the form without tabs', () => {
+      const root = document.createElement('form');
+      expect(handler.injectFields(app, root)).toBe(true);
+      expect(root.lastElementChild.tagName).toBe('FIELDSET');
+      expect(root.querySelector('legend').textContent).toBe('localized:omh.tab');
+      expect(root.lastElementChild.querySelector(`[name="${FIELD_NAME}"]`)).not.toBeNull();
+    });
+
+    it('should still add the fields when the groups cannot be listed', () => {
+      placeables.getGroupIds.mockImplementation(() => {
+        throw new Error('canvas not ready');
+      });
+      const root = createSheet();
+      expect(handler.injectFields(app, root)).toBe(true);
+      expect(handler.logger.warn).toHaveBeenCalledWith('Could not list the occlusion groups: canvas not ready');
+    });
+
+    it('should ignore invalid elements', () => {
+      expect(handler.injectFields(app, null)).toBe(false);
+      expect(handler.injectFields(app, {})).toBe(false);
+    });
+  });
+});
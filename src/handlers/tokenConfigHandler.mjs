@@ -0,0 +1,219 @@
+/**
+ * @file tokenConfigHandler.mjs
+ * @description Adds the module token flags to the token configuration sheet and the token HUD.
+ * @path src/handlers/tokenConfigHandler.mjs
+ */
+
+import HookedHandler from "../baseClasses/hookedHandler.mjs";
+import { FLAG_SCOPE, TOKEN_FLAGS } from "./placeableHelpers/config.mjs";
+import ConfigTab from "./sheetHelpers/configTab.mjs";
+
+/**
+ * Token flags edited in the tab, in display order.
+ * @type {string[]}
+ */
+const FIELDS = [TOKEN_FLAGS.IGNORE_OCCLUSION, TOKEN_FLAGS.ALWAYS_OBSERVER];
+
+/**
+ * TokenConfigHandler lets users choose which tokens drive the occlusion.
+ *
+ * On every render of a token (or prototype token) configuration sheet it adds an "Over My Head"
+ * tab (see `ConfigTab`) with the `ignoreOcclusion` and `alwaysObserver` checkboxes, saved by the
+ * sheet's own submission. On every render of the token HUD of a GM it adds a button toggling the
+ * `ignoreOcclusion` flag of the token. The flags are applied by `ObserverSelector.applyTokenFlags`.
+ *
+ * @class TokenConfigHandler
+ * @extends HookedHandler
+ * @export
+ *
+ * **Public API:**
+ * - `constructor(config, utils, context, placeableHandler)` - Creates the handler (inactive)
+ * - `activate()` - Registers the render hooks of the token configuration sheets and HUD
+ * - `deactivate()` - Unregisters the render hooks
+ * - `injectFields(app, html)` - Adds the module tab to a rendered sheet
+ * - `injectHudToggle(hud, html)` - Adds the ignore toggle to a rendered token HUD
+ * - `toggleIgnored(token)` - Switches the `ignoreOcclusion` flag of a token
+ * - `isActive` - Whether the handler is listening to hooks
+ */
+class TokenConfigHandler extends HookedHandler {
+    /**
+     * @param {Object} config - Module configuration object.
+     * @param {Object} utils - Utilities facade providing logging.
+     * @param {Object} context - Execution context object.
+     * @param {PlaceableHandler} placeableHandler - Handler used to read the token flags.
+     */
+    constructor(config, utils, context, placeableHandler) {
+        super(config, utils, context);
+        this.logger = utils?.logger;
+        /**
+         * The placeable handler instance.
+         * @type {PlaceableHandler}
+         * @public
+         */
+        this.placeables = placeableHandler;
+        const tokenConfig = config?.constants?.tokenConfig ?? {};
+        /**
+         * Hooks fired when a token configuration sheet renders.
+         * @type {string[]}
+         * @public
+         */
+        this.renderHooks = Array.isArray(tokenConfig.renderHooks) && tokenConfig.renderHooks.length > 0
+            ? tokenConfig.renderHooks
+            : ['renderTokenConfig', 'renderPrototypeTokenConfig'];
+        /**
+         * Hooks fired when the token HUD renders.
+         * @type {string[]}
+         * @public
+         */
+        this.hudHooks = Array.isArray(tokenConfig.hudHooks) ? tokenConfig.hudHooks : ['renderTokenHUD'];
+        /**
+         * Localization keys of the added fields.
+         * @type {Object}
+         * @public
+         */
+        this.fields = tokenConfig.fields ?? {};
+        /**
+         * Id, label key and icon of the module tab.
+         * @type {{id: string, label: string, icon: string}}
+         * @public
+         */
+        this.tab = {
+            id: tokenConfig.tab?.id || 'over-my-head',
+            label: tokenConfig.tab?.label,
+            icon: tokenConfig.tab?.icon || 'fa-solid fa-house-chimney'
+        };
+        /**
+         * Tooltip key and icon of the HUD toggle.
+         * @type {{title: string, icon: string}}
+         * @public
+         */
+        this.hud = {
+            title: tokenConfig.hud?.title,
+            icon: tokenConfig.hud?.icon || 'fa-solid fa-house-circle-xmark'
+        };
+    }
+
+    /**
+     * @protected
+     * Registers the render hooks of the token configuration sheets and HUD.
+     */
+    _registerHooks() {
+        for (const hookName of this.renderHooks) {
+            this._registerHook(hookName, (app, html) => this.injectFields(app, html));
+        }
+        for (const hookName of this.hudHooks) {
+            this._registerHook(hookName, (hud, html) => this.injectHudToggle(hud, html));
+        }
+    }
+
+    /**
+     * Adds the module tab to a rendered token configuration sheet.
+     * Does nothing when the tab is already present (e.g., on a partial re-render).
+     *
+     * @param {Object} app - The rendered sheet.
+     * @param {HTMLElement|Object} html - The rendered element, or its jQuery wrapper.
+     * @returns {boolean} True if the fields were added, false otherwise.
+     */
+    injectFields(app, html) {
+        const root = ConfigTab.getRoot(html);
+        if (!root) return false;
+        if (root.querySelector(`[name^="flags.${FLAG_SCOPE}."]`)) return false;
+
+        const token = app?.token ?? app?.document ?? app?.object;
+        const fields = FIELDS.map((flag) => {
+            const keys = this.fields[flag] ?? {};
+            return ConfigTab.createField(root.ownerDocument, {
+                name: `flags.${FLAG_SCOPE}.${flag}`,
+                type: 'checkbox',
+                label: ConfigTab.localize(keys.name, flag),
+                hint: ConfigTab.localize(keys.hint, ''),
+                value: token?.getFlag?.(FLAG_SCOPE, flag) ?? token?.flags?.[FLAG_SCOPE]?.[flag]
+            });
+        });
+        const tab = { ...this.tab, label: ConfigTab.localize(this.tab.label, 'Over My Head') };
+        return ConfigTab.inject(app, root, tab, fields);
+    }
+
+    /**
+     * Adds the button toggling the `ignoreOcclusion` flag to a rendered token HUD, for GMs only.
+     * The button copies the tag of the HUD's other controls and is active while the token is ignored.
+     *
+     * @param {Object} hud - The rendered token HUD.
+     * @param {HTMLElement|Object} html - The rendered element, or its jQuery wrapper.
+     * @returns {boolean} True if the button was added, false otherwise.
+     */
+    injectHudToggle(hud, html) {
+        const root = ConfigTab.getRoot(html);
+        const token = hud?.object;
+        if (!root || !token?.document || !this.#isGM()) return false;
+        const column = root.querySelector('.col.right') ?? root;
+        const selector = `[data-${FLAG_SCOPE}-toggle="${TOKEN_FLAGS.IGNORE_OCCLUSION}"]`;
+        if (column.querySelector(selector)) return false;
+
+        const template = column.querySelector('.control-icon');
+        const button = root.ownerDocument.createElement(template?.tagName ?? 'div');
+        if (button.tagName === 'BUTTON') button.type = 'button';
+        button.className = 'control-icon';
+        button.setAttribute(`data-${FLAG_SCOPE}-toggle`, TOKEN_FLAGS.IGNORE_OCCLUSION);
+        button.dataset.tooltip = ConfigTab.localize(this.hud.title, 'Ignore for Occlusion');
+        button.classList.toggle('active', this.#isIgnored(token));
+        const icon = root.ownerDocument.createElement('i');
+        icon.className = this.hud.icon;
+        button.append(icon);
+        button.addEventListener('click', async (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            try {
+                const ignored = await this.toggleIgnored(token);
+                if (ignored !== null) button.classList.toggle('active', ignored);
+            } catch (error) {
+                this.logger?.warn(`Could not toggle the occlusion of token ${token.document.id}: ${error.message}`);
+            }
+        });
+        column.append(button);
+        return true;
+    }
+
+    /**
+     * Switches the `ignoreOcclusion` flag of a token. Only GMs may toggle it.
+     * @param {Object} token - The token placeable or its document.
+     * @returns {Promise<boolean|null>} The new flag value, or null when the user is not a GM or the token has no document.
+     */
+    async toggleIgnored(token) {
+        if (!this.#isGM()) {
+            this.logger?.warn('Only GMs can toggle the occlusion of a token');
+            return null;
+        }
+        const document = token?.document ?? token;
+        if (typeof document?.setFlag !== 'function') {
+            this.logger?.warn('Cannot toggle the occlusion of a token without document');
+            return null;
+        }
+        const ignored = !this.#isIgnored(token);
+        await document.setFlag(FLAG_SCOPE, TOKEN_FLAGS.IGNORE_OCCLUSION, ignored);
+        return ignored;
+    }
+
+    /**
+     * Determines if the current user is a GM.
+     * @private
+     * @returns {boolean}
+     */
+    #isGM() {
+        return globalThis.game?.user?.isGM === true;
+    }
+
+    /**
+     * Determines if a token is flagged to never be an observer.
+     * @private
+     * @param {Object} token
+     * @returns {boolean}
+     */
+    #isIgnored(token) {
+        const flagged = this.placeables?.getFlag?.(token, TOKEN_FLAGS.IGNORE_OCCLUSION)
+            ?? token?.document?.getFlag?.(FLAG_SCOPE, TOKEN_FLAGS.IGNORE_OCCLUSION);
+        return flagged === true;
+    }
+}
+
+export default TokenConfigHandler;
@@ -0,0 +1,212 @@
+// @vitest-environment jsdom
+/**
+ * @file tokenConfigHandler.unit.test.mjs
+ * @description Unit tests for TokenConfigHandler (token configuration sheet fields and HUD toggle).
+ * @path src/handlers/tokenConfigHandler.unit.test.mjs
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import TokenConfigHandler from './tokenConfigHandler.mjs';
+import Handler from '../baseClasses/handler.mjs';
+import { FLAG_SCOPE } from './placeableHelpers/config.mjs';
+
+const IGNORE_NAME = `flags.${FLAG_SCOPE}.ignoreOcclusion`;
+const ALWAYS_NAME = `flags.${FLAG_SCOPE}.alwaysObserver`;
+const TOGGLE = `[data-${FLAG_SCOPE}-toggle="ignoreOcclusion"]`;
+
+const createSheet = () => {
+  const root = document.createElement('form');
+  root.innerHTML = `
+    <nav class="sheet-tabs tabs" data-group="main">
+      <a class="item active" data-tab="identity"><i class="fas fa-user"></i> Identity</a>
+      <a class="item" data-tab="vision"><i class="fas fa-eye"></i> Vision</a>
+    </nav>
+    <div class="tab active" data-group="main" data-tab="identity"></div>
+    <div class="tab" data-group="main" data-tab="vision"></div>`;
+  return root;
+};
+
+const createHud = () => {
+  const root = document.createElement('div');
+  root.innerHTML = `
+    <div class="col left"></div>
+    <div class="col right"><button type="button" class="control-icon" data-action="combat"></button></div>`;
+  return root;
+};
+
+describe('TokenConfigHandler', () => {
+  let handler;
+  let placeables;
+  let config;
+  let token;
+  let hookId;
+
+  beforeEach(() => {
+    hookId = 0;
+    global.Hooks = { on: vi.fn(() => ++hookId), off: vi.fn() };
+    globalThis.game = { user: { isGM: true }, i18n: { localize: vi.fn((key) => `localized:${key}`) } };
+    placeables = { getFlag: vi.fn((placeable, key) => placeable.document.flags?.[FLAG_SCOPE]?.[key]) };
+    config = {
+      constants: {
+        tokenConfig: {
+          renderHooks: ['renderTokenConfig'],
+          hudHooks: ['renderTokenHUD'],
+          tab: { id: 'over-my-head', label: 'omh.tab' },
+          fields: { ignoreOcclusion: { name: 'omh.ignore.name', hint: 'omh.ignore.hint' } },
+          hud: { title: 'omh.hud.ignore', icon: 'fa-solid fa-ghost' }
+        }
+      }
+    };
+    const tokenDocument = {
+      id: 'scout',
+      flags: { [FLAG_SCOPE]: { ignoreOcclusion: true } },
+      getFlag: vi.fn((scope, key) => tokenDocument.flags[scope]?.[key]),
+      setFlag: vi.fn(async (scope, key, value) => {
+        tokenDocument.flags[scope][key] = value;
+      })
+    };
+    token = { document: tokenDocument };
+    handler = new TokenConfigHandler(config, { logger: { warn: vi.fn() } }, {}, placeables);
+  });
+
+  afterEach(() => {
+    delete global.Hooks;
+    delete globalThis.game;
+  });
+
+  describe('constructor', () => {
+    it('should extend Handler and read the configured hooks', () => {
+      expect(handler).toBeInstanceOf(Handler);
+      expect(handler.placeables).toBe(placeables);
+      expect(handler.renderHooks).toEqual(['renderTokenConfig']);
+      expect(handler.hudHooks).toEqual(['renderTokenHUD']);
+      expect(handler.isActive).toBe(false);
+    });
+
+    it('should fall back to the token sheet and HUD hooks', () => {
+      const fallback = new TokenConfigHandler({}, {}, {}, placeables);
+      expect(fallback.renderHooks).toEqual(['renderTokenConfig', 'renderPrototypeTokenConfig']);
+      expect(fallback.hudHooks).toEqual(['renderTokenHUD']);
+      expect(fallback.hud.icon).toBe('fa-solid fa-house-circle-xmark');
+    });
+  });
+
+  describe('activate and deactivate', () => {
+    it('should register and unregister the sheet and HUD hooks', () => {
+      expect(handler.activate()).toBe(true);
+      expect(handler.activate()).toBe(false);
+      expect(Hooks.on).toHaveBeenCalledTimes(2);
+      expect(Hooks.on).toHaveBeenCalledWith('renderTokenHUD', expect.any(Function));
+      expect(handler.deactivate()).toBe(true);
+      expect(Hooks.off).toHaveBeenCalledWith('renderTokenConfig', 1);
+      expect(Hooks.off).toHaveBeenCalledWith('renderTokenHUD', 2);
+      expect(handler.deactivate()).toBe(false);
+    });
+
+    it('should inject the tab and the toggle when the sheet and HUD render', () => {
+      handler.activate();
+      const sheet = createSheet();
+      const hud = createHud();
+      Hooks.on.mock.calls[0][1]({ document: token.document }, sheet);
+      Hooks.on.mock.calls[1][1]({ object: token }, hud);
+      expect(sheet.querySelector(`[name="${IGNORE_NAME}"]`)).not.toBeNull();
+      expect(hud.querySelector(TOGGLE)).not.toBeNull();
+    });
+  });
+
+  describe('injectFields', () => {
+    it('should add the token flag checkboxes in the module tab', () => {
+      const root = createSheet();
+      expect(handler.injectFields({ document: token.document, setPosition: vi.fn() }, root)).toBe(true);
+
+      const panel = root.querySelector('.tab[data-tab="over-my-head"]');
+      expect(panel.previousElementSibling.dataset.tab).toBe('vision');
+      const ignore = panel.querySelector(`[name="${IGNORE_NAME}"]`);
+      expect(ignore.type).toBe('checkbox');
+      expect(ignore.checked).toBe(true);
+      expect(ignore.closest('.form-group').querySelector('label').textContent).toBe('localized:omh.ignore.name');
+      expect(panel.querySelector(`[name="${ALWAYS_NAME}"]`).checked).toBe(false);
+      expect(root.querySelector('nav [data-tab="over-my-head"] span').textContent).toBe('localized:omh.tab');
+    });
+
+    it('should read the prototype token of ApplicationV1 and prototype sheets', () => {
+      const root = createSheet();
+      const prototype = { flags: { [FLAG_SCOPE]: { alwaysObserver: true } } };
+      expect(handler.injectFields({ token: prototype, document: { id: 'actor' } }, { jquery: '3.7.1', 0: root })).toBe(true);
+      expect(root.querySelector(`[name="${ALWAYS_NAME}"]`).checked).toBe(true);
+    });
+
+    it('should not add the tab twice and ignore invalid elements', () => {
+      const root = createSheet();
+      handler.injectFields({ document: token.document }, root);
+      expect(handler.injectFields({ document: token.document }, root)).toBe(false);
+      expect(root.querySelectorAll(`[name="${IGNORE_NAME}"]`)).toHaveLength(1);
+      expect(handler.injectFields({}, null)).toBe(false);
+    });
+  });
+
+  describe('injectHudToggle', () => {
+    it('should add an active toggle for ignored tokens to the right column', () => {
+      const root = createHud();
+      expect(handler.injectHudToggle({ object: token }, root)).toBe(true);
+      const button = root.querySelector(`.col.right ${TOGGLE}`);
+      expect(button.tagName).toBe('BUTTON');
+      expect(button.type).toBe('button');
+      expect(button.classList.contains('active')).toBe(true);
+      expect(button.dataset.tooltip).toBe('localized:omh.hud.ignore');
+      expect(button.querySelector('i').className).toBe('fa-solid fa-ghost');
+      expect(handler.injectHudToggle({ object: token }, root)).toBe(false);
+    });
+
+    it('should toggle the flag on click', async () => {
+      const root = createHud();
+      handler.injectHudToggle({ object: token }, root);
+      const button = root.querySelector(TOGGLE);
+      button.click();
+      await vi.waitFor(() => expect(button.classList.contains('active')).toBe(false));
+      expect(token.document.setFlag).toHaveBeenCalledWith(FLAG_SCOPE, 'ignoreOcclusion', false);
+    });
+
+    it('should warn when the flag cannot be saved', async () => {
+      const root = createHud();
+      token.document.setFlag.mockRejectedValueOnce(new Error('no permission'));
+      handler.injectHudToggle({ object: token }, root);
+      const button = root.querySelector(TOGGLE);
+      button.click();
+      await vi.waitFor(() => expect(handler.logger.warn).toHaveBeenCalledWith('Could not toggle the occlusion of token scout: no permission'));
+      expect(button.classList.contains('active')).toBe(true);
+    });
+
+    it('should not add the toggle for players', () => {
+      globalThis.game.user.isGM = false;
+      const root = createHud();
+      expect(handler.injectHudToggle({ object: token }, root)).toBe(false);
+      expect(root.querySelector(TOGGLE)).toBeNull();
+    });
+
+    it('should ignore HUDs without token', () => {
+      expect(handler.injectHudToggle({}, createHud())).toBe(false);
+      expect(handler.injectHudToggle({ object: token }, undefined)).toBe(false);
+    });
+  });
+
+  describe('toggleIgnored', () => {
+    it('should switch the ignoreOcclusion flag', async () => {
+      expect(await handler.toggleIgnored(token)).toBe(false);
+      expect(await handler.toggleIgnored(token)).toBe(true);
+      expect(token.document.flags[FLAG_SCOPE].ignoreOcclusion).toBe(true);
+    });
+
+    it('should refuse players', async () => {
+      globalThis.game.user.isGM = false;
+      expect(await handler.toggleIgnored(token)).toBeNull();
+      expect(token.document.setFlag).not.toHaveBeenCalled();
+      expect(handler.logger.warn).toHaveBeenCalledWith('Only GMs can toggle the occlusion of a token');
+    });
+
+    it('should warn for tokens without document', async () => {
+      expect(await handler.toggleIgnored({})).toBeNull();
+      expect(handler.logger.warn).toHaveBeenCalledWith('Cannot toggle the occlusion of a token without document');
+    });
+  });
+});
@@ -42,6 +42,7 @@ class OverMyHead {
    * - Initializes and assigns the execution context to this.context.
    * - Initializes and assigns the handlers collection to this.handlers.
    * - Initializes module settings via the settings handler.
+   * - Activates the roof occlusion engine via the occlusion handler.
    * - Confirms that initialization completed successfully.
    *
    * All work is delegated to this.utils.initializer and may reference this.config and this.utils.
@@ -61,6 +62,12 @@ class OverMyHead {
       // Initialize settings
       const settingsHandler = this.handlers.settings;
       this.utils.initializer.initializeSettings(settingsHandler, this.utils);
+      // Activate the occlusion engine
+      this.utils.initializer.initializeOcclusion(this.handlers.occlusion);
+      // Add the module fields to the tile configuration sheet
+      this.utils.initializer.initializeTileConfig(this.handlers.tileConfig);
+      // Add the module fields to the token configuration sheet and HUD
+      this.utils.initializer.initializeTokenConfig(this.handlers.tokenConfig);
       // Confirm initialization
       this.utils.initializer.confirmInitialization(this.config, this.context, this.utils);
     } catch (error) {
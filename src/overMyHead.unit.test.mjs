@@ -43,8 +43,11 @@ vi.mock('./utils/utils.mjs', () => ({
     initializer: {
       initializeDevFeatures: vi.fn(),
       initializeContext: vi.fn().mockReturnValue({ setFlags: vi.fn() }),
-      initializeHandlers: vi.fn().mockReturnValue({ settings: {} }),
+      initializeHandlers: vi.fn().mockReturnValue({ settings: {}, occlusion: {}, tileConfig: {}, tokenConfig: {} }),
       initializeSettings: vi.fn(),
+      initializeOcclusion: vi.fn(),
+      initializeTileConfig: vi.fn(),
+      initializeTokenConfig: vi.fn(),
       confirmInitialization: vi.fn()
     }
   }))
@@ -122,6 +125,9 @@ describe('OverMyHead (unit)', () => {
     expect(instance.utils.initializer.initializeContext).toHaveBeenCalled();
   expect(instance.utils.initializer.initializeHandlers).toHaveBeenCalledWith(instance.config, instance.utils, instance.context);
     expect(instance.utils.initializer.initializeSettings).toHaveBeenCalledWith(instance.handlers.settings, instance.utils);
+    expect(instance.utils.initializer.initializeOcclusion).toHaveBeenCalledWith(instance.handlers.occlusion);
+    expect(instance.utils.initializer.initializeTileConfig).toHaveBeenCalledWith(instance.handlers.tileConfig);
+    expect(instance.utils.initializer.initializeTokenConfig).toHaveBeenCalledWith(instance.handlers.tokenConfig);
     expect(instance.utils.initializer.confirmInitialization).toHaveBeenCalledWith(instance.config, instance.context, instance.utils);
 
     exportSpy.mockRestore();
@@ -33,6 +33,9 @@ import Handlers from '../handlers/handlers.mjs';
  * @method _registerSettings - Registers module settings using SettingsHandler
  * @method initializeContext - Initializes context with i18n hook
  * @method initializeSettings - Registers settings on init using SettingsHandler
+ * @method initializeOcclusion - Activates the roof occlusion engine
+ * @method initializeTileConfig - Activates the tile configuration sheet fields
+ * @method initializeTokenConfig - Activates the token configuration sheet fields and HUD toggle
  */
 class Initializer {
     /**
@@ -237,6 +240,56 @@ class Initializer {
         return this.handlers;
     }
 
+    /**
+     * Activates the roof occlusion engine provided by the handlers collection.
+     *
+     * @param {Object} occlusionHandler - OcclusionHandler instance with `activate()`
+     * @returns {boolean} True if the engine was activated, false otherwise
+     */
+    initializeOcclusion(occlusionHandler) {
+        return this.#activateHandler(occlusionHandler, 'OcclusionHandler', 'occlusion engine');
+    }
+
+    /**
+     * Activates the tile configuration sheet fields provided by the handlers collection.
+     *
+     * @param {Object} tileConfigHandler - TileConfigHandler instance with `activate()`
+     * @returns {boolean} True if the fields were activated, false otherwise
+     */
+    initializeTileConfig(tileConfigHandler) {
+        return this.#activateHandler(tileConfigHandler, 'TileConfigHandler', 'tile config fields');
+    }
+
+    /**
+     * Activates the token configuration sheet fields and HUD toggle provided by the handlers collection.
+     *
+     * @param {Object} tokenConfigHandler - TokenConfigHandler instance with `activate()`
+     * @returns {boolean} True if the fields were activated, false otherwise
+     */
+    initializeTokenConfig(tokenConfigHandler) {
+        return this.#activateHandler(tokenConfigHandler, 'TokenConfigHandler', 'token config fields');
+    }
+
+    /**
+     * Activates a handler exposing `activate()`, logging the outcome.
+     * Warns and skips when no valid handler is provided.
+     *
+     * @private
+     * @param {Object} handler - Handler instance with `activate()`
+     * @param {string} handlerName - Class name of the handler, used in the warning
+     * @param {string} feature - Lowercase description of what the handler activates, used in the logs
+     * @returns {boolean} True if the handler was activated, false otherwise
+     */
+    #activateHandler(handler, handlerName, feature) {
+        if (!handler || typeof handler.activate !== 'function') {
+            this.logger.warn(`No ${handlerName} provided. Skipping ${feature} activation.`);
+            return false;
+        }
+        const activated = handler.activate();
+        if (activated) this.logger.log(`${feature.charAt(0).toUpperCase()}${feature.slice(1)} activated`);
+        return activated;
+    }
+
     confirmInitialization(config, context, utils) {
         utils.logger.log(`Module initialized (${config.manifest.version})`);
         if (context && typeof context.setFlags === 'function') {
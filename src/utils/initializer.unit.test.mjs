@@ -242,6 +242,56 @@ describe('Initializer', () => {
         });
     });
 
+    describe('initializeOcclusion', () => {
+        it('should activate the occlusion handler and log on success', () => {
+            const occlusionHandler = { activate: vi.fn().mockReturnValue(true) };
+            expect(initializer.initializeOcclusion(occlusionHandler)).toBe(true);
+            expect(occlusionHandler.activate).toHaveBeenCalled();
+            expect(mockLog).toHaveBeenCalledWith('Occlusion engine activated');
+        });
+
+        it('should not log activation when the handler declines to activate', () => {
+            const occlusionHandler = { activate: vi.fn().mockReturnValue(false) };
+            expect(initializer.initializeOcclusion(occlusionHandler)).toBe(false);
+            expect(mockLog).not.toHaveBeenCalledWith('Occlusion engine activated');
+        });
+
+        it('should warn and skip when no valid handler is provided', () => {
+            expect(initializer.initializeOcclusion(undefined)).toBe(false);
+            expect(initializer.initializeOcclusion({})).toBe(false);
+            expect(mockWarn).toHaveBeenCalledWith('No OcclusionHandler provided. Skipping occlusion engine activation.');
+        });
+    });
+
+    describe('initializeTileConfig', () => {
+        it('should activate the tile config handler and log on success', () => {
+            const tileConfigHandler = { activate: vi.fn().mockReturnValue(true) };
+            expect(initializer.initializeTileConfig(tileConfigHandler)).toBe(true);
+            expect(tileConfigHandler.activate).toHaveBeenCalled();
+            expect(mockLog).toHaveBeenCalledWith('Tile config fields activated');
+        });
+
+        it('should warn and skip when no valid handler is provided', () => {
+            expect(initializer.initializeTileConfig(undefined)).toBe(false);
+            expect(initializer.initializeTileConfig({})).toBe(false);
+            expect(mockWarn).toHaveBeenCalledWith('No TileConfigHandler provided. Skipping tile config fields activation.');
+        });
+    });
+
+    describe('initializeTokenConfig', () => {
+        it('should activate the token config handler and log on success', () => {
+            const tokenConfigHandler = { activate: vi.fn().mockReturnValue(true) };
+            expect(initializer.initializeTokenConfig(tokenConfigHandler)).toBe(true);
+            expect(tokenConfigHandler.activate).toHaveBeenCalled();
+            expect(mockLog).toHaveBeenCalledWith('Token config fields activated');
+        });
+
+        it('should warn and skip when no valid handler is provided', () => {
+            expect(initializer.initializeTokenConfig(undefined)).toBe(false);
+            expect(mockWarn).toHaveBeenCalledWith('No TokenConfigHandler provided. Skipping token config fields activation.');
+        });
+    });
+
     describe('initializeDevFeatures', () => {
         let mockUtils;
         let mockHooksLogger;
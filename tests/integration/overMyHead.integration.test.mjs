@@ -55,8 +55,11 @@ vi.mock('../../src/utils/utils.mjs', () => {
     initializer: {
       initializeDevFeatures: vi.fn(),
       initializeContext: vi.fn().mockReturnValue(Promise.resolve({ setFlags: vi.fn() })),
-      initializeHandlers: vi.fn().mockReturnValue({ settings: {} }),
+      initializeHandlers: vi.fn().mockReturnValue({ settings: {}, occlusion: {}, tileConfig: {}, tokenConfig: {} }),
       initializeSettings: vi.fn(),
+      initializeOcclusion: vi.fn(),
+      initializeTileConfig: vi.fn(),
+      initializeTokenConfig: vi.fn(),
       confirmInitialization: vi.fn()
     }
   }));